@@ -0,0 +1,194 @@
+// src/account.test.js
+// Gestão da conta: perfil, troca de senha, redefinição por email (com um servidor SMTP falso
+// no lugar do mail-catcher) e exclusão em cascata dos chats.
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+// Os serviços resolvem os diretórios de dados a partir do cwd no require
+const originalCwd = process.cwd();
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rpg-account-"));
+process.chdir(tmpDir);
+
+const request = require("supertest");
+const app = require("./app");
+const config = require("./config");
+const storage = require("./services/storage");
+const chatStorage = require("./services/chatStorage.service");
+const lanceDBService = require("./services/lancedb.service");
+
+const PASSWORD = "senha-segura-123";
+
+/**
+ * Servidor SMTP mínimo que aceita qualquer email e guarda o conteúdo do DATA.
+ * @returns {Promise<{server: net.Server, port: number, messages: string[]}>}
+ */
+function startFakeSmtp() {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    socket.write("220 fake-smtp\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf-8");
+      if (inData) {
+        const end = buffer.indexOf("\r\n.\r\n");
+        if (end === -1) return;
+        messages.push(buffer.slice(0, end));
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write("250 queued\r\n");
+      }
+      let lineEnd;
+      while (!inData && (lineEnd = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        if (line.startsWith("EHLO")) socket.write("250-fake-smtp\r\n250 8BITMIME\r\n");
+        else if (line === "DATA") {
+          inData = true;
+          socket.write("354 go ahead\r\n");
+        } else if (line === "QUIT") socket.end("221 bye\r\n");
+        else socket.write("250 ok\r\n");
+      }
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve({ server, port: server.address().port, messages }));
+  });
+}
+
+describe("Gestão da conta", () => {
+  let smtp;
+  const originalMail = { ...config.mail };
+
+  beforeAll(async () => {
+    smtp = await startFakeSmtp();
+    Object.assign(config.mail, { transport: "smtp", smtpHost: "127.0.0.1", smtpPort: smtp.port });
+  });
+
+  afterAll(async () => {
+    Object.assign(config.mail, originalMail);
+    await new Promise((resolve) => smtp.server.close(resolve));
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const register = async (email) =>
+    (await request(app).post("/api/auth/register").send({ name: "Aria", email, password: PASSWORD })).body;
+
+  const login = (email, password) => request(app).post("/api/auth/login").send({ email, password });
+
+  const api = (method, url, token) => request(app)[method](url).set("Authorization", `Bearer ${token}`);
+
+  test("altera nome e email; o email exige a senha atual e precisa estar livre", async () => {
+    const { token } = await register("aria@example.com");
+    await register("ocupado@example.com");
+
+    const renamed = await api("put", "/api/user/profile", token).send({ name: "Aria, a Ruiva" });
+    expect(renamed.status).toBe(200);
+    expect(renamed.body).toMatchObject({ name: "Aria, a Ruiva", email: "aria@example.com" });
+    expect(renamed.body.password).toBeUndefined();
+
+    const noPassword = await api("put", "/api/user/profile", token).send({ email: "nova@example.com" });
+    expect(noPassword.status).toBe(403);
+    expect(noPassword.body.code).toBe("AUTH_PASSWORD_INVALID");
+
+    const taken = await api("put", "/api/user/profile", token).send({ email: "ocupado@example.com", currentPassword: PASSWORD });
+    expect(taken.status).toBe(409);
+    expect(taken.body.code).toBe("USER_EMAIL_TAKEN");
+
+    await api("put", "/api/user/profile", token).send({ email: "nova@example.com", currentPassword: PASSWORD }).expect(200);
+    expect((await login("nova@example.com", PASSWORD)).status).toBe(200);
+    expect((await api("get", "/api/user/profile", token)).body.email).toBe("nova@example.com");
+  });
+
+  test("troca de senha mantém a sessão atual e encerra as outras", async () => {
+    const { token } = await register("senha@example.com");
+    const other = (await login("senha@example.com", PASSWORD)).body;
+
+    const wrong = await api("put", "/api/user/password", token).send({ currentPassword: "errada", newPassword: "outra-senha-456" });
+    expect(wrong.status).toBe(403);
+
+    const short = await api("put", "/api/user/password", token).send({ currentPassword: PASSWORD, newPassword: "curta" });
+    expect(short.status).toBe(400);
+    expect(short.body.code).toBe("VALIDATION_FAILED");
+    expect(short.body.details.errors[0].path).toBe("body.newPassword");
+
+    await api("put", "/api/user/password", token).send({ currentPassword: PASSWORD, newPassword: "outra-senha-456" }).expect(200);
+
+    await api("get", "/api/user/profile", token).expect(200);
+    expect((await api("get", "/api/user/profile", other.token)).status).toBe(401);
+    expect((await login("senha@example.com", PASSWORD)).status).toBe(401);
+    expect((await login("senha@example.com", "outra-senha-456")).status).toBe(200);
+  });
+
+  test("redefinição de senha por email com token de uso único", async () => {
+    const { token } = await register("esqueci@example.com");
+
+    // Email desconhecido: mesma resposta, nenhum email enviado
+    const unknown = await request(app).post("/api/auth/forgot-password").send({ email: "ninguem@example.com" });
+    expect(unknown.status).toBe(200);
+    expect(smtp.messages).toHaveLength(0);
+
+    const forgot = await request(app).post("/api/auth/forgot-password").send({ email: "esqueci@example.com" });
+    expect(forgot.body.message).toBe(unknown.body.message);
+    expect(smtp.messages).toHaveLength(1);
+
+    const mail = smtp.messages[0];
+    expect(mail).toContain("To: esqueci@example.com");
+    const resetToken = decodeURIComponent(mail.match(/reset-password\?token=(\S+)/)[1]);
+
+    // O token fica só como hash no storage
+    const user = await storage.getUserByEmail("esqueci@example.com");
+    expect(JSON.stringify(user)).not.toContain(resetToken.split(".")[1]);
+
+    const invalid = await request(app).post("/api/auth/reset-password").send({ token: `${user.id}.errado`, password: "nova-senha-789" });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.code).toBe("RESET_TOKEN_INVALID");
+
+    await request(app).post("/api/auth/reset-password").send({ token: resetToken, password: "nova-senha-789" }).expect(200);
+    const reused = await request(app).post("/api/auth/reset-password").send({ token: resetToken, password: "mais-uma-senha" });
+    expect(reused.status).toBe(400);
+
+    expect((await api("get", "/api/user/profile", token)).status).toBe(401);
+    expect((await login("esqueci@example.com", "nova-senha-789")).status).toBe(200);
+  });
+
+  test("excluir a conta remove os chats, as tabelas do LanceDB, o cofre e as sessões", async () => {
+    const { token, user } = await register("adeus@example.com");
+    const chatTokens = [];
+    for (let i = 0; i < 2; i++) {
+      chatTokens.push((await api("post", "/api/chat/create", token)).body.chatToken);
+    }
+    await lanceDBService.insertRecord(chatTokens[0], "historico", {
+      text: "Aria deixa a cidade.",
+      vector: new Array(3072).fill(0.01),
+      messageid: "msg-1",
+      role: "user",
+      createdAt: Date.now(),
+      attachments: "[]",
+      thoughtSignature: null,
+    });
+    await api("post", "/api/user/keys", token).send({ provider: "openrouter", key: "sk-or-v1-chave-de-adeus-0001" }).expect(201);
+
+    const tablePath = path.join(tmpDir, config.dbPath, `${chatTokens[0]}-historico.lance`);
+    expect(fs.existsSync(tablePath)).toBe(true);
+
+    const wrong = await api("delete", "/api/user/account", token).send({ password: "errada" });
+    expect(wrong.status).toBe(403);
+
+    const res = await api("delete", "/api/user/account", token).send({ password: PASSWORD });
+    expect(res.status).toBe(200);
+    expect(res.body.deletedChats).toBe(2);
+
+    for (const chatToken of chatTokens) {
+      expect(await chatStorage.getChatMetadata(chatToken)).toBeNull();
+    }
+    expect(fs.existsSync(tablePath)).toBe(false);
+    expect(await storage.getKeyring(user.id)).toBeNull();
+    expect(await storage.listSessions(user.id)).toEqual([]);
+    expect((await api("get", "/api/user/profile", token)).status).toBe(401);
+    expect((await login("adeus@example.com", PASSWORD)).status).toBe(401);
+  }, 30000);
+});
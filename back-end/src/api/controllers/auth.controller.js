@@ -1,121 +1,128 @@
 const userService = require("../../services/user.service");
-const jwt = require("jsonwebtoken");
+const sessionService = require("../../services/session.service");
+const { getClientIP } = require("../../utils/requestInfo");
+const { AuthError } = require("../../utils/errors");
 
-const JWT_SECRET = process.env.JWT_SECRET || "default_secret_key_change_me";
+// Os corpos das requisições já chegam validados pelos schemas das rotas (api/schemas/auth.schemas.js)
 
-// Rate limiting for brute force protection
-const loginAttempts = new Map(); // key: email or IP, value: { count, lastAttempt, blockedUntil }
-const MAX_ATTEMPTS = 5;
-const BLOCK_DURATION_MS = 15 * 60 * 1000; // 15 minutes
-const ATTEMPT_WINDOW_MS = 5 * 60 * 1000; // 5 minutes - reset if no attempts in this window
-
-function getClientIP(req) {
-    return req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || req.socket?.remoteAddress || 'unknown';
+// Dispositivo da requisição, exibido na lista de sessões
+function getClientInfo(req) {
+    return { userAgent: req.headers["user-agent"], ip: getClientIP(req) };
 }
 
-function isBlocked(key) {
-    const attempt = loginAttempts.get(key);
-    if (!attempt) return false;
+async function register(req, res, next) {
+    try {
+        const { name, email, password } = req.body;
 
-    // Check if block has expired
-    if (attempt.blockedUntil && Date.now() < attempt.blockedUntil) {
-        return true;
-    }
+        const user = await userService.createUser({ name, email, password });
 
-    // Reset if block expired
-    if (attempt.blockedUntil && Date.now() >= attempt.blockedUntil) {
-        loginAttempts.delete(key);
-        return false;
-    }
+        const { token, refreshToken } = await sessionService.createSession(user, getClientInfo(req));
 
-    return false;
+        res.status(201).json({ user, token, refreshToken });
+    } catch (error) {
+        next(error);
+    }
 }
 
-function recordFailedAttempt(key) {
-    const now = Date.now();
-    const attempt = loginAttempts.get(key) || { count: 0, firstAttempt: now };
+// Tentativas erradas são limitadas pelo rateLimit("login") da rota
+async function login(req, res, next) {
+    try {
+        const { email, password } = req.body;
 
-    // Reset if window expired
-    if (now - attempt.firstAttempt > ATTEMPT_WINDOW_MS) {
-        attempt.count = 0;
-        attempt.firstAttempt = now;
-    }
+        const user = await userService.validateUser(email, password);
+        if (!user) {
+            throw new AuthError("Credenciais inválidas", "AUTH_INVALID_CREDENTIALS", {
+                details: { remainingAttempts: req.rateLimit?.remaining }
+            });
+        }
 
-    attempt.count++;
-    attempt.lastAttempt = now;
+        const { token, refreshToken } = await sessionService.createSession(user, getClientInfo(req));
 
-    // Block if max attempts reached
-    if (attempt.count >= MAX_ATTEMPTS) {
-        attempt.blockedUntil = now + BLOCK_DURATION_MS;
+        res.json({ user, token, refreshToken });
+    } catch (error) {
+        next(error);
     }
-
-    loginAttempts.set(key, attempt);
-    return attempt;
 }
 
-function clearAttempts(key) {
-    loginAttempts.delete(key);
-}
-
-async function register(req, res, next) {
+// [POST] /api/auth/refresh
+// Troca o refresh token por um novo par (o anterior deixa de valer)
+async function refresh(req, res, next) {
     try {
-        const { name, email, password } = req.body;
+        const { refreshToken } = req.body || {};
 
-        if (!name || !email || !password) {
-            return res.status(400).json({ error: "Name, email, and password are required" });
-        }
-
-        const user = await userService.createUser({ name, email, password });
-
-        const token = jwt.sign({ id: user.id, email: user.email }, JWT_SECRET, { expiresIn: "24h" });
+        const tokens = await sessionService.refreshSession(refreshToken, getClientInfo(req));
+        res.json(tokens);
+    } catch (error) {
+        next(error);
+    }
+}
 
-        res.status(201).json({ user, token });
+// [POST] /api/auth/logout
+// Encerra a sessão atual
+async function logout(req, res, next) {
+    try {
+        await sessionService.revokeSession(req.user.id, req.user.sessionId);
+        res.status(200).json({ message: "Sessão encerrada." });
     } catch (error) {
-        if (error.message === "User already exists") {
-            return res.status(409).json({ error: "User already exists" });
-        }
         next(error);
     }
 }
 
-async function login(req, res, next) {
+// [POST] /api/auth/logout-all
+// Encerra todas as sessões do usuário, inclusive a atual
+async function logoutAll(req, res, next) {
     try {
-        const { email, password } = req.body;
-        const clientIP = getClientIP(req);
-        const rateLimitKey = email || clientIP;
+        const revoked = await sessionService.revokeAllSessions(req.user.id);
+        res.status(200).json({ message: "Todas as sessões foram encerradas.", revoked });
+    } catch (error) {
+        next(error);
+    }
+}
 
-        if (!email || !password) {
-            return res.status(400).json({ error: "Email and password are required" });
-        }
+// [GET] /api/auth/sessions
+async function listSessions(req, res, next) {
+    try {
+        const sessions = await sessionService.listSessions(req.user.id, req.user.sessionId);
+        res.status(200).json({ sessions });
+    } catch (error) {
+        next(error);
+    }
+}
 
-        // Check if blocked
-        if (isBlocked(rateLimitKey)) {
-            const attempt = loginAttempts.get(rateLimitKey);
-            const remainingMinutes = Math.ceil((attempt.blockedUntil - Date.now()) / 60000);
-            return res.status(429).json({
-                error: `Muitas tentativas de login. Tente novamente em ${remainingMinutes} minuto(s).`,
-                blockedUntil: attempt.blockedUntil,
-                retryAfter: remainingMinutes * 60
-            });
-        }
+// [DELETE] /api/auth/sessions/:sessionId
+async function revokeSession(req, res, next) {
+    try {
+        await sessionService.revokeSession(req.user.id, req.params.sessionId);
+        res.status(200).json({ message: "Sessão encerrada." });
+    } catch (error) {
+        next(error);
+    }
+}
 
-        const user = await userService.validateUser(email, password);
-        if (!user) {
-            const attempt = recordFailedAttempt(rateLimitKey);
-            const remainingAttempts = MAX_ATTEMPTS - attempt.count;
+// [POST] /api/auth/forgot-password
+// Envia o link de redefinição. Responde igual para emails existentes ou não (sem enumeração de contas)
+async function forgotPassword(req, res, next) {
+    try {
+        const { email } = req.body || {};
 
-            return res.status(401).json({
-                error: "Credenciais inválidas",
-                remainingAttempts: remainingAttempts > 0 ? remainingAttempts : 0
-            });
+        try {
+            await userService.requestPasswordReset(email);
+        } catch (error) {
+            console.error("[Auth] Falha ao enviar o email de redefinição de senha:", error.message);
         }
+        res.status(200).json({ message: "Se o email estiver cadastrado, você receberá um link para redefinir a senha." });
+    } catch (error) {
+        next(error);
+    }
+}
 
-        // Clear attempts on successful login
-        clearAttempts(rateLimitKey);
-
-        const token = jwt.sign({ id: user.id, email: user.email }, JWT_SECRET, { expiresIn: "24h" });
-
-        res.json({ user, token });
+// [POST] /api/auth/reset-password
+// Define a nova senha com o token do email e encerra todas as sessões
+async function resetPassword(req, res, next) {
+    try {
+        const { token, password } = req.body || {};
+        await userService.resetPassword(token, password);
+        res.status(200).json({ message: "Senha redefinida. Faça login com a nova senha." });
     } catch (error) {
         next(error);
     }
@@ -123,5 +130,12 @@ async function login(req, res, next) {
 
 module.exports = {
     register,
-    login
+    login,
+    refresh,
+    logout,
+    logoutAll,
+    listSessions,
+    revokeSession,
+    forgotPassword,
+    resetPassword
 };
@@ -1,5 +1,13 @@
 // src/api/controllers/chat.controller.js
 const chatService = require("../../services/chat.service");
+const credentialService = require("../../services/credential.service");
+const { maskMetadataKeys, isMaskedSecret, restoreMaskedKeys } = require("../../utils/providerKeys");
+const { NotFoundError, ProviderError, ValidationError, toAppError } = require("../../utils/errors");
+
+// Params, query e body já chegam validados pelos schemas das rotas (api/schemas/chat.schemas.js)
+
+// Evento SSE de erro, no mesmo formato das respostas de erro JSON ({ error, code, details? })
+const errorEvent = (error) => ({ type: "error", ...toAppError(error).toJSON() });
 
 // --- Gerenciamento de Chat (CRUD) ---
 
@@ -8,7 +16,7 @@ async function getAllChats(req, res, next) {
   try {
     const userId = req.user ? req.user.id : null;
     const chats = await chatService.getAllChats(userId);
-    res.status(200).json(chats);
+    res.status(200).json(chats.map(maskMetadataKeys));
   } catch (error) {
     next(error);
   }
@@ -20,9 +28,11 @@ async function getChatDetails(req, res, next) {
     const { chatToken } = req.params;
     const details = await chatService.getChatDetails(chatToken);
     if (!details) {
-      return res.status(404).json({ error: "Chat não encontrado." });
+      throw new NotFoundError("Chat não encontrado.", "CHAT_NOT_FOUND");
     }
-    res.status(200).json(details);
+    // keys: origem (chat, credencial do cofre ou padrão do usuário) e máscaras das keys efetivas
+    const keys = await credentialService.describeChatKeys(details);
+    res.status(200).json({ ...maskMetadataKeys(details), keys });
   } catch (error) {
     next(error);
   }
@@ -34,12 +44,8 @@ async function renameChat(req, res, next) {
     const { chatToken } = req.params;
     const { newTitle } = req.body;
 
-    if (!newTitle) {
-      return res.status(400).json({ error: "O campo 'newTitle' é obrigatório." });
-    }
-
     const updatedMetadata = await chatService.renameChat(chatToken, newTitle);
-    res.status(200).json({ message: "Chat renomeado com sucesso.", data: updatedMetadata });
+    res.status(200).json({ message: "Chat renomeado com sucesso.", data: maskMetadataKeys(updatedMetadata) });
   } catch (error) {
     next(error);
   }
@@ -61,11 +67,17 @@ async function branchChat(req, res, next) {
 // --- Gerenciamento de Mensagens/Memória ---
 
 // [POST] /api/chat/generate/:chatToken
+// Com ?stream=true (ou Accept: text/event-stream) responde via SSE com eventos tipados:
+// text, text_reset, dice_roll, memory_inserted, memory_edited, pending_deletions, character_updated,
+// game_clock_updated, quest_updated, complete, error
 async function generateChatResponse(req, res, next) {
   try {
     const { chatToken } = req.params;
     let { message, previousVectorMemory } = req.body;
     const files = req.files || [];
+    const wantsStream =
+      req.query.stream === "true" ||
+      (req.headers.accept || "").includes("text/event-stream");
 
     if (typeof previousVectorMemory === 'string') {
       try {
@@ -76,27 +88,50 @@ async function generateChatResponse(req, res, next) {
     }
 
     if (!message && files.length === 0) {
-      return res.status(400).json({ error: "O campo 'message' ou um arquivo é obrigatório." });
+      throw new ValidationError("O campo 'message' ou um arquivo é obrigatório.", "MESSAGE_REQUIRED");
     }
 
-    const generationResult = await chatService.handleChatGeneration(
-      chatToken,
-      message || "",
-      previousVectorMemory,
-      files
-    );
+    if (!wantsStream) {
+      const generationResult = await chatService.handleChatGeneration(
+        chatToken,
+        message || "",
+        previousVectorMemory,
+        files
+      );
+
+      // Se houver pendências de deleção, o frontend receberá no generationResult
+      return res.status(200).json(generationResult);
+    }
 
-    // Se houver pendências de deleção, o frontend receberá no generationResult
-    res.status(200).json(generationResult);
-  } catch (error) {
-    // Verifica se é um erro estruturado do OpenRouter
-    if (error.userMessage) {
-      return res.status(error.statusCode || 500).json({
-        error: error.userMessage,
-        errorType: error.errorType,
-        reasons: error.reasons,
-        details: error.message
-      });
+    // Configura SSE
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.flushHeaders();
+
+    const sendEvent = (event) => {
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    };
+
+    try {
+      const generationResult = await chatService.handleChatGeneration(
+        chatToken,
+        message || "",
+        previousVectorMemory,
+        files,
+        sendEvent
+      );
+      sendEvent({ type: "complete", ...generationResult });
+    } catch (err) {
+      console.error("Erro durante geração (stream):", err);
+      sendEvent(errorEvent(err));
+    } finally {
+      res.end();
+    }
+  } catch (error) {
+    // Se headers já foram enviados (SSE), não pode chamar next(error) padrão
+    if (res.headersSent) {
+      return res.end();
     }
     next(error);
   }
@@ -108,10 +143,6 @@ async function deleteMemories(req, res, next) {
     const { chatToken } = req.params;
     const { messageids } = req.body;
 
-    if (!messageids || !Array.isArray(messageids)) {
-      return res.status(400).json({ error: "O campo 'messageids' deve ser um array de strings." });
-    }
-
     const results = [];
     for (const id of messageids) {
       const wasDeleted = await chatService.deleteMessage(chatToken, id);
@@ -130,13 +161,9 @@ async function addMessage(req, res, next) {
     const { chatToken, collectionName } = req.params;
     const { text, role } = req.body;
 
-    if (!text) {
-      return res.status(400).json({ error: "O campo 'text' é obrigatório." });
-    }
-
-    // Busca as API Keys dos metadados do chat para gerar embedding
-    const chatMetadata = await chatService.getChatDetails(chatToken);
-    const apiKeys = chatMetadata?.config?.googleApiKeys || [];
+    // Busca as API Keys do chat (ou do cofre do usuário) para gerar embedding
+    const chatConfig = await chatService.getChatConfig(chatToken);
+    const apiKeys = chatConfig?.googleApiKeys || [];
 
     if (apiKeys.length === 0) {
       console.warn(`[Controller] addMessage - Nenhuma API key configurada para chat ${chatToken}`);
@@ -169,10 +196,6 @@ async function editMessage(req, res, next) {
     const { chatToken, messageid } = req.params;
     const { newContent } = req.body;
 
-    if (!newContent) {
-      return res.status(400).json({ error: "O campo 'newContent' é obrigatório." });
-    }
-
     const wasUpdated = await chatService.editMessage(
       chatToken,
       messageid,
@@ -182,7 +205,7 @@ async function editMessage(req, res, next) {
     if (wasUpdated) {
       res.status(200).json({ message: "Mensagem editada com sucesso." });
     } else {
-      res.status(404).json({ message: "Mensagem não encontrada para edição." });
+      throw new NotFoundError("Mensagem não encontrada para edição.", "MESSAGE_NOT_FOUND");
     }
   } catch (error) {
     next(error);
@@ -212,15 +235,11 @@ async function searchMessages(req, res, next) {
     const { chatToken, collectionName } = req.params;
     const { text } = req.body;
 
-    if (!text) {
-      return res.status(400).json({ error: "O campo 'text' é obrigatório." });
-    }
-
-    // Busca a API Key dos metadados do chat (usa primeira key do Google)
-    const chatMetadata = await chatService.getChatDetails(chatToken);
-    const apiKey = chatMetadata?.config?.googleApiKeys?.[0];
+    // Busca a API Key do chat ou do cofre do usuário (usa primeira key do Google)
+    const chatConfig = await chatService.getChatConfig(chatToken);
+    const apiKey = chatConfig?.googleApiKeys?.[0];
 
-    console.log(`[Controller] searchMessages - chatToken: ${chatToken}, hasMetadata: ${!!chatMetadata}, hasConfig: ${!!chatMetadata?.config}, hasApiKey: ${!!apiKey}`);
+    console.log(`[Controller] searchMessages - chatToken: ${chatToken}, hasConfig: ${!!chatConfig}, hasApiKey: ${!!apiKey}`);
 
     const results = await chatService.searchMessages(
       chatToken,
@@ -275,7 +294,7 @@ async function updateChatConfig(req, res, next) {
     const { chatToken } = req.params;
     const config = req.body;
     const updated = await chatService.updateChatConfig(chatToken, config);
-    res.status(200).json(updated);
+    res.status(200).json(maskMetadataKeys(updated));
   } catch (error) {
     next(error);
   }
@@ -286,10 +305,6 @@ async function importChat(req, res, next) {
   try {
     const { messages, apiKey } = req.body;
 
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: "O campo 'messages' é obrigatório e deve ser um array." });
-    }
-
     const userId = req.user ? req.user.id : null;
 
     // Configura SSE
@@ -306,7 +321,7 @@ async function importChat(req, res, next) {
       res.write(`data: ${JSON.stringify({ type: "complete", chatToken })}\n\n`);
     } catch (err) {
       console.error("Erro durante importação:", err);
-      res.write(`data: ${JSON.stringify({ type: "error", message: err.message })}\n\n`);
+      res.write(`data: ${JSON.stringify(errorEvent(err))}\n\n`);
     } finally {
       res.end();
     }
@@ -367,14 +382,6 @@ async function importMemories(req, res, next) {
     const { chatToken } = req.params;
     const { data, collections } = req.body;
 
-    if (!data) {
-      return res.status(400).json({ error: "O campo 'data' é obrigatório." });
-    }
-
-    if (!collections || !Array.isArray(collections) || collections.length === 0) {
-      return res.status(400).json({ error: "O campo 'collections' é obrigatório e deve ser um array." });
-    }
-
     // Configura SSE para progresso
     res.setHeader("Content-Type", "text/event-stream");
     res.setHeader("Cache-Control", "no-cache");
@@ -389,7 +396,7 @@ async function importMemories(req, res, next) {
       res.write(`data: ${JSON.stringify({ type: "complete", stats })}\n\n`);
     } catch (err) {
       console.error("Erro durante importação de memórias:", err);
-      res.write(`data: ${JSON.stringify({ type: "error", message: err.message })}\n\n`);
+      res.write(`data: ${JSON.stringify(errorEvent(err))}\n\n`);
     } finally {
       res.end();
     }
@@ -408,13 +415,6 @@ async function searchGlobal(req, res, next) {
     const userId = req.user?.id;
     const { query, apiKey } = req.body;
 
-    if (!query) {
-      return res.status(400).json({ error: "O campo 'query' é obrigatório." });
-    }
-    if (!apiKey) {
-      return res.status(400).json({ error: "API Key é necessária para busca semântica." });
-    }
-
     const results = await chatService.searchAllUserChats(userId, query, apiKey);
     res.status(200).json(results);
   } catch (error) {
@@ -422,9 +422,48 @@ async function searchGlobal(req, res, next) {
   }
 }
 
+// --- Provider Local (OpenAI-compatible) ---
+
+const vllmService = require("../../services/vllm.service");
+
+// [POST] /api/chat/vllm/models
+// [POST] /api/chat/:chatToken/vllm/models
+// Lista os modelos de um servidor vLLM/llama.cpp/Ollama/LM Studio via /v1/models
+async function listVllmModels(req, res, next) {
+  try {
+    const { chatToken } = req.params;
+    const { baseUrl } = req.body;
+    let { apiKey } = req.body;
+
+    // Key mascarada (já salva no chat) ou vazia (herdada do cofre): usa a key do servidor.
+    // Só na rota com :chatToken, que passa pela verificação de dono do chat.
+    if (chatToken && isMaskedSecret(apiKey)) {
+      const chatMetadata = await chatService.getChatDetails(chatToken);
+      apiKey = restoreMaskedKeys({ vllmApiKey: apiKey }, chatMetadata?.config).vllmApiKey;
+    } else if (chatToken && !apiKey) {
+      const chatConfig = await chatService.getChatConfig(chatToken);
+      apiKey = chatConfig?.vllmApiKey;
+    }
+
+    const models = await vllmService.listModels(baseUrl, apiKey);
+    res.status(200).json(models);
+  } catch (error) {
+    // Falha de rede (servidor desligado, URL inválida)
+    if (error instanceof TypeError || error.message.includes("timed out")) {
+      return next(new ProviderError(
+        "Não foi possível conectar ao servidor. Verifique a Base URL.",
+        "PROVIDER_UNAVAILABLE",
+        { details: { provider: "vllm" }, cause: error }
+      ));
+    }
+    next(error);
+  }
+}
+
 // --- Vetorização de PDFs ---
 
 const pdfService = require("../../services/pdf.service");
+const embeddingService = require("../../services/embedding.service");
 
 // [POST] /api/chat/:chatToken/vectorize-pdf
 // Vetoriza um PDF, extraindo texto e salvando chunks como memórias
@@ -433,22 +472,16 @@ async function vectorizePDF(req, res, next) {
     const { chatToken } = req.params;
     const { pdfData, fileName, collection } = req.body;
 
-    if (!pdfData) {
-      return res.status(400).json({ error: "O campo 'pdfData' (base64) é obrigatório." });
-    }
-    if (!fileName) {
-      return res.status(400).json({ error: "O campo 'fileName' é obrigatório." });
-    }
-    if (!collection) {
-      return res.status(400).json({ error: "O campo 'collection' é obrigatório (fatos, conceitos, etc)." });
-    }
-
-    // Busca API Key dos metadados do chat (usa primeira key do Google)
-    const chatMetadata = await chatService.getChatDetails(chatToken);
-    const apiKey = chatMetadata?.config?.googleApiKeys?.[0];
+    // Resolve o provider de embedding do chat (Gemini usa as keys do Google salvas no chat)
+    const embeddingConfig = await chatService.getChatEmbeddingConfig(chatToken);
 
-    if (!apiKey) {
-      return res.status(400).json({ error: "API Key do Google não configurada." });
+    if (!embeddingService.isEmbeddingAvailable(embeddingConfig)) {
+      throw new ValidationError(
+        embeddingConfig.provider === "gemini"
+          ? "API Key do Google não configurada."
+          : "Provider de embeddings do chat não configurado.",
+        embeddingConfig.provider === "gemini" ? "PROVIDER_KEY_MISSING" : "EMBEDDING_CONFIG_INVALID"
+      );
     }
 
     // Configura SSE para progresso
@@ -466,13 +499,13 @@ async function vectorizePDF(req, res, next) {
         collection,
         pdfData,
         fileName,
-        apiKey,
+        embeddingConfig,
         onProgress
       );
       res.write(`data: ${JSON.stringify({ type: "complete", ...result })}\n\n`);
     } catch (err) {
       console.error("Erro durante vetorização:", err);
-      res.write(`data: ${JSON.stringify({ type: "error", message: err.message })}\n\n`);
+      res.write(`data: ${JSON.stringify(errorEvent(err))}\n\n`);
     } finally {
       res.end();
     }
@@ -545,6 +578,256 @@ async function checkEmbeddings(req, res, next) {
   }
 }
 
+// --- Migração de Embeddings ---
+
+const embeddingMigrationService = require("../../services/embeddingMigration.service");
+
+// [GET] /api/chat/:chatToken/embeddings/migration
+async function getEmbeddingMigration(req, res, next) {
+  try {
+    const { chatToken } = req.params;
+    const status = await embeddingMigrationService.getMigrationStatus(chatToken);
+    res.status(200).json({ migration: status });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [POST] /api/chat/:chatToken/embeddings/migration
+// Inicia (body.embedding) ou retoma (sem body) a migração, com progresso via SSE.
+// A migração continua em background se o cliente desconectar.
+async function startEmbeddingMigration(req, res, next) {
+  const { chatToken } = req.params;
+  const { embedding } = req.body || {};
+
+  // SSE só é aberto no primeiro evento: erros de validação ainda saem como JSON
+  const sendEvent = (event) => {
+    if (res.writableEnded || res.destroyed) return;
+    if (!res.headersSent) {
+      res.setHeader("Content-Type", "text/event-stream");
+      res.setHeader("Cache-Control", "no-cache");
+      res.setHeader("Connection", "keep-alive");
+    }
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+  };
+
+  try {
+    await embeddingMigrationService.startMigration(chatToken, embedding || null, sendEvent);
+    res.end();
+  } catch (error) {
+    if (res.headersSent) {
+      // O evento de erro já foi enviado pelo serviço
+      return res.end();
+    }
+    next(error);
+  }
+}
+
+// [DELETE] /api/chat/:chatToken/embeddings/migration
+async function cancelEmbeddingMigration(req, res, next) {
+  try {
+    const { chatToken } = req.params;
+    await embeddingMigrationService.cancelMigration(chatToken);
+    res.status(200).json({ message: "Migração de embeddings cancelada." });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// --- Resumos da Campanha ---
+
+const summaryService = require("../../services/summary.service");
+
+// [GET] /api/chat/:chatToken/summaries
+// História até agora + capítulos (com os messageids de origem)
+async function getSummaries(req, res, next) {
+  try {
+    const { chatToken } = req.params;
+    const summaries = await summaryService.getSummaries(chatToken);
+    res.status(200).json({ ...summaries, running: summaryService.isSummarizing(chatToken) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [POST] /api/chat/:chatToken/summaries
+// Resume agora os trechos fechados do histórico que ainda não têm capítulo
+async function summarizeChat(req, res, next) {
+  try {
+    const { chatToken } = req.params;
+    const result = await summaryService.summarizePendingChapters(chatToken);
+    const summaries = await summaryService.getSummaries(chatToken);
+    res.status(200).json({ ...result, ...summaries });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [PUT] /api/chat/:chatToken/summaries/:summaryId
+async function updateSummary(req, res, next) {
+  try {
+    const { chatToken, summaryId } = req.params;
+    const summary = await summaryService.updateSummary(chatToken, summaryId, req.body?.text);
+    res.status(200).json({ summary });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [POST] /api/chat/:chatToken/summaries/:summaryId/regenerate
+async function regenerateSummary(req, res, next) {
+  try {
+    const { chatToken, summaryId } = req.params;
+    const result = await summaryService.regenerateSummary(chatToken, summaryId);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// --- Fichas de Personagem ---
+
+const characterService = require("../../services/character.service");
+
+// [GET] /api/chat/:chatToken/characters
+async function getCharacters(req, res, next) {
+  try {
+    const characters = await characterService.listCharacters(req.params.chatToken);
+    res.status(200).json({ characters });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [POST] /api/chat/:chatToken/characters
+async function createCharacter(req, res, next) {
+  try {
+    const character = await characterService.createCharacter(req.params.chatToken, req.body);
+    res.status(201).json({ character });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [PUT] /api/chat/:chatToken/characters/:characterId
+async function updateCharacter(req, res, next) {
+  try {
+    const { chatToken, characterId } = req.params;
+    const { character } = await characterService.updateCharacter(chatToken, characterId, req.body);
+    res.status(200).json({ character });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [DELETE] /api/chat/:chatToken/characters/:characterId
+async function deleteCharacter(req, res, next) {
+  try {
+    const { chatToken, characterId } = req.params;
+    await characterService.deleteCharacter(chatToken, characterId);
+    res.status(200).json({ message: "Ficha removida." });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [POST] /api/chat/:chatToken/characters/:characterId/adjust
+async function adjustCharacterResource(req, res, next) {
+  try {
+    const { chatToken, characterId } = req.params;
+    const result = await characterService.adjustResource(chatToken, characterId, req.body.resource, req.body.delta);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [POST] /api/chat/:chatToken/characters/:characterId/check
+async function skillCheck(req, res, next) {
+  try {
+    const { chatToken, characterId } = req.params;
+    const chatConfig = await chatService.getChatConfig(chatToken);
+    const result = await chatService.performSkillCheck(
+      chatToken,
+      { ...req.body, character: characterId },
+      chatConfig?.googleApiKeys || []
+    );
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// --- Relógio do Jogo ---
+
+const gameClockService = require("../../services/gameClock.service");
+
+// [GET] /api/chat/:chatToken/clock
+async function getGameClock(req, res, next) {
+  try {
+    const clock = await gameClockService.getGameClock(req.params.chatToken);
+    res.status(200).json({ clock });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [PUT] /api/chat/:chatToken/clock
+async function updateGameClock(req, res, next) {
+  try {
+    const clock = await gameClockService.setGameClock(req.params.chatToken, req.body, "user");
+    res.status(200).json({ clock });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// --- Diário de Missões ---
+
+const questService = require("../../services/quest.service");
+
+// [GET] /api/chat/:chatToken/quests
+async function getQuests(req, res, next) {
+  try {
+    const quests = await questService.listQuests(req.params.chatToken);
+    res.status(200).json({ quests });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [POST] /api/chat/:chatToken/quests
+async function createQuest(req, res, next) {
+  try {
+    const quest = await questService.createQuest(req.params.chatToken, req.body);
+    res.status(201).json({ quest });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [PUT] /api/chat/:chatToken/quests/:questId
+async function updateQuest(req, res, next) {
+  try {
+    const { chatToken, questId } = req.params;
+    const quest = await questService.updateQuest(chatToken, questId, req.body);
+    res.status(200).json({ quest });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [DELETE] /api/chat/:chatToken/quests/:questId
+async function deleteQuest(req, res, next) {
+  try {
+    const { chatToken, questId } = req.params;
+    await questService.deleteQuest(chatToken, questId);
+    res.status(200).json({ message: "Missão removida." });
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   getAllChats,
   getChatDetails,
@@ -565,9 +848,29 @@ module.exports = {
   exportMemories,
   importMemories,
   searchGlobal,
+  listVllmModels,
   vectorizePDF,
   listVectorizedDocuments,
   deleteVectorizedDocument,
   checkEmbeddings,
-  repairEmbeddings
+  repairEmbeddings,
+  getEmbeddingMigration,
+  startEmbeddingMigration,
+  cancelEmbeddingMigration,
+  getSummaries,
+  summarizeChat,
+  updateSummary,
+  regenerateSummary,
+  getCharacters,
+  createCharacter,
+  updateCharacter,
+  deleteCharacter,
+  adjustCharacterResource,
+  skillCheck,
+  getGameClock,
+  updateGameClock,
+  getQuests,
+  createQuest,
+  updateQuest,
+  deleteQuest
 };
\ No newline at end of file
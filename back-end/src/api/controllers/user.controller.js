@@ -0,0 +1,121 @@
+// src/api/controllers/user.controller.js
+const credentialService = require("../../services/credential.service");
+const userService = require("../../services/user.service");
+
+// --- Perfil e Conta ---
+
+// [GET] /api/user/profile
+async function getProfile(req, res, next) {
+  try {
+    const user = await userService.getProfile(req.user.id);
+    res.status(200).json(user);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [PUT] /api/user/profile
+// Troca nome e/ou email (o email exige a senha atual)
+async function updateProfile(req, res, next) {
+  try {
+    const { name, email, currentPassword } = req.body || {};
+    const user = await userService.updateProfile(req.user.id, { name, email, currentPassword });
+    res.status(200).json(user);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [PUT] /api/user/password
+// Troca a senha e encerra as outras sessões (a atual continua logada)
+async function changePassword(req, res, next) {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    await userService.changePassword(req.user.id, currentPassword, newPassword, req.user.sessionId);
+    res.status(200).json({ message: "Senha alterada. As outras sessões foram encerradas." });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [DELETE] /api/user/account
+// Exclui a conta com todos os chats, o cofre de credenciais e as sessões
+async function deleteAccount(req, res, next) {
+  try {
+    const { password } = req.body || {};
+    const result = await userService.deleteAccount(req.user.id, password);
+    res.status(200).json({ message: "Conta excluída.", deletedChats: result.chats });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// --- Cofre de Credenciais ---
+
+// [GET] /api/user/keys
+// Credenciais do usuário (só máscaras) e padrões por provider
+async function listCredentials(req, res, next) {
+  try {
+    const keyring = await credentialService.listCredentials(req.user.id);
+    res.status(200).json(keyring);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [POST] /api/user/keys
+async function createCredential(req, res, next) {
+  try {
+    const { provider, label, key } = req.body || {};
+    const credential = await credentialService.createCredential(req.user.id, { provider, label, key });
+    res.status(201).json(credential);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [PUT] /api/user/keys/defaults
+async function setDefaults(req, res, next) {
+  try {
+    const defaults = await credentialService.setDefaults(req.user.id, req.body || {});
+    res.status(200).json({ defaults });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [PUT] /api/user/keys/:credentialId
+// Renomeia ou troca a key (rotação para todos os chats que a usam)
+async function updateCredential(req, res, next) {
+  try {
+    const { credentialId } = req.params;
+    const { label, key } = req.body || {};
+    const credential = await credentialService.updateCredential(req.user.id, credentialId, { label, key });
+    res.status(200).json(credential);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// [DELETE] /api/user/keys/:credentialId
+async function deleteCredential(req, res, next) {
+  try {
+    const { credentialId } = req.params;
+    await credentialService.deleteCredential(req.user.id, credentialId);
+    res.status(200).json({ message: "Credencial removida." });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getProfile,
+  updateProfile,
+  changePassword,
+  deleteAccount,
+  listCredentials,
+  createCredential,
+  setDefaults,
+  updateCredential,
+  deleteCredential,
+};
@@ -0,0 +1,242 @@
+// src/api/docs/openapi.js
+// Gera o documento OpenAPI 3.1 a partir dos roteadores montados em /api: caminhos e métodos vêm
+// do Express, parâmetros e corpos dos schemas do validate(), eventos SSE de schema.events e o
+// resumo de cada operação dos comentários das rotas ("// Descrição" + "// MÉTODO /api/caminho").
+const fs = require("fs");
+const path = require("path");
+const authMiddleware = require("../middlewares/auth.middleware");
+const embeddingMigrationLock = require("../middlewares/embeddingMigrationLock.middleware");
+const { version } = require("../../../package.json");
+
+const ROUTES_DIR = path.join(__dirname, "../routes");
+const METHODS = ["get", "post", "put", "patch", "delete"];
+const ROUTE_COMMENT = /^\/\/ (GET|POST|PUT|PATCH|DELETE) (\/api\/\S+)/;
+
+const errorSchema = {
+  type: "object",
+  properties: {
+    error: { type: "string", description: "Mensagem para exibir ao usuário." },
+    code: { type: "string", description: "Código estável do erro (ex.: VALIDATION_FAILED, CHAT_NOT_FOUND)." },
+    details: { type: "object", description: "Dados extras do erro (depende do código)." },
+  },
+  required: ["error", "code"],
+};
+
+/**
+ * Resposta de erro no formato padrão do errorHandler.
+ * @param {string} description
+ * @returns {object}
+ */
+const errorResponse = (description) => ({
+  description,
+  content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+});
+
+const ref = (name) => ({ $ref: `#/components/responses/${name}` });
+
+/**
+ * Lê os comentários dos arquivos de rotas: as linhas de comentário logo acima de
+ * "// MÉTODO /api/caminho" viram o resumo da operação.
+ * @param {string} [dir]
+ * @returns {Map<string, string>} - "POST /api/chat/create" -> resumo.
+ */
+function readRouteSummaries(dir = ROUTES_DIR) {
+  const summaries = new Map();
+  for (const file of fs.readdirSync(dir).filter((name) => name.endsWith(".routes.js"))) {
+    const lines = fs.readFileSync(path.join(dir, file), "utf8").split("\n").map((line) => line.trim());
+    lines.forEach((line, index) => {
+      const match = line.match(ROUTE_COMMENT);
+      if (!match) return;
+
+      const description = [];
+      for (let i = index - 1; i >= 0 && lines[i].startsWith("//") && !lines[i].startsWith("// ---"); i--) {
+        description.unshift(lines[i].slice(2).trim());
+      }
+      if (description.length > 0) summaries.set(`${match[1]} ${match[2].split("?")[0]}`, description.join(" "));
+    });
+  }
+  return summaries;
+}
+
+/**
+ * Schema de um parâmetro validado via router.param (ver validateParam).
+ * @param {import('express').Router} router
+ * @param {string} name
+ * @returns {object|undefined}
+ */
+const routerParamSchema = (router, name) => (router.params?.[name] || []).find((callback) => callback.schema)?.schema;
+
+/**
+ * Parâmetros de caminho e de query da operação.
+ * @param {string} expressPath
+ * @param {object} schema - Schema do validate() da rota.
+ * @param {import('express').Router} router
+ * @returns {object[]}
+ */
+function describeParameters(expressPath, schema, router) {
+  const parameters = [...expressPath.matchAll(/:(\w+)/g)].map(([, name]) => {
+    const paramSchema = schema.params?.properties?.[name] || routerParamSchema(router, name) || { type: "string" };
+    return { name, in: "path", required: true, description: paramSchema.description, schema: paramSchema };
+  });
+
+  const query = schema.query?.properties || {};
+  for (const [name, querySchema] of Object.entries(query)) {
+    parameters.push({
+      name,
+      in: "query",
+      required: (schema.query.required || []).includes(name),
+      description: querySchema.description,
+      schema: querySchema,
+      // Listas chegam separadas por vírgula (?collections=fatos,conceitos)
+      ...(querySchema.type === "array" ? { style: "form", explode: false } : {}),
+    });
+  }
+  return parameters;
+}
+
+/**
+ * Corpo da requisição (JSON; também multipart quando a rota recebe arquivos via multer).
+ * @param {object} schema
+ * @param {Function[]} handlers
+ * @returns {object|undefined}
+ */
+function describeRequestBody(schema, handlers) {
+  if (!schema.body) return undefined;
+
+  const content = { "application/json": { schema: schema.body } };
+  if (handlers.some((handler) => handler.name === "multerMiddleware")) {
+    content["multipart/form-data"] = {
+      schema: {
+        ...schema.body,
+        properties: {
+          ...schema.body.properties,
+          files: { type: "array", items: { type: "string", format: "binary" }, description: "Anexos." },
+        },
+      },
+    };
+  }
+  return { required: (schema.body.required || []).length > 0, content };
+}
+
+/**
+ * Respostas da operação: sucesso (JSON e/ou SSE) e os erros que os middlewares da rota podem gerar.
+ * @param {object} schema
+ * @param {Function[]} handlers
+ * @param {{isProtected: boolean, parameters: object[]}} info
+ * @returns {object}
+ */
+function describeResponses(schema, handlers, { isProtected, parameters }) {
+  const content = {};
+  // Rotas SSE com ?stream respondem em JSON sem ele
+  if (!schema.events || schema.query?.properties?.stream) {
+    content["application/json"] = { schema: { type: "object" } };
+  }
+  if (schema.events) {
+    content["text/event-stream"] = { schema: { oneOf: schema.events } };
+  }
+
+  const responses = {
+    "2XX": {
+      description: schema.events
+        ? "Sucesso. No stream SSE cada evento é uma linha `data: <json>` com o campo `type`."
+        : "Sucesso.",
+      content,
+    },
+  };
+
+  const pathParams = parameters.filter((parameter) => parameter.in === "path").map((parameter) => parameter.name);
+  if (schema.params || schema.query || schema.body || pathParams.length > 0) responses["400"] = ref("ValidationFailed");
+  if (isProtected) responses["401"] = ref("AuthRequired");
+  if (pathParams.includes("chatToken")) {
+    responses["403"] = ref("ChatForbidden");
+    responses["404"] = ref("ChatNotFound");
+  }
+  if (handlers.includes(embeddingMigrationLock)) responses["409"] = ref("EmbeddingMigrationRunning");
+
+  const rateLimited = handlers.find((handler) => handler.policyName);
+  if (rateLimited) {
+    responses["429"] = errorResponse(
+      `Limite da política "${rateLimited.policyName}" atingido (code RATE_LIMITED; o cabeçalho Retry-After indica quando tentar de novo).`
+    );
+  }
+
+  responses.default = ref("Error");
+  return responses;
+}
+
+/**
+ * Gera o documento OpenAPI dos roteadores.
+ * @param {Array<{path: string, router: import('express').Router, tag: string, description?: string, protected?: boolean}>} mounts
+ * @param {object} [options]
+ * @param {string} [options.basePath="/api"] - Prefixo onde os roteadores estão montados.
+ * @returns {object}
+ */
+function buildOpenApiSpec(mounts, { basePath = "/api" } = {}) {
+  const summaries = readRouteSummaries();
+  const operationIds = new Set();
+  const paths = {};
+
+  for (const mount of mounts) {
+    for (const { route } of mount.router.stack) {
+      if (!route) continue;
+
+      const expressPath = `${basePath}${mount.path}${route.path}`;
+      const openApiPath = expressPath.replace(/:(\w+)/g, "{$1}");
+
+      for (const method of METHODS.filter((name) => route.methods[name])) {
+        const handlers = route.stack.filter((layer) => !layer.method || layer.method === method).map((layer) => layer.handle);
+        const schema = handlers.find((handler) => handler.schema)?.schema || {};
+        const isProtected = Boolean(mount.protected) || handlers.includes(authMiddleware);
+        const parameters = describeParameters(expressPath, schema, mount.router);
+
+        // O nome da função do controller vira o operationId (com sufixo quando se repete)
+        const baseId = handlers[handlers.length - 1].name || `${method}${openApiPath}`;
+        let operationId = baseId;
+        for (let n = 2; operationIds.has(operationId); n++) operationId = `${baseId}${n}`;
+        operationIds.add(operationId);
+
+        const summary = summaries.get(`${method.toUpperCase()} ${expressPath}`);
+        const requestBody = describeRequestBody(schema, handlers);
+
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][method] = {
+          tags: [mount.tag],
+          operationId,
+          ...(summary ? { summary } : {}),
+          ...(parameters.length > 0 ? { parameters } : {}),
+          ...(requestBody ? { requestBody } : {}),
+          responses: describeResponses(schema, handlers, { isProtected, parameters }),
+          security: isProtected ? [{ bearerAuth: [] }] : [],
+        };
+      }
+    }
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "RAG-Based RPG API",
+      version,
+      description:
+        "API do mestre de RPG com memória vetorial. Rotas protegidas usam o access token do login " +
+        "(Authorization: Bearer <token>). Erros seguem sempre o formato { error, code, details? }.",
+    },
+    servers: [{ url: "/" }],
+    tags: mounts.map(({ tag, description }) => ({ name: tag, description })),
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" } },
+      schemas: { Error: errorSchema },
+      responses: {
+        ValidationFailed: errorResponse("Requisição inválida (code VALIDATION_FAILED; details.errors lista cada campo)."),
+        AuthRequired: errorResponse("Token ausente, inválido ou expirado (AUTH_REQUIRED, AUTH_TOKEN_INVALID)."),
+        ChatForbidden: errorResponse("O chat pertence a outro usuário (CHAT_FORBIDDEN)."),
+        ChatNotFound: errorResponse("Chat não encontrado (CHAT_NOT_FOUND)."),
+        EmbeddingMigrationRunning: errorResponse("Migração de embeddings pendente no chat (EMBEDDING_MIGRATION_IN_PROGRESS)."),
+        Error: errorResponse("Erro (ver code)."),
+      },
+    },
+  };
+}
+
+module.exports = { buildOpenApiSpec, readRouteSummaries };
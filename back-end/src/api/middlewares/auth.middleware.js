@@ -1,34 +1,32 @@
-const jwt = require("jsonwebtoken");
+const sessionService = require("../../services/session.service");
+const { AuthError } = require("../../utils/errors");
 
-const JWT_SECRET = process.env.JWT_SECRET || "default_secret_key_change_me";
-
-function authMiddleware(req, res, next) {
+// Valida o access token e a sessão dele; req.user = { id, email, sessionId }
+async function authMiddleware(req, res, next) {
     const authHeader = req.headers.authorization;
 
     if (!authHeader) {
-        return res.status(401).json({ error: "No token provided" });
+        return next(new AuthError("Faça login para continuar.", "AUTH_REQUIRED"));
     }
 
     const parts = authHeader.split(" ");
 
     if (!parts.length === 2) {
-        return res.status(401).json({ error: "Token error" });
+        return next(new AuthError("Token de acesso inválido.", "AUTH_TOKEN_INVALID"));
     }
 
     const [scheme, token] = parts;
 
     if (!/^Bearer$/i.test(scheme)) {
-        return res.status(401).json({ error: "Token malformatted" });
+        return next(new AuthError("Token de acesso inválido.", "AUTH_TOKEN_INVALID"));
     }
 
-    jwt.verify(token, JWT_SECRET, (err, decoded) => {
-        if (err) {
-            return res.status(401).json({ error: "Token invalid" });
-        }
-
-        req.user = decoded;
-        return next();
-    });
+    try {
+        req.user = await sessionService.verifyAccessToken(token);
+    } catch (error) {
+        return next(error);
+    }
+    return next();
 }
 
 module.exports = authMiddleware;
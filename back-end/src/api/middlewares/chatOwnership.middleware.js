@@ -0,0 +1,38 @@
+// src/api/middlewares/chatOwnership.middleware.js
+const chatStorage = require("../../services/chatStorage.service");
+const { NotFoundError, ForbiddenError } = require("../../utils/errors");
+
+/**
+ * Garante que o chat identificado por :chatToken pertence ao usuário autenticado.
+ * Usado via router.param("chatToken"), cobrindo toda rota com esse parâmetro.
+ * - 404 (CHAT_NOT_FOUND) se o chat não existir
+ * - 403 (CHAT_FORBIDDEN) se o chat pertencer a outro usuário (ou não tiver dono registrado)
+ * Em caso de sucesso, os metadados ficam disponíveis em req.chatMetadata.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ * @param {string} chatToken - Valor do parâmetro :chatToken.
+ */
+async function chatOwnershipMiddleware(req, res, next, chatToken) {
+  try {
+    const chatMetadata = await chatStorage.getChatMetadata(chatToken);
+
+    if (!chatMetadata) {
+      return next(new NotFoundError("Chat não encontrado.", "CHAT_NOT_FOUND"));
+    }
+
+    if (!req.user || chatMetadata.userId !== req.user.id) {
+      console.warn(
+        `[Auth] Acesso negado ao chat ${chatToken} para user ${req.user?.id}.`
+      );
+      return next(new ForbiddenError("Acesso negado a este chat.", "CHAT_FORBIDDEN"));
+    }
+
+    req.chatMetadata = chatMetadata;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = chatOwnershipMiddleware;
@@ -0,0 +1,25 @@
+// src/api/middlewares/embeddingMigrationLock.middleware.js
+const { ConflictError } = require("../../utils/errors");
+
+/**
+ * Bloqueia rotas que escrevem nas coleções de um chat enquanto houver uma
+ * migração de embeddings registrada (em execução, falha ou aguardando retomada).
+ * Depende de req.chatMetadata, preenchido pelo chatOwnership.middleware.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+function embeddingMigrationLock(req, res, next) {
+  const migration = req.chatMetadata?.embeddingMigration;
+
+  if (migration) {
+    return next(new ConflictError(
+      "Este chat está migrando para outro modelo de embedding. Conclua ou cancele a migração antes de alterá-lo.",
+      "EMBEDDING_MIGRATION_IN_PROGRESS"
+    ));
+  }
+
+  return next();
+}
+
+module.exports = embeddingMigrationLock;
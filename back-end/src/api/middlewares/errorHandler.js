@@ -1,30 +1,42 @@
 // src/api/middlewares/errorHandler.js
+const { toAppError } = require("../../utils/errors");
 
 /**
- * Middleware para tratamento de erros. Captura erros passados pelo next(error).
+ * Segundos até o cliente poder tentar de novo, a partir dos detalhes do erro
+ * (retryAt em ms, das cotas de provider, ou retryAfter em segundos).
+ * @param {object} [details]
+ * @returns {number|null}
+ */
+function getRetryAfterSeconds(details) {
+  if (details?.retryAt) return Math.max(1, Math.ceil((details.retryAt - Date.now()) / 1000));
+  if (details?.retryAfter) return details.retryAfter;
+  return null;
+}
+
+/**
+ * Middleware para tratamento de erros. Captura erros passados pelo next(error) e responde
+ * sempre no formato { error, code, details? } (ver utils/errors.js).
  * @param {Error} err - O objeto de erro.
  * @param {import('express').Request} req - O objeto de requisição.
  * @param {import('express').Response} res - O objeto de resposta.
  * @param {import('express').NextFunction} next - A função next.
  */
-// eslint-disable-next-line no-unused-vars
 function errorHandler(err, req, res, next) {
-  console.error("[Error Handler] Ocorreu um erro:", err.stack);
+  const error = toAppError(err);
 
-  // Verifica se o erro é por "não encontrado" vindo do LanceDB
-  if (err.message?.toLowerCase().includes("was not found")) {
-    return res.status(404).json({
-      error: "Recurso não encontrado",
-      details:
-        "A tabela ou coleção especificada não existe para este chatToken.",
-    });
+  if (error.statusCode >= 500) {
+    console.error(`[Error Handler] ${error.code} em ${req.method} ${req.originalUrl}:`, err);
+  } else {
+    console.warn(`[Error Handler] ${error.code} em ${req.method} ${req.originalUrl}: ${error.message}`);
   }
 
-  // Resposta genérica para outros erros
-  res.status(500).json({
-    error: "Erro interno do servidor",
-    details: err.message || "Algo deu muito errado!",
-  });
+  // Resposta já iniciada (ex.: stream): o Express encerra a conexão
+  if (res.headersSent) return next(err);
+
+  const retryAfter = getRetryAfterSeconds(error.details);
+  if (retryAfter) res.set("Retry-After", String(retryAfter));
+
+  res.status(error.statusCode).json(error.toJSON());
 }
 
 module.exports = errorHandler;
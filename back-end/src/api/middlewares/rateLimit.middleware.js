@@ -0,0 +1,150 @@
+// src/api/middlewares/rateLimit.middleware.js
+const config = require("../../config");
+const defaultStore = require("../../services/rateLimit");
+const { getClientIP } = require("../../utils/requestInfo");
+const { RateLimitError } = require("../../utils/errors");
+
+// Identificador de cada escopo na requisição (null: o escopo não se aplica a ela)
+const SCOPES = {
+  ip: (req) => getClientIP(req),
+  user: (req) => req.user?.id || null,
+  email: (req) => (typeof req.body?.email === "string" ? req.body.email.trim().toLowerCase() || null : null),
+};
+
+/**
+ * Conta uma requisição no registro de um escopo (janela fixa). Enquanto bloqueado, não conta.
+ * @param {object|null} entry - Registro atual no store.
+ * @param {{limit: number, windowMs: number, blockMs?: number}} rule
+ * @param {number} now
+ * @returns {object} - Novo registro.
+ */
+function countHit(entry, { limit, windowMs, blockMs }, now) {
+  if (entry && entry.blockedUntil > now) return entry;
+
+  const current = entry && entry.resetAt > now ? entry : { count: 0, resetAt: now + windowMs, blockedUntil: 0 };
+  const count = current.count + 1;
+  const blockedUntil = count > limit && blockMs ? now + blockMs : current.blockedUntil;
+  return { count, resetAt: current.resetAt, blockedUntil, expiresAt: Math.max(current.resetAt, blockedUntil) };
+}
+
+/**
+ * Situação de um escopo depois da contagem.
+ * @param {object} entry
+ * @param {number} limit
+ * @param {number} now
+ * @returns {{limited: boolean, remaining: number, resetSeconds: number}}
+ */
+function describeEntry(entry, limit, now) {
+  const blocked = entry.blockedUntil > now;
+  const limited = blocked || entry.count > limit;
+  const resetAt = blocked ? entry.blockedUntil : entry.resetAt;
+  return {
+    limited,
+    remaining: limited ? 0 : limit - entry.count,
+    resetSeconds: Math.max(1, Math.ceil((resetAt - now) / 1000)),
+  };
+}
+
+const formatWait = (seconds) =>
+  seconds < 60 ? `${seconds} segundo(s)` : `${Math.ceil(seconds / 60)} minuto(s)`;
+
+/**
+ * Requisição bem-sucedida numa política countFailuresOnly: devolve a contagem feita na entrada
+ * (se a janela ainda for a mesma) e zera os escopos de resetOnSuccess.
+ * @param {object} store
+ * @param {object} policy
+ * @param {object[]} results - Escopos contados na entrada.
+ */
+async function settleSuccess(store, policy, results) {
+  for (const { scope, key, entry } of results) {
+    if ((policy.resetOnSuccess || []).includes(scope)) {
+      await store.update(key, () => null);
+      continue;
+    }
+    await store.update(key, (current) =>
+      current && current.resetAt === entry.resetAt && current.count > 0 ? { ...current, count: current.count - 1 } : current
+    );
+  }
+}
+
+/**
+ * Cria o middleware de rate limit de uma política de config.rateLimit.policies.
+ * Conta a requisição em cada escopo da política antes de seguir (requisições simultâneas não
+ * escapam do limite) e passa um RateLimitError (429) adiante se algum escopo estourar. Os cabeçalhos
+ * RateLimit-* descrevem o escopo mais restritivo; o 429 traz também Retry-After. Em req.rateLimit
+ * fica o que sobrou.
+ * @param {string} policyName
+ * @param {object} [options]
+ * @param {object} [options.store] - Store dos contadores (padrão: o configurado em config.rateLimit.store).
+ * @param {object} [options.policy] - Política usada no lugar da configurada.
+ * @returns {import('express').RequestHandler}
+ */
+function rateLimit(policyName, { store = defaultStore, policy = config.rateLimit.policies[policyName] } = {}) {
+  if (!policy) {
+    throw new Error(`Política de rate limit desconhecida: ${policyName}`);
+  }
+
+  const middleware = async function rateLimitMiddleware(req, res, next) {
+    const now = Date.now();
+    const results = [];
+
+    try {
+      for (const [scope, limit] of Object.entries(policy.limits)) {
+        const id = SCOPES[scope]?.(req);
+        if (!id) continue;
+
+        const key = `${policyName}:${scope}:${id}`;
+        const entry = await store.update(key, (current) =>
+          countHit(current, { limit, windowMs: policy.windowMs, blockMs: policy.blockMs }, now)
+        );
+        results.push({ scope, key, limit, entry, ...describeEntry(entry, limit, now) });
+      }
+    } catch (error) {
+      // Falha no store não derruba a API: a requisição segue sem limite
+      console.error(`[RateLimit] Falha ao contar a requisição (${policyName}):`, error.message);
+      return next();
+    }
+
+    if (results.length === 0) return next();
+
+    const limited = results.filter((result) => result.limited);
+    const shown = limited.length > 0
+      ? limited.reduce((a, b) => (b.resetSeconds > a.resetSeconds ? b : a))
+      : results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+    res.set({
+      "RateLimit-Limit": String(shown.limit),
+      "RateLimit-Remaining": String(shown.remaining),
+      "RateLimit-Reset": String(shown.resetSeconds),
+      "RateLimit-Policy": `${shown.limit};w=${Math.round(policy.windowMs / 1000)}`,
+    });
+
+    if (limited.length > 0) {
+      console.warn(`[RateLimit] ${policyName}: limite atingido (${limited.map((result) => result.scope).join(", ")}).`);
+      // O errorHandler devolve o Retry-After a partir de details.retryAfter
+      return next(new RateLimitError(
+        `${policy.message} Tente novamente em ${formatWait(shown.resetSeconds)}.`,
+        "RATE_LIMITED",
+        { details: { policy: policyName, retryAfter: shown.resetSeconds } }
+      ));
+    }
+
+    req.rateLimit = { limit: shown.limit, remaining: shown.remaining, reset: shown.resetSeconds };
+
+    if (policy.countFailuresOnly) {
+      res.on("finish", () => {
+        if (res.statusCode >= 400) return;
+        settleSuccess(store, policy, results).catch((error) => {
+          console.error(`[RateLimit] Falha ao descontar a requisição (${policyName}):`, error.message);
+        });
+      });
+    }
+
+    return next();
+  };
+  // Exposto para a documentação da API (resposta 429 da rota)
+  middleware.policyName = policyName;
+  return middleware;
+}
+
+module.exports = rateLimit;
@@ -0,0 +1,62 @@
+// src/api/middlewares/validate.middleware.js
+const { validateSchema, coerceFromStrings } = require("../../utils/schema");
+const { ValidationError } = require("../../utils/errors");
+
+const PARTS = ["params", "query", "body"];
+
+/**
+ * Monta o ValidationError (400) com o caminho de cada campo inválido em details.errors.
+ * @param {Array<{path: string, message: string}>} errors
+ * @returns {ValidationError}
+ */
+function toValidationError(errors) {
+  const [first] = errors;
+  const extra = errors.length > 1 ? ` (e mais ${errors.length - 1} erro(s))` : "";
+  return new ValidationError(`Requisição inválida: ${first.path} ${first.message}${extra}.`, "VALIDATION_FAILED", {
+    details: { errors },
+  });
+}
+
+/**
+ * Valida params, query e body da requisição com o schema da rota (ver api/schemas).
+ * Params e query chegam como texto: números, booleanos e listas ("a,b") são convertidos antes
+ * de validar (o controller continua lendo os valores originais). O schema fica exposto em
+ * middleware.schema para a documentação da API, que também lê schema.events (rotas SSE).
+ * @param {{params?: object, query?: object, body?: object, events?: object[]}} schema
+ * @returns {import('express').RequestHandler}
+ */
+function validate(schema) {
+  const middleware = function validateMiddleware(req, res, next) {
+    const errors = [];
+    for (const part of PARTS) {
+      if (!schema[part]) continue;
+      const value = part === "body" ? req.body ?? {} : coerceFromStrings(schema[part], req[part]);
+      validateSchema(schema[part], value, part, errors);
+    }
+
+    if (errors.length > 0) return next(toValidationError(errors));
+    return next();
+  };
+  middleware.schema = schema;
+  return middleware;
+}
+
+/**
+ * Valida um parâmetro de rota via router.param (antes dos outros callbacks do parâmetro,
+ * ex.: a verificação de dono do chat). O schema fica em callback.schema, como em validate().
+ * @param {string} name
+ * @param {object} schema
+ * @returns {Function} - Callback (req, res, next, value) do router.param.
+ */
+function validateParam(name, schema) {
+  const callback = function validateParamMiddleware(req, res, next, value) {
+    const errors = validateSchema(schema, value, `params.${name}`);
+    if (errors.length > 0) return next(toValidationError(errors));
+    return next();
+  };
+  callback.schema = schema;
+  return callback;
+}
+
+module.exports = validate;
+module.exports.validateParam = validateParam;
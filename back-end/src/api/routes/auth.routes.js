@@ -1,8 +1,45 @@
 const express = require("express");
 const router = express.Router();
 const authController = require("../controllers/auth.controller");
+const authMiddleware = require("../middlewares/auth.middleware");
+const rateLimit = require("../middlewares/rateLimit.middleware");
+const validate = require("../middlewares/validate.middleware");
+const schemas = require("../schemas/auth.schemas");
 
-router.post("/register", authController.register);
-router.post("/login", authController.login);
+// Cria a conta e já devolve os tokens da primeira sessão
+// POST /api/auth/register
+router.post("/register", validate(schemas.register), authController.register);
+
+// Login com email e senha, limitado por conta e por IP (config.rateLimit.policies.login)
+// POST /api/auth/login
+router.post("/login", rateLimit("login"), validate(schemas.login), authController.login);
+
+// Pede o link de redefinição de senha por email
+// POST /api/auth/forgot-password
+router.post("/forgot-password", rateLimit("forgotPassword"), validate(schemas.forgotPassword), authController.forgotPassword);
+
+// Redefine a senha com o token recebido por email
+// POST /api/auth/reset-password
+router.post("/reset-password", validate(schemas.resetPassword), authController.resetPassword);
+
+// Renova o access token com o refresh token (rotativo)
+// POST /api/auth/refresh
+router.post("/refresh", validate(schemas.refresh), authController.refresh);
+
+// Encerra a sessão atual
+// POST /api/auth/logout
+router.post("/logout", authMiddleware, authController.logout);
+
+// Encerra todas as sessões do usuário
+// POST /api/auth/logout-all
+router.post("/logout-all", authMiddleware, authController.logoutAll);
+
+// Lista as sessões ativas
+// GET /api/auth/sessions
+router.get("/sessions", authMiddleware, authController.listSessions);
+
+// Encerra uma sessão específica (outro dispositivo)
+// DELETE /api/auth/sessions/:sessionId
+router.delete("/sessions/:sessionId", authMiddleware, validate(schemas.revokeSession), authController.revokeSession);
 
 module.exports = router;
@@ -1,11 +1,21 @@
 // src/api/routes/chat.routes.js
 const { Router } = require("express");
 const chatController = require("../controllers/chat.controller");
+const chatOwnershipMiddleware = require("../middlewares/chatOwnership.middleware");
+const embeddingMigrationLock = require("../middlewares/embeddingMigrationLock.middleware");
+const rateLimit = require("../middlewares/rateLimit.middleware");
+const validate = require("../middlewares/validate.middleware");
+const { validateParam } = validate;
+const schemas = require("../schemas/chat.schemas");
 const multer = require("multer");
 
 const router = Router();
 const upload = multer({ storage: multer.memoryStorage() });
 
+// Toda rota com :chatToken exige um token válido e que o chat pertença ao usuário autenticado
+router.param("chatToken", validateParam("chatToken", schemas.chatToken));
+router.param("chatToken", chatOwnershipMiddleware);
+
 // --- Rotas de Gerenciamento de Chat ---
 
 // Listar todos os chats
@@ -18,11 +28,19 @@ router.post("/create", chatController.createChat);
 
 // Importar chat de arquivo JSON
 // POST /api/chat/import
-router.post("/import", chatController.importChat);
+router.post("/import", validate(schemas.importChat), chatController.importChat);
 
 // Busca global em todos os chats do usuário (RAG)
 // POST /api/chat/search-global
-router.post("/search-global", chatController.searchGlobal);
+router.post("/search-global", validate(schemas.searchGlobal), chatController.searchGlobal);
+
+// Listar modelos de um servidor local/OpenAI-compatible (vLLM, llama.cpp, Ollama, LM Studio)
+// POST /api/chat/vllm/models
+router.post("/vllm/models", validate(schemas.listVllmModels), chatController.listVllmModels);
+
+// Mesmo que acima, usando a API Key salva (mascarada) do chat
+// POST /api/chat/:chatToken/vllm/models
+router.post("/:chatToken/vllm/models", validate(schemas.listVllmModels), chatController.listVllmModels);
 
 // Obter histórico completo de mensagens
 // GET /api/chat/:chatToken/history
@@ -30,15 +48,15 @@ router.get("/:chatToken/history", chatController.getChatHistory);
 
 // Editar mensagem
 // PUT /api/chat/edit/:chatToken/:messageid
-router.put("/edit/:chatToken/:messageid", chatController.editMessage);
+router.put("/edit/:chatToken/:messageid", validate(schemas.editMessage), embeddingMigrationLock, chatController.editMessage);
 
 // Deletar mensagem específica
 // DELETE /api/chat/message/:chatToken/:messageid
-router.delete("/message/:chatToken/:messageid", chatController.deleteMessage);
+router.delete("/message/:chatToken/:messageid", validate(schemas.deleteMessage), embeddingMigrationLock, chatController.deleteMessage);
 
 // Deletar múltiplas memórias (confirmado pelo usuário)
 // POST /api/chat/:chatToken/memories/delete
-router.post("/:chatToken/memories/delete", chatController.deleteMemories);
+router.post("/:chatToken/memories/delete", validate(schemas.deleteMemories), embeddingMigrationLock, chatController.deleteMemories);
 
 // Obter estatísticas de memórias
 // GET /api/chat/:chatToken/memories/stats
@@ -46,16 +64,17 @@ router.get("/:chatToken/memories/stats", chatController.getMemoryStats);
 
 // Exportar memórias
 // GET /api/chat/:chatToken/memories/export?collections=fatos,conceitos
-router.get("/:chatToken/memories/export", chatController.exportMemories);
+router.get("/:chatToken/memories/export", validate(schemas.exportMemories), chatController.exportMemories);
 
 // Importar memórias (SSE para progresso)
 // POST /api/chat/:chatToken/memories/import
-router.post("/:chatToken/memories/import", chatController.importMemories);
+router.post("/:chatToken/memories/import", validate(schemas.importMemories), embeddingMigrationLock, chatController.importMemories);
 
 // Buscar mensagens
 // POST /api/chat/search/:chatToken/:collectionName
 router.post(
   "/search/:chatToken/:collectionName",
+  validate(schemas.searchMessages),
   chatController.searchMessages
 );
 
@@ -63,18 +82,23 @@ router.post(
 // POST /api/chat/insert/:chatToken/:collectionName
 router.post(
   "/insert/:chatToken/:collectionName",
+  validate(schemas.addMessage),
+  embeddingMigrationLock,
   chatController.addMessage
 );
 
 // Branch Chat
 // POST /api/chat/:chatToken/message/:messageId/branch
-router.post("/:chatToken/message/:messageId/branch", chatController.branchChat);
+router.post("/:chatToken/message/:messageId/branch", validate(schemas.branchChat), embeddingMigrationLock, chatController.branchChat);
 
-// Gerar resposta do chat (RAG + Gemini)
+// Gerar resposta do chat (RAG + Gemini), limitado por usuário (config.rateLimit.policies.generate)
 // POST /api/chat/generate/:chatToken
 router.post(
   "/generate/:chatToken",
+  rateLimit("generate"),
+  embeddingMigrationLock,
   upload.array("files"),
+  validate(schemas.generateChatResponse),
   chatController.generateChatResponse
 );
 
@@ -86,11 +110,11 @@ router.get("/:chatToken", chatController.getChatDetails);
 
 // Atualizar configuração do chat
 // PUT /api/chat/:chatToken/config
-router.put("/:chatToken/config", chatController.updateChatConfig);
+router.put("/:chatToken/config", validate(schemas.updateChatConfig), chatController.updateChatConfig);
 
 // Renomear chat
 // PUT /api/chat/:chatToken/rename
-router.put("/:chatToken/rename", chatController.renameChat);
+router.put("/:chatToken/rename", validate(schemas.renameChat), chatController.renameChat);
 
 // Deletar chat
 // DELETE /api/chat/:chatToken
@@ -100,15 +124,15 @@ router.delete("/:chatToken", chatController.deleteChat);
 
 // Vetorizar PDF (SSE para progresso)
 // POST /api/chat/:chatToken/vectorize-pdf
-router.post("/:chatToken/vectorize-pdf", chatController.vectorizePDF);
+router.post("/:chatToken/vectorize-pdf", validate(schemas.vectorizePDF), embeddingMigrationLock, chatController.vectorizePDF);
 
 // Listar documentos vetorizados em uma collection
 // GET /api/chat/:chatToken/documents/:collection
-router.get("/:chatToken/documents/:collection", chatController.listVectorizedDocuments);
+router.get("/:chatToken/documents/:collection", validate(schemas.listVectorizedDocuments), chatController.listVectorizedDocuments);
 
 // Deletar documento vetorizado (todos os chunks)
 // DELETE /api/chat/:chatToken/documents/:collection/:documentId
-router.delete("/:chatToken/documents/:collection/:documentId", chatController.deleteVectorizedDocument);
+router.delete("/:chatToken/documents/:collection/:documentId", validate(schemas.deleteVectorizedDocument), embeddingMigrationLock, chatController.deleteVectorizedDocument);
 
 // Verificar embeddings zerados (conta quantos precisam de reparo)
 // GET /api/chat/:chatToken/check-embeddings
@@ -116,6 +140,101 @@ router.get("/:chatToken/check-embeddings", chatController.checkEmbeddings);
 
 // Reparar embeddings zerados (regenera vetores que falharam na criação)
 // POST /api/chat/:chatToken/repair-embeddings
-router.post("/:chatToken/repair-embeddings", chatController.repairEmbeddings);
+router.post("/:chatToken/repair-embeddings", embeddingMigrationLock, chatController.repairEmbeddings);
+
+// --- Rotas de Migração de Embeddings ---
+
+// Estado da migração de embeddings pendente (ou null)
+// GET /api/chat/:chatToken/embeddings/migration
+router.get("/:chatToken/embeddings/migration", chatController.getEmbeddingMigration);
+
+// Iniciar/retomar migração para outro modelo de embedding (SSE para progresso)
+// POST /api/chat/:chatToken/embeddings/migration
+router.post("/:chatToken/embeddings/migration", validate(schemas.startEmbeddingMigration), chatController.startEmbeddingMigration);
+
+// Cancelar migração pendente (descarta as tabelas de staging)
+// DELETE /api/chat/:chatToken/embeddings/migration
+router.delete("/:chatToken/embeddings/migration", chatController.cancelEmbeddingMigration);
+
+// --- Rotas de Resumos da Campanha ---
+
+// Listar a história até agora e os capítulos
+// GET /api/chat/:chatToken/summaries
+router.get("/:chatToken/summaries", chatController.getSummaries);
+
+// Resumir agora os trechos pendentes do histórico
+// POST /api/chat/:chatToken/summaries
+router.post("/:chatToken/summaries", chatController.summarizeChat);
+
+// Editar o texto de um resumo (capítulo ou "historia")
+// PUT /api/chat/:chatToken/summaries/:summaryId
+router.put("/:chatToken/summaries/:summaryId", validate(schemas.updateSummary), chatController.updateSummary);
+
+// Gerar de novo um resumo a partir das mensagens de origem
+// POST /api/chat/:chatToken/summaries/:summaryId/regenerate
+router.post("/:chatToken/summaries/:summaryId/regenerate", validate(schemas.regenerateSummary), chatController.regenerateSummary);
+
+// --- Rotas de Fichas de Personagem ---
+
+// Listar as fichas do chat (jogadores primeiro)
+// GET /api/chat/:chatToken/characters
+router.get("/:chatToken/characters", chatController.getCharacters);
+
+// Criar uma ficha
+// POST /api/chat/:chatToken/characters
+router.post("/:chatToken/characters", validate(schemas.createCharacter), chatController.createCharacter);
+
+// Alterar uma ficha (atributos, perícias e recursos são mesclados)
+// PUT /api/chat/:chatToken/characters/:characterId
+router.put("/:chatToken/characters/:characterId", validate(schemas.updateCharacter), chatController.updateCharacter);
+
+// Remover uma ficha
+// DELETE /api/chat/:chatToken/characters/:characterId
+router.delete("/:chatToken/characters/:characterId", validate(schemas.deleteCharacter), chatController.deleteCharacter);
+
+// Somar/subtrair de um recurso (dano, cura, gasto), limitado a [0, máximo]
+// POST /api/chat/:chatToken/characters/:characterId/adjust
+router.post(
+  "/:chatToken/characters/:characterId/adjust",
+  validate(schemas.adjustCharacterResource),
+  chatController.adjustCharacterResource
+);
+
+// Teste de perícia com o modificador da ficha (salvo no histórico)
+// POST /api/chat/:chatToken/characters/:characterId/check
+router.post(
+  "/:chatToken/characters/:characterId/check",
+  validate(schemas.skillCheck),
+  embeddingMigrationLock,
+  chatController.skillCheck
+);
+
+// --- Rotas do Relógio do Jogo ---
+
+// Momento e local atuais do jogo (último carimbo do mestre ou correção)
+// GET /api/chat/:chatToken/clock
+router.get("/:chatToken/clock", chatController.getGameClock);
+
+// Corrigir o relógio (só os campos enviados mudam)
+// PUT /api/chat/:chatToken/clock
+router.put("/:chatToken/clock", validate(schemas.updateGameClock), chatController.updateGameClock);
+
+// --- Rotas do Diário de Missões ---
+
+// Listar os fios da história (em aberto primeiro)
+// GET /api/chat/:chatToken/quests
+router.get("/:chatToken/quests", chatController.getQuests);
+
+// Abrir um fio
+// POST /api/chat/:chatToken/quests
+router.post("/:chatToken/quests", validate(schemas.createQuest), chatController.createQuest);
+
+// Alterar um fio (status, descrição, NPCs, locais, origens)
+// PUT /api/chat/:chatToken/quests/:questId
+router.put("/:chatToken/quests/:questId", validate(schemas.updateQuest), chatController.updateQuest);
+
+// Remover um fio
+// DELETE /api/chat/:chatToken/quests/:questId
+router.delete("/:chatToken/quests/:questId", validate(schemas.deleteQuest), chatController.deleteQuest);
 
 module.exports = router;
\ No newline at end of file
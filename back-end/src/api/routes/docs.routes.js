@@ -0,0 +1,32 @@
+// src/api/routes/docs.routes.js
+const { Router } = require("express");
+const path = require("path");
+const { buildOpenApiSpec } = require("../docs/openapi");
+
+/**
+ * Rotas da documentação, geradas a partir dos roteadores montados em /api.
+ * @param {Array<object>} mounts - Roteadores documentados (ver main.routes.js).
+ * @returns {import('express').Router}
+ */
+function createDocsRouter(mounts) {
+  const router = Router();
+  // As rotas não mudam depois de montadas: o documento é gerado uma vez, no primeiro acesso
+  let spec = null;
+
+  // Explorador interativo da API (lê o documento abaixo)
+  // GET /api/docs
+  router.get("/", (req, res) => {
+    res.sendFile(path.join(__dirname, "../docs/explorer.html"));
+  });
+
+  // Documento OpenAPI 3.1
+  // GET /api/docs/openapi.json
+  router.get("/openapi.json", (req, res) => {
+    spec = spec || buildOpenApiSpec(mounts);
+    res.json(spec);
+  });
+
+  return router;
+}
+
+module.exports = createDocsRouter;
@@ -2,14 +2,33 @@
 const { Router } = require("express");
 const chatRoutes = require("./chat.routes");
 const authRoutes = require("./auth.routes");
+const userRoutes = require("./user.routes");
+const createDocsRouter = require("./docs.routes");
 const authMiddleware = require("../middlewares/auth.middleware");
 
 const router = Router();
 
-// Rotas de autenticação (públicas)
-router.use("/auth", authRoutes);
+// Roteadores da API. A documentação em /api/docs é gerada a partir desta lista.
+const mounts = [
+  // Rotas de autenticação (públicas)
+  { path: "/auth", router: authRoutes, tag: "auth", description: "Cadastro, login e sessões." },
+  // Rotas de chat (protegidas)
+  {
+    path: "/chat",
+    router: chatRoutes,
+    tag: "chat",
+    protected: true,
+    description: "Chats, geração de respostas, memórias, documentos e resumos.",
+  },
+  // Rotas da conta do usuário (protegidas)
+  { path: "/user", router: userRoutes, tag: "user", protected: true, description: "Perfil e cofre de credenciais." },
+];
 
-// Rotas de chat (protegidas)
-router.use("/chat", authMiddleware, chatRoutes);
+for (const mount of mounts) {
+  router.use(mount.path, ...(mount.protected ? [authMiddleware] : []), mount.router);
+}
+
+// Documentação OpenAPI e explorador da API (públicos)
+router.use("/docs", createDocsRouter(mounts));
 
 module.exports = router;
@@ -0,0 +1,49 @@
+// src/api/routes/user.routes.js
+const { Router } = require("express");
+const userController = require("../controllers/user.controller");
+const validate = require("../middlewares/validate.middleware");
+const schemas = require("../schemas/user.schemas");
+
+const router = Router();
+
+// --- Perfil e Conta ---
+
+// Dados do usuário logado
+// GET /api/user/profile
+router.get("/profile", userController.getProfile);
+
+// Alterar nome e/ou email
+// PUT /api/user/profile
+router.put("/profile", validate(schemas.updateProfile), userController.updateProfile);
+
+// Alterar senha
+// PUT /api/user/password
+router.put("/password", validate(schemas.changePassword), userController.changePassword);
+
+// Excluir a conta e todos os chats
+// DELETE /api/user/account
+router.delete("/account", validate(schemas.deleteAccount), userController.deleteAccount);
+
+// --- Cofre de Credenciais (API Keys compartilhadas entre os chats) ---
+
+// Listar credenciais (mascaradas) e padrões
+// GET /api/user/keys
+router.get("/keys", userController.listCredentials);
+
+// Adicionar credencial
+// POST /api/user/keys
+router.post("/keys", validate(schemas.createCredential), userController.createCredential);
+
+// Definir credenciais padrão por provider (antes de /keys/:credentialId)
+// PUT /api/user/keys/defaults
+router.put("/keys/defaults", validate(schemas.setDefaults), userController.setDefaults);
+
+// Renomear ou trocar a key de uma credencial
+// PUT /api/user/keys/:credentialId
+router.put("/keys/:credentialId", validate(schemas.updateCredential), userController.updateCredential);
+
+// Remover credencial
+// DELETE /api/user/keys/:credentialId
+router.delete("/keys/:credentialId", validate(schemas.deleteCredential), userController.deleteCredential);
+
+module.exports = router;
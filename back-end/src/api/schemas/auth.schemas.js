@@ -0,0 +1,27 @@
+// src/api/schemas/auth.schemas.js
+// Schemas das rotas de autenticação (/api/auth).
+const { text, id, strictObject, email, newPassword } = require("./common.schemas");
+
+// Login não impõe o tamanho mínimo: contas antigas podem ter senhas mais curtas
+const password = text("Senha da conta.", 200);
+
+module.exports = {
+  register: {
+    body: strictObject({ name: text("Nome exibido.", 100), email, password: newPassword }, ["name", "email", "password"]),
+  },
+  login: {
+    body: strictObject({ email: text("Email da conta.", 254), password }, ["email", "password"]),
+  },
+  refresh: {
+    body: strictObject({ refreshToken: text("Refresh token da sessão.", 1000) }, ["refreshToken"]),
+  },
+  forgotPassword: {
+    body: strictObject({ email }, ["email"]),
+  },
+  resetPassword: {
+    body: strictObject({ token: text("Token recebido por email.", 1000), password: newPassword }, ["token", "password"]),
+  },
+  revokeSession: {
+    params: strictObject({ sessionId: id("Id da sessão.") }, ["sessionId"]),
+  },
+};
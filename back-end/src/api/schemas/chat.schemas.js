@@ -0,0 +1,299 @@
+// src/api/schemas/chat.schemas.js
+// Schemas das rotas de chat (/api/chat).
+const config = require("../../config");
+const { RULESET_IDS } = require("../../../../shared/checks");
+const { text, id, strictObject, credentialSelection } = require("./common.schemas");
+const events = require("./events.schemas");
+
+// Só caracteres seguros: o token vira nome de arquivo e de tabela do LanceDB
+const chatToken = { type: "string", pattern: "^[A-Za-z0-9_-]{1,64}$", description: "Token do chat." };
+
+// Coleções de memórias do chat: o nome vai direto para o nome da tabela no LanceDB
+const collection = { type: "string", enum: config.collectionNames, description: "Coleção de memórias." };
+
+const messageid = id("Id da mensagem/memória.");
+
+/**
+ * Params de uma rota com :chatToken (e outros parâmetros obrigatórios).
+ * @param {object} [extra]
+ * @returns {object}
+ */
+const chatParams = (extra = {}) => strictObject({ chatToken, ...extra }, ["chatToken", ...Object.keys(extra)]);
+
+const providerKey = { type: "string", maxLength: 1000 };
+const modelName = { type: "string", maxLength: 200 };
+const baseUrl = { type: "string", maxLength: 500, description: "URL base do servidor OpenAI-compatible." };
+
+const embeddingConfig = strictObject({
+  provider: { type: "string", enum: ["gemini", "openai", "local"] },
+  model: modelName,
+  dimension: { type: ["integer", "null"], minimum: 1, maximum: 65536 },
+  baseUrl,
+  apiKey: providerKey,
+});
+
+const chatConfig = strictObject({
+  provider: { type: "string", enum: ["openrouter", "google", "cerebras", "vllm"] },
+  modelName,
+  temperature: { type: "number", minimum: 0, maximum: 2 },
+  systemInstruction: { type: "string", maxLength: 200000 },
+  openrouterApiKey: providerKey,
+  googleApiKeys: { type: "array", maxItems: 50, items: providerKey },
+  googleModelName: modelName,
+  cerebrasApiKey: providerKey,
+  cerebrasModelName: modelName,
+  vllmBaseUrl: baseUrl,
+  vllmModelName: modelName,
+  vllmApiKey: providerKey,
+  vllmContextWindow: { type: ["integer", "null"], minimum: 1 },
+  rateLimits: strictObject({
+    rpm: { type: "integer", minimum: 0 },
+    tpm: { type: "integer", minimum: 0 },
+    rpd: { type: "integer", minimum: 0 },
+  }),
+  hebbian: strictObject({
+    enabled: { type: "boolean" },
+    learningRate: { type: "number", minimum: 0, maximum: 1 },
+    decayRate: { type: "number", minimum: 0, maximum: 1 },
+    maxBoost: { type: "number", minimum: 0, maximum: 1 },
+    decayInterval: { type: "integer", minimum: 1 },
+  }),
+  embedding: embeddingConfig,
+  credentials: credentialSelection,
+  ruleset: { type: "string", enum: RULESET_IDS, description: "Sistema de regras dos testes de perícia." },
+});
+
+// Ficha de personagem (ver character.service); nomes de atributos, perícias e recursos são livres
+const characterParams = chatParams({ characterId: id("Id (ou nome) do personagem.") });
+const characterName = text("Nome do personagem.", 100);
+const entryMap = (description) => ({
+  type: "object",
+  additionalProperties: { type: ["number", "null"] },
+  description: `${description} Mescla com a ficha; null remove a entrada.`,
+});
+
+// Fio do diário de missões (ver quest.service)
+const questParams = chatParams({ questId: id("Id (ou título) da missão.") });
+const nameList = (description) => ({ type: "array", maxItems: 50, items: text(description, 100) });
+
+const questFields = {
+  title: text("Título da missão.", 150),
+  description: { type: "string", maxLength: 5000 },
+  status: { type: "string", enum: ["open", "advanced", "resolved", "failed"], description: "Estado do fio." },
+  note: { type: "string", maxLength: 5000, description: "Registro do avanço (guardado no histórico do fio)." },
+  npcs: nameList("NPC ligado ao fio (substitui a lista)."),
+  locations: nameList("Local ligado ao fio (substitui a lista)."),
+  addSources: { type: "array", maxItems: 50, items: messageid, description: "Ids de mensagens de origem a ligar." },
+};
+
+const characterFields = {
+  name: characterName,
+  kind: { type: "string", enum: ["pc", "npc"], description: "pc = personagem do jogador, npc = controlado pelo mestre." },
+  description: { type: "string", maxLength: 5000 },
+  notes: { type: "string", maxLength: 5000 },
+  attributes: entryMap("Atributos (ex.: { \"Força\": 14 })."),
+  skills: entryMap("Perícias e seus modificadores (ex.: { \"Furtividade\": 5 })."),
+  resources: {
+    type: "object",
+    additionalProperties: {
+      type: ["object", "null"],
+      properties: { current: { type: "number" }, max: { type: ["number", "null"] } },
+      additionalProperties: false,
+    },
+    description: "Recursos como PV e mana: { \"PV\": { \"current\": 12, \"max\": 20 } }. Mescla com a ficha; null remove.",
+  },
+  conditions: { type: "array", maxItems: 100, items: text("Condição.", 100), description: "Substitui a lista de condições." },
+  inventory: {
+    type: "array",
+    maxItems: 200,
+    items: strictObject(
+      { name: text("Nome do item.", 100), quantity: { type: "number", minimum: 0 }, notes: { type: "string", maxLength: 5000 } },
+      ["name"]
+    ),
+    description: "Substitui o inventário.",
+  },
+};
+
+module.exports = {
+  chatToken,
+  importChat: {
+    body: strictObject(
+      {
+        messages: {
+          type: "array",
+          maxItems: 20000,
+          items: {
+            type: "object",
+            properties: {
+              role: { type: "string" },
+              text: { type: "string" },
+              content: { type: "string" },
+            },
+          },
+        },
+        apiKey: providerKey,
+      },
+      ["messages"]
+    ),
+    events: events.importChat,
+  },
+  searchGlobal: {
+    body: strictObject({ query: text("Texto da busca.", 2000), apiKey: providerKey }, ["query"]),
+  },
+  listVllmModels: {
+    body: strictObject({ baseUrl: { ...baseUrl, minLength: 1 }, apiKey: providerKey }, ["baseUrl"]),
+  },
+  editMessage: {
+    params: chatParams({ messageid }),
+    body: strictObject({ newContent: text("Novo texto da mensagem.") }, ["newContent"]),
+  },
+  deleteMessage: {
+    params: chatParams({ messageid }),
+  },
+  deleteMemories: {
+    params: chatParams(),
+    body: strictObject(
+      { messageids: { type: "array", minItems: 1, maxItems: 1000, items: messageid } },
+      ["messageids"]
+    ),
+  },
+  exportMemories: {
+    params: chatParams(),
+    query: strictObject({ collections: { type: "array", items: collection } }),
+  },
+  importMemories: {
+    params: chatParams(),
+    body: strictObject(
+      {
+        data: {
+          type: "object",
+          properties: {
+            version: { type: "string", enum: ["1.0", "1.1"] },
+            collections: { type: "object", additionalProperties: { type: "array" } },
+          },
+          required: ["version", "collections"],
+        },
+        collections: { type: "array", minItems: 1, items: collection },
+      },
+      ["data", "collections"]
+    ),
+    events: events.importMemories,
+  },
+  searchMessages: {
+    params: chatParams({ collectionName: collection }),
+    body: strictObject({ text: text("Texto da busca.", 2000) }, ["text"]),
+  },
+  addMessage: {
+    params: chatParams({ collectionName: collection }),
+    body: strictObject(
+      { text: text("Texto da memória."), role: { type: "string", enum: ["user", "model"] } },
+      ["text"]
+    ),
+  },
+  branchChat: {
+    params: chatParams({ messageId: messageid }),
+  },
+  generateChatResponse: {
+    params: chatParams(),
+    query: strictObject({ stream: { type: "boolean", description: "Responde via SSE." } }),
+    // Em multipart/form-data os campos chegam como texto (previousVectorMemory em JSON)
+    body: strictObject({
+      message: { type: "string", maxLength: 100000, description: "Mensagem do jogador. \"/r <expressão>\" rola os dados no backend (ver shared/dice.js)." },
+      previousVectorMemory: { type: ["array", "string", "null"], description: "Memórias da resposta anterior." },
+    }),
+    events: events.generateChatResponse,
+  },
+  updateChatConfig: {
+    params: chatParams(),
+    body: chatConfig,
+  },
+  renameChat: {
+    params: chatParams(),
+    body: strictObject({ newTitle: text("Novo título.", 200) }, ["newTitle"]),
+  },
+  vectorizePDF: {
+    params: chatParams(),
+    body: strictObject(
+      {
+        pdfData: text("Conteúdo do PDF em base64.", 50 * 1024 * 1024),
+        fileName: text("Nome do arquivo.", 255),
+        collection,
+      },
+      ["pdfData", "fileName", "collection"]
+    ),
+    events: events.vectorizePDF,
+  },
+  listVectorizedDocuments: {
+    params: chatParams({ collection }),
+  },
+  deleteVectorizedDocument: {
+    params: chatParams({ collection, documentId: id("Id do documento.") }),
+  },
+  startEmbeddingMigration: {
+    params: chatParams(),
+    body: strictObject({ embedding: embeddingConfig }),
+    events: events.embeddingMigration,
+  },
+  updateSummary: {
+    params: chatParams({ summaryId: id("Id do resumo.") }),
+    body: strictObject({ text: text("Texto do resumo.", 50000) }, ["text"]),
+  },
+  regenerateSummary: {
+    params: chatParams({ summaryId: id("Id do resumo.") }),
+  },
+  createCharacter: {
+    params: chatParams(),
+    body: strictObject(characterFields, ["name"]),
+  },
+  updateCharacter: {
+    params: characterParams,
+    body: strictObject(characterFields),
+  },
+  deleteCharacter: {
+    params: characterParams,
+  },
+  adjustCharacterResource: {
+    params: characterParams,
+    body: strictObject(
+      {
+        resource: text("Nome do recurso (ex.: PV).", 100),
+        delta: { type: "number", description: "Valor somado ao recurso (negativo para dano/gasto)." },
+      },
+      ["resource", "delta"]
+    ),
+  },
+  skillCheck: {
+    params: characterParams,
+    body: strictObject(
+      {
+        skill: text("Perícia ou atributo da ficha.", 100),
+        dc: { type: "integer", minimum: -100, maximum: 1000, description: "CD/dificuldade (obrigatória no d20)." },
+        bonus: { type: "integer", minimum: -100, maximum: 100, description: "Bônus/penalidade de situação." },
+        advantage: { type: "string", enum: ["advantage", "disadvantage"], description: "Vantagem/desvantagem (d20)." },
+        ruleset: { type: "string", enum: RULESET_IDS, description: "Sistema de regras (padrão: o do chat)." },
+      },
+      ["skill"]
+    ),
+  },
+  createQuest: {
+    params: chatParams(),
+    body: strictObject(questFields, ["title"]),
+  },
+  updateQuest: {
+    params: questParams,
+    body: strictObject(questFields),
+  },
+  deleteQuest: {
+    params: questParams,
+  },
+  updateGameClock: {
+    params: chatParams(),
+    body: strictObject({
+      day: text("Dia, como no carimbo (ex.: Dia 3).", 100),
+      year: text("Ano, como no carimbo (ex.: Ano 1042).", 100),
+      time: { type: "string", pattern: "^\\d{1,2}:\\d{2}$", description: "Hora no formato HH:MM." },
+      location: text("Local atual.", 100),
+      advanceMinutes: { type: "integer", minimum: -525600, maximum: 525600, description: "Minutos a avançar a partir do relógio atual." },
+    }),
+  },
+};
@@ -0,0 +1,57 @@
+// src/api/schemas/common.schemas.js
+// Peças reutilizadas pelos schemas das rotas (formato em utils/schema.js).
+const config = require("../../config");
+const { CREDENTIAL_PROVIDERS } = require("../../services/credential.service");
+
+/**
+ * Texto obrigatório (não vazio).
+ * @param {string} description
+ * @param {number} [maxLength]
+ * @returns {object}
+ */
+const text = (description, maxLength = 100000) => ({ type: "string", minLength: 1, maxLength, description });
+
+/**
+ * Identificador opaco (messageid, id de credencial, de sessão...).
+ * @param {string} description
+ * @returns {object}
+ */
+const id = (description) => ({ type: "string", minLength: 1, maxLength: 128, description });
+
+/**
+ * Objeto que só aceita os campos listados.
+ * @param {object} properties
+ * @param {string[]} [required]
+ * @returns {object}
+ */
+const strictObject = (properties, required = []) => ({
+  type: "object",
+  properties,
+  ...(required.length > 0 ? { required } : {}),
+  additionalProperties: false,
+});
+
+const email = { type: "string", format: "email", maxLength: 254, description: "Email da conta." };
+
+// Senha nova (cadastro, troca e redefinição)
+const newPassword = {
+  type: "string",
+  minLength: config.auth.minPasswordLength,
+  maxLength: 200,
+  description: `Senha com ao menos ${config.auth.minPasswordLength} caracteres.`,
+};
+
+// Credencial(is) escolhida(s) por provider: um id, uma lista de ids (só Google) ou vazio para herdar
+const credentialChoice = {
+  type: ["string", "array", "null"],
+  maxLength: 128,
+  maxItems: 50,
+  items: id("Id da credencial."),
+};
+
+// Credenciais do cofre por provider (padrões da conta ou escolha de um chat)
+const credentialSelection = strictObject(
+  Object.fromEntries(Object.keys(CREDENTIAL_PROVIDERS).map((provider) => [provider, credentialChoice]))
+);
+
+module.exports = { text, id, strictObject, email, newPassword, credentialSelection };
@@ -0,0 +1,151 @@
+// src/api/schemas/events.schemas.js
+// Eventos das rotas SSE (cada evento é uma linha "data: <json>"). Só documentação: o
+// servidor não valida o que envia.
+const { text } = require("./common.schemas");
+
+/**
+ * Evento SSE com o campo "type" fixo.
+ * @param {string} type
+ * @param {string} description
+ * @param {object} [properties] - Campos sempre presentes.
+ * @param {object} [optional] - Campos que podem faltar.
+ * @returns {object}
+ */
+const event = (type, description, properties = {}, optional = {}) => ({
+  type: "object",
+  description,
+  properties: { type: { type: "string", enum: [type] }, ...properties, ...optional },
+  required: ["type", ...Object.keys(properties)],
+});
+
+const count = { type: "integer", minimum: 0 };
+
+const progress = event("progress", "Andamento do processamento.", { current: count, total: count });
+
+// Mesmo formato das respostas de erro JSON (ver utils/errors.js)
+const error = event(
+  "error",
+  "Falha no meio do stream; é sempre o último evento.",
+  { error: text("Mensagem do erro."), code: text("Código estável do erro.") },
+  { details: { type: "object", description: "Dados extras do erro (depende do código)." } }
+);
+
+const memory = {
+  type: "object",
+  properties: {
+    messageid: { type: "string" },
+    text: { type: "string" },
+    category: { type: "string" },
+    score: { type: "number" },
+    gameTime: { type: "string", description: "Momento do jogo em que o fato foi registrado (ex.: \"Dia 2, Ano 1042, 04:45\")." },
+    gameLocation: { type: "string", description: "Local do jogo em que o fato foi registrado." },
+  },
+};
+
+const pendingDeletions = {
+  type: "array",
+  description: "Memórias que o modelo pediu para apagar (aguardam confirmação do usuário).",
+  items: {
+    type: "object",
+    properties: { messageid: { type: "string" }, text: { type: "string" }, category: { type: "string" } },
+  },
+};
+
+module.exports = {
+  importChat: [progress, event("complete", "Chat importado.", { chatToken: text("Token do novo chat.") }), error],
+
+  importMemories: [
+    progress,
+    event("complete", "Memórias importadas.", {
+      stats: {
+        type: "object",
+        properties: {
+          imported: { type: "object", additionalProperties: count, description: "Registros por coleção." },
+          total: count,
+          errors: count,
+          embeddingsReused: count,
+          embeddingsGenerated: count,
+        },
+      },
+    }),
+    error,
+  ],
+
+  vectorizePDF: [
+    progress,
+    event("complete", "PDF vetorizado.", {
+      success: { type: "boolean" },
+      documentId: { type: "string" },
+      documentTitle: { type: "string" },
+      chunks: count,
+      totalChunks: count,
+      collection: { type: "string" },
+      messageIds: { type: "array", items: { type: "string" } },
+    }),
+    error,
+  ],
+
+  embeddingMigration: [
+    event("progress", "Andamento da migração.", { collection: { type: "string" }, current: count, total: count }),
+    event("swapping", "Trocando as tabelas pelas de staging."),
+    event("complete", "Migração concluída.", {
+      stats: {
+        type: "object",
+        properties: {
+          migrated: { type: "object", additionalProperties: count, description: "Registros por coleção." },
+          total: count,
+          model: { type: "string" },
+          dimension: count,
+        },
+      },
+    }),
+    error,
+  ],
+
+  generateChatResponse: [
+    event("text", "Trecho da resposta do modelo.", { delta: { type: "string" } }),
+    event("text_reset", "Descartar o texto recebido até aqui (o modelo recomeçou a resposta)."),
+    event("dice_roll", "Rolagem de dados ou teste de perícia feito pelo mestre, ou o comando /r do jogador (rolado no backend).", {
+      message: { type: "object", description: "Mensagem da rolagem salva no histórico (role \"user\" no /r do jogador). Nos testes de perícia, check traz o resultado em JSON." },
+      roll: {
+        type: "object",
+        description: "Resumo da primeira rolagem da expressão (ver shared/dice.js).",
+        properties: {
+          notation: { type: "string", description: "Expressão normalizada, com o nome se houver (ex.: \"Ataque: 1d20+5\")." },
+          type: { type: ["integer", "string"], description: "Faces do primeiro grupo de dados (\"F\" para Fate)." },
+          total: { type: "integer" },
+          rolls: {
+            type: "array",
+            description: "Cada dado como aparece no texto (\"(x)\" descartado, \"!\" explodiu, \"*\" sucesso).",
+            items: { type: "object", properties: { display: { type: "string" } } },
+          },
+          seed: { type: "string", description: "Seed do gerador: reproduz a rolagem exatamente." },
+        },
+      },
+    }),
+    event("memory_inserted", "Memória criada pelo modelo.", { memory }),
+    event("memory_edited", "Memória editada pelo modelo.", {
+      messageid: { type: "string" },
+      text: { type: "string" },
+      success: { type: "boolean" },
+    }),
+    event("pending_deletions", "O modelo pediu para apagar memórias.", { pendingDeletions }),
+    event("character_updated", "O mestre alterou uma ficha de personagem (versão completa).", {
+      character: { type: "object", description: "Ficha atualizada (ver GET /api/chat/{chatToken}/characters)." },
+    }),
+    event("game_clock_updated", "O relógio do jogo mudou (carimbo da narração ou tool set_game_clock).", {
+      clock: { type: "object", description: "Relógio atual (ver GET /api/chat/{chatToken}/clock)." },
+    }),
+    event("quest_updated", "O mestre abriu ou atualizou um fio do diário de missões (versão completa).", {
+      quest: { type: "object", description: "Fio atualizado (ver GET /api/chat/{chatToken}/quests)." },
+    }),
+    event("complete", "Resposta final (mesmo corpo da resposta JSON sem stream).", {
+      modelResponse: { type: "string" },
+      history: { type: "array", items: { type: "object" } },
+      wordCount: count,
+      newVectorMemory: { type: "array", items: memory },
+      pendingDeletions,
+    }),
+    error,
+  ],
+};
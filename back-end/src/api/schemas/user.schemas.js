@@ -0,0 +1,46 @@
+// src/api/schemas/user.schemas.js
+// Schemas das rotas da conta do usuário (/api/user).
+const { CREDENTIAL_PROVIDERS } = require("../../services/credential.service");
+const { text, id, strictObject, email, newPassword, credentialSelection } = require("./common.schemas");
+
+const credentialProvider = {
+  type: "string",
+  enum: Object.keys(CREDENTIAL_PROVIDERS),
+  description: "Provider da credencial.",
+};
+const label = { type: "string", maxLength: 100, description: "Nome da credencial (vazio gera um nome)." };
+const apiKey = text("API Key.", 1000);
+
+const credentialParams = strictObject({ credentialId: id("Id da credencial.") }, ["credentialId"]);
+
+module.exports = {
+  updateProfile: {
+    body: strictObject({
+      name: text("Nome exibido.", 100),
+      email,
+      currentPassword: text("Senha atual (exigida para trocar o email).", 200),
+    }),
+  },
+  changePassword: {
+    body: strictObject(
+      { currentPassword: text("Senha atual.", 200), newPassword },
+      ["currentPassword", "newPassword"]
+    ),
+  },
+  deleteAccount: {
+    body: strictObject({ password: text("Senha atual.", 200) }, ["password"]),
+  },
+  createCredential: {
+    body: strictObject({ provider: credentialProvider, label, key: apiKey }, ["provider", "key"]),
+  },
+  setDefaults: {
+    body: credentialSelection,
+  },
+  updateCredential: {
+    params: credentialParams,
+    body: strictObject({ label, key: apiKey }),
+  },
+  deleteCredential: {
+    params: credentialParams,
+  },
+};
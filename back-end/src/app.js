@@ -4,14 +4,24 @@ const cors = require("cors");
 const path = require("path");
 const mainRouter = require("./api/routes/main.routes"); // Importa o roteador principal
 const errorHandler = require("./api/middlewares/errorHandler");
+const { NotFoundError } = require("./utils/errors");
+const config = require("./config");
 
 // Cria a instância do Express
 const app = express();
 
+// IP do cliente atrás de proxy reverso: só os proxies configurados podem informar o X-Forwarded-For
+app.set("trust proxy", config.trustProxy);
+
 // --- Middlewares Essenciais ---
 
 // Habilita CORS para permitir requisições de diferentes origens
-app.use(cors());
+// (o front-end lê os cabeçalhos de rate limit para avisar quando pode tentar de novo)
+app.use(
+  cors({
+    exposedHeaders: ["RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "RateLimit-Policy", "Retry-After"],
+  })
+);
 
 // Habilita o parsing de JSON no corpo das requisições
 // Habilita o parsing de JSON no corpo das requisições com limite aumentado
@@ -39,7 +49,7 @@ app.use("/uploads", express.static(path.join(__dirname, "../uploads")));
 // Middleware para rotas não encontradas (404)
 // Se nenhuma rota anterior corresponder, esta será acionada
 app.use((req, res, next) => {
-  res.status(404).json({ error: "Endpoint não encontrado." });
+  next(new NotFoundError("Endpoint não encontrado.", "ENDPOINT_NOT_FOUND"));
 });
 
 // Middleware de tratamento de erros. Deve ser o ÚLTIMO middleware a ser adicionado.
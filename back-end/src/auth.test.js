@@ -0,0 +1,129 @@
+// src/auth.test.js
+// Sessões de login: refresh token rotativo, detecção de reuso, logout, logout geral e listagem.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Os serviços resolvem os diretórios de dados a partir do cwd no require
+const originalCwd = process.cwd();
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rpg-auth-"));
+process.chdir(tmpDir);
+
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+const app = require("./app");
+const config = require("./config");
+const storage = require("./services/storage");
+
+const CREDENTIALS = { email: "mestre@example.com", password: "senha-segura-123" };
+
+describe("Sessões de login", () => {
+  beforeAll(async () => {
+    await request(app).post("/api/auth/register").send({ name: "mestre", ...CREDENTIALS });
+  });
+
+  afterAll(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const login = async (userAgent = "jest") =>
+    (await request(app).post("/api/auth/login").set("User-Agent", userAgent).send(CREDENTIALS)).body;
+
+  const api = (method, url, token) => request(app)[method](url).set("Authorization", `Bearer ${token}`);
+
+  test("login devolve access e refresh token; logout invalida o access token na hora", async () => {
+    const { token, refreshToken } = await login();
+    expect(refreshToken).toMatch(/^[\w-]+\.[\w-]+$/);
+    expect(jwt.decode(token).sid).toBe(refreshToken.split(".")[0]);
+
+    const sessions = await api("get", "/api/auth/sessions", token);
+    expect(sessions.status).toBe(200);
+    expect(sessions.body.sessions.find((s) => s.current)).toMatchObject({ userAgent: "jest" });
+    expect(JSON.stringify(sessions.body)).not.toContain("tokenHash");
+
+    await api("post", "/api/auth/logout", token).expect(200);
+
+    const after = await api("get", "/api/chat/list", token);
+    expect(after.status).toBe(401);
+    expect(after.body.code).toBe("AUTH_SESSION_REVOKED");
+
+    const refreshed = await request(app).post("/api/auth/refresh").send({ refreshToken });
+    expect(refreshed.status).toBe(401);
+  });
+
+  test("refresh rotaciona o token e o reuso do antigo encerra a sessão", async () => {
+    const first = await login();
+
+    const refreshed = await request(app).post("/api/auth/refresh").send({ refreshToken: first.refreshToken });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.refreshToken).not.toBe(first.refreshToken);
+    await api("get", "/api/chat/list", refreshed.body.token).expect(200);
+
+    // Logo após a rotação (outra aba renovando ao mesmo tempo): recusa sem derrubar a sessão
+    const concurrent = await request(app).post("/api/auth/refresh").send({ refreshToken: first.refreshToken });
+    expect(concurrent.status).toBe(401);
+    expect(concurrent.body.code).toBe("AUTH_REFRESH_INVALID");
+    await api("get", "/api/chat/list", refreshed.body.token).expect(200);
+
+    // Fora da janela, o token antigo reaparecendo indica roubo
+    const sessionId = first.refreshToken.split(".")[0];
+    await storage.updateSession(sessionId, (session) => ({ ...session, rotatedAt: Date.now() - 60 * 1000 }));
+
+    const reused = await request(app).post("/api/auth/refresh").send({ refreshToken: first.refreshToken });
+    expect(reused.status).toBe(401);
+    expect(reused.body.code).toBe("AUTH_REFRESH_REUSED");
+
+    const legit = await request(app).post("/api/auth/refresh").send({ refreshToken: refreshed.body.refreshToken });
+    expect(legit.status).toBe(401);
+    expect((await api("get", "/api/chat/list", refreshed.body.token)).status).toBe(401);
+  });
+
+  test("encerra outra sessão ou todas de uma vez", async () => {
+    const desktop = await login("desktop");
+    const phone = await login("celular");
+
+    const { body } = await api("get", "/api/auth/sessions", desktop.token);
+    const phoneSession = body.sessions.find((s) => s.userAgent === "celular");
+
+    await api("delete", `/api/auth/sessions/${phoneSession.id}`, desktop.token).expect(200);
+    expect((await api("get", "/api/chat/list", phone.token)).status).toBe(401);
+    await api("delete", `/api/auth/sessions/${phoneSession.id}`, desktop.token).expect(404);
+
+    const tablet = await login("tablet");
+    const all = await api("post", "/api/auth/logout-all", desktop.token);
+    expect(all.status).toBe(200);
+    expect(all.body.revoked).toBeGreaterThanOrEqual(2);
+    expect((await api("get", "/api/chat/list", tablet.token)).status).toBe(401);
+    expect((await api("get", "/api/chat/list", desktop.token)).status).toBe(401);
+  });
+
+  test("tokens sem sessão ou forjados são recusados", async () => {
+    const user = await storage.getUserByEmail(CREDENTIALS.email);
+
+    // Formato antigo (24h, sem sid): não pode ser revogado, então não vale mais
+    const legacy = jwt.sign({ id: user.id, email: user.email }, config.auth.jwtSecret, { expiresIn: "24h" });
+    expect((await api("get", "/api/chat/list", legacy)).body.code).toBe("AUTH_SESSION_REVOKED");
+
+    const forged = jwt.sign({ id: user.id, email: user.email, sid: "x" }, "outro-segredo");
+    expect((await api("get", "/api/chat/list", forged)).body.code).toBe("AUTH_TOKEN_INVALID");
+
+    const invalid = await request(app).post("/api/auth/refresh").send({ refreshToken: "lixo" });
+    expect(invalid.body.code).toBe("AUTH_REFRESH_INVALID");
+  });
+
+  test("segredo padrão só é aceito em desenvolvimento", () => {
+    const originalEnv = config.env;
+    try {
+      config.env = "development";
+      expect(config.isInsecureJwtSecret()).toBe(false);
+      // NODE_ENV ausente não conta como desenvolvimento para os segredos
+      for (const env of ["production", undefined]) {
+        config.env = env;
+        expect(config.isInsecureJwtSecret()).toBe(config.auth.jwtSecret === "default_secret_key_change_me");
+      }
+    } finally {
+      config.env = originalEnv;
+    }
+  });
+});
@@ -0,0 +1,124 @@
+// src/characters.test.js
+// Fichas de personagem: CRUD pela API, recursos limitados a [0, máximo], resumo no system prompt
+// e as tools get_character/update_character/adjust_resource dentro da geração.
+const { useTempCwd, useFakeLlmChat } = require("./testUtils/fakeLlm");
+
+// Antes de qualquer require dos serviços
+useTempCwd("rpg-characters-");
+
+describe("Fichas de personagem", () => {
+  const chat = useFakeLlmChat({ narration: "O goblin cambaleia para trás." });
+  const { api } = chat;
+
+  const charactersUrl = () => `/api/chat/${chat.chatToken}/characters`;
+
+  test("cria, altera e remove fichas", async () => {
+    const created = await api("post", charactersUrl()).send({
+      name: "Aria",
+      kind: "pc",
+      attributes: { Força: 12, Destreza: 16 },
+      skills: { Furtividade: 5 },
+      resources: { PV: { max: 20 } },
+      inventory: [{ name: "Poção de cura", quantity: 2 }, { name: "poção de cura" }],
+    });
+    expect(created.status).toBe(201);
+    const aria = created.body.character;
+    expect(aria).toMatchObject({
+      name: "Aria",
+      kind: "pc",
+      // Recurso novo começa cheio; itens repetidos são somados
+      resources: { PV: { current: 20, max: 20 } },
+      inventory: [{ name: "Poção de cura", quantity: 3, notes: "" }],
+      conditions: [],
+    });
+
+    const duplicate = await api("post", charactersUrl()).send({ name: "aria" });
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.code).toBe("CHARACTER_EXISTS");
+
+    // Mescla atributos (null remove; nome sem diferenciar maiúsculas) e limita o PV ao novo máximo
+    const updated = await api("put", `${charactersUrl()}/${aria.id}`).send({
+      attributes: { força: 14, Destreza: null },
+      resources: { PV: { max: 10 }, Mana: { current: 3, max: 8 } },
+      conditions: ["Envenenada"],
+    });
+    expect(updated.status).toBe(200);
+    expect(updated.body.character.attributes).toEqual({ Força: 14 });
+    expect(updated.body.character.skills).toEqual({ Furtividade: 5 });
+    expect(updated.body.character.resources).toEqual({ PV: { current: 10, max: 10 }, Mana: { current: 3, max: 8 } });
+
+    const invalid = await api("put", `${charactersUrl()}/${aria.id}`).send({ attributes: { Força: "alta" } });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.code).toBe("VALIDATION_FAILED");
+
+    await api("post", charactersUrl()).send({ name: "Bandido" }).expect(201);
+    const list = await api("get", charactersUrl()).expect(200);
+    expect(list.body.characters.map((character) => character.name)).toEqual(["Aria", "Bandido"]);
+
+    await api("delete", `${charactersUrl()}/Bandido`).expect(200);
+    const missing = await api("delete", `${charactersUrl()}/Bandido`);
+    expect(missing.status).toBe(404);
+    expect(missing.body.code).toBe("CHARACTER_NOT_FOUND");
+  });
+
+  test("ajusta recursos entre 0 e o máximo", async () => {
+    const damage = await api("post", `${charactersUrl()}/Aria/adjust`).send({ resource: "pv", delta: -25 });
+    expect(damage.status).toBe(200);
+    expect(damage.body).toMatchObject({ resource: "PV", before: 10, after: 0, max: 10 });
+
+    const heal = await api("post", `${charactersUrl()}/Aria/adjust`).send({ resource: "PV", delta: 50 });
+    expect(heal.body).toMatchObject({ before: 0, after: 10 });
+
+    const unknown = await api("post", `${charactersUrl()}/Aria/adjust`).send({ resource: "Sanidade", delta: -1 });
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.code).toBe("CHARACTER_RESOURCE_NOT_FOUND");
+    expect(unknown.body.details.resources).toEqual(["PV", "Mana"]);
+  });
+
+  test("o mestre lê e altera as fichas pelas tools", async () => {
+    chat.llm.chatRequests = [];
+    chat.llm.toolCalls = [
+      ["adjust_resource", { name: "Aria", resource: "PV", delta: -4 }],
+      [
+        "update_character",
+        {
+          name: "Goblin",
+          kind: "npc",
+          resources: [{ name: "PV", max: 7 }],
+          add_conditions: ["Assustado"],
+          items: [{ name: "Adaga", quantity_change: 1 }],
+        },
+      ],
+      ["update_character", { name: "Aria", remove_conditions: ["envenenada"], items: [{ name: "Poção de cura", quantity_change: -1 }] }],
+      ["get_character", { name: "Ninguém" }],
+    ];
+
+    const res = await api("post", `/api/chat/generate/${chat.chatToken}`).send({ message: "Ataco o goblin" });
+    expect(res.status).toBe(200);
+    expect(res.body.modelResponse).toBe("O goblin cambaleia para trás.");
+
+    // Resumo das fichas no system prompt e itens das tools com os campos (conversão recursiva)
+    const systemPrompt = chat.llm.chatRequests[0].messages.find((m) => m.role === "system").content;
+    expect(systemPrompt).toContain("- Aria (jogador) | PV 10/10, Mana 3/8 | Condições: Envenenada");
+    expect(systemPrompt).not.toContain("{character_sheets}");
+    const updateTool = chat.llm.chatRequests[0].tools.find((tool) => tool.function.name === "update_character");
+    expect(updateTool.function.parameters.properties.items.items.properties.quantity_change.type).toBe("integer");
+
+    // Resultados das tools voltam para o modelo (erro da ficha inexistente incluso)
+    const toolMessages = chat.llm.chatRequests[1].messages.filter((m) => m.role === "tool").map((m) => JSON.parse(m.content));
+    expect(toolMessages[0]).toMatchObject({ status: "success", character: "Aria", before: 10, after: 6 });
+    expect(toolMessages[1]).toMatchObject({ status: "success", created: true });
+    expect(toolMessages[3].error).toMatch(/Ninguém/);
+
+    const { body } = await api("get", charactersUrl()).expect(200);
+    const [aria, goblin] = body.characters;
+    expect(aria).toMatchObject({ resources: { PV: { current: 6, max: 10 } }, conditions: [], inventory: [{ quantity: 2 }] });
+    expect(goblin).toMatchObject({
+      name: "Goblin",
+      kind: "npc",
+      resources: { PV: { current: 7, max: 7 } },
+      conditions: ["Assustado"],
+      inventory: [{ name: "Adaga", quantity: 1, notes: "" }],
+    });
+  }, 30000);
+});
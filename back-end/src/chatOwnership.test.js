@@ -0,0 +1,118 @@
+// src/chatOwnership.test.js
+// Garante que um usuário não consegue acessar chats de outro usuário.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Os serviços resolvem os diretórios de dados a partir do cwd no require,
+// então o cwd precisa apontar para um diretório temporário antes de carregar o app.
+const originalCwd = process.cwd();
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rpg-ownership-"));
+process.chdir(tmpDir);
+
+const request = require("supertest");
+const app = require("./app");
+const chatStorage = require("./services/chatStorage.service");
+
+async function registerUser(name) {
+  const res = await request(app)
+    .post("/api/auth/register")
+    .send({ name, email: `${name}@example.com`, password: "senha-segura-123" });
+  expect(res.status).toBe(201);
+  return res.body.token;
+}
+
+describe("Chat ownership", () => {
+  let ownerToken;
+  let intruderToken;
+  let chatToken;
+
+  beforeAll(async () => {
+    ownerToken = await registerUser("owner");
+    intruderToken = await registerUser("intruder");
+
+    const res = await request(app)
+      .post("/api/chat/create")
+      .set("Authorization", `Bearer ${ownerToken}`);
+    expect(res.status).toBe(201);
+    chatToken = res.body.chatToken;
+  }, 30000);
+
+  afterAll(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const crossUserRoutes = [
+    ["get", (t) => `/api/chat/${t}`],
+    ["get", (t) => `/api/chat/${t}/history`],
+    ["put", (t) => `/api/chat/${t}/config`],
+    ["put", (t) => `/api/chat/${t}/rename`],
+    ["delete", (t) => `/api/chat/${t}`],
+    ["post", (t) => `/api/chat/generate/${t}`],
+    ["put", (t) => `/api/chat/edit/${t}/msg-1`],
+    ["delete", (t) => `/api/chat/message/${t}/msg-1`],
+    ["post", (t) => `/api/chat/search/${t}/fatos`],
+    ["post", (t) => `/api/chat/insert/${t}/fatos`],
+    ["post", (t) => `/api/chat/${t}/message/msg-1/branch`],
+    ["post", (t) => `/api/chat/${t}/memories/delete`],
+    ["get", (t) => `/api/chat/${t}/memories/stats`],
+    ["get", (t) => `/api/chat/${t}/memories/export`],
+    ["post", (t) => `/api/chat/${t}/memories/import`],
+    ["post", (t) => `/api/chat/${t}/vectorize-pdf`],
+    ["get", (t) => `/api/chat/${t}/documents/fatos`],
+    ["delete", (t) => `/api/chat/${t}/documents/fatos/doc-1`],
+    ["get", (t) => `/api/chat/${t}/check-embeddings`],
+    ["post", (t) => `/api/chat/${t}/repair-embeddings`],
+  ];
+
+  test.each(crossUserRoutes)("%s %p rejeita outro usuário com 403", async (method, buildUrl) => {
+    const res = await request(app)[method](buildUrl(chatToken))
+      .set("Authorization", `Bearer ${intruderToken}`)
+      .send({ text: "ataque", config: { googleApiKeys: ["roubada"] } });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({ error: "Acesso negado a este chat.", code: "CHAT_FORBIDDEN" });
+  });
+
+  test("tentativas negadas não alteram nem removem o chat", async () => {
+    const metadata = await chatStorage.getChatMetadata(chatToken);
+    expect(metadata).not.toBeNull();
+    expect(metadata.userId).toBeDefined();
+    expect(metadata.title).toBe("Novo Chat");
+    expect(metadata.config.googleApiKeys).toEqual([]);
+  });
+
+  test("chat inexistente retorna 404 para qualquer usuário", async () => {
+    const res = await request(app)
+      .get("/api/chat/chat-inexistente/history")
+      .set("Authorization", `Bearer ${intruderToken}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: "Chat não encontrado.", code: "CHAT_NOT_FOUND" });
+  });
+
+  test("chat sem dono registrado é negado", async () => {
+    await chatStorage.saveChatMetadata("chat-legado", { title: "Legado", config: {} });
+
+    const res = await request(app)
+      .get("/api/chat/chat-legado")
+      .set("Authorization", `Bearer ${ownerToken}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  test("o dono continua com acesso ao próprio chat", async () => {
+    const res = await request(app)
+      .get(`/api/chat/${chatToken}`)
+      .set("Authorization", `Bearer ${ownerToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.config).toBeDefined();
+  });
+
+  test("requisição sem token continua retornando 401", async () => {
+    const res = await request(app).get(`/api/chat/${chatToken}`);
+    expect(res.status).toBe(401);
+  });
+});
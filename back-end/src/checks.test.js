@@ -0,0 +1,146 @@
+// src/checks.test.js
+// Testes de perícia: regras de cada sistema (shared/checks.js), rota de teste das fichas e a tool skill_check.
+const { RULESETS, rollCheck } = require("../../shared/checks");
+const { DiceError } = require("../../shared/dice");
+
+const { useTempCwd, useFakeLlmChat } = require("./testUtils/fakeLlm");
+
+// Antes de qualquer require dos serviços
+useTempCwd("rpg-checks-");
+
+describe("Regras dos testes", () => {
+  test("d20: CD, 20 natural e 1 natural", () => {
+    const { outcome } = RULESETS.d20;
+    expect(outcome({ total: 13, natural: 11, dc: 13 })).toBe("success");
+    expect(outcome({ total: 12, natural: 10, dc: 13 })).toBe("failure");
+    expect(outcome({ total: 22, natural: 20, dc: 25 })).toBe("critical_success");
+    expect(outcome({ total: 6, natural: 1, dc: 5 })).toBe("critical_failure");
+    expect(RULESETS.d20.attributeModifier(14)).toBe(2);
+    expect(RULESETS.d20.attributeModifier(9)).toBe(-1);
+  });
+
+  test("PbtA 2d6 e Fate 4dF", () => {
+    expect([6, 7, 9, 10].map((total) => RULESETS.pbta.outcome({ total }))).toEqual([
+      "failure",
+      "partial",
+      "partial",
+      "success",
+    ]);
+    expect([-1, 2, 3, 5].map((total) => RULESETS.fate.outcome({ total, dc: 2 }))).toEqual([
+      "failure",
+      "tie",
+      "success",
+      "critical_success",
+    ]);
+  });
+
+  test("texto do histórico e reprodução pela seed", () => {
+    const check = rollCheck({ ruleset: "d20", label: "Percepção (Aria)", modifier: 2, dc: 13 }, { seed: "teste" });
+    expect(check.text).toBe(`Percepção (Aria): 1d20+2 = ${check.total} { ${check.natural} }\nResultado [d20]: ${check.outcomeLabel} (CD 13)`);
+    expect(check.total).toBe(check.natural + 2);
+    expect(check.margin).toBe(check.total - 13);
+    expect(rollCheck({ ruleset: "d20", label: "Percepção (Aria)", modifier: 2, dc: 13 }, { seed: check.seed })).toEqual(check);
+
+    const fate = rollCheck({ ruleset: "fate", label: "Vigor: fôlego", modifier: -1 }, { seed: "teste" });
+    expect(fate.notation).toBe("4dF-1");
+    expect(fate.dc).toBe(0);
+    expect(fate.text).toMatch(/\nResultado \[fate\]: .+ \(dificuldade 0\)$/);
+
+    const pbta = rollCheck({ ruleset: "pbta", label: "Agir sob pressão", modifier: 1, dc: 99 }, { seed: "teste" });
+    expect(pbta.dc).toBeNull();
+    expect(pbta.margin).toBeNull();
+    expect(pbta.text).toMatch(/\nResultado \[pbta\]: [^(]+$/);
+  });
+
+  test("vantagem no d20 e entradas inválidas", () => {
+    const check = rollCheck({ ruleset: "d20", label: "Ataque", advantage: "advantage", dc: 10 }, { seed: "teste" });
+    expect(check.notation).toBe("2d20kh1");
+    expect(check.natural).toBe(Math.max(...check.roll.terms[0].dice.map((die) => die.value)));
+
+    expect(() => rollCheck({ ruleset: "d20", label: "Ataque" })).toThrow(DiceError);
+    expect(() => rollCheck({ ruleset: "gurps", label: "Ataque", dc: 10 })).toThrow(/gurps/);
+  });
+});
+
+describe("Testes de perícia das fichas", () => {
+  const chat = useFakeLlmChat({ narration: "Você percebe passos atrás da porta." });
+  const { api } = chat;
+
+  beforeAll(async () => {
+    await api("post", `/api/chat/${chat.chatToken}/characters`)
+      .send({ name: "Aria", kind: "pc", attributes: { Força: 14 }, skills: { Percepção: 3 } })
+      .expect(201);
+  });
+
+  const checkUrl = (character = "Aria") => `/api/chat/${chat.chatToken}/characters/${character}/check`;
+
+  test("rola com o modificador da ficha e salva no histórico", async () => {
+    const res = await api("post", checkUrl()).send({ skill: "percepção", dc: 13, bonus: -1 });
+    expect(res.status).toBe(201);
+    expect(res.body.check).toMatchObject({
+      character: "Aria",
+      skill: "Percepção",
+      source: "skill",
+      ruleset: "d20",
+      notation: "1d20+2",
+      dc: 13,
+    });
+    expect(res.body.roll).toMatchObject({ notation: "Percepção (Aria): 1d20+2", type: 20, total: res.body.check.total });
+
+    const { body: history } = await api("get", `/api/chat/${chat.chatToken}/history`).expect(200);
+    const saved = history.find((message) => message.messageid === res.body.message.messageid);
+    expect(saved.text).toBe(res.body.message.text);
+    // O resultado fica estruturado no registro, sem depender do texto
+    expect(JSON.parse(saved.check)).toEqual(res.body.check);
+    expect(res.body.message.check).toBe(saved.check);
+    expect(JSON.parse(saved.roll)).toEqual({ expression: "Percepção (Aria): 1d20+2", seed: res.body.check.seed });
+
+    // Atributo convertido pelo sistema; sem perícia nem atributo, +0
+    const strength = await api("post", checkUrl()).send({ skill: "Força", dc: 10 });
+    expect(strength.body.check).toMatchObject({ source: "attribute", modifier: 2 });
+    const untrained = await api("post", checkUrl()).send({ skill: "Arcanismo", dc: 10 });
+    expect(untrained.body.check).toMatchObject({ source: null, modifier: 0, notation: "1d20" });
+
+    const noDc = await api("post", checkUrl()).send({ skill: "Percepção" });
+    expect(noDc.status).toBe(400);
+    expect(noDc.body.code).toBe("INVALID_CHECK");
+  });
+
+  test("usa o sistema de regras do chat", async () => {
+    await api("put", `/api/chat/${chat.chatToken}/config`).send({ ruleset: "pbta" }).expect(200);
+    const res = await api("post", checkUrl()).send({ skill: "Força" });
+    expect(res.status).toBe(201);
+    // No PbtA o atributo entra como está
+    expect(res.body.check).toMatchObject({ ruleset: "pbta", notation: "2d6+14", dc: null });
+
+    const invalid = await api("put", `/api/chat/${chat.chatToken}/config`).send({ ruleset: "gurps" });
+    expect(invalid.status).toBe(400);
+    await api("put", `/api/chat/${chat.chatToken}/config`).send({ ruleset: "d20" }).expect(200);
+  });
+
+  test("o mestre testa pela tool skill_check", async () => {
+    chat.llm.chatRequests = [];
+    chat.llm.toolCalls = [
+      ["skill_check", { skill: "Percepção", dc: 12 }],
+      ["skill_check", { skill: "Percepção", character: "Ninguém", dc: 12 }],
+    ];
+
+    const res = await api("post", `/api/chat/generate/${chat.chatToken}`).send({ message: "Escuto a porta" });
+    expect(res.status).toBe(200);
+    expect(res.body.modelResponse).toBe("Você percebe passos atrás da porta.");
+
+    const tool = chat.llm.chatRequests[0].tools.find((t) => t.function.name === "skill_check");
+    expect(tool.function.description).toContain("Sistema de regras deste chat: d20");
+
+    // Sem nome, o teste é do único jogador; o resultado volta para o modelo
+    const toolMessages = chat.llm.chatRequests[1].messages.filter((m) => m.role === "tool").map((m) => JSON.parse(m.content));
+    expect(toolMessages[0]).toMatchObject({ status: "success", character: "Aria", notation: "1d20+3", dc: 12 });
+    expect(["critical_success", "success", "failure", "critical_failure"]).toContain(toolMessages[0].outcome);
+    expect(toolMessages[1].error).toMatch(/Ninguém/);
+
+    const saved = res.body.history.filter((message) => message.check).at(-1);
+    expect(saved.text).toContain("Percepção (Aria): 1d20+3");
+    const { status, ...check } = toolMessages[0];
+    expect(JSON.parse(saved.check)).toEqual(check);
+  }, 30000);
+});
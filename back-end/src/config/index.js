@@ -1,15 +1,242 @@
 // src/config/index.js
 require("dotenv").config();
 
+const DEFAULT_JWT_SECRET = "default_secret_key_change_me";
+const DEFAULT_KEY_ENCRYPTION_SECRET = "default_key_encryption_secret_change_me";
+
+/**
+ * Converte TRUST_PROXY no valor do "trust proxy" do Express.
+ * @param {string|undefined} value - "true"/"false", número de proxies ou lista de IPs/sub-redes ("loopback", "10.0.0.0/8").
+ * @returns {boolean|number|string}
+ */
+function parseTrustProxy(value) {
+  if (!value || value === "false") return false;
+  if (value === "true") return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
 const config = {
   port: process.env.PORT || 3001,
+  // Sem NODE_ENV o servidor age como em desenvolvimento (mesmo padrão do Express), mas os segredos
+  // padrão exigem NODE_ENV=development ou test explícito: um `node src/server.js` solto não sobe com eles
+  env: process.env.NODE_ENV,
+
+  // Proxies reversos confiáveis ("trust proxy" do Express). Só atrás deles o IP do cliente (rate limit
+  // e lista de sessões) vem do X-Forwarded-For; sem TRUST_PROXY o cabeçalho é ignorado, pois qualquer
+  // cliente pode forjá-lo. Ex: TRUST_PROXY=1 (um proxy à frente) ou TRUST_PROXY=loopback.
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+
   geminiApiKey: process.env.GEMINI_API_KEY,
+
+  // Segredo mestre usado para cifrar as API Keys salvas nos metadados dos chats.
+  // Fica fora do diretório de dados: sem ele, um backup vazado de data/ não expõe as keys.
+  // O padrão é público (está no código) e só é aceito em desenvolvimento e nos testes.
+  keyEncryptionSecret: process.env.KEY_ENCRYPTION_SECRET || DEFAULT_KEY_ENCRYPTION_SECRET,
   dbPath: "data/sample-lancedb",
+
+  // Persistência de usuários, cofres de credenciais, metadados dos chats e sessões de login.
+  // "sqlite" (padrão): banco embarcado, indexado e transacional; importa os JSONs antigos na primeira abertura.
+  // "file": um JSON por registro em data/users, data/metadata e data/sessions (usado também se o better-sqlite3 não estiver instalado).
+  storage: {
+    backend: process.env.STORAGE_BACKEND || "sqlite",
+    sqlitePath: "data/storage.sqlite",
+    usersPath: "data/users",
+    metadataPath: "data/metadata",
+    sessionsPath: "data/sessions",
+  },
+
+  // Autenticação: access token JWT de curta duração + refresh token rotativo, com a sessão
+  // guardada no servidor (logout e revogação valem na hora, sem esperar o JWT expirar).
+  auth: {
+    jwtSecret: process.env.JWT_SECRET || DEFAULT_JWT_SECRET,
+    accessTokenTtl: "15m",
+    refreshTokenTtlMs: 30 * 24 * 60 * 60 * 1000, // 30 dias sem uso encerram a sessão
+    passwordResetTtlMs: 60 * 60 * 1000, // Validade do link de redefinição de senha
+    minPasswordLength: 8,
+  },
+
+  // Limites de requisição (api/middlewares/rateLimit.middleware.js). Contadores em "sqlite" (padrão,
+  // compartilhado entre processos), "file" (data/rate-limits, um JSON por chave) ou "memory" (zera ao reiniciar).
+  // Cada política conta as requisições de uma janela fixa (windowMs) separadamente para cada escopo de
+  // `limits`: "ip", "user" (usuário autenticado) ou "email" (campo do corpo). blockMs bloqueia o escopo
+  // que estourar o limite; com countFailuresOnly, só as respostas de erro ficam no contador e os escopos
+  // de resetOnSuccess são zerados por uma requisição bem-sucedida.
+  rateLimit: {
+    store: process.env.RATE_LIMIT_STORE || "sqlite",
+    sqlitePath: "data/rate-limits.sqlite",
+    filePath: "data/rate-limits",
+    policies: {
+      // Força bruta: 5 senhas erradas por conta ou 20 por IP a cada 5 minutos bloqueiam por 15 minutos
+      login: {
+        windowMs: 5 * 60 * 1000,
+        blockMs: 15 * 60 * 1000,
+        limits: { email: 5, ip: 20 },
+        countFailuresOnly: true,
+        resetOnSuccess: ["email"],
+        message: "Muitas tentativas de login.",
+      },
+      // Cada pedido envia um email
+      forgotPassword: {
+        windowMs: 60 * 60 * 1000,
+        limits: { email: 3, ip: 10 },
+        message: "Muitos pedidos de redefinição de senha.",
+      },
+      // Cada geração faz várias chamadas pagas aos LLMs (queries, contexto, resposta, tools)
+      generate: {
+        windowMs: 60 * 1000,
+        limits: { user: Number(process.env.RATE_LIMIT_GENERATE_PER_MINUTE) || 10 },
+        message: "Muitas mensagens em pouco tempo.",
+      },
+    },
+  },
+
+  // Emails da conta (redefinição de senha). "log" só escreve no console; "smtp" envia para
+  // SMTP_HOST:SMTP_PORT sem TLS/autenticação (mail-catcher local como MailHog ou Mailpit).
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || "log",
+    smtpHost: process.env.SMTP_HOST || "localhost",
+    smtpPort: Number(process.env.SMTP_PORT) || 1025,
+    from: process.env.MAIL_FROM || "Dungeon Master <no-reply@localhost>",
+    // Endereço do front-end usado nos links enviados por email
+    appUrl: process.env.APP_URL || "http://localhost:5173",
+  },
+
   embeddingDimension: 3072,
 
+  // Embedding padrão de novos chats. Chats sem config.embedding também usam este
+  // (eram todos Gemini 3072D antes dos providers de embedding).
+  embeddingDefaults: {
+    provider: "gemini", // "gemini" | "openai" | "local"
+    model: "gemini-embedding-001",
+    dimension: 3072,
+  },
+
+  // Modelo padrão do provider "local" (in-process via @huggingface/transformers).
+  // Multilíngue para funcionar bem com campanhas em português.
+  localEmbeddingModel: "Xenova/paraphrase-multilingual-MiniLM-L12-v2",
+
+  // Janela de contexto (tokens) por modelo. A chave é buscada como trecho do nome do
+  // modelo e a mais específica vence ("google/gemini-2.5-pro-preview" -> "gemini-2.5-pro").
+  // Chats no vLLM usam o max_model_len do modelo servido (config.vllmContextWindow).
+  modelContextWindows: {
+    "gemini-2.5-pro": 1048576,
+    "gemini-2.5-flash": 1048576,
+    gemini: 1048576,
+    claude: 200000,
+    "gpt-4o": 128000,
+    "llama-4-maverick": 1048576,
+    // Limites da Cerebras (menores que os dos modelos originais)
+    "llama3.1-8b": 8192,
+    "llama-3.3-70b": 65536,
+    "gpt-oss-120b": 65536,
+    "qwen-3-32b": 65536,
+    "zai-glm": 131072,
+    default: 32768,
+  },
+
+  // Orçamento do contexto enviado ao modelo (em tokens estimados).
+  // A parte de memórias substitui os antigos WORD_LIMIT/NARRATIVE_QUOTA_WORDS
+  // (5000/1500 palavras); o histórico recente fica com o que sobrar.
+  contextBudget: {
+    maxContextTokens: 32768, // Teto mesmo em modelos de 1M (custo, latência e TPM)
+    responseReserveRatio: 0.25, // Espaço para a resposta e chamadas de tools...
+    maxResponseReserveTokens: 8192, // ...limitado a este valor
+    memoryRatio: 0.35, // Fração do espaço livre para memórias recuperadas (RAG)
+    maxMemoryTokens: 6500, // ~5000 palavras
+    narrativeRatio: 0.3, // Parte das memórias reservada para a query narrativa
+    auxiliaryHistoryTokens: 4000, // Histórico enviado às chamadas auxiliares (queries, contextualização)
+  },
+
   // Coleções usadas no LanceDB
   collectionNames: ["fatos", "historico", "conceitos"],
 
+  // Parâmetros padrão da memória associativa (Hebbiana).
+  // Cada chat pode sobrescrevê-los em config.hebbian.
+  hebbianDefaults: {
+    enabled: true,
+    learningRate: 0.1, // Reforço por co-ocorrência
+    decayRate: 0.01, // Taxa de esquecimento por mensagem
+    maxBoost: 0.3, // Redução máxima de distância para memórias puxadas
+    decayInterval: 10, // Aplica o decay a cada N mensagens
+  },
+
+  // Resumos da campanha (coleção "resumos").
+  // Trechos do historico fora das últimas keepRecentMessages mensagens são fechados em
+  // capítulos de ~chapterMessages mensagens; a "história até agora" condensa todos eles.
+  summaryDefaults: {
+    enabled: true,
+    chapterMessages: 20,
+    keepRecentMessages: 20,
+    chapterMaxWords: 250,
+    storyMaxWords: 700,
+  },
+
+  // Fichas de personagem (guardadas nos metadados do chat, ver character.service)
+  characterLimits: {
+    maxCharacters: 50, // Fichas por chat
+    maxEntries: 100, // Atributos, perícias, recursos ou condições por ficha
+    maxInventoryItems: 200,
+    promptCharacters: 15, // Fichas resumidas no system prompt (jogadores primeiro)
+  },
+
+  // Diário de missões (guardado nos metadados do chat, ver quest.service)
+  questLimits: {
+    maxQuests: 200, // Fios por chat
+    maxEntries: 50, // NPCs, locais ou mensagens de origem por fio
+    maxUpdates: 50, // Registros de avanço guardados por fio
+    promptQuests: 15, // Fios em aberto resumidos no system prompt
+    retrievalQuests: 5, // Fios em aberto usados na busca de memórias
+    retrievalBoost: 0.3, // Redução da distância das mensagens de origem de fios em aberto
+    retrievalQuotaShare: 0.5, // Parte da cota narrativa reservada para memórias dos fios em aberto
+  },
+
+  // Sistema de regras dos testes de perícia (d20, pbta ou fate; ver shared/checks.js)
+  defaultRuleset: "d20",
+
+  /**
+   * Prompt para resumir um capítulo (trecho fechado do histórico).
+   * Variáveis: {previous} = história até agora, {transcript} = mensagens do capítulo,
+   * {maxWords} = limite de palavras.
+   */
+  chapterSummaryPrompt: `
+### SUA FUNÇÃO ###
+Você é o cronista de uma campanha de RPG. Resuma o trecho da sessão abaixo como um capítulo da história.
+
+### HISTÓRIA ATÉ AGORA (apenas para contexto, NÃO resuma de novo) ###
+{previous}
+
+### TRECHO DA SESSÃO ###
+{transcript}
+
+### REGRAS ###
+- Até {maxWords} palavras, em parágrafos corridos, no passado e na terceira pessoa.
+- Registre decisões do jogador, consequências, NPCs envolvidos (em negrito), locais, itens e pontas soltas.
+- Mantenha o carimbo de tempo/local mais recente do trecho, se houver.
+- NÃO invente nada que não esteja no trecho. NÃO comente sobre o resumo.
+  `,
+
+  /**
+   * Prompt para atualizar a "história até agora" com novos capítulos.
+   * Variáveis: {previous} = versão anterior (pode estar vazia), {chapters} = capítulos novos,
+   * {maxWords} = limite de palavras.
+   */
+  storySoFarPrompt: `
+### SUA FUNÇÃO ###
+Você mantém a "história até agora" de uma campanha de RPG: um resumo único e coeso de tudo o que aconteceu.
+
+### VERSÃO ANTERIOR ###
+{previous}
+
+### CAPÍTULOS NOVOS ###
+{chapters}
+
+### REGRAS ###
+- Reescreva a história completa incorporando os capítulos novos, em até {maxWords} palavras.
+- Quanto mais antigo o evento, mais condensado; preserve o que ainda importa (alianças, inimigos, promessas, mortes, objetivos em aberto).
+- Use negrito para nomes de NPCs e locais importantes. Parágrafos corridos, sem listas.
+- NÃO invente nada. NÃO comente sobre o resumo.
+  `,
+
   /**
    * Prompt para o Gemini gerar queries de busca otimizadas (Step-Back + GM Mindset).
    * A variável {context} será substituída pelo histórico da conversa.
@@ -121,7 +348,10 @@ O trabalho do seu briefing é PURAMENTE INFORMACIONAL, você apenas explica o co
 
   /**
    * Template para a instrução de sistema enviada ao Gemini.
-   * A variável {vector_memory} será substituída pelos dados recuperados da busca vetorial.
+   * A variável {vector_memory} será substituída pelos dados recuperados da busca vetorial
+   * e {story_so_far} pela história até agora (resumos da campanha). {character_sheets} recebe o
+   * resumo das fichas de personagem, {quest_log} os fios da história em aberto e {game_clock} o
+   * carimbo oficial de tempo e local do jogo.
    *
    * Importante: agora o modelo pode usar tanto o próprio conhecimento quanto a memória vetorial.
    */
@@ -146,6 +376,8 @@ Adapte a narrativa com base no engajamento do jogador.
 Mantenha sempre um relógio interno do jogo. Tome nota dos dias e horas e use essa métrica ao lidar com Time Skips.
 **OBRIGATÓRIO:** Ao final de cada turno/ação, envie o carimbo de tempo atual e local atual no formato: [Dia, Ano, Hora:Minuto] - [Local].
 O carimbo deve ser enviado APENAS uma vez, no início de cada narração.
+Relógio oficial (último carimbo registrado): {game_clock}
+Continue a partir dele. Se precisar corrigi-lo (erro de continuidade, viagem, descanso longo), use set_game_clock.
 </time_tracking>
 
 <npc_guidelines>
@@ -192,6 +424,27 @@ Ao narrar a fala ou ação de um NPC, faça o seguinte checklist mental:
 **O QUE NÃO SALVAR:** Conversas triviais, ações transitórias sem consequência e mecânicas de jogo puras (rolagens), exceto feitos narrativos impossíveis.
 </memory_management_protocol>
 
+<character_sheets>
+Fichas dos personagens, com os números reais do jogo (atributos, perícias, recursos como PV/mana, condições e inventário).
+- Use get_character para ver a ficha completa e aplique os modificadores dela nas rolagens.
+- Use adjust_resource para dano, cura e gasto de recursos, e update_character para criar fichas ou mudar atributos, condições e inventário.
+- Para testes de perícia use skill_check: ele aplica o modificador da ficha, rola e compara com a CD. Não peça para o jogador rolar à mão.
+- Mantenha esses números nas fichas, não em fatos.
+{character_sheets}
+</character_sheets>
+
+<quest_log>
+Missões, ganchos e promessas de NPCs que a história ainda não resolveu. Retome-os quando fizer sentido.
+- Use open_quest quando surgir um gancho, missão ou promessa que o jogador pode seguir.
+- Use update_quest quando um fio avançar, for resolvido ou fracassar, registrando o que aconteceu.
+{quest_log}
+</quest_log>
+
+<story_so_far>
+Resumo de tudo o que aconteceu na campanha antes do histórico recente:
+{story_so_far}
+</story_so_far>
+
 <retrieved_memory>
 O texto abaixo contém fatos e memórias recuperadas do banco de dados (RAG).
 Use-os para manter a coerência com eventos passados, mas não repita informações que o jogador já sabe.
@@ -231,4 +484,32 @@ if (!config.geminiApiKey) {
   );
 }
 
+if (!process.env.JWT_SECRET && config.env === "development") {
+  console.warn(
+    "AVISO: A variável de ambiente JWT_SECRET não foi definida. Os tokens de login usam um segredo padrão, aceito apenas em desenvolvimento."
+  );
+}
+
+if (!process.env.KEY_ENCRYPTION_SECRET && config.env === "development") {
+  console.warn(
+    "AVISO: A variável de ambiente KEY_ENCRYPTION_SECRET não foi definida. As API Keys dos chats são cifradas com um segredo padrão, aceito apenas em desenvolvimento (defina um segredo próprio e não o altere depois, ou as keys salvas serão perdidas)."
+  );
+}
+
+/**
+ * O segredo padrão dos JWTs é público (está no código): só é aceito em desenvolvimento e nos testes,
+ * com NODE_ENV definido explicitamente.
+ * @returns {boolean} - true se o servidor não deve subir com a configuração atual.
+ */
+config.isInsecureJwtSecret = () =>
+  config.auth.jwtSecret === DEFAULT_JWT_SECRET && !["development", "test"].includes(config.env);
+
+/**
+ * O segredo padrão das API Keys também é público: com ele, um diretório de dados vazado
+ * basta para decifrar todas as keys. Só é aceito em desenvolvimento e nos testes (NODE_ENV explícito).
+ * @returns {boolean} - true se o servidor não deve subir com a configuração atual.
+ */
+config.isInsecureKeyEncryptionSecret = () =>
+  config.keyEncryptionSecret === DEFAULT_KEY_ENCRYPTION_SECRET && !["development", "test"].includes(config.env);
+
 module.exports = config;
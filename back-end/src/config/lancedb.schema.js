@@ -9,13 +9,27 @@ const {
 } = require("apache-arrow");
 const { embeddingDimension } = require("./index");
 
-// Schema base para qualquer coleção (historico, fatos, conceitos)
-const chatMessageSchema = new Schema([
+/**
+ * Dados estruturados opcionais dos registros, guardados fora do texto (não entram no embedding).
+ * Tabelas criadas antes de um desses campos recebem a coluna na primeira escrita (lancedb.service).
+ *   roll: rolagem de dados em JSON { expression, seed } (a mesma seed e expressão reproduzem os dados)
+ *   check: resultado de um teste de perícia em JSON (ver performSkillCheck em chat.service)
+ *   gameTime, gameLocation: momento e local do jogo em que um fato foi registrado (ver gameClock.service)
+ */
+const RECORD_DATA_FIELDS = ["roll", "check", "gameTime", "gameLocation"];
+
+/**
+ * Schema base para qualquer coleção (historico, fatos, conceitos).
+ * A dimensão do vetor depende do modelo de embedding do chat (config.embedding.dimension).
+ * @param {number} dimension - Dimensão dos embeddings.
+ * @returns {Schema}
+ */
+const createChatMessageSchema = (dimension) => new Schema([
     new Field("text", new Utf8()),
     new Field(
         "vector",
         new FixedSizeList(
-            embeddingDimension,
+            dimension,
             new Field("item", new Float32())
         )
     ),
@@ -36,6 +50,11 @@ const chatMessageSchema = new Schema([
     // Campos para Frequency Bias (Neuroplasticidade)
     new Field("accessCount", new Float64(), true), // Quantas vezes foi recuperada via RAG
     new Field("lastMessageAccessed", new Float64(), true), // Número da mensagem no último acesso
+
+    ...RECORD_DATA_FIELDS.map((name) => new Field(name, new Utf8(), true)), // nullable
 ]);
 
-module.exports = { chatMessageSchema };
+// Schema com a dimensão padrão (Gemini)
+const chatMessageSchema = createChatMessageSchema(embeddingDimension);
+
+module.exports = { chatMessageSchema, createChatMessageSchema, RECORD_DATA_FIELDS };
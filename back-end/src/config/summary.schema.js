@@ -0,0 +1,37 @@
+// src/config/summary.schema.js
+const {
+    Field,
+    Float64,
+    Utf8,
+    Bool,
+    Schema,
+} = require("apache-arrow");
+
+// Schema para os resumos da campanha (coleção "resumos")
+// Não tem vetor: os resumos entram sempre no contexto, sem busca semântica
+const summarySchema = new Schema([
+    new Field("messageid", new Utf8()),
+
+    // "capitulo" (um trecho fechado do histórico) ou "historia" (a história até agora)
+    new Field("kind", new Utf8()),
+
+    // Número do capítulo (0 para a história até agora)
+    new Field("chapter", new Float64()),
+
+    new Field("text", new Utf8()),
+
+    // messageids do historico resumidos, serializados como JSON
+    new Field("sourceIds", new Utf8()),
+
+    // createdAt da primeira e da última mensagem coberta
+    new Field("startAt", new Float64()),
+    new Field("endAt", new Float64()),
+
+    new Field("createdAt", new Float64()),
+    new Field("updatedAt", new Float64()),
+
+    // Editado manualmente pelo usuário
+    new Field("edited", new Bool()),
+]);
+
+module.exports = { summarySchema };
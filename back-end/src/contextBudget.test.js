@@ -0,0 +1,60 @@
+// src/contextBudget.test.js
+// Orçamento de contexto por modelo e corte do histórico por tokens.
+const { getModelContextWindow, createContextBudget, getHistoryBudget } = require("./utils/contextBudget");
+const { estimateTokens, getHistoryWithTokenBudget } = require("./utils/historyHelper");
+
+const message = (role, words) => ({ role, text: "palavra ".repeat(words).trim() });
+
+describe("Orçamento de contexto", () => {
+  beforeAll(() => {
+    jest.spyOn(console, "log").mockImplementation(() => { });
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  test("a chave mais específica do modelo define a janela", () => {
+    expect(getModelContextWindow("llama3.1-8b")).toBe(8192);
+    expect(getModelContextWindow("google/gemini-2.5-pro-preview")).toBe(1048576);
+    expect(getModelContextWindow("modelo-desconhecido")).toBe(32768);
+    expect(getModelContextWindow("llama3.1-8b", 4096)).toBe(4096);
+  });
+
+  test("modelos pequenos recebem orçamentos proporcionais", () => {
+    const small = createContextBudget({ modelName: "llama3.1-8b", systemInstruction: "x".repeat(700) });
+    const large = createContextBudget({ modelName: "gemini-2.5-flash", systemInstruction: "x".repeat(700) });
+
+    expect(small.total).toBe(8192);
+    expect(small.system).toBe(200);
+    expect(small.responseReserve + small.system + small.memories + small.history).toBe(small.total);
+    expect(small.memories).toBeLessThan(large.memories);
+    expect(large.total).toBe(32768);
+    expect(large.narrative).toBe(Math.floor(large.memories * 0.3));
+  });
+
+  test("o histórico descarta turnos antigos inteiros e mantém o atual", () => {
+    const history = [
+      message("user", 100), message("model", 100),
+      message("user", 100), message("model", 100),
+      message("user", 100),
+    ];
+    const messageTokens = estimateTokens(history[0].text);
+
+    // Cabem 3,5 mensagens: o turno mais antigo (user + model) sai inteiro
+    const { limitedHistory, droppedCount } = getHistoryWithTokenBudget(history, messageTokens * 3.5);
+    expect(limitedHistory).toEqual(history.slice(2));
+    expect(droppedCount).toBe(2);
+
+    // Mesmo sem orçamento, a mensagem atual nunca é descartada
+    expect(getHistoryWithTokenBudget(history, 0).limitedHistory).toEqual([history[4]]);
+  });
+
+  test("o system prompt final reduz o espaço do histórico", () => {
+    const budget = createContextBudget({ modelName: "llama3.1-8b" });
+    const withMemories = getHistoryBudget(budget, "m".repeat(3500), 258);
+
+    expect(withMemories).toBe(budget.total - budget.responseReserve - 1000 - 258);
+    expect(getHistoryBudget(budget, "m".repeat(100000))).toBe(0);
+  });
+});
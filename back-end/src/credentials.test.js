@@ -0,0 +1,144 @@
+// src/credentials.test.js
+// Cofre de credenciais do usuário: CRUD, herança dos padrões nos chats, override por chat
+// e branch sem cópia das keys.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Os serviços resolvem os diretórios de dados a partir do cwd no require
+const originalCwd = process.cwd();
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rpg-credentials-"));
+process.chdir(tmpDir);
+
+const request = require("supertest");
+const app = require("./app");
+const chatService = require("./services/chat.service");
+const lanceDBService = require("./services/lancedb.service");
+const storage = require("./services/storage");
+
+const GOOGLE_KEY = "AIzaSyA-chave-do-cofre-0001";
+const ROTATED_GOOGLE_KEY = "AIzaSyC-chave-rotacionada-0003";
+const OPENROUTER_KEY = "sk-or-v1-chave-do-cofre-1234";
+const CHAT_KEY = "AIzaSyZ-chave-salva-no-chat-9999";
+
+describe("Cofre de credenciais", () => {
+  let authToken;
+  let userId;
+  let googleId;
+  let openrouterId;
+
+  beforeAll(async () => {
+    const registerRes = await request(app)
+      .post("/api/auth/register")
+      .send({ name: "mestre", email: "mestre@example.com", password: "senha-segura-123" });
+    authToken = registerRes.body.token;
+    userId = registerRes.body.user.id;
+  });
+
+  afterAll(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const api = (method, url) => request(app)[method](url).set("Authorization", `Bearer ${authToken}`);
+
+  const createChat = async () => (await api("post", "/api/chat/create")).body.chatToken;
+
+  test("CRUD de credenciais devolve apenas as máscaras", async () => {
+    const googleRes = await api("post", "/api/user/keys").send({ provider: "google", label: "Pessoal", key: GOOGLE_KEY });
+    expect(googleRes.status).toBe(201);
+    expect(googleRes.body).toMatchObject({ provider: "google", label: "Pessoal", fingerprint: "AIza••••0001" });
+    expect(googleRes.body.key).toBeUndefined();
+    googleId = googleRes.body.id;
+
+    const openrouterRes = await api("post", "/api/user/keys").send({ provider: "openrouter", key: OPENROUTER_KEY });
+    openrouterId = openrouterRes.body.id;
+
+    const invalid = await api("post", "/api/user/keys").send({ provider: "desconhecido", key: "x" });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.code).toBe("VALIDATION_FAILED");
+    expect(invalid.body.details.errors[0].path).toBe("body.provider");
+
+    const list = await api("get", "/api/user/keys");
+    expect(list.body.credentials).toHaveLength(2);
+    // A primeira key de cada provider vira o padrão
+    expect(list.body.defaults).toEqual({ google: [googleId], openrouter: openrouterId });
+
+    const raw = JSON.stringify(await storage.getKeyring(userId));
+    expect(raw).not.toContain(GOOGLE_KEY);
+    expect(raw).not.toContain(OPENROUTER_KEY);
+
+    // O cofre ao lado do usuário não atrapalha o login
+    const login = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "mestre@example.com", password: "senha-segura-123" });
+    expect(login.status).toBe(200);
+  });
+
+  test("chats herdam os padrões e a rotação vale para todos", async () => {
+    const chatToken = await createChat();
+
+    let chatConfig = await chatService.getChatConfig(chatToken);
+    expect(chatConfig.googleApiKeys).toEqual([GOOGLE_KEY]);
+    expect(chatConfig.openrouterApiKey).toBe(OPENROUTER_KEY);
+
+    const details = await api("get", `/api/chat/${chatToken}`);
+    expect(details.body.keys.google).toEqual({ source: "default", fingerprints: ["AIza••••0001"] });
+    expect(JSON.stringify(details.body)).not.toContain(GOOGLE_KEY);
+
+    const rotated = await api("put", `/api/user/keys/${googleId}`).send({ key: ROTATED_GOOGLE_KEY });
+    expect(rotated.body.fingerprint).toBe("AIza••••0003");
+
+    chatConfig = await chatService.getChatConfig(chatToken);
+    expect(chatConfig.googleApiKeys).toEqual([ROTATED_GOOGLE_KEY]);
+  });
+
+  test("chat escolhe outra credencial ou usa a própria key", async () => {
+    const secondRes = await api("post", "/api/user/keys").send({ provider: "google", label: "Trabalho", key: GOOGLE_KEY });
+    const chatToken = await createChat();
+
+    const res = await api("put", `/api/chat/${chatToken}/config`).send({ credentials: { google: [secondRes.body.id] } });
+    expect(res.status).toBe(200);
+    expect((await chatService.getChatConfig(chatToken)).googleApiKeys).toEqual([GOOGLE_KEY]);
+
+    const wrongProvider = await api("put", `/api/chat/${chatToken}/config`).send({ credentials: { google: [openrouterId] } });
+    expect(wrongProvider.status).toBe(400);
+    expect(wrongProvider.body.code).toBe("CREDENTIAL_INVALID");
+
+    // Sem credencial escolhida, a key salva no chat tem prioridade sobre o padrão
+    await api("put", `/api/chat/${chatToken}/config`).send({ credentials: {}, googleApiKeys: [CHAT_KEY] });
+    expect((await chatService.getChatConfig(chatToken)).googleApiKeys).toEqual([CHAT_KEY]);
+
+    // Credencial removida: o chat volta a herdar
+    await api("delete", `/api/user/keys/${secondRes.body.id}`).expect(200);
+    const list = await api("get", "/api/user/keys");
+    expect(list.body.credentials.map((c) => c.id)).not.toContain(secondRes.body.id);
+  });
+
+  test("branch referencia as keys do cofre em vez de copiá-las", async () => {
+    const chatToken = await createChat();
+    await api("put", `/api/chat/${chatToken}/config`).send({ googleApiKeys: [CHAT_KEY] });
+    await lanceDBService.insertRecord(chatToken, "historico", {
+      text: "Aria entra na taverna.",
+      vector: new Array(3072).fill(0.01),
+      messageid: "msg-1",
+      role: "user",
+      createdAt: Date.now(),
+      attachments: "[]",
+      thoughtSignature: null,
+    });
+
+    const branchRes = await api("post", `/api/chat/${chatToken}/message/msg-1/branch`);
+    expect(branchRes.status).toBe(201);
+    const branchToken = branchRes.body.chatToken;
+
+    const branchMetadata = await chatService.getChatDetails(branchToken);
+    expect(branchMetadata.config.googleApiKeys).toEqual([]);
+    expect(branchMetadata.config.credentials.google).toHaveLength(1);
+    expect((await chatService.getChatConfig(branchToken)).googleApiKeys).toEqual([CHAT_KEY]);
+
+    // A key do chat original foi para o cofre uma única vez
+    const list = await api("get", "/api/user/keys");
+    expect(list.body.credentials.filter((c) => c.fingerprint === "AIza••••9999")).toHaveLength(1);
+  }, 30000);
+});
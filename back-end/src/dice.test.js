@@ -0,0 +1,211 @@
+// src/dice.test.js
+// Motor de dados compartilhado (shared/dice.js): sintaxe, regras de cada modificador, seed
+// reproduzível, leitura do texto salvo no histórico e a rolagem auditável salva com cada registro.
+const path = require("path");
+const { rollDice, parseDice, parseDiceCommand, parseRollText, summarizeRoll, createRng, DiceError } = require("../../shared/dice");
+const { useTempCwd, useFakeLlmChat } = require("./testUtils/fakeLlm");
+
+// Antes de qualquer require dos serviços
+useTempCwd("rpg-dice-");
+
+const SEED = "seed-de-teste";
+
+const group = (result, index = 0) => result.rolls[0].terms.filter((term) => term.type === "dice")[index];
+const kept = (term) => term.dice.filter((die) => die.kept).map((die) => die.value);
+
+describe("Motor de dados", () => {
+  test("mesma seed reproduz a rolagem; seeds diferentes variam", () => {
+    const first = rollDice("4d6kh3+1d8!+2", { seed: SEED });
+    expect(rollDice("4d6kh3+1d8!+2", { seed: SEED })).toEqual(first);
+    expect(first.seed).toBe(SEED);
+
+    // Valores fixos: mudar o gerador quebraria a auditoria de rolagens antigas
+    expect(group(rollDice("10d20", { seed: "auditoria" })).dice.map((die) => die.value)).toEqual([
+      20, 12, 16, 9, 2, 8, 9, 5, 12, 11,
+    ]);
+    const values = (seed) => group(rollDice("20d20", { seed })).dice.map((die) => die.value);
+    expect(values("a")).not.toEqual(values("b"));
+
+    // Sem seed, cada rolagem recebe uma nova (128 bits em hex)
+    expect(rollDice("1d6").seed).toMatch(/^[0-9a-f]{32}$/);
+    expect(rollDice("1d6").seed).not.toBe(rollDice("1d6").seed);
+  });
+
+  test("gerador distribui as faces de forma uniforme", () => {
+    const rng = createRng(SEED);
+    const counts = new Array(6).fill(0);
+    for (let i = 0; i < 60000; i++) counts[Math.floor(rng() * 6)]++;
+    for (const count of counts) expect(Math.abs(count - 10000)).toBeLessThan(500);
+  });
+
+  test("vários grupos e constantes", () => {
+    const result = rollDice("2d6+1d4-1d4+3", { seed: SEED });
+    const roll = result.rolls[0];
+    const [d6, d4, minusD4, three] = roll.terms;
+
+    expect(d6.dice).toHaveLength(2);
+    expect(d6.dice.every((die) => die.value >= 1 && die.value <= 6)).toBe(true);
+    expect(minusD4.total).toBe(-minusD4.dice[0].value);
+    expect(three).toMatchObject({ type: "number", total: 3 });
+    expect(roll.total).toBe(d6.total + d4.total + minusD4.total + 3);
+    expect(roll.text).toMatch(/^2d6\+1d4-1d4\+3 = -?\d+ \{ \d, \d \| \d \| \d \}$/);
+  });
+
+  test("manter e descartar dados, vantagem e desvantagem", () => {
+    for (const seed of ["a", "b", "c", "d"]) {
+      const keepHigh = group(rollDice("4d6kh3", { seed }));
+      const all = keepHigh.dice.map((die) => die.value).sort((a, b) => b - a);
+      expect(kept(keepHigh).sort((a, b) => b - a)).toEqual(all.slice(0, 3));
+      expect(keepHigh.total).toBe(all[0] + all[1] + all[2]);
+
+      const dropLow = group(rollDice("4d6dl1", { seed }));
+      expect(dropLow.total).toBe(keepHigh.total);
+
+      const advantage = rollDice("adv+2", { seed });
+      const [d20] = advantage.rolls[0].terms;
+      expect(d20).toMatchObject({ count: 2, sides: 20 });
+      expect(advantage.rolls[0].total).toBe(Math.max(...d20.dice.map((die) => die.value)) + 2);
+
+      const disadvantage = group(rollDice("dis", { seed }));
+      expect(disadvantage.total).toBe(Math.min(...disadvantage.dice.map((die) => die.value)));
+    }
+    expect(rollDice("adv", { seed: SEED }).rolls[0].notation).toBe("2d20kh1");
+    expect(rollDice("2d6k5", { seed: SEED }).rolls[0].notation).toBe("2d6kh2");
+  });
+
+  test("dados explosivos e rerrolagem", () => {
+    // d2 explode com frequência: cada dado que explodiu deixou outro logo depois
+    for (const seed of ["a", "b", "c"]) {
+      const exploding = group(rollDice("5d2!", { seed }));
+      exploding.dice.forEach((die, index) => {
+        expect(Boolean(die.exploded)).toBe(die.value === 2);
+        if (die.exploded) expect(exploding.dice[index + 1]).toBeDefined();
+      });
+      expect(exploding.dice.length).toBe(5 + exploding.dice.filter((die) => die.exploded).length);
+
+      const rerolled = group(rollDice("6d4r<3", { seed }));
+      expect(kept(rerolled)).toHaveLength(6);
+      expect(kept(rerolled).every((value) => value >= 3)).toBe(true);
+      expect(rerolled.dice.filter((die) => !die.kept).every((die) => die.rerolled && die.value < 3)).toBe(true);
+
+      const once = group(rollDice("6d4ro1", { seed }));
+      expect(kept(once)).toHaveLength(6);
+      expect(once.dice.length - 6).toBe(once.dice.filter((die) => die.rerolled).length);
+    }
+
+    // Explosão infinita é barrada pelo limite de dados extras
+    expect(() => parseDice("1d1!")).toThrow(DiceError);
+    expect(group(rollDice("1d6!>=2", { seed: SEED })).dice.length).toBeLessThanOrEqual(101);
+  });
+
+  test("contagem de sucessos e falhas", () => {
+    const result = rollDice("8d10>=7f1", { seed: SEED });
+    const pool = group(result);
+    const successes = pool.dice.filter((die) => die.value >= 7).length;
+    const failures = pool.dice.filter((die) => die.value === 1).length;
+
+    expect(result.rolls[0].total).toBe(successes - failures);
+    expect(pool.dice.filter((die) => die.success)).toHaveLength(successes);
+    expect(result.text).toContain("*");
+  });
+
+  test("dados Fate e rolagens com nome", () => {
+    const fate = rollDice("4dF", { seed: SEED });
+    expect(group(fate).dice.every((die) => [-1, 0, 1].includes(die.value))).toBe(true);
+    expect(fate.text).toMatch(/^4dF = [+-]?\d+ \{ ([+ -](, )?){4} \}$/);
+
+    const named = rollDice("Ataque: 1d20+5; Dano: 2d6+3", { seed: SEED });
+    expect(named.rolls.map((roll) => roll.label)).toEqual(["Ataque", "Dano"]);
+    expect(named.text.split("\n")).toHaveLength(2);
+    expect(named.text).toMatch(/^Ataque: 1d20\+5 = \d+ \{ \d+ \}\nDano: 2d6\+3 = \d+ \{ \d, \d \}$/);
+  });
+
+  test("erros de sintaxe e limites", () => {
+    for (const input of ["", "2d", "abc", "3+4", "1d6 x", "1001d6", "1d0", "1d6r<=6", "2d6f1", ": 1d6", "1d6;".repeat(11)]) {
+      expect(() => rollDice(input)).toThrow(DiceError);
+    }
+    expect(() => rollDice("1d6?")).toThrow('Caractere inesperado "?"');
+    // "-" depois de "!" é subtração, não explosão em -2
+    expect(rollDice("3d6!-2", { seed: SEED }).rolls[0].terms[1]).toMatchObject({ type: "number", sign: -1, value: 2 });
+  });
+
+  test("o texto salvo é lido de volta (inclusive no formato antigo)", () => {
+    const result = rollDice("Furtividade: 4d6kh3!+1d4+2", { seed: SEED });
+    const [parsed] = parseRollText(result.text);
+
+    expect(parsed).toMatchObject({ label: "Furtividade", notation: "4d6!kh3+1d4+2", total: result.rolls[0].total });
+    expect(parsed.groups.map((item) => item.sides)).toEqual([6, 4]);
+    expect(summarizeRoll(parsed)).toEqual(summarizeRoll(result.rolls[0]));
+
+    expect(parseRollText("1d20+ 5  = 25 { 20 } ")).toEqual([
+      { label: null, notation: "1d20+5", total: 25, groups: [{ sides: 20, dice: ["20"] }] },
+    ]);
+    expect(parseRollText("4dF = +2 { +, +,  , + }")[0].groups[0].dice).toEqual(["+", "+", "", "+"]);
+    expect(parseRollText("O dragão ataca = 3 { ruína }")).toBeNull();
+    expect(parseRollText("texto comum")).toBeNull();
+  });
+
+  test("comando /r do jogador", () => {
+    expect(parseDiceCommand("/r Ataque: 1d20+5; 2d6")).toBe("Ataque: 1d20+5; 2d6");
+    expect(parseDiceCommand("  /r\n4dF ")).toBe("4dF");
+    expect(parseDiceCommand("/rolar 1d6")).toBeNull();
+    expect(parseDiceCommand("Eu rolo /r 1d6")).toBeNull();
+  });
+});
+
+describe("Rolagens no histórico", () => {
+  const chat = useFakeLlmChat({ narration: "A lâmina acerta o ombro do orc." });
+  const { api } = chat;
+
+  const historyRolls = async () => {
+    const { body } = await api("get", `/api/chat/${chat.chatToken}/history`).expect(200);
+    return body.filter((message) => message.roll).map((message) => ({ ...message, roll: JSON.parse(message.roll) }));
+  };
+
+  test("o /r do jogador é rolado pelo backend e guarda expressão e seed", async () => {
+    const res = await api("post", `/api/chat/generate/${chat.chatToken}`).send({ message: "/r Ataque: 1d20+5" }).expect(200);
+
+    const [saved] = await historyRolls();
+    expect(saved).toMatchObject({ role: "user", roll: { expression: "Ataque: 1d20+5" } });
+    // Expressão e seed reproduzem exatamente o texto salvo
+    expect(rollDice(saved.roll.expression, { seed: saved.roll.seed }).text).toBe(saved.text);
+    expect(res.body.history.find((message) => message.messageid === saved.messageid).text).toMatch(/^Ataque: 1d20\+5 = \d+/);
+
+    const invalid = await api("post", `/api/chat/generate/${chat.chatToken}`).send({ message: "/r 2d" });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.code).toBe("INVALID_DICE");
+  }, 30000);
+
+  test("roll_dice do mestre guarda expressão e seed", async () => {
+    chat.llm.toolCalls = [["roll_dice", { expression: "Dano: 2d6+3" }]];
+    await api("post", `/api/chat/generate/${chat.chatToken}`).send({ message: "Ataco de novo" }).expect(200);
+    chat.llm.toolCalls = [];
+
+    const saved = (await historyRolls()).at(-1);
+    expect(saved).toMatchObject({ role: "model", roll: { expression: "Dano: 2d6+3" } });
+    expect(rollDice(saved.roll.expression, { seed: saved.roll.seed }).text).toBe(saved.text);
+
+    // Editar o texto não apaga o registro da rolagem
+    await api("put", `/api/chat/edit/${chat.chatToken}/${saved.messageid}`).send({ newContent: "Dano: 9" }).expect(200);
+    expect((await historyRolls()).at(-1)).toMatchObject({ text: "Dano: 9", roll: saved.roll });
+  }, 30000);
+
+  test("tabelas antigas ganham a coluna da rolagem na primeira escrita", async () => {
+    const lancedb = require("@lancedb/lancedb");
+    const { Schema } = require("apache-arrow");
+    const config = require("./config");
+    const { createChatMessageSchema } = require("./config/lancedb.schema");
+    const lanceDBService = require("./services/lancedb.service");
+
+    // Schema de antes da coluna "roll"
+    const legacySchema = new Schema(createChatMessageSchema(4).fields.filter((field) => field.name !== "roll"));
+    const db = await lancedb.connect(path.join(process.cwd(), config.dbPath));
+    await db.createEmptyTable("chat-antigo-historico", legacySchema);
+
+    const record = { text: "1d6 = 4 { 4 }", vector: [0.1, 0.2, 0.3, 0.4], messageid: "m1", role: "model", createdAt: 1 };
+    await lanceDBService.insertRecord("chat-antigo", "historico", { ...record, roll: JSON.stringify({ expression: "1d6", seed: "s" }) });
+
+    const [saved] = await lanceDBService.getAllRecordsFromCollection("chat-antigo", "historico");
+    expect(JSON.parse(saved.roll)).toEqual({ expression: "1d6", seed: "s" });
+  });
+});
@@ -0,0 +1,107 @@
+// src/docs.test.js
+// Documento OpenAPI gerado das rotas: toda rota montada aparece, com schemas, autenticação,
+// eventos SSE e o resumo vindo dos comentários das rotas.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Os serviços resolvem os diretórios de dados a partir do cwd no require
+const originalCwd = process.cwd();
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rpg-docs-"));
+process.chdir(tmpDir);
+
+const request = require("supertest");
+const app = require("./app");
+const chatRoutes = require("./api/routes/chat.routes");
+const authRoutes = require("./api/routes/auth.routes");
+const userRoutes = require("./api/routes/user.routes");
+
+describe("Documentação da API", () => {
+  let spec;
+
+  beforeAll(async () => {
+    const res = await request(app).get("/api/docs/openapi.json").expect(200);
+    spec = res.body;
+  });
+
+  afterAll(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const operations = () =>
+    Object.entries(spec.paths).flatMap(([route, methods]) =>
+      Object.entries(methods).map(([method, operation]) => ({ route, method, operation }))
+    );
+
+  test("cobre todas as rotas montadas, cada uma com resumo e operationId único", () => {
+    const expected = [
+      ["/api/chat", chatRoutes],
+      ["/api/auth", authRoutes],
+      ["/api/user", userRoutes],
+    ].flatMap(([prefix, router]) =>
+      router.stack
+        .filter((layer) => layer.route)
+        .flatMap((layer) =>
+          Object.keys(layer.route.methods).map(
+            (method) => `${method} ${prefix}${layer.route.path.replace(/:(\w+)/g, "{$1}")}`
+          )
+        )
+    );
+    const documented = operations().map(({ route, method }) => `${method} ${route}`);
+
+    expect(spec.openapi).toBe("3.1.0");
+    expect(documented.sort()).toEqual(expected.sort());
+    expect(operations().filter(({ operation }) => !operation.summary)).toEqual([]);
+
+    const ids = operations().map(({ operation }) => operation.operationId);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  test("schemas do validate, parâmetros e autenticação", () => {
+    const register = spec.paths["/api/auth/register"].post;
+    expect(register.security).toEqual([]);
+    expect(register.summary).toMatch(/Cria a conta/);
+    expect(register.requestBody.content["application/json"].schema.required).toEqual(["name", "email", "password"]);
+
+    const login = spec.paths["/api/auth/login"].post;
+    expect(login.responses["429"].description).toMatch(/"login"/);
+
+    const history = spec.paths["/api/chat/{chatToken}/history"].get;
+    expect(history.security).toEqual([{ bearerAuth: [] }]);
+    // chatToken validado via router.param
+    expect(history.parameters[0]).toMatchObject({ name: "chatToken", in: "path", required: true });
+    expect(history.parameters[0].schema.pattern).toBe("^[A-Za-z0-9_-]{1,64}$");
+    expect(history.responses["404"]).toEqual({ $ref: "#/components/responses/ChatNotFound" });
+
+    const exportMemories = spec.paths["/api/chat/{chatToken}/memories/export"].get;
+    expect(exportMemories.parameters[1]).toMatchObject({ name: "collections", in: "query", explode: false });
+
+    const edit = spec.paths["/api/chat/edit/{chatToken}/{messageid}"].put;
+    expect(edit.responses["409"]).toBeDefined();
+    expect(spec.paths["/api/auth/logout"].post.security).toEqual([{ bearerAuth: [] }]);
+  });
+
+  test("rotas SSE descrevem os eventos", () => {
+    const eventTypes = (operation) =>
+      operation.responses["2XX"].content["text/event-stream"].schema.oneOf.map((event) => event.properties.type.enum[0]);
+
+    for (const route of ["/api/chat/{chatToken}/vectorize-pdf", "/api/chat/{chatToken}/memories/import", "/api/chat/import"]) {
+      const operation = spec.paths[route].post;
+      expect(eventTypes(operation)).toEqual(["progress", "complete", "error"]);
+      expect(operation.responses["2XX"].content["application/json"]).toBeUndefined();
+    }
+
+    // Geração: JSON sem ?stream, SSE com ele; aceita anexos via multipart
+    const generate = spec.paths["/api/chat/generate/{chatToken}"].post;
+    expect(eventTypes(generate)).toEqual(expect.arrayContaining(["text", "dice_roll", "pending_deletions", "complete", "error"]));
+    expect(generate.responses["2XX"].content["application/json"]).toBeDefined();
+    expect(generate.requestBody.content["multipart/form-data"].schema.properties.files).toBeDefined();
+  });
+
+  test("explorador em /api/docs", async () => {
+    const res = await request(app).get("/api/docs").expect(200);
+    expect(res.headers["content-type"]).toMatch(/text\/html/);
+    expect(res.text).toContain("openapi.json");
+  });
+});
@@ -0,0 +1,65 @@
+// src/embedding.test.js
+// Provider de embeddings OpenAI-compatible e resolução da config por chat.
+const http = require("http");
+const embeddingService = require("./services/embedding.service");
+
+describe("Embedding providers", () => {
+  let server;
+  let baseUrl;
+  let lastRequest;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        lastRequest = { url: req.url, headers: req.headers, body: JSON.parse(body) };
+        const size = lastRequest.body.model === "modelo-pequeno" ? 4 : 8;
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify({ data: [{ embedding: new Array(size).fill(0.5) }] }));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  test("chats antigos continuam no Gemini com a dimensão original", () => {
+    const embeddingConfig = embeddingService.resolveEmbeddingConfig({ googleApiKeys: ["k1"] });
+
+    expect(embeddingConfig.provider).toBe("gemini");
+    expect(embeddingConfig.model).toBe("gemini-embedding-001");
+    expect(embeddingConfig.dimension).toBe(3072);
+    expect(embeddingService.isEmbeddingAvailable(embeddingConfig)).toBe(true);
+    expect(embeddingService.isEmbeddingAvailable(embeddingService.resolveEmbeddingConfig({}))).toBe(false);
+  });
+
+  test("openai exige base URL e modelo", () => {
+    const embeddingConfig = embeddingService.resolveEmbeddingConfig({ embedding: { provider: "openai" } });
+    expect(embeddingService.isEmbeddingAvailable(embeddingConfig)).toBe(false);
+  });
+
+  test("gera embedding via /v1/embeddings e descobre a dimensão", async () => {
+    const embeddingConfig = embeddingService.resolveEmbeddingConfig({
+      embedding: { provider: "openai", model: "modelo-pequeno", baseUrl, apiKey: "segredo" },
+    });
+
+    expect(await embeddingService.probeDimension(embeddingConfig)).toBe(4);
+
+    const vector = await embeddingService.generateEmbedding("olá", { ...embeddingConfig, dimension: 4 });
+    expect(vector).toHaveLength(4);
+    expect(lastRequest.url).toBe("/v1/embeddings");
+    expect(lastRequest.headers.authorization).toBe("Bearer segredo");
+    expect(lastRequest.body).toEqual({ model: "modelo-pequeno", input: "olá" });
+  });
+
+  test("rejeita vetor com dimensão diferente da registrada no chat", async () => {
+    const embeddingConfig = embeddingService.resolveEmbeddingConfig({
+      embedding: { provider: "openai", model: "modelo-grande", baseUrl, dimension: 4 },
+    });
+
+    await expect(embeddingService.generateEmbedding("texto", embeddingConfig))
+      .rejects.toMatchObject({ code: "EMBEDDING_DIMENSION_MISMATCH", details: { expected: 4, received: 8 } });
+  });
+});
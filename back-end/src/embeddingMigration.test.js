@@ -0,0 +1,172 @@
+// src/embeddingMigration.test.js
+// Migração de embeddings: falha no meio, bloqueio de escrita, retomada e troca das tabelas.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+
+// Os serviços resolvem os diretórios de dados a partir do cwd no require
+const originalCwd = process.cwd();
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rpg-migration-"));
+process.chdir(tmpDir);
+
+const request = require("supertest");
+const app = require("./app");
+const chatService = require("./services/chat.service");
+const chatStorage = require("./services/chatStorage.service");
+const lanceDBService = require("./services/lancedb.service");
+
+// Servidor /v1/embeddings falso: a dimensão depende do modelo pedido
+const MODEL_DIMENSIONS = { "modelo-antigo": 4, "modelo-novo": 8 };
+
+function parseSse(text) {
+  return text
+    .split("\n\n")
+    .filter((line) => line.startsWith("data: "))
+    .map((line) => JSON.parse(line.slice(6)));
+}
+
+describe("Migração de embeddings", () => {
+  let server;
+  let baseUrl;
+  let authToken;
+  let chatToken;
+  let failingText = null;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        const { model, input } = JSON.parse(body);
+        if (input === failingText) {
+          res.statusCode = 503;
+          return res.end("indisponível");
+        }
+        const dimension = MODEL_DIMENSIONS[model];
+        const vector = Array.from({ length: dimension }, (_, i) => (i + 1) / dimension);
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify({ data: [{ embedding: vector }] }));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const registerRes = await request(app)
+      .post("/api/auth/register")
+      .send({ name: "mestre", email: "mestre@example.com", password: "senha-segura-123" });
+    authToken = registerRes.body.token;
+
+    const createRes = await request(app)
+      .post("/api/chat/create")
+      .set("Authorization", `Bearer ${authToken}`);
+    chatToken = createRes.body.chatToken;
+
+    // Chat vazio: a troca de modelo é direta
+    await chatService.updateChatConfig(chatToken, {
+      embedding: { provider: "openai", model: "modelo-antigo", baseUrl },
+    });
+
+    for (const text of ["Aria é uma ladra", "O dragão dorme", "A torre caiu"]) {
+      await chatService.addMessage(chatToken, "fatos", text, "model", [], null);
+    }
+    await chatService.addMessage(chatToken, "historico", "Entro na taverna", "user", [], null);
+  }, 30000);
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const newEmbedding = () => ({ provider: "openai", model: "modelo-novo", baseUrl });
+
+  test("trocar o modelo de um chat com memórias exige migração", async () => {
+    const res = await request(app)
+      .put(`/api/chat/${chatToken}/config`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ embedding: newEmbedding() });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe("EMBEDDING_MIGRATION_REQUIRED");
+  });
+
+  test("falha no meio deixa a migração pendente e bloqueia escritas", async () => {
+    failingText = "A torre caiu";
+
+    const res = await request(app)
+      .post(`/api/chat/${chatToken}/embeddings/migration`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ embedding: newEmbedding() });
+
+    const events = parseSse(res.text);
+    expect(events.at(-1).type).toBe("error");
+
+    const statusRes = await request(app)
+      .get(`/api/chat/${chatToken}/embeddings/migration`)
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(statusRes.body.migration).toMatchObject({ status: "failed", running: false });
+    expect(statusRes.body.migration.target).toMatchObject({ model: "modelo-novo", dimension: 8 });
+
+    const insertRes = await request(app)
+      .post(`/api/chat/insert/${chatToken}/fatos`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ text: "Nova memória" });
+    expect(insertRes.status).toBe(409);
+    expect(insertRes.body.code).toBe("EMBEDDING_MIGRATION_IN_PROGRESS");
+
+    // Testes de perícia também vão para o histórico
+    const checkRes = await request(app)
+      .post(`/api/chat/${chatToken}/characters/Aria/check`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ skill: "Furtividade", dc: 12 });
+    expect(checkRes.status).toBe(409);
+    expect(checkRes.body.code).toBe("EMBEDDING_MIGRATION_IN_PROGRESS");
+
+    // O chat continua no modelo antigo até a troca
+    const metadata = await chatStorage.getChatMetadata(chatToken);
+    expect(metadata.config.embedding.model).toBe("modelo-antigo");
+  }, 30000);
+
+  test("retomar conclui a migração e troca as tabelas", async () => {
+    failingText = null;
+
+    const res = await request(app)
+      .post(`/api/chat/${chatToken}/embeddings/migration`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({});
+
+    const events = parseSse(res.text);
+    const complete = events.find((event) => event.type === "complete");
+    expect(complete.stats).toMatchObject({ total: 4, dimension: 8 });
+    expect(events.filter((event) => event.type === "progress").at(-1)).toMatchObject({ current: 4, total: 4 });
+
+    const metadata = await chatStorage.getChatMetadata(chatToken);
+    expect(metadata.embeddingMigration).toBeUndefined();
+    expect(metadata.config.embedding).toMatchObject({ model: "modelo-novo", dimension: 8 });
+
+    const fatos = await lanceDBService.getAllRecordsFromCollection(chatToken, "fatos");
+    expect(fatos.map((record) => record.text)).toEqual(["Aria é uma ladra", "O dragão dorme", "A torre caiu"]);
+    expect(fatos.every((record) => record.vector.length === 8)).toBe(true);
+
+    // Novas memórias já usam o novo modelo
+    const insertRes = await request(app)
+      .post(`/api/chat/insert/${chatToken}/fatos`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ text: "Nova memória" });
+    expect(insertRes.status).toBe(201);
+
+    const results = await chatService.searchMessages(chatToken, "fatos", "dragão", 5);
+    expect(results.length).toBeGreaterThan(0);
+  }, 30000);
+
+  test("retomar sem migração pendente retorna 404", async () => {
+    const res = await request(app)
+      .post(`/api/chat/${chatToken}/embeddings/migration`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({});
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe("EMBEDDING_MIGRATION_NOT_FOUND");
+  });
+});
@@ -0,0 +1,100 @@
+// src/errors.test.js
+// Modelo de erros: toda resposta de erro sai como { error, code, details? }, com o status da classe
+// e Retry-After quando o erro diz quando tentar de novo.
+const express = require("express");
+const request = require("supertest");
+const errorHandler = require("./api/middlewares/errorHandler");
+const { QuotaExhaustedError, ValidationError, toAppError } = require("./utils/errors");
+const { useTempCwd, useFakeLlmChat } = require("./testUtils/fakeLlm");
+
+// Antes de qualquer require dos serviços
+useTempCwd("rpg-errors-");
+
+const chatService = require("./services/chat.service");
+
+/**
+ * App mínimo que lança o erro recebido numa rota.
+ * @param {Error} error
+ */
+function failingApp(error) {
+  const app = express();
+  app.use(express.json());
+  app.get("/fail", () => {
+    throw error;
+  });
+  app.post("/echo", (req, res) => res.json(req.body));
+  app.use(errorHandler);
+  return app;
+}
+
+describe("Erros da API", () => {
+  test("erro tipado sai com status, código e detalhes", async () => {
+    const error = new ValidationError("Campo inválido.", "FIELD_INVALID", { details: { field: "name" } });
+    const res = await request(failingApp(error)).get("/fail");
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: "Campo inválido.", code: "FIELD_INVALID", details: { field: "name" } });
+  });
+
+  test("cota esgotada devolve 429 com Retry-After até retryAt", async () => {
+    const retryAt = Date.now() + 90 * 1000;
+    const error = new QuotaExhaustedError("Chaves em espera.", "GOOGLE_KEYS_EXHAUSTED", {
+      details: { provider: "google", keyCount: 2, retryAt },
+    });
+    const res = await request(failingApp(error)).get("/fail");
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe("GOOGLE_KEYS_EXHAUSTED");
+    expect(res.body.details).toMatchObject({ keyCount: 2, retryAt });
+    expect(Number(res.headers["retry-after"])).toBeGreaterThanOrEqual(89);
+  });
+
+  test("erro inesperado vira INTERNAL_ERROR sem vazar a causa no corpo", async () => {
+    const res = await request(failingApp(new Error("conexão recusada"))).get("/fail");
+
+    expect(res.status).toBe(500);
+    expect(res.body).toMatchObject({ error: "Erro interno do servidor.", code: "INTERNAL_ERROR" });
+    expect(toAppError(new Error("segredo"), { exposeInternal: false }).toJSON()).toEqual({
+      error: "Erro interno do servidor.",
+      code: "INTERNAL_ERROR",
+    });
+  });
+
+  test("JSON malformado vira INVALID_JSON", async () => {
+    const res = await request(failingApp(new Error()))
+      .post("/echo")
+      .set("Content-Type", "application/json")
+      .send("{ quebrado");
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("INVALID_JSON");
+  });
+});
+
+describe("Erros de configuração na geração", () => {
+  const chat = useFakeLlmChat({ narration: "Nada acontece." });
+  const { api } = chat;
+  const generate = () => api("post", `/api/chat/generate/${chat.chatToken}`).send({ message: "Olho em volta" });
+
+  test("sem a API Key do provider: 400 com PROVIDER_KEY_MISSING", async () => {
+    await chatService.updateChatConfig(chat.chatToken, { provider: "openrouter", openrouterApiKey: "" });
+
+    const res = await generate();
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: "PROVIDER_KEY_MISSING", details: { provider: "openrouter" } });
+    expect(res.body.error).toMatch(/OpenRouter/);
+  });
+
+  test("vLLM sem Base URL e arquivo de memórias de versão desconhecida", async () => {
+    await chatService.updateChatConfig(chat.chatToken, { provider: "vllm", vllmBaseUrl: "" });
+
+    const res = await generate();
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: "PROVIDER_BASE_URL_MISSING", details: { provider: "vllm" } });
+
+    await expect(chatService.importMemories(chat.chatToken, { version: "9.9" }, ["fatos"])).rejects.toMatchObject({
+      statusCode: 400,
+      code: "IMPORT_VERSION_UNSUPPORTED",
+    });
+  });
+});
@@ -0,0 +1,73 @@
+// src/frequencyBias.test.js
+// Frequência de acesso: memórias que entram no prompt são marcadas e as mais usadas sobem no ranking.
+const { useTempCwd, useFakeLlmChat } = require("./testUtils/fakeLlm");
+
+// Antes de qualquer require dos serviços
+useTempCwd("rpg-frequency-");
+
+const chatService = require("./services/chat.service");
+const lanceDBService = require("./services/lancedb.service");
+
+describe("Frequency bias", () => {
+  const byDistance = (memories) => [...memories].sort((a, b) => a._distance - b._distance).map((m) => m.messageid);
+
+  test("a memória mais acessada passa à frente de uma um pouco mais próxima", () => {
+    const memories = [
+      { messageid: "proxima", _distance: 0.3, accessCount: 0 },
+      { messageid: "usada", _distance: 0.32, accessCount: 10 },
+    ];
+    expect(byDistance(memories)).toEqual(["proxima", "usada"]);
+
+    const biased = lanceDBService.applyFrequencyBias(memories);
+    expect(byDistance(biased)).toEqual(["usada", "proxima"]);
+
+    const [proxima, usada] = biased;
+    expect(proxima._distance).toBe(0.3);
+    expect(usada._frequencyBoost).toBeCloseTo(Math.log(11) * 0.05);
+    expect(usada._originalDistance).toBe(0.32);
+  });
+
+  test("o boost tem teto de 30%", () => {
+    const [memory] = lanceDBService.applyFrequencyBias([{ messageid: "antiga", _distance: 1, accessCount: 1e6 }]);
+    expect(memory._frequencyBoost).toBe(0.3);
+    expect(memory._distance).toBeCloseTo(0.7);
+  });
+});
+
+describe("Marcação de acesso na geração", () => {
+  const chat = useFakeLlmChat({ narration: "O ferreiro acena da forja." });
+  const { api } = chat;
+
+  afterAll(() => jest.restoreAllMocks());
+
+  // A marcação roda em segundo plano: espera a chamada disparada pela geração terminar
+  const generateAndMark = async (marked, message) => {
+    marked.mockClear();
+    await api("post", `/api/chat/generate/${chat.chatToken}`).send({ message }).expect(200);
+    expect(marked).toHaveBeenCalledTimes(1);
+    await marked.mock.results[0].value;
+    const [, ids, messageCount] = marked.mock.calls[0];
+    return { ids, messageCount };
+  };
+
+  const findFact = async (messageid) =>
+    (await lanceDBService.getAllRecordsFromCollection(chat.chatToken, "fatos")).find((r) => r.messageid === messageid);
+
+  test("atualiza accessCount e lastMessageAccessed das memórias usadas no prompt", async () => {
+    const { messageid } = await chatService.addMessage(chat.chatToken, "fatos", "Bram é o ferreiro da vila.", "model");
+    // Fatos novos ainda não têm acesso registrado
+    expect((await findFact(messageid)).accessCount || 0).toBe(0);
+
+    const marked = jest.spyOn(lanceDBService, "markMemoriesAccessed");
+
+    const first = await generateAndMark(marked, "Procuro o ferreiro");
+    expect(first.ids).toContain(messageid);
+    expect(await findFact(messageid)).toMatchObject({ accessCount: 1, lastMessageAccessed: first.messageCount });
+
+    // A próxima geração soma mais um acesso e avança o relógio lógico (jogador + narração)
+    const second = await generateAndMark(marked, "Peço uma espada ao ferreiro");
+    expect(second.ids).toContain(messageid);
+    expect(second.messageCount).toBe(first.messageCount + 2);
+    expect(await findFact(messageid)).toMatchObject({ accessCount: 2, lastMessageAccessed: second.messageCount });
+  }, 30000);
+});
@@ -0,0 +1,142 @@
+// src/gameClock.test.js
+// Testes do relógio do jogo: leitura do carimbo, rotas do relógio, a tool set_game_clock e a marcação dos fatos.
+const { useTempCwd, useFakeLlmChat } = require("./testUtils/fakeLlm");
+
+// Antes de qualquer require dos serviços
+useTempCwd("rpg-clock-");
+
+const chatService = require("./services/chat.service");
+const lanceDBService = require("./services/lancedb.service");
+const { parseStamp, formatStamp, applyClockChanges, injectGameClock } = require("./services/gameClock.service");
+
+describe("Carimbo de tempo", () => {
+  test("lê o carimbo da narração", () => {
+    expect(parseStamp("[Dia 3, Ano 1042, 14:30] - [Taverna do Javali]\nVocê entra.")).toEqual({
+      day: "Dia 3",
+      year: "Ano 1042",
+      hour: 14,
+      minute: 30,
+      location: "Taverna do Javali",
+    });
+    // Dia com vírgula, negrito e travessão
+    expect(parseStamp("**[Dia 3, Primavera, Ano 1042, 8:05]** — **[Estrada Norte]**")).toMatchObject({
+      day: "Dia 3, Primavera",
+      year: "Ano 1042",
+      hour: 8,
+      minute: 5,
+      location: "Estrada Norte",
+    });
+    expect(parseStamp("[Dia 3, Ano 1042, 25:00] - [Taverna]")).toBeNull();
+    expect(parseStamp("Você entra na taverna.")).toBeNull();
+  });
+
+  test("correções e avanço do relógio", () => {
+    const clock = { day: "Dia 3", year: "Ano 1042", hour: 22, minute: 0, location: "Taverna" };
+    expect(formatStamp(clock)).toBe("[Dia 3, Ano 1042, 22:00] - [Taverna]");
+    expect(applyClockChanges(clock, { advanceMinutes: 8 * 60 })).toMatchObject({ day: "Dia 4", hour: 6, minute: 0 });
+    expect(applyClockChanges(clock, { time: "7:15", location: "Estrada" })).toMatchObject({
+      hour: 7,
+      minute: 15,
+      location: "Estrada",
+    });
+    expect(() => applyClockChanges(clock, { time: "24:00" })).toThrow(/Hora inválida/);
+    expect(() => applyClockChanges(null, { location: "Estrada" })).toThrow(/ainda não foi definido/);
+  });
+
+  test("vai para o system prompt", () => {
+    const clock = { day: "Dia 3", year: "Ano 1042", hour: 9, minute: 0, location: "Porto" };
+    expect(injectGameClock("Relógio: {game_clock}", clock)).toBe("Relógio: [Dia 3, Ano 1042, 09:00] - [Porto]");
+    expect(injectGameClock("Relógio: {game_clock}", null)).toMatch(/Ainda não definido/);
+    // Prompts personalizados sem o placeholder recebem o bloco no final
+    expect(injectGameClock("Prompt antigo", clock)).toContain("<game_clock>");
+    expect(injectGameClock("Prompt antigo", null)).toBe("Prompt antigo");
+  });
+});
+
+describe("Relógio do chat", () => {
+  const chat = useFakeLlmChat({ narration: "" });
+  const { api } = chat;
+
+  const generate = (message) => api("post", `/api/chat/generate/${chat.chatToken}`).send({ message });
+
+  test("o carimbo de cada narração vira o relógio oficial", async () => {
+    const { body: empty } = await api("get", `/api/chat/${chat.chatToken}/clock`).expect(200);
+    expect(empty.clock).toBeNull();
+
+    chat.llm.narration = "[Dia 1, Ano 1042, 18:00] - [Portão da Cidade]\nOs guardas fecham o portão.";
+    await generate("Chego à cidade").expect(200);
+
+    const { body } = await api("get", `/api/chat/${chat.chatToken}/clock`).expect(200);
+    expect(body.clock).toMatchObject({ day: "Dia 1", year: "Ano 1042", hour: 18, minute: 0, source: "model" });
+
+    // O relógio entra no system prompt da próxima geração; sem carimbo, nada muda
+    chat.llm.chatRequests = [];
+    chat.llm.narration = "Você procura uma estalagem.";
+    await generate("Procuro onde dormir").expect(200);
+    expect(chat.llm.chatRequests[0].messages[0].content).toContain("[Dia 1, Ano 1042, 18:00] - [Portão da Cidade]");
+    const { body: unchanged } = await api("get", `/api/chat/${chat.chatToken}/clock`).expect(200);
+    expect(unchanged.clock.location).toBe("Portão da Cidade");
+  }, 30000);
+
+  test("o jogador corrige o relógio pela rota", async () => {
+    const res = await api("put", `/api/chat/${chat.chatToken}/clock`).send({ time: "20:45", location: "Estalagem" });
+    expect(res.status).toBe(200);
+    expect(res.body.clock).toMatchObject({ day: "Dia 1", hour: 20, minute: 45, location: "Estalagem", source: "user" });
+
+    const invalid = await api("put", `/api/chat/${chat.chatToken}/clock`).send({ time: "meia-noite" });
+    expect(invalid.status).toBe(400);
+  });
+
+  test("set_game_clock vale sobre o carimbo e os fatos levam o momento do jogo", async () => {
+    chat.llm.chatRequests = [];
+    chat.llm.toolCalls = [
+      ["set_game_clock", { advance_minutes: 8 * 60, location: "Quarto da Estalagem" }],
+      ["insert_fact", { text: "O estalajadeiro cobrou 2 moedas de prata." }],
+    ];
+    chat.llm.narration = "[Dia 1, Ano 1042, 21:00] - [Estalagem]\nVocê acorda.";
+
+    const res = await generate("Durmo até de manhã");
+    expect(res.status).toBe(200);
+
+    const toolMessages = chat.llm.chatRequests[1].messages.filter((m) => m.role === "tool").map((m) => JSON.parse(m.content));
+    expect(toolMessages[0]).toEqual({ status: "success", clock: "[Dia 2, Ano 1042, 04:45] - [Quarto da Estalagem]" });
+
+    const { body } = await api("get", `/api/chat/${chat.chatToken}/clock`).expect(200);
+    expect(body.clock).toMatchObject({ day: "Dia 2", hour: 4, minute: 45, source: "tool" });
+
+    // O momento fica em campos próprios; o texto do fato não muda
+    const inn = { gameTime: "Dia 2, Ano 1042, 04:45", gameLocation: "Quarto da Estalagem" };
+    expect(res.body.newVectorMemory.find((m) => m.category === "fatos")).toMatchObject({
+      text: "O estalajadeiro cobrou 2 moedas de prata.",
+      ...inn,
+    });
+
+    // Fatos inseridos à mão também
+    chat.llm.toolCalls = [];
+    await api("post", `/api/chat/insert/${chat.chatToken}/fatos`).send({ text: "A estrada norte está bloqueada." }).expect(201);
+    const facts = await lanceDBService.getAllRecordsFromCollection(chat.chatToken, "fatos");
+    expect(facts.find((fact) => fact.text === "A estrada norte está bloqueada.")).toMatchObject(inn);
+    expect(facts.find((fact) => fact.text === "O estalajadeiro cobrou 2 moedas de prata.")).toMatchObject(inn);
+  }, 30000);
+
+  test("o momento dos fatos vai para o contexto e sobrevive à exportação", async () => {
+    const road = "A estrada norte está bloqueada.";
+    const inn = { gameTime: "Dia 2, Ano 1042, 04:45", gameLocation: "Quarto da Estalagem" };
+
+    chat.llm.chatRequests = [];
+    await generate("O que sei da estrada?").expect(200);
+    const prompts = chat.llm.chatRequests.map((request) => JSON.stringify(request.messages));
+    expect(prompts.some((prompt) => prompt.includes(`${road} (Dia 2, Ano 1042, 04:45 - Quarto da Estalagem)`))).toBe(true);
+
+    const exported = await chatService.exportMemories(chat.chatToken, ["fatos"]);
+    expect(exported.collections.fatos.find((fact) => fact.text === road)).toMatchObject(inn);
+
+    // Com o relógio adiantado, os fatos importados mantêm o momento original
+    await api("put", `/api/chat/${chat.chatToken}/clock`).send({ time: "12:00", location: "Estrada Norte" }).expect(200);
+    await chatService.importMemories(chat.chatToken, exported, ["fatos"]);
+    const facts = await lanceDBService.getAllRecordsFromCollection(chat.chatToken, "fatos");
+    const copies = facts.filter((fact) => fact.text === road);
+    expect(copies).toHaveLength(2);
+    copies.forEach((fact) => expect(fact).toMatchObject(inn));
+  }, 30000);
+});
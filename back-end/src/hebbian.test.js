@@ -0,0 +1,35 @@
+// src/hebbian.test.js
+// Decay sináptico: roda a cada `decayInterval` mensagens e o ponto do último decay sobrevive entre gerações.
+const { useTempCwd, useFakeLlmChat } = require("./testUtils/fakeLlm");
+
+// Antes de qualquer require dos serviços
+useTempCwd("rpg-hebbian-");
+
+const chatService = require("./services/chat.service");
+const chatStorage = require("./services/chatStorage.service");
+const lanceDBService = require("./services/lancedb.service");
+
+describe("Decay sináptico", () => {
+  const chat = useFakeLlmChat({ narration: "A chuva apaga a fogueira." });
+  const { api } = chat;
+
+  afterAll(() => jest.restoreAllMocks());
+
+  test("não aplica o decay duas vezes no mesmo intervalo", async () => {
+    // Aqui só importa quando o decay é disparado, não o que ele faz nas tabelas
+    jest.spyOn(lanceDBService, "updateHebbianAssociations").mockResolvedValue();
+    const decay = jest.spyOn(lanceDBService, "applySynapticDecay").mockResolvedValue();
+
+    await chatService.updateChatConfig(chat.chatToken, { hebbian: { decayInterval: 3 } });
+
+    // Cada geração soma a mensagem do jogador e a narração: o relógio lógico passa por 1, 3 e 5
+    for (const message of ["Acendo uma fogueira", "Espero a chuva passar", "Volto a dormir"]) {
+      await api("post", `/api/chat/generate/${chat.chatToken}`).send({ message }).expect(200);
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+
+    expect(decay).toHaveBeenCalledTimes(1);
+    expect(decay).toHaveBeenCalledWith(chat.chatToken, 3, expect.any(Number), 0);
+    expect((await chatStorage.getChatMetadata(chat.chatToken)).lastSynapticDecayAt).toBe(3);
+  }, 30000);
+});
@@ -0,0 +1,82 @@
+// src/hybridSearch.test.js
+// Busca híbrida: índice full-text, fusão por RRF com a busca vetorial e o bônus de match lexical.
+const path = require("path");
+const { useTempCwd } = require("./testUtils/fakeLlm");
+
+// Antes de qualquer require dos serviços
+useTempCwd("rpg-hybrid-");
+
+const lancedb = require("@lancedb/lancedb");
+const config = require("./config");
+const lanceDBService = require("./services/lancedb.service");
+
+const DIMENSION = 4;
+const CHAT = "chat-hibrido";
+const QUERY_VECTOR = [1, 0, 0, 0];
+
+const record = (messageid, text, vector) => ({
+  text,
+  vector,
+  messageid,
+  role: "model",
+  createdAt: Date.now(),
+  accessCount: 0,
+  lastMessageAccessed: 0,
+});
+
+describe("Busca híbrida", () => {
+  beforeAll(async () => {
+    await lanceDBService.initializeCollections(CHAT, DIMENSION);
+    // Distâncias (L2²) até QUERY_VECTOR: vizinho 0.10, ferreiro 0.11, as demais bem mais longe
+    const records = [
+      record("vizinho", "O vento frio desce da serra ao anoitecer.", [1, Math.sqrt(0.1), 0, 0]),
+      record("ferreiro", "Bram, o ferreiro, guarda a chave da mina velha.", [1, 0, Math.sqrt(0.11), 0]),
+      record("taverna", "A taverna do Javali fecha à meia-noite.", [0, 1, 0, 0]),
+      record("porto", "Os navios do porto partem ao amanhecer.", [0, 0, 1, 0]),
+    ];
+    for (const item of records) {
+      await lanceDBService.insertRecord(CHAT, "fatos", item);
+    }
+  });
+
+  afterAll(() => lanceDBService.deleteChatTables(CHAT));
+
+  test("sem vetor da query (embeddings em cooldown) a busca é só lexical", async () => {
+    const results = await lanceDBService.hybridSearch(CHAT, "fatos", null, "Bram", 10);
+
+    expect(results.map((r) => r.messageid)).toEqual(["ferreiro"]);
+    const [hit] = results;
+    expect(hit._keywordMatch).toBe(true);
+    expect(hit._textScore).toBeGreaterThan(0);
+    // Sem distância vetorial, a distância vem do BM25
+    expect(hit._distance).toBeCloseTo(1 / (1 + hit._textScore));
+  });
+
+  test("cria o índice full-text na primeira busca", async () => {
+    const db = await lancedb.connect(path.join(process.cwd(), config.dbPath));
+    const table = await db.openTable(`${CHAT}-fatos`);
+    const indices = await table.listIndices();
+    expect(indices.some((idx) => idx.indexType === "FTS" && idx.columns.includes("text"))).toBe(true);
+  });
+
+  test("o match lexical passa à frente do vizinho só vetorial", async () => {
+    // Só pelo vetor, o vizinho vem primeiro
+    const vectorOnly = await lanceDBService.hybridSearch(CHAT, "fatos", QUERY_VECTOR, "", 10);
+    expect(vectorOnly.slice(0, 2).map((r) => r.messageid)).toEqual(["vizinho", "ferreiro"]);
+    expect(vectorOnly.every((r) => !r._keywordMatch)).toBe(true);
+
+    const results = await lanceDBService.hybridSearch(CHAT, "fatos", QUERY_VECTOR, "Bram", 10);
+    const byId = Object.fromEntries(results.map((r) => [r.messageid, r]));
+
+    // RRF: o ferreiro soma as duas listas e fica em primeiro
+    expect(results[0].messageid).toBe("ferreiro");
+    expect(byId.ferreiro._rrfScore).toBeGreaterThan(byId.vizinho._rrfScore);
+
+    // KEYWORD_BOOST reduz 15% da distância: 0.11 * 0.85 < 0.10
+    expect(byId.ferreiro._keywordMatch).toBe(true);
+    expect(byId.vizinho._keywordMatch).toBe(false);
+    expect(byId.ferreiro._distance).toBeCloseTo(0.11 * 0.85, 4);
+    expect(byId.vizinho._distance).toBeCloseTo(0.1, 4);
+    expect(byId.ferreiro._distance).toBeLessThan(byId.vizinho._distance);
+  });
+});
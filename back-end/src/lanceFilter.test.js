@@ -0,0 +1,109 @@
+// src/lanceFilter.test.js
+// Filtros do LanceDB: ids hostis (vindos da API ou das tools do modelo) não podem ampliar um
+// delete/update para outros registros.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Os serviços resolvem os diretórios de dados a partir do cwd no require
+const originalCwd = process.cwd();
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rpg-lancefilter-"));
+process.chdir(tmpDir);
+
+const lancedb = require("@lancedb/lancedb");
+const config = require("./config");
+const lanceDBService = require("./services/lancedb.service");
+const { idEquals, idIn, compareNumber, and, or, quoteString } = require("./utils/lanceFilter");
+
+const DIMENSION = 4;
+const CHAT = "chat-filtros";
+
+const record = (messageid, text) => ({
+  text,
+  vector: new Array(DIMENSION).fill(0.5),
+  messageid,
+  role: "model",
+  createdAt: Date.now(),
+  accessCount: 0,
+  lastMessageAccessed: 0,
+});
+
+const ids = async () =>
+  (await lanceDBService.getAllRecordsFromCollection(CHAT, "fatos")).map((r) => r.messageid).sort();
+
+describe("Filtros do LanceDB", () => {
+  beforeAll(async () => {
+    await lanceDBService.initializeCollections(CHAT, DIMENSION);
+    for (const messageid of ["alfa", "beta", "gama"]) {
+      await lanceDBService.insertRecord(CHAT, "fatos", record(messageid, `memória ${messageid}`));
+    }
+  });
+
+  afterAll(async () => {
+    await lanceDBService.deleteChatTables(CHAT);
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("escapa aspas e recusa ids fora do formato", () => {
+    expect(idEquals("messageid", "alfa")).toBe("`messageid` = 'alfa'");
+    expect(idIn("messageid", ["a", "b"])).toBe("`messageid` IN ('a', 'b')");
+    expect(quoteString("d'Artagnan")).toBe(`'d''Artagnan'`);
+    expect(and(or("a", "b"), compareNumber("strength", ">=", 0.3))).toBe("((a) OR (b)) AND (`strength` >= 0.3)");
+
+    expect(() => idEquals("messageid", "x' OR '1'='1")).toThrow(expect.objectContaining({ code: "INVALID_RECORD_ID" }));
+    expect(() => idIn("messageid", ["alfa", "beta') OR (1=1"])).toThrow(
+      expect.objectContaining({ code: "INVALID_RECORD_ID", statusCode: 400 })
+    );
+    expect(() => idEquals("messageid", 42)).toThrow(expect.objectContaining({ code: "INVALID_RECORD_ID" }));
+    expect(() => idEquals("messageid; DROP", "alfa")).toThrow("Coluna inválida");
+    expect(() => compareNumber("strength", ">=", NaN)).toThrow("Valor numérico inválido");
+    expect(() => compareNumber("strength", "OR 1=1 --", 1)).toThrow("Operador inválido");
+
+    // ids antigos do import de memórias terminavam com um espaço
+    expect(idEquals("messageid", "0b7c9a5e-1f2d-4c3b-9a8e-7f6d5c4b3a21 ")).toBe(
+      "`messageid` = '0b7c9a5e-1f2d-4c3b-9a8e-7f6d5c4b3a21 '"
+    );
+  });
+
+  test("id hostil não amplia o delete", async () => {
+    for (const hostile of ["x' OR '1'='1", "x' OR messageid != '", "%", "alfa' OR 1=1 --"]) {
+      await expect(lanceDBService.deleteRecordByMessageId(CHAT, hostile)).rejects.toMatchObject({
+        code: "INVALID_RECORD_ID",
+      });
+    }
+    expect(await ids()).toEqual(["alfa", "beta", "gama"]);
+
+    await lanceDBService.deleteRecordByMessageId(CHAT, "beta");
+    expect(await ids()).toEqual(["alfa", "gama"]);
+  });
+
+  test("id hostil não amplia o update nem a marcação de acesso", async () => {
+    await expect(
+      lanceDBService.updateRecordByMessageId(CHAT, "x' OR '1'='1", "sobrescrito", new Array(DIMENSION).fill(0.1))
+    ).rejects.toMatchObject({ code: "INVALID_RECORD_ID" });
+    await expect(lanceDBService.markMemoriesAccessed(CHAT, ["alfa", "x') OR ('1'='1"], 5)).rejects.toMatchObject({
+      code: "INVALID_RECORD_ID",
+    });
+
+    const records = await lanceDBService.getAllRecordsFromCollection(CHAT, "fatos");
+    expect(records.map((r) => r.text).sort()).toEqual(["memória alfa", "memória gama"]);
+    expect(records.every((r) => r.accessCount === 0)).toBe(true);
+
+    await lanceDBService.markMemoriesAccessed(CHAT, ["alfa"], 5);
+    const alfa = (await lanceDBService.getAllRecordsFromCollection(CHAT, "fatos")).find((r) => r.messageid === "alfa");
+    expect(alfa.accessCount).toBe(1);
+  });
+
+  test("associações Hebbianas são encontradas pelas colunas sourceId/targetId", async () => {
+    const memories = [{ messageid: "alfa" }, { messageid: "gama" }];
+    await lanceDBService.updateHebbianAssociations(CHAT, memories, 1);
+    await lanceDBService.updateHebbianAssociations(CHAT, [...memories].reverse(), 2);
+
+    const db = await lancedb.connect(path.join(tmpDir, config.dbPath));
+    const table = await db.openTable(`${CHAT}-hebbian`);
+    const associations = await table.query().toArray();
+    expect(associations).toHaveLength(1);
+    expect(associations[0].coOccurrences).toBe(2);
+  });
+});
@@ -0,0 +1,140 @@
+// src/providerKeys.test.js
+// API Keys dos providers: cifradas nos metadados, mascaradas na API e migração dos arquivos antigos.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Os serviços resolvem os diretórios de dados a partir do cwd no require
+const originalCwd = process.cwd();
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rpg-provider-keys-"));
+process.chdir(tmpDir);
+
+const request = require("supertest");
+const app = require("./app");
+const config = require("./config");
+const chatService = require("./services/chat.service");
+const chatStorage = require("./services/chatStorage.service");
+const providerKeys = require("./utils/providerKeys");
+const storage = require("./services/storage");
+
+const GOOGLE_KEY = "AIzaSyA-chave-do-google-0001";
+const SECOND_GOOGLE_KEY = "AIzaSyB-chave-do-google-0002";
+const OPENROUTER_KEY = "sk-or-v1-chave-do-openrouter-1234";
+const EMBEDDING_KEY = "sk-chave-de-embeddings-5678";
+
+// Registro como está gravado no storage (sem decifrar)
+const readStoredMetadata = async (chatToken) => JSON.stringify(await storage.getChat(chatToken));
+
+describe("API Keys dos providers", () => {
+  let authToken;
+  let chatToken;
+
+  beforeAll(async () => {
+    const registerRes = await request(app)
+      .post("/api/auth/register")
+      .send({ name: "mestre", email: "mestre@example.com", password: "senha-segura-123" });
+    authToken = registerRes.body.token;
+
+    const createRes = await request(app)
+      .post("/api/chat/create")
+      .set("Authorization", `Bearer ${authToken}`);
+    chatToken = createRes.body.chatToken;
+  });
+
+  afterAll(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const api = (method, url) => request(app)[method](url).set("Authorization", `Bearer ${authToken}`);
+
+  test("cifra as keys no disco e devolve apenas as máscaras", async () => {
+    const res = await api("put", `/api/chat/${chatToken}/config`).send({
+      googleApiKeys: [GOOGLE_KEY],
+      openrouterApiKey: OPENROUTER_KEY,
+      embedding: { provider: "openai", model: "embeddings", baseUrl: "http://127.0.0.1:1", dimension: 4, apiKey: EMBEDDING_KEY },
+    });
+    expect(res.status).toBe(200);
+    expect(JSON.stringify(res.body)).not.toContain(GOOGLE_KEY);
+    expect(res.body.config.googleApiKeys).toEqual([providerKeys.maskSecret(GOOGLE_KEY)]);
+    expect(res.body.config.openrouterApiKey).toBe("sk-o••••1234");
+
+    const raw = await readStoredMetadata(chatToken);
+    for (const key of [GOOGLE_KEY, OPENROUTER_KEY, EMBEDDING_KEY]) {
+      expect(raw).not.toContain(key);
+    }
+    expect(JSON.parse(raw).config.openrouterApiKey).toMatch(/^enc:v1:/);
+
+    const details = await api("get", `/api/chat/${chatToken}`);
+    expect(details.body.config.embedding.apiKey).toBe("sk-c••••5678");
+
+    const list = await api("get", "/api/chat/list");
+    expect(JSON.stringify(list.body)).not.toContain(OPENROUTER_KEY);
+
+    // Os serviços continuam recebendo as keys em texto puro
+    const metadata = await chatService.getChatDetails(chatToken);
+    expect(metadata.config.googleApiKeys).toEqual([GOOGLE_KEY]);
+    expect(metadata.config.embedding.apiKey).toBe(EMBEDDING_KEY);
+  });
+
+  test("máscara devolvida mantém a key; texto novo adiciona e vazio remove", async () => {
+    const { body } = await api("get", `/api/chat/${chatToken}`);
+
+    const res = await api("put", `/api/chat/${chatToken}/config`).send({
+      ...body.config,
+      googleApiKeys: [...body.config.googleApiKeys, SECOND_GOOGLE_KEY, "AIza••••nada"],
+      openrouterApiKey: "",
+    });
+    expect(res.status).toBe(200);
+
+    const metadata = await chatService.getChatDetails(chatToken);
+    expect(metadata.config.googleApiKeys).toEqual([GOOGLE_KEY, SECOND_GOOGLE_KEY]);
+    expect(metadata.config.openrouterApiKey).toBe("");
+    expect(metadata.config.embedding.apiKey).toBe(EMBEDDING_KEY);
+  });
+
+  test("migra os metadados antigos com keys em texto puro", async () => {
+    const legacyToken = "chat-legado";
+    await storage.saveChat(legacyToken, {
+      id: legacyToken,
+      title: "Chat antigo",
+      config: { googleApiKeys: [GOOGLE_KEY], cerebrasApiKey: "csk-chave-do-cerebras-9999", apiKey: GOOGLE_KEY },
+    });
+
+    const migrated = await chatStorage.encryptLegacyKeys();
+    expect(migrated).toBe(1);
+    expect(await readStoredMetadata(legacyToken)).not.toContain(GOOGLE_KEY);
+
+    const metadata = await chatStorage.getChatMetadata(legacyToken);
+    expect(metadata.config.cerebrasApiKey).toBe("csk-chave-do-cerebras-9999");
+    expect(metadata.config.apiKey).toBe(GOOGLE_KEY);
+
+    // Segunda execução não tem nada a fazer
+    expect(await chatStorage.encryptLegacyKeys()).toBe(0);
+  });
+
+  test("key adulterada no disco não é decifrada", () => {
+    const encrypted = providerKeys.encryptSecret(OPENROUTER_KEY);
+    const tampered = `${encrypted.slice(0, -4)}AAAA`;
+
+    expect(providerKeys.decryptSecret(encrypted)).toBe(OPENROUTER_KEY);
+    expect(providerKeys.decryptSecret(tampered)).toBe("");
+  });
+
+  test("segredo padrão só é aceito em desenvolvimento", () => {
+    const originalEnv = config.env;
+    try {
+      config.env = "development";
+      expect(config.isInsecureKeyEncryptionSecret()).toBe(false);
+      // NODE_ENV ausente não conta como desenvolvimento para os segredos
+      for (const env of ["production", undefined]) {
+        config.env = env;
+        expect(config.isInsecureKeyEncryptionSecret()).toBe(
+          config.keyEncryptionSecret === "default_key_encryption_secret_change_me"
+        );
+      }
+    } finally {
+      config.env = originalEnv;
+    }
+  });
+});
@@ -0,0 +1,118 @@
+// src/quests.test.js
+// Testes do diário de missões: rotas, tools open_quest/update_quest e prioridade dos fios em aberto na busca.
+const { useTempCwd, useFakeLlmChat } = require("./testUtils/fakeLlm");
+
+// Antes de qualquer require dos serviços
+useTempCwd("rpg-quests-");
+
+const { injectQuestLog, retrievalQuery, unresolvedSourceIds } = require("./services/quest.service");
+
+describe("Fios em aberto", () => {
+  const quests = [
+    { title: "Ladrão do templo", description: "Achar quem roubou o cálice.", status: "resolved", npcs: [], locations: [], sourceMessageIds: ["a"], updates: [], updatedAt: 3 },
+    { title: "Filha do ferreiro", description: "Resgatar Lia dos bandidos.", status: "advanced", npcs: ["Bram"], locations: ["Mina velha"], sourceMessageIds: ["b", "c"], updates: [{ status: "advanced", note: "Pista na mina." }], updatedAt: 2 },
+    { title: "Dívida com o barão", description: "", status: "open", npcs: [], locations: [], sourceMessageIds: ["d"], updates: [], updatedAt: 1 },
+  ];
+
+  test("só os fios não resolvidos vão para o prompt e para a busca", () => {
+    const prompt = injectQuestLog("Diário:\n{quest_log}", quests);
+    expect(prompt).toContain("- Filha do ferreiro (em andamento) | Resgatar Lia dos bandidos. | NPCs: Bram | Locais: Mina velha | Último avanço: Pista na mina.");
+    expect(prompt).toContain("- Dívida com o barão (em aberto)");
+    expect(prompt).not.toContain("Ladrão do templo");
+    expect(injectQuestLog("Diário:\n{quest_log}", [])).toBe("Diário:\nNenhum fio em aberto.");
+    // Prompts personalizados sem o placeholder recebem o bloco no final
+    expect(injectQuestLog("Prompt antigo", quests)).toContain("<quest_log>");
+    expect(injectQuestLog("Prompt antigo", [])).toBe("Prompt antigo");
+
+    expect(retrievalQuery(quests)).toBe("Filha do ferreiro: Resgatar Lia dos bandidos.\nDívida com o barão");
+    expect([...unresolvedSourceIds(quests)]).toEqual(["b", "c", "d"]);
+  });
+});
+
+describe("Diário de missões", () => {
+  const chat = useFakeLlmChat({ narration: "O ferreiro agradece e aponta a estrada da mina." });
+  const { api } = chat;
+
+  const questsUrl = () => `/api/chat/${chat.chatToken}/quests`;
+
+  test("abre, atualiza, lista e remove fios pela rota", async () => {
+    const created = await api("post", questsUrl()).send({ title: "Ladrão do templo", npcs: ["Sacerdotisa"] });
+    expect(created.status).toBe(201);
+    expect(created.body.quest).toMatchObject({ title: "Ladrão do templo", status: "open", npcs: ["Sacerdotisa"], updates: [] });
+
+    const duplicate = await api("post", questsUrl()).send({ title: "ladrão do templo" });
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.code).toBe("QUEST_EXISTS");
+
+    const resolved = await api("put", `${questsUrl()}/${created.body.quest.id}`).send({
+      status: "resolved",
+      note: "O cálice voltou ao altar.",
+      locations: ["Templo"],
+    });
+    expect(resolved.status).toBe(200);
+    expect(resolved.body.quest).toMatchObject({ status: "resolved", locations: ["Templo"] });
+    expect(resolved.body.quest.updates).toEqual([
+      expect.objectContaining({ status: "resolved", note: "O cálice voltou ao altar." }),
+    ]);
+
+    // Fios em aberto vêm primeiro
+    await api("post", questsUrl()).send({ title: "Dívida com o barão" }).expect(201);
+    const { body } = await api("get", questsUrl()).expect(200);
+    expect(body.quests.map((quest) => quest.title)).toEqual(["Dívida com o barão", "Ladrão do templo"]);
+
+    const invalid = await api("put", `${questsUrl()}/Dívida com o barão`).send({ status: "esquecida" });
+    expect(invalid.status).toBe(400);
+    const missing = await api("put", `${questsUrl()}/Ninguém`).send({ status: "failed" });
+    expect(missing.status).toBe(404);
+    expect(missing.body.code).toBe("QUEST_NOT_FOUND");
+
+    await api("delete", `${questsUrl()}/Dívida com o barão`).expect(200);
+    const { body: after } = await api("get", questsUrl()).expect(200);
+    expect(after.quests).toHaveLength(1);
+  });
+
+  test("o mestre abre e atualiza fios pelas tools", async () => {
+    chat.llm.toolCalls = [["open_quest", { title: "Filha do ferreiro", description: "Resgatar Lia.", npcs: ["Bram"] }]];
+    const res = await api("post", `/api/chat/generate/${chat.chatToken}`).send({ message: "Aceito ajudar o ferreiro" });
+    expect(res.status).toBe(200);
+
+    // A mensagem do jogador e a narração viram origem do fio
+    const { body } = await api("get", questsUrl()).expect(200);
+    const quest = body.quests.find((q) => q.title === "Filha do ferreiro");
+    expect(quest).toMatchObject({ status: "open", npcs: ["Bram"] });
+    const turn = res.body.history.slice(-2).map((message) => message.messageid);
+    expect(quest.sourceMessageIds).toEqual(turn);
+
+    // Fios em aberto entram no system prompt e na busca de memórias
+    chat.llm.chatRequests = [];
+    chat.llm.embeddingInputs = [];
+    chat.llm.toolCalls = [["update_quest", { title: "filha do ferreiro", status: "advanced", note: "Pista na mina.", locations: ["Mina velha"] }]];
+    await api("post", `/api/chat/generate/${chat.chatToken}`).send({ message: "Sigo para a mina" }).expect(200);
+
+    const systemPrompt = chat.llm.chatRequests[0].messages[0].content;
+    expect(systemPrompt).toContain("- Filha do ferreiro (em aberto) | Resgatar Lia. | NPCs: Bram");
+    expect(systemPrompt).not.toContain("Ladrão do templo");
+    expect(chat.llm.embeddingInputs).toContain("Filha do ferreiro: Resgatar Lia.");
+
+    const { body: updated } = await api("get", questsUrl()).expect(200);
+    expect(updated.quests[0]).toMatchObject({ title: "Filha do ferreiro", status: "advanced", locations: ["Mina velha"] });
+    expect(updated.quests[0].sourceMessageIds).toHaveLength(4);
+
+    // Memórias ligadas a um fio em aberto ganham prioridade na busca
+    const { body: fact } = await api("post", `/api/chat/insert/${chat.chatToken}/fatos`)
+      .send({ text: "Bandidos usam a mina velha como esconderijo." })
+      .expect(201);
+    await api("put", `${questsUrl()}/Filha do ferreiro`).send({ addSources: [fact.messageid] }).expect(200);
+    const { body: next } = await api("post", `/api/chat/generate/${chat.chatToken}`).send({ message: "Entro na mina" }).expect(200);
+    const linked = next.newVectorMemory.find((memory) => memory.messageid === fact.messageid);
+    expect(linked.debug).toMatchObject({ queryType: "quest", questBoost: 0.3 });
+
+    // Erros voltam para o modelo
+    chat.llm.chatRequests = [];
+    chat.llm.toolCalls = [["update_quest", { title: "Missão inexistente", status: "resolved" }]];
+    await api("post", `/api/chat/generate/${chat.chatToken}`).send({ message: "E agora?" }).expect(200);
+    const toolMessage = chat.llm.chatRequests[1].messages.find((m) => m.role === "tool");
+    expect(JSON.parse(toolMessage.content).error).toMatch(/Missão inexistente/);
+    chat.llm.toolCalls = [];
+  }, 30000);
+});
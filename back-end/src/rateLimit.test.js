@@ -0,0 +1,151 @@
+// src/rateLimit.test.js
+// Rate limit: bloqueio de força bruta no login (por email e por IP), limite por usuário com
+// cabeçalhos RateLimit-*/Retry-After e os três stores (memória, arquivos e SQLite).
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Os serviços resolvem os diretórios de dados a partir do cwd no require
+const originalCwd = process.cwd();
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rpg-ratelimit-"));
+process.chdir(tmpDir);
+
+// Como atrás de um proxy reverso local: o X-Forwarded-For simula clientes de IPs diferentes
+process.env.TRUST_PROXY = "loopback";
+
+const express = require("express");
+const request = require("supertest");
+const app = require("./app");
+const rateLimit = require("./api/middlewares/rateLimit.middleware");
+const errorHandler = require("./api/middlewares/errorHandler");
+const { createRateLimitStore } = require("./services/rateLimit");
+
+const PASSWORD = "senha-segura-123";
+
+/**
+ * App mínimo com um usuário fixo por requisição (cabeçalho X-User) e uma política de teste.
+ * @param {object} store
+ * @param {object} policy
+ */
+function limitedApp(store, policy) {
+  const limited = express();
+  limited.use((req, res, next) => {
+    req.user = { id: req.headers["x-user"] };
+    next();
+  });
+  limited.post("/generate", rateLimit("generate", { store, policy }), (req, res) => res.json({ ok: true }));
+  limited.use(errorHandler);
+  return limited;
+}
+
+describe("Rate limit", () => {
+  afterAll(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const register = (email) =>
+    request(app).post("/api/auth/register").send({ name: "Aria", email, password: PASSWORD }).expect(201);
+
+  const login = (email, password, ip = "10.0.0.1") =>
+    request(app).post("/api/auth/login").set("X-Forwarded-For", ip).send({ email, password });
+
+  test("cinco senhas erradas bloqueiam a conta, inclusive para a senha certa", async () => {
+    await register("bruta@example.com");
+
+    for (let i = 1; i <= 5; i++) {
+      const res = await login("bruta@example.com", "errada");
+      expect(res.status).toBe(401);
+      expect(res.body.details.remainingAttempts).toBe(5 - i);
+      expect(res.headers["ratelimit-limit"]).toBe("5");
+    }
+
+    const blocked = await login("Bruta@Example.com", PASSWORD, "10.0.0.2");
+    expect(blocked.status).toBe(429);
+    expect(blocked.body.code).toBe("RATE_LIMITED");
+    expect(blocked.body.error).toMatch(/15 minuto\(s\)/);
+    expect(Number(blocked.headers["retry-after"])).toBeGreaterThan(14 * 60);
+    expect(blocked.headers["ratelimit-remaining"]).toBe("0");
+  });
+
+  test("login certo zera as tentativas da conta, mas não as do IP", async () => {
+    await register("distraida@example.com");
+
+    for (let i = 0; i < 4; i++) {
+      expect((await login("distraida@example.com", "errada", "10.0.1.1")).status).toBe(401);
+    }
+    expect((await login("distraida@example.com", PASSWORD, "10.0.1.1")).status).toBe(200);
+    // O desconto acontece depois da resposta
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const afterSuccess = await login("distraida@example.com", "errada", "10.0.1.1");
+    expect(afterSuccess.status).toBe(401);
+    expect(afterSuccess.body.details.remainingAttempts).toBe(4);
+
+    // 20 erros do mesmo IP em contas diferentes bloqueiam o IP
+    for (let i = 0; i < 15; i++) {
+      await login(`conta${i}@example.com`, "errada", "10.0.1.1");
+    }
+    const ipBlocked = await login("outra@example.com", "errada", "10.0.1.1");
+    expect(ipBlocked.status).toBe(429);
+    expect((await login("outra@example.com", "errada", "10.0.1.2")).status).toBe(401);
+  });
+
+  test("sem proxy confiável, X-Forwarded-For forjado não abre um contador novo", async () => {
+    const store = createRateLimitStore({ store: "memory" });
+    const limited = limitedApp(store, { windowMs: 60000, limits: { ip: 1 }, message: "Calma." });
+
+    await request(limited).post("/generate").set("X-Forwarded-For", "10.9.0.1").expect(200);
+    const spoofed = await request(limited).post("/generate").set("X-Forwarded-For", "10.9.0.2");
+    expect(spoofed.status).toBe(429);
+    store.close();
+  });
+
+  test("limite por usuário devolve os cabeçalhos padrão e libera na janela seguinte", async () => {
+    const store = createRateLimitStore({ store: "memory" });
+    const limited = limitedApp(store, { windowMs: 1000, limits: { user: 2 }, message: "Calma." });
+
+    const first = await request(limited).post("/generate").set("X-User", "u1").expect(200);
+    expect(first.headers["ratelimit-limit"]).toBe("2");
+    expect(first.headers["ratelimit-remaining"]).toBe("1");
+    expect(first.headers["ratelimit-policy"]).toBe("2;w=1");
+
+    await request(limited).post("/generate").set("X-User", "u1").expect(200);
+    const third = await request(limited).post("/generate").set("X-User", "u1");
+    expect(third.status).toBe(429);
+    expect(third.headers["retry-after"]).toBe("1");
+    expect(third.body).toMatchObject({ code: "RATE_LIMITED", details: { policy: "generate", retryAfter: 1 } });
+
+    // Outro usuário tem o próprio contador
+    await request(limited).post("/generate").set("X-User", "u2").expect(200);
+
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    await request(limited).post("/generate").set("X-User", "u1").expect(200);
+    store.close();
+  });
+
+  test.each(["memory", "file", "sqlite"])("store %s conta requisições simultâneas sem perder nenhuma", async (backend) => {
+    const dir = path.join(tmpDir, `store-${backend}`);
+    const options = { store: backend, filePath: dir, sqlitePath: path.join(dir, "limits.sqlite") };
+    const store = createRateLimitStore(options);
+    expect(store.backend).toBe(backend);
+
+    const limited = limitedApp(store, { windowMs: 60000, limits: { user: 5 }, message: "Calma." });
+    const responses = await Promise.all(
+      Array.from({ length: 8 }, () => request(limited).post("/generate").set("X-User", "u1"))
+    );
+    expect(responses.filter((res) => res.status === 200)).toHaveLength(5);
+    expect(responses.filter((res) => res.status === 429)).toHaveLength(3);
+    expect((await store.get("generate:user:u1")).count).toBe(8);
+
+    // Os stores persistentes sobrevivem a um reinício
+    if (backend !== "memory") {
+      store.close();
+      const reopened = createRateLimitStore(options);
+      expect((await reopened.get("generate:user:u1")).count).toBe(8);
+      expect(await reopened.prune(Date.now() + 60001)).toBe(1);
+      expect(await reopened.get("generate:user:u1")).toBeNull();
+      reopened.close();
+    }
+  });
+});
@@ -1,9 +1,31 @@
 // src/server.js
 const app = require("./app"); // Importa a aplicação configurada
 const config = require("./config");
+const chatStorage = require("./services/chatStorage.service");
 
 const port = config.port;
 
+// O segredo padrão dos JWTs está no código: fora de desenvolvimento, qualquer um forjaria tokens
+if (config.isInsecureJwtSecret()) {
+  console.error(
+    `[SISTEMA] JWT_SECRET não definida (NODE_ENV=${config.env ?? "não definido"}). Defina um segredo próprio ou, em desenvolvimento, NODE_ENV=development.`
+  );
+  process.exit(1);
+}
+
+// Idem para o segredo das API Keys: com o padrão, um backup vazado de data/ expõe todas as keys
+if (config.isInsecureKeyEncryptionSecret()) {
+  console.error(
+    `[SISTEMA] KEY_ENCRYPTION_SECRET não definida (NODE_ENV=${config.env ?? "não definido"}). Defina um segredo próprio ou, em desenvolvimento, NODE_ENV=development.`
+  );
+  process.exit(1);
+}
+
+// Migração única das API Keys gravadas em texto puro antes da criptografia
+chatStorage.encryptLegacyKeys().catch((error) => {
+  console.error("[SISTEMA] Falha ao cifrar as API Keys antigas:", error);
+});
+
 // Inicia o servidor e o faz escutar na porta definida
 app.listen(port, "0.0.0.0", () => {
   console.log("======================================================");
@@ -3,9 +3,10 @@
 // Uses OpenAI-compatible API format.
 
 const config = require("../config");
+const { ProviderError, QuotaExhaustedError } = require("../utils/errors");
 
 // Import converters from openrouter service to reuse
-const { convertHistoryToOpenAI, convertToolsToOpenAI } = require("./openrouter.service");
+const { convertHistoryToOpenAI, convertToolsToOpenAI, readStreamedMessage } = require("./openrouter.service");
 
 const CEREBRAS_API_URL = "https://api.cerebras.ai/v1/chat/completions";
 
@@ -50,11 +51,13 @@ async function retryOperation(operation, operationName, maxRetries = 5) {
             return await operation();
         } catch (error) {
             attempt++;
-            if (attempt >= maxRetries) {
+            // Não retenta se parte da resposta já foi transmitida ao cliente (duplicaria o texto)
+            if (attempt >= maxRetries || error.streamStarted) {
                 throw error;
             }
 
             const isRateLimit =
+                error.code === "PROVIDER_RATE_LIMITED" ||
                 error.message.includes("429") ||
                 error.message.includes("Too Many Requests");
             const delay = isRateLimit ? Math.pow(2, attempt) * 2000 : 1000;
@@ -69,10 +72,11 @@ async function retryOperation(operation, operationName, maxRetries = 5) {
 
 /**
  * Gera uma resposta de chat usando a API da Cerebras.
+ * Se generationOptions.onTextDelta for informado, a resposta é transmitida em streaming.
  *
  * @param {object[]} history - Histórico no formato Gemini (será convertido).
  * @param {string} systemInstruction - Instrução de sistema.
- * @param {object} generationOptions - { modelName, temperature, tools, apiKey }
+ * @param {object} generationOptions - { modelName, temperature, tools, apiKey, onTextDelta }
  * @returns {Promise<{text: string, functionCalls: object[], parts: object[]}>}
  */
 async function generateChatResponse(
@@ -85,6 +89,7 @@ async function generateChatResponse(
         const temperature = generationOptions.temperature ?? 0.7;
         const geminiTools = generationOptions.tools || [];
         const apiKey = generationOptions.apiKey;
+        const onTextDelta = generationOptions.onTextDelta;
 
         if (!apiKey) {
             throw new Error("API Key da Cerebras não fornecida.");
@@ -125,6 +130,10 @@ async function generateChatResponse(
             requestBody.tools = tools;
         }
 
+        if (onTextDelta) {
+            requestBody.stream = true;
+        }
+
         // Função interna para fazer a requisição
         const makeRequest = async (body) => {
             const response = await withTimeout(
@@ -175,35 +184,38 @@ async function generateChatResponse(
                     // Erro não é JSON
                 }
 
-                // Cria erro estruturado para o frontend
-                const error = new Error(`Cerebras API error (${response.status}): ${errorData}`);
-                error.statusCode = response.status;
+                // Erro estruturado para o frontend; a resposta original fica em cause (logs)
+                const cause = new Error(`Cerebras API error (${response.status}): ${errorData}`);
+                const details = { provider: "cerebras", status: response.status };
 
                 // Detecta tipos específicos de erro
                 if (response.status === 429) {
-                    error.errorType = "rate_limit";
-                    error.userMessage = "Limite de requisições atingido. Aguarde alguns segundos e tente novamente.";
+                    throw new QuotaExhaustedError(
+                        "Limite de requisições atingido. Aguarde alguns segundos e tente novamente.",
+                        "PROVIDER_RATE_LIMITED",
+                        { details, cause }
+                    );
                 } else if (response.status === 401 || response.status === 403) {
-                    error.errorType = "auth";
-                    error.userMessage = "Erro de autenticação com a Cerebras. Verifique sua API Key.";
-                } else {
-                    error.errorType = "unknown";
-                    error.userMessage = "Erro ao gerar resposta. Tente novamente ou troque de modelo.";
+                    throw new ProviderError("Erro de autenticação com a Cerebras. Verifique sua API Key.", "PROVIDER_AUTH", { details, cause });
                 }
-
-                throw error;
+                throw new ProviderError("Erro ao gerar resposta. Tente novamente ou troque de modelo.", "PROVIDER_FAILED", { details, cause });
             }
         }
 
-        const data = await response.json();
+        let message;
+        if (onTextDelta) {
+            message = await readStreamedMessage(response, onTextDelta);
+        } else {
+            const data = await response.json();
 
-        // Processa a resposta
-        const choice = data.choices?.[0];
-        if (!choice) {
-            throw new Error("Cerebras retornou resposta vazia.");
+            // Processa a resposta
+            const choice = data.choices?.[0];
+            if (!choice) {
+                throw new Error("Cerebras retornou resposta vazia.");
+            }
+            message = choice.message;
         }
 
-        const message = choice.message;
         let text = message.content || "";
         let functionCalls = [];
         let parts = [];
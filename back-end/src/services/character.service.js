@@ -0,0 +1,479 @@
+// src/services/character.service.js
+// Fichas de personagem de cada chat (jogadores e NPCs): atributos, perícias, recursos (PV, mana...),
+// condições e inventário. Ficam nos metadados do chat (metadata.characters) e toda alteração passa
+// por chatStorage.updateChatMetadata, então duas tools na mesma geração não se sobrescrevem.
+
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config");
+const chatStorage = require("./chatStorage.service");
+const { ConflictError, NotFoundError, ValidationError } = require("../utils/errors");
+
+const KINDS = ["pc", "npc"];
+const KIND_LABELS = { pc: "jogador", npc: "NPC" };
+const NAME_MAX_LENGTH = 100;
+const TEXT_MAX_LENGTH = 5000;
+
+const invalid = (message) => new ValidationError(message, "INVALID_CHARACTER");
+
+/**
+ * Texto obrigatório (aparado e limitado).
+ * @param {*} value
+ * @param {string} field - Nome do campo nas mensagens de erro.
+ * @param {number} [maxLength]
+ * @returns {string}
+ */
+function requireText(value, field, maxLength = NAME_MAX_LENGTH) {
+    if (typeof value !== "string" || !value.trim()) {
+        throw invalid(`${field} não pode ser vazio.`);
+    }
+    return value.trim().slice(0, maxLength);
+}
+
+/**
+ * Número finito (aceita texto numérico, comum nos argumentos das tools).
+ * @param {*} value
+ * @param {string} field
+ * @returns {number}
+ */
+function requireNumber(value, field) {
+    const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof number !== "number" || !Number.isFinite(number)) {
+        throw invalid(`${field} deve ser um número.`);
+    }
+    return number;
+}
+
+const sameName = (a, b) => a.trim().toLocaleLowerCase("pt-BR") === b.trim().toLocaleLowerCase("pt-BR");
+
+// Chave já existente com o mesmo nome (sem diferenciar maiúsculas), para "força" atualizar "Força"
+const findKey = (map, name) => Object.keys(map).find((key) => sameName(key, name));
+
+/**
+ * Encontra uma ficha pelo id ou pelo nome.
+ * @param {object[]} characters
+ * @param {string} ref - Id ou nome do personagem.
+ * @returns {object|undefined}
+ */
+function findCharacter(characters, ref) {
+    if (typeof ref !== "string" || !ref.trim()) return undefined;
+    return characters.find((character) => character.id === ref) || characters.find((character) => sameName(character.name, ref));
+}
+
+/**
+ * Aplica alterações num mapa nome -> número (atributos e perícias). null remove a entrada.
+ * @param {object} map
+ * @param {object} changes
+ * @param {string} field
+ * @returns {object}
+ */
+function applyNumberMap(map, changes, field) {
+    const result = { ...map };
+    for (const [name, value] of Object.entries(changes)) {
+        const key = findKey(result, name);
+        if (value === null) {
+            if (key) delete result[key];
+            continue;
+        }
+        result[key || requireText(name, `Nome em ${field}`)] = requireNumber(value, `${field}.${name}`);
+    }
+    return result;
+}
+
+/**
+ * Aplica alterações nos recursos ({ current, max }). null remove o recurso; current é limitado a [0, max].
+ * @param {object} resources
+ * @param {object} changes - Nome -> { current?, max? } ou null.
+ * @returns {object}
+ */
+function applyResources(resources, changes) {
+    const result = { ...resources };
+    for (const [name, value] of Object.entries(changes)) {
+        const key = findKey(result, name);
+        if (value === null) {
+            if (key) delete result[key];
+            continue;
+        }
+        if (typeof value !== "object") throw invalid(`resources.${name} deve ser { current, max }.`);
+
+        const previous = key ? result[key] : { current: 0, max: null };
+        const max = value.max === undefined ? previous.max : value.max === null ? null : requireNumber(value.max, `resources.${name}.max`);
+        // Recurso novo sem valor atual começa cheio
+        const fallback = key ? previous.current : max ?? 0;
+        const current = value.current === undefined ? fallback : requireNumber(value.current, `resources.${name}.current`);
+
+        result[key || requireText(name, "Nome do recurso")] = { current: clamp(current, max), max };
+    }
+    return result;
+}
+
+const clamp = (value, max) => Math.max(0, max === null ? value : Math.min(value, max));
+
+/**
+ * Lista de itens do inventário, somando quantidades de itens repetidos.
+ * @param {Array<{name: string, quantity?: number, notes?: string}>} items
+ * @returns {object[]}
+ */
+function normalizeInventory(items) {
+    if (!Array.isArray(items)) throw invalid("inventory deve ser uma lista.");
+    return applyItemChanges([], items.map((item) => ({ ...item, quantityChange: item?.quantity ?? 1 })));
+}
+
+/**
+ * Soma/subtrai itens do inventário. Itens que chegam a 0 saem da lista.
+ * @param {object[]} inventory
+ * @param {Array<{name: string, quantityChange: number, notes?: string}>} changes
+ * @returns {object[]}
+ */
+function applyItemChanges(inventory, changes) {
+    const result = inventory.map((item) => ({ ...item }));
+    for (const change of changes) {
+        const name = requireText(change?.name, "Nome do item");
+        const delta = requireNumber(change.quantityChange, `Quantidade de "${name}"`);
+        const item = result.find((entry) => sameName(entry.name, name));
+
+        if (item) {
+            item.quantity += delta;
+            if (change.notes !== undefined) item.notes = String(change.notes).slice(0, TEXT_MAX_LENGTH);
+        } else if (delta > 0) {
+            result.push({ name, quantity: delta, notes: change.notes ? String(change.notes).slice(0, TEXT_MAX_LENGTH) : "" });
+        } else {
+            throw invalid(`"${name}" não está no inventário.`);
+        }
+    }
+    return result.filter((item) => item.quantity > 0);
+}
+
+/**
+ * Aplica um conjunto de alterações numa ficha (sem persistir).
+ * @param {object} character
+ * @param {object} changes
+ * @param {string} [changes.name]
+ * @param {"pc"|"npc"} [changes.kind]
+ * @param {string} [changes.description]
+ * @param {string} [changes.notes]
+ * @param {Object<string, number|null>} [changes.attributes] - Mescla; null remove.
+ * @param {Object<string, number|null>} [changes.skills] - Mescla; null remove.
+ * @param {Object<string, {current?: number, max?: number|null}|null>} [changes.resources] - Mescla; null remove.
+ * @param {string[]} [changes.conditions] - Substitui a lista.
+ * @param {string[]} [changes.addConditions]
+ * @param {string[]} [changes.removeConditions]
+ * @param {object[]} [changes.inventory] - Substitui o inventário ({ name, quantity, notes }).
+ * @param {object[]} [changes.items] - Soma/subtrai itens ({ name, quantityChange, notes }).
+ * @returns {object} - Nova versão da ficha.
+ * @throws {ValidationError}
+ */
+function applyCharacterChanges(character, changes) {
+    const limits = config.characterLimits;
+    const next = { ...character };
+
+    if (changes.name !== undefined) next.name = requireText(changes.name, "O nome");
+    if (changes.kind !== undefined) {
+        if (!KINDS.includes(changes.kind)) throw invalid(`kind deve ser um de: ${KINDS.join(", ")}.`);
+        next.kind = changes.kind;
+    }
+    if (changes.description !== undefined) next.description = String(changes.description ?? "").slice(0, TEXT_MAX_LENGTH);
+    if (changes.notes !== undefined) next.notes = String(changes.notes ?? "").slice(0, TEXT_MAX_LENGTH);
+
+    if (changes.attributes) next.attributes = applyNumberMap(next.attributes, changes.attributes, "attributes");
+    if (changes.skills) next.skills = applyNumberMap(next.skills, changes.skills, "skills");
+    if (changes.resources) next.resources = applyResources(next.resources, changes.resources);
+
+    let conditions = changes.conditions ? changes.conditions.map((condition) => requireText(condition, "A condição")) : next.conditions;
+    for (const condition of [].concat(changes.addConditions || [])) {
+        const name = requireText(condition, "A condição");
+        if (!conditions.some((existing) => sameName(existing, name))) conditions = [...conditions, name];
+    }
+    const removed = [].concat(changes.removeConditions || []);
+    next.conditions = conditions.filter((condition) => !removed.some((name) => sameName(name, condition)));
+
+    if (changes.inventory) next.inventory = normalizeInventory(changes.inventory);
+    if (changes.items) next.inventory = applyItemChanges(next.inventory, changes.items);
+
+    for (const field of ["attributes", "skills", "resources"]) {
+        if (Object.keys(next[field]).length > limits.maxEntries) throw invalid(`Limite de ${limits.maxEntries} entradas em ${field}.`);
+    }
+    if (next.conditions.length > limits.maxEntries) throw invalid(`Limite de ${limits.maxEntries} condições.`);
+    if (next.inventory.length > limits.maxInventoryItems) throw invalid(`Limite de ${limits.maxInventoryItems} itens no inventário.`);
+
+    next.updatedAt = Date.now();
+    return next;
+}
+
+/**
+ * Ficha vazia com os campos padrão.
+ * @param {string} name
+ * @returns {object}
+ */
+function emptyCharacter(name) {
+    const now = Date.now();
+    return {
+        id: uuidv4(),
+        name,
+        kind: "npc",
+        description: "",
+        attributes: {},
+        skills: {},
+        resources: {},
+        conditions: [],
+        inventory: [],
+        notes: "",
+        createdAt: now,
+        updatedAt: now,
+    };
+}
+
+/**
+ * Lê, altera e grava as fichas de um chat numa única atualização dos metadados.
+ * @param {string} chatToken
+ * @param {function(object[]): {characters: object[], result: any}} mutator - Síncrono.
+ * @returns {Promise<any>} - O result devolvido pelo mutator.
+ */
+async function withCharacters(chatToken, mutator) {
+    let result;
+    const updated = await chatStorage.updateChatMetadata(chatToken, (data) => {
+        const outcome = mutator(data.characters || []);
+        data.characters = outcome.characters;
+        result = outcome.result;
+    });
+    if (!updated) throw new NotFoundError("Chat não encontrado.", "CHAT_NOT_FOUND");
+    return result;
+}
+
+const characterNotFound = (ref) => new NotFoundError(`Personagem "${ref}" não encontrado.`, "CHARACTER_NOT_FOUND");
+
+/**
+ * Fichas de um chat (jogadores primeiro, depois por nome).
+ * @param {string} chatToken
+ * @returns {Promise<object[]>}
+ */
+async function listCharacters(chatToken) {
+    const metadata = await chatStorage.getChatMetadata(chatToken);
+    if (!metadata) throw new NotFoundError("Chat não encontrado.", "CHAT_NOT_FOUND");
+    return sortCharacters(metadata.characters || []);
+}
+
+const sortCharacters = (characters) =>
+    [...characters].sort((a, b) => KINDS.indexOf(a.kind) - KINDS.indexOf(b.kind) || a.name.localeCompare(b.name, "pt-BR"));
+
+/**
+ * Uma ficha pelo id ou nome.
+ * @param {string} chatToken
+ * @param {string} ref
+ * @returns {Promise<object>}
+ * @throws {NotFoundError}
+ */
+async function getCharacter(chatToken, ref) {
+    const character = findCharacter(await listCharacters(chatToken), ref);
+    if (!character) throw characterNotFound(ref);
+    return character;
+}
+
+/**
+ * Personagem que faz um teste: o informado ou, sem nome, o único jogador do chat.
+ * @param {string} chatToken
+ * @param {string} [ref] - Id ou nome.
+ * @returns {Promise<object>}
+ * @throws {NotFoundError|ValidationError}
+ */
+async function getCheckCharacter(chatToken, ref) {
+    if (ref) return getCharacter(chatToken, ref);
+
+    const players = (await listCharacters(chatToken)).filter((character) => character.kind === "pc");
+    if (players.length === 1) return players[0];
+    throw new ValidationError(
+        players.length === 0
+            ? "Nenhuma ficha de jogador neste chat: informe o personagem do teste."
+            : `Mais de um jogador neste chat: informe o personagem do teste (${players.map((p) => p.name).join(", ")}).`,
+        "CHARACTER_REQUIRED"
+    );
+}
+
+/**
+ * Modificador de um teste pela ficha: a perícia entra como está; sem ela, o atributo
+ * convertido pelo sistema de regras (ex.: Força 14 vira +2 no d20). Sem nenhum dos dois, +0.
+ * @param {object} character
+ * @param {string} stat - Nome da perícia ou do atributo.
+ * @param {function(number): number} attributeModifier
+ * @returns {{name: string, source: "skill"|"attribute"|null, modifier: number}}
+ */
+function checkModifier(character, stat, attributeModifier) {
+    const name = requireText(stat, "A perícia");
+    const skill = findKey(character.skills, name);
+    if (skill) return { name: skill, source: "skill", modifier: Math.round(character.skills[skill]) };
+
+    const attribute = findKey(character.attributes, name);
+    if (attribute) return { name: attribute, source: "attribute", modifier: Math.round(attributeModifier(character.attributes[attribute])) };
+
+    return { name, source: null, modifier: 0 };
+}
+
+/**
+ * Cria uma ficha.
+ * @param {string} chatToken
+ * @param {object} data - { name, ...campos de applyCharacterChanges }.
+ * @returns {Promise<object>}
+ * @throws {ValidationError|ConflictError}
+ */
+async function createCharacter(chatToken, data) {
+    const name = requireText(data.name, "O nome");
+    return withCharacters(chatToken, (characters) => {
+        if (findCharacter(characters, name)) {
+            throw new ConflictError(`Já existe uma ficha para "${name}".`, "CHARACTER_EXISTS");
+        }
+        if (characters.length >= config.characterLimits.maxCharacters) {
+            throw invalid(`Limite de ${config.characterLimits.maxCharacters} fichas por chat.`);
+        }
+        const character = applyCharacterChanges(emptyCharacter(name), { kind: "npc", ...data, name });
+        return { characters: [...characters, character], result: character };
+    });
+}
+
+/**
+ * Altera uma ficha.
+ * @param {string} chatToken
+ * @param {string} ref - Id ou nome.
+ * @param {object} changes - Ver applyCharacterChanges.
+ * @param {object} [options]
+ * @param {boolean} [options.createIfMissing=false] - Cria a ficha com o nome ref se ela não existir (tool do mestre).
+ * @returns {Promise<{character: object, created: boolean}>}
+ * @throws {NotFoundError|ValidationError|ConflictError}
+ */
+async function updateCharacter(chatToken, ref, changes, { createIfMissing = false } = {}) {
+    return withCharacters(chatToken, (characters) => {
+        const current = findCharacter(characters, ref);
+        if (!current && !createIfMissing) throw characterNotFound(ref);
+        if (!current && characters.length >= config.characterLimits.maxCharacters) {
+            throw invalid(`Limite de ${config.characterLimits.maxCharacters} fichas por chat.`);
+        }
+
+        const character = applyCharacterChanges(current || emptyCharacter(requireText(ref, "O nome")), changes);
+        const duplicate = characters.find((other) => other.id !== character.id && sameName(other.name, character.name));
+        if (duplicate) throw new ConflictError(`Já existe uma ficha para "${character.name}".`, "CHARACTER_EXISTS");
+
+        const others = characters.filter((other) => other.id !== character.id);
+        return { characters: [...others, character], result: { character, created: !current } };
+    });
+}
+
+/**
+ * Soma (ou subtrai) um valor de um recurso, limitado a [0, max]: dano, cura, gasto de mana...
+ * @param {string} chatToken
+ * @param {string} ref - Id ou nome do personagem.
+ * @param {string} resource - Nome do recurso (ex.: "PV").
+ * @param {number} delta
+ * @returns {Promise<{character: object, resource: string, before: number, after: number, max: number|null}>}
+ * @throws {NotFoundError|ValidationError}
+ */
+async function adjustResource(chatToken, ref, resource, delta) {
+    const amount = requireNumber(delta, "delta");
+    return withCharacters(chatToken, (characters) => {
+        const current = findCharacter(characters, ref);
+        if (!current) throw characterNotFound(ref);
+
+        const key = findKey(current.resources, requireText(resource, "O recurso"));
+        if (!key) {
+            throw new NotFoundError(`"${current.name}" não tem o recurso "${resource}".`, "CHARACTER_RESOURCE_NOT_FOUND", {
+                details: { resources: Object.keys(current.resources) },
+            });
+        }
+
+        const { current: before, max } = current.resources[key];
+        const character = applyCharacterChanges(current, { resources: { [key]: { current: before + amount } } });
+        const others = characters.filter((other) => other.id !== character.id);
+        return {
+            characters: [...others, character],
+            result: { character, resource: key, before, after: character.resources[key].current, max },
+        };
+    });
+}
+
+/**
+ * Remove uma ficha.
+ * @param {string} chatToken
+ * @param {string} ref - Id ou nome.
+ * @returns {Promise<void>}
+ * @throws {NotFoundError}
+ */
+async function deleteCharacter(chatToken, ref) {
+    await withCharacters(chatToken, (characters) => {
+        const character = findCharacter(characters, ref);
+        if (!character) throw characterNotFound(ref);
+        return { characters: characters.filter((other) => other.id !== character.id) };
+    });
+}
+
+/**
+ * Converte os argumentos da tool update_character (listas, já que as tools não aceitam
+ * objetos com chaves livres) para o formato de applyCharacterChanges.
+ * @param {object} args
+ * @returns {object}
+ */
+function changesFromToolArgs(args = {}) {
+    const toMap = (entries, read) =>
+        Array.isArray(entries) ? Object.fromEntries(entries.filter((entry) => entry?.name).map((entry) => [entry.name, read(entry)])) : undefined;
+
+    return {
+        kind: args.kind,
+        description: args.description,
+        notes: args.notes,
+        attributes: toMap(args.attributes, (entry) => entry.value),
+        skills: toMap(args.skills, (entry) => entry.value),
+        resources: toMap(args.resources, ({ current, max }) => ({ current, max })),
+        addConditions: args.add_conditions,
+        removeConditions: args.remove_conditions,
+        items: Array.isArray(args.items)
+            ? args.items.map(({ name, quantity_change: quantityChange, notes }) => ({ name, quantityChange, notes }))
+            : undefined,
+    };
+}
+
+/**
+ * Uma linha de resumo da ficha para o system prompt (a ficha completa vem via get_character).
+ * @param {object} character
+ * @returns {string}
+ */
+function summarizeCharacter(character) {
+    const parts = [`${character.name} (${KIND_LABELS[character.kind] || character.kind})`];
+    const resources = Object.entries(character.resources).map(([name, { current, max }]) =>
+        max === null ? `${name} ${current}` : `${name} ${current}/${max}`
+    );
+    if (resources.length > 0) parts.push(resources.join(", "));
+    if (character.conditions.length > 0) parts.push(`Condições: ${character.conditions.join(", ")}`);
+    return `- ${parts.join(" | ")}`;
+}
+
+/**
+ * Insere o resumo das fichas no system prompt.
+ * Prompts criados antes das fichas (sem {character_sheets}) recebem o bloco no final, se houver fichas.
+ * @param {string} systemInstruction
+ * @param {object[]} characters
+ * @returns {string}
+ */
+function injectCharacterSheets(systemInstruction, characters = []) {
+    const limit = config.characterLimits.promptCharacters;
+    const sorted = sortCharacters(characters);
+    const lines = sorted.slice(0, limit).map(summarizeCharacter);
+    if (sorted.length > limit) lines.push(`- ... e mais ${sorted.length - limit} ficha(s) (use get_character).`);
+    const text = lines.join("\n");
+
+    if (systemInstruction.includes("{character_sheets}")) {
+        return systemInstruction.replace("{character_sheets}", text || "Nenhuma ficha criada ainda.");
+    }
+    if (!text) return systemInstruction;
+
+    return `${systemInstruction}\n\n<character_sheets>\nFichas dos personagens (use get_character, update_character e adjust_resource para consultar e alterar):\n${text}\n</character_sheets>`;
+}
+
+module.exports = {
+    listCharacters,
+    getCharacter,
+    getCheckCharacter,
+    checkModifier,
+    createCharacter,
+    updateCharacter,
+    adjustResource,
+    deleteCharacter,
+    applyCharacterChanges,
+    changesFromToolArgs,
+    injectCharacterSheets,
+};
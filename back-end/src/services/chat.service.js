@@ -5,10 +5,27 @@ const path = require("path");
 const lanceDBService = require("./lancedb.service");
 const chatStorage = require("./chatStorage.service");
 const geminiService = require("./gemini.service");
+const embeddingService = require("./embedding.service");
 const openrouterService = require("./openrouter.service");
 const cerebrasService = require("./cerebras.service");
+const vllmService = require("./vllm.service");
 const googleProvider = require("./google.provider");
+const summaryService = require("./summary.service");
+const characterService = require("./character.service");
+const gameClockService = require("./gameClock.service");
+const questService = require("./quest.service");
+const credentialService = require("./credential.service");
 const config = require("../config");
+const {
+    estimateTokens,
+    estimateMediaTokens,
+    getHistoryWithTokenBudget,
+} = require("../utils/historyHelper");
+const { createContextBudget, getHistoryBudget } = require("../utils/contextBudget");
+const { encryptSecret, decryptSecret, isMaskedSecret, restoreMaskedKeys } = require("../utils/providerKeys");
+const { AppError, ConflictError, NotFoundError, ValidationError, EmbeddingError } = require("../utils/errors");
+const { DiceError, rollDice, summarizeRoll, parseDiceCommand } = require("../../../shared/dice");
+const { RULESETS, getRuleset, rollCheck } = require("../../../shared/checks");
 
 // Funﾃｧﾃ｣o auxiliar para contar palavras
 function wordCounter(text) {
@@ -35,7 +52,10 @@ function loadPendingQueue() {
     try {
         if (fs.existsSync(PENDING_QUEUE_PATH)) {
             const data = fs.readFileSync(PENDING_QUEUE_PATH, 'utf8');
-            const items = JSON.parse(data);
+            const items = JSON.parse(data).map((item) => ({
+                ...item,
+                apiKeys: item.apiKeys && item.apiKeys.map(decryptSecret)
+            }));
             pendingEmbeddingsQueue.push(...items);
             console.log(`[EmbeddingQueue] Carregadas ${items.length} inserções pendentes do disco.`);
         }
@@ -54,7 +74,12 @@ function savePendingQueue() {
         if (!fs.existsSync(dir)) {
             fs.mkdirSync(dir, { recursive: true });
         }
-        fs.writeFileSync(PENDING_QUEUE_PATH, JSON.stringify(pendingEmbeddingsQueue, null, 2));
+        // As keys do Google vão cifradas para o disco, como nos metadados
+        const items = pendingEmbeddingsQueue.map((item) => ({
+            ...item,
+            apiKeys: item.apiKeys && item.apiKeys.map(encryptSecret)
+        }));
+        fs.writeFileSync(PENDING_QUEUE_PATH, JSON.stringify(items, null, 2));
     } catch (e) {
         console.error('[EmbeddingQueue] Erro ao salvar fila persistente:', e.message);
     }
@@ -63,6 +88,7 @@ function savePendingQueue() {
 /**
  * Adiciona item à fila de embeddings pendentes.
  * @param {Object} item - { chatToken, collectionName, messageid, text, apiKeys, retryCount }
+ * apiKeys só é usado quando o chat usa embeddings do Gemini.
  */
 function addToPendingQueue(item) {
     pendingEmbeddingsQueue.push({
@@ -108,9 +134,16 @@ async function processEmbeddingQueue() {
     for (let i = 0; i < pendingEmbeddingsQueue.length; i++) {
         const item = pendingEmbeddingsQueue[i];
 
+        // Chat migrando de modelo: o vetor seria gerado no modelo antigo. Fica para depois da troca.
+        const itemMetadata = await chatStorage.getChatMetadata(item.chatToken);
+        if (itemMetadata?.embeddingMigration) {
+            continue;
+        }
+
         try {
-            // Tenta gerar embedding
-            const vector = await geminiService.generateEmbedding(item.text, item.apiKeys);
+            // Tenta gerar embedding com o provider atual do chat
+            const embeddingConfig = await getChatEmbeddingConfig(item.chatToken, item.apiKeys);
+            const vector = await embeddingService.generateEmbedding(item.text, embeddingConfig);
 
             // Verifica se o vetor é válido
             const isZeroVector = !vector || vector.reduce((a, b) => a + Math.abs(b), 0) < 0.001;
@@ -147,7 +180,7 @@ async function processEmbeddingQueue() {
                 console.error(`[EmbeddingQueue] ✗ Máximo de retries atingido para ${item.messageid}: ${error.message}`);
                 itemsToRemove.push(i);
                 failCount++;
-            } else if (error.allKeysExhausted) {
+            } else if (error.code === "EMBEDDING_KEYS_EXHAUSTED") {
                 // Todas as keys em cooldown - para o processamento e agenda para depois
                 console.log(`[EmbeddingQueue] Todas as keys em cooldown. Pausando processamento.`);
                 break;
@@ -192,17 +225,39 @@ function getPendingQueueStatus() {
 // Carrega fila persistente na inicialização
 loadPendingQueue();
 
+/**
+ * Resolve a configuração de embedding de um chat a partir dos metadados.
+ * @param {string} chatToken
+ * @param {string|string[]} [googleApiKeys] - Keys do Google a usar no lugar das salvas (provider gemini).
+ * @returns {Promise<object>} - Ver embeddingService.resolveEmbeddingConfig
+ */
+async function getChatEmbeddingConfig(chatToken, googleApiKeys = null) {
+    const metadata = await chatStorage.getChatMetadata(chatToken);
+    const chatConfig = await credentialService.resolveChatConfig(metadata);
+    const embeddingConfig = embeddingService.resolveEmbeddingConfig(chatConfig);
+
+    const overrideKeys = (Array.isArray(googleApiKeys) ? googleApiKeys : [googleApiKeys]).filter(Boolean);
+    if (overrideKeys.length > 0) {
+        embeddingConfig.apiKeys = overrideKeys;
+    }
+    return embeddingConfig;
+}
+
 /**
  * Cria um novo chat.
  * @param {string} userId - ID do usuﾃ｡rio dono do chat.
+ * @param {Object} [options] - { embedding } para criar as tabelas com outro modelo/dimensão (ex: branch).
  * @returns {Promise<string>} - Token do novo chat.
  */
-async function createChat(userId) {
+async function createChat(userId, options = {}) {
     const chatToken = uuidv4();
     console.log(`[Service] Criando novo chat com token: ${chatToken} para user: ${userId}`);
 
+    // O modelo de embedding fica registrado no chat: define a dimensão das tabelas
+    const embedding = options.embedding || { ...config.embeddingDefaults };
+
     // 1. Inicializa LanceDB
-    await lanceDBService.initializeCollections(chatToken);
+    await lanceDBService.initializeCollections(chatToken, embedding.dimension);
 
     // 2. Cria Metadados Iniciais
     const initialMetadata = {
@@ -217,10 +272,18 @@ async function createChat(userId) {
             systemInstruction: config.systemInstructionTemplate,
             openrouterApiKey: "", // API Key do OpenRouter (usado para LLM)
             // Google Provider config
-            provider: "openrouter", // "openrouter" | "google"
+            provider: "openrouter", // "openrouter" | "google" | "cerebras" | "vllm"
             googleApiKeys: [], // Array of Google API keys (rotates on quota, also used for embeddings)
             googleModelName: "gemini-2.5-flash", // Model name for Google provider
             rateLimits: { rpm: 5, tpm: 250000, rpd: 20 }, // User-configurable rate limits
+            hebbian: { ...config.hebbianDefaults }, // Memória associativa (learning rate, decay, boost)
+            ruleset: config.defaultRuleset, // Sistema dos testes de perícia: "d20" | "pbta" | "fate"
+            embedding, // { provider, model, dimension, baseUrl?, apiKey? }
+            // Local/OpenAI-compatible provider (vLLM, llama.cpp, Ollama, LM Studio)
+            vllmBaseUrl: "", // Ex: http://localhost:8000
+            vllmModelName: "",
+            vllmContextWindow: null, // max_model_len do modelo selecionado (orçamento de contexto)
+            vllmApiKey: "", // Opcional
         },
     };
 
@@ -248,6 +311,18 @@ async function getChatDetails(chatToken) {
     return await chatStorage.getChatMetadata(chatToken);
 }
 
+/**
+ * Config efetiva de um chat, com as API Keys resolvidas (cofre do usuário ou do próprio chat).
+ * Uso interno: nunca devolver na API.
+ * @param {string} chatToken
+ * @returns {Promise<Object|null>}
+ */
+async function getChatConfig(chatToken) {
+    const metadata = await chatStorage.getChatMetadata(chatToken);
+    if (!metadata) return null;
+    return await credentialService.resolveChatConfig(metadata);
+}
+
 /**
  * Obtﾃｩm histﾃｳrico completo de mensagens de um chat.
  * @param {string} chatToken
@@ -282,20 +357,23 @@ async function deleteChat(chatToken, userId) {
  * @param {Array} attachments
  * @param {string|string[]} apiKey - API key ou array de keys para rotação
  * @param {string} thoughtSignature
- * @param {Object} options - { failOnEmbeddingError: boolean }
+ * @param {Object} options - { failOnEmbeddingError: boolean, embeddingConfig: object, roll: {expression, seed}, check: object,
+ *   recordData: campos de RECORD_DATA_FIELDS já conhecidos (importação) }
  * @returns {Promise<{messageid: string, embeddingStatus: 'success'|'pending'|'failed'}>}
  */
 async function addMessage(chatToken, collectionName, text, role, attachments = [], apiKey, thoughtSignature = null, options = {}) {
-    const { failOnEmbeddingError = false } = options;
+    const { failOnEmbeddingError = false, roll = null, check = null, recordData = {} } = options;
+    const embeddingConfig = options.embeddingConfig || await getChatEmbeddingConfig(chatToken, apiKey);
+    const hasGoogleKey = Array.isArray(apiKey) ? apiKey.length > 0 : !!apiKey;
 
     // Inicializa com vetor zerado (fallback)
-    let vector = new Array(config.embeddingDimension).fill(0);
+    let vector = new Array(embeddingConfig.dimension || config.embeddingDimension).fill(0);
     let embeddingStatus = 'success';
     let embeddingError = null;
 
     // Processa anexos: gera descrições de mídia para torná-los buscáveis via RAG
     let mediaDescriptions = [];
-    if (apiKey && attachments.length > 0) {
+    if (hasGoogleKey && attachments.length > 0) {
         for (const att of attachments) {
             // Gera descrição apenas para tipos multimodais suportados
             if (att.mimeType && (att.mimeType.startsWith("image/") || att.mimeType === "application/pdf")) {
@@ -324,10 +402,10 @@ async function addMessage(chatToken, collectionName, text, role, attachments = [
         console.log(`[Service] Embedding enriquecido com ${mediaDescriptions.length} descrição(ões) de mídia.`);
     }
 
-    // Gera embedding se tiver API Key e texto válido
-    if (apiKey && textForEmbedding.trim().length > 0) {
+    // Gera embedding se o provider estiver configurado e o texto for válido
+    if (embeddingService.isEmbeddingAvailable(embeddingConfig) && textForEmbedding.trim().length > 0) {
         try {
-            vector = await geminiService.generateEmbedding(textForEmbedding, apiKey);
+            vector = await embeddingService.generateEmbedding(textForEmbedding, embeddingConfig);
 
             // Verifica se o vetor é válido (não zerado)
             const isZeroVector = vector.reduce((a, b) => a + Math.abs(b), 0) < 0.001;
@@ -345,10 +423,12 @@ async function addMessage(chatToken, collectionName, text, role, attachments = [
 
             if (failOnEmbeddingError && isCriticalCollection) {
                 // FAIL-FAST: Lança erro para o chamador tratar
-                const err = new Error(`Falha ao gerar embedding: ${error.message}. A memória não será buscável até que o embedding seja gerado.`);
-                err.embeddingFailed = true;
-                err.allKeysExhausted = error.allKeysExhausted;
-                throw err;
+                // Mantém o código da falha original (ex.: EMBEDDING_KEYS_EXHAUSTED) para o front-end
+                throw new EmbeddingError(
+                    `Falha ao gerar embedding: ${error.message}. A memória não será buscável até que o embedding seja gerado.`,
+                    error instanceof AppError ? error.code : "EMBEDDING_FAILED",
+                    { details: error instanceof AppError ? error.details : undefined, cause: error }
+                );
             }
 
             // GRACEFUL DEGRADATION: Insere com vetor zerado mas agenda retry
@@ -366,9 +446,18 @@ async function addMessage(chatToken, collectionName, text, role, attachments = [
         role,
         createdAt: Date.now(),
         attachments: JSON.stringify(attachments),
-        thoughtSignature: thoughtSignature
+        thoughtSignature: thoughtSignature,
+        // Rolagens guardam expressão e seed: dá para auditar e reproduzir os dados depois
+        roll: roll ? JSON.stringify(roll) : null,
+        check: check ? JSON.stringify(check) : null
     };
 
+    // Fatos guardam o momento e o local do jogo em que foram registrados (importados mantêm os originais)
+    if (collectionName === "fatos" && !recordData.gameTime) {
+        Object.assign(record, gameClockService.gameTimeFields(await gameClockService.getGameClock(chatToken)));
+    }
+    Object.assign(record, recordData);
+
     // Insere no LanceDB
     await lanceDBService.insertRecord(chatToken, collectionName, record);
 
@@ -379,7 +468,7 @@ async function addMessage(chatToken, collectionName, text, role, attachments = [
             collectionName,
             messageid,
             text: textForEmbedding,
-            apiKeys: Array.isArray(apiKey) ? apiKey : [apiKey]
+            apiKeys: embeddingConfig.apiKeys
         });
 
         console.warn(`[Service] Memória ${messageid} inserida com vetor zerado.Será reprocessada em background.`);
@@ -388,6 +477,74 @@ async function addMessage(chatToken, collectionName, text, role, attachments = [
     return { messageid, embeddingStatus };
 }
 
+/**
+ * Faz um teste de perícia com a ficha do personagem e salva o resultado no histórico.
+ * Usado pela tool skill_check e pela rota de teste das fichas.
+ * @param {string} chatToken
+ * @param {object} params
+ * @param {string} params.skill - Perícia ou atributo da ficha.
+ * @param {string} [params.character] - Id ou nome (padrão: o único jogador do chat).
+ * @param {number} [params.dc] - CD/dificuldade.
+ * @param {number} [params.bonus=0] - Bônus/penalidade de situação, somado ao modificador da ficha.
+ * @param {string} [params.advantage] - "advantage" | "disadvantage" (d20).
+ * @param {string} [params.ruleset] - Sistema de regras (padrão: o do chat).
+ * @param {string|string[]} [apiKey] - Keys do Google para o embedding.
+ * @returns {Promise<{message: object, check: object, roll: object}>}
+ *   message = mensagem salva no histórico; roll = dados para a animação (como no evento dice_roll).
+ * @throws {NotFoundError|ValidationError}
+ */
+async function performSkillCheck(chatToken, params, apiKey) {
+    const metadata = await chatStorage.getChatMetadata(chatToken);
+    if (!metadata) throw new NotFoundError("Chat não encontrado.", "CHAT_NOT_FOUND");
+
+    const rulesetId = params.ruleset || metadata.config?.ruleset || config.defaultRuleset;
+    const character = await characterService.getCheckCharacter(chatToken, params.character);
+
+    let check;
+    let stat;
+    try {
+        stat = characterService.checkModifier(character, params.skill, getRuleset(rulesetId).attributeModifier);
+        check = rollCheck({
+            ruleset: rulesetId,
+            label: `${stat.name} (${character.name})`,
+            modifier: stat.modifier + (params.bonus || 0),
+            dc: params.dc,
+            advantage: params.advantage
+        });
+    } catch (error) {
+        if (error instanceof DiceError) throw new ValidationError(error.message, "INVALID_CHECK");
+        throw error;
+    }
+    console.log(`[Teste] ${check.text.replace(/\n/g, "; ")} (seed ${check.seed})`);
+
+    // O resultado vai estruturado na coluna check: o front-end e o replay não dependem do texto localizado
+    const result = {
+        character: character.name,
+        skill: stat.name,
+        source: stat.source,
+        ruleset: check.ruleset,
+        notation: check.notation,
+        modifier: check.modifier,
+        dc: check.dc,
+        total: check.total,
+        natural: check.natural,
+        outcome: check.outcome,
+        outcomeLabel: check.outcomeLabel,
+        margin: check.margin,
+        seed: check.seed
+    };
+    const { messageid } = await addMessage(chatToken, "historico", check.text, "model", [], apiKey, null, {
+        roll: { expression: check.expression, seed: check.seed },
+        check: result
+    });
+
+    return {
+        message: { text: check.text, role: "model", messageid, createdAt: Date.now(), check: JSON.stringify(result) },
+        check: result,
+        roll: { ...summarizeRoll(check.roll), seed: check.seed }
+    };
+}
+
 /**
  * Edita uma mensagem existente.
  * @param {string} chatToken
@@ -395,14 +552,13 @@ async function addMessage(chatToken, collectionName, text, role, attachments = [
  * @param {string} newText
  */
 async function editMessage(chatToken, messageid, newText) {
-    // Precisa regenerar embedding se tiver API Keys configuradas no chat
-    const metadata = await chatStorage.getChatMetadata(chatToken);
-    const googleApiKeys = metadata.config.googleApiKeys || [];
+    // Precisa regenerar embedding se o provider de embedding do chat estiver configurado
+    const embeddingConfig = await getChatEmbeddingConfig(chatToken);
 
     let newVector = null;
-    if (googleApiKeys.length > 0 && newText && newText.trim().length > 0) {
+    if (embeddingService.isEmbeddingAvailable(embeddingConfig) && newText && newText.trim().length > 0) {
         try {
-            newVector = await geminiService.generateEmbedding(newText, googleApiKeys);
+            newVector = await embeddingService.generateEmbedding(newText, embeddingConfig);
         } catch (e) {
             console.error("[Service] Erro ao regenerar embedding na ediﾃｧﾃ｣o:", e);
         }
@@ -430,51 +586,120 @@ async function deleteMessage(chatToken, messageid) {
 }
 
 /**
- * Busca mensagens semanticamente.
+ * Busca mensagens combinando busca semântica (vetorial) e full-text.
+ * Se o embedding da query falhar (ex: todas as keys em cooldown), a busca segue apenas lexical.
  * @param {string} chatToken
  * @param {string} collectionName
  * @param {string} queryText
  * @param {number} limit
- * @param {string} apiKey
+ * @param {string|string[]} [apiKey] - Keys do Google (apenas para embeddings Gemini)
  */
 async function searchMessages(chatToken, collectionName, queryText, limit = 5, apiKey) {
-    if (!apiKey) throw new Error("API Key necessﾃ｡ria para busca semﾃ｢ntica.");
+    const embeddingConfig = await getChatEmbeddingConfig(chatToken, apiKey);
 
-    const queryVector = await geminiService.generateEmbedding(queryText, apiKey);
+    let queryVector = null;
+    if (embeddingService.isEmbeddingAvailable(embeddingConfig)) {
+        try {
+            queryVector = await embeddingService.generateEmbedding(queryText, embeddingConfig);
+        } catch (error) {
+            console.warn(`[Service] Embedding da query indisponível, usando apenas full-text: ${error.message}`);
+        }
+    } else {
+        console.warn("[Service] Embeddings não configurados neste chat, usando apenas full-text.");
+    }
 
-    // Usa o serviﾃｧo do LanceDB para buscar
-    const results = await lanceDBService.searchByVector(chatToken, collectionName, queryVector, limit);
+    // Usa o serviﾃｧo do LanceDB para buscar (vetorial + full-text via RRF)
+    const results = await lanceDBService.hybridSearch(chatToken, collectionName, queryVector, queryText, limit);
     return results.slice(0, limit);
 }
 
 /**
  * Lﾃｳgica principal de geraﾃｧﾃ｣o de resposta (RAG + Chat).
+ * @param {string} chatToken
+ * @param {string} userMessage
+ * @param {Array} clientVectorMemory
+ * @param {Array} files
+ * @param {Function|null} onEvent - Callback opcional para streaming (SSE). Recebe eventos tipados:
+ *   text { delta }, text_reset, dice_roll, memory_inserted, memory_edited, pending_deletions,
+ *   character_updated { character }, game_clock_updated { clock }, quest_updated { quest }
  */
-async function handleChatGeneration(chatToken, userMessage, clientVectorMemory, files = []) {
+async function handleChatGeneration(chatToken, userMessage, clientVectorMemory, files = [], onEvent = null) {
+    const emit = (event) => {
+        if (onEvent) onEvent(event);
+    };
+
     // 1. Carrega metadados e valida API Keys
     const chatMetadata = await chatStorage.getChatMetadata(chatToken);
-    if (!chatMetadata) throw new Error("Chat nﾃ｣o encontrado.");
+    if (!chatMetadata) throw new NotFoundError("Chat não encontrado.", "CHAT_NOT_FOUND");
 
+    // Keys vindas do cofre do usuário ou do próprio chat
+    const chatConfig = await credentialService.resolveChatConfig(chatMetadata);
     const {
         openrouterApiKey, modelName, temperature, systemInstruction,
         provider, googleApiKeys, googleModelName, rateLimits,
-        cerebrasApiKey, cerebrasModelName
-    } = chatMetadata.config;
-
-    // Valida que há pelo menos uma key do Google para embeddings
-    if (!googleApiKeys || googleApiKeys.length === 0) {
-        throw new Error("API Key do Google não configurada (necessária para embeddings).");
+        cerebrasApiKey, cerebrasModelName, hebbian,
+        vllmBaseUrl, vllmModelName, vllmApiKey, vllmContextWindow
+    } = chatConfig;
+
+    // Chats antigos não têm config.hebbian: completa com os padrões
+    const hebbianConfig = { ...config.hebbianDefaults, ...(hebbian || {}) };
+
+    // Valida o provider de embeddings do chat (Gemini exige ao menos uma key do Google)
+    const embeddingConfig = embeddingService.resolveEmbeddingConfig(chatConfig);
+    if (!embeddingService.isEmbeddingAvailable(embeddingConfig)) {
+        throw new ValidationError(
+            embeddingConfig.provider === "gemini"
+                ? "API Key do Google não configurada (necessária para embeddings)."
+                : "Provider de embeddings do chat não configurado (verifique modelo e Base URL).",
+            "EMBEDDING_PROVIDER_MISSING",
+            { details: { provider: embeddingConfig.provider } }
+        );
     }
 
     // Validate provider-specific keys
     const useGoogleProvider = provider === "google";
     const useCerebrasProvider = provider === "cerebras";
-    if (!useGoogleProvider && !useCerebrasProvider && !openrouterApiKey) {
-        throw new Error("API Key do OpenRouter não configurada.");
+    const useVllmProvider = provider === "vllm";
+    if (!useGoogleProvider && !useCerebrasProvider && !useVllmProvider && !openrouterApiKey) {
+        throw new ValidationError("API Key do OpenRouter não configurada.", "PROVIDER_KEY_MISSING", { details: { provider: "openrouter" } });
     }
     if (useCerebrasProvider && !cerebrasApiKey) {
-        throw new Error("API Key da Cerebras não configurada.");
+        throw new ValidationError("API Key da Cerebras não configurada.", "PROVIDER_KEY_MISSING", { details: { provider: "cerebras" } });
     }
+    if (useVllmProvider && !vllmBaseUrl) {
+        throw new ValidationError("Base URL do servidor local (vLLM/OpenAI-compatible) não configurada.", "PROVIDER_BASE_URL_MISSING", {
+            details: { provider: "vllm" }
+        });
+    }
+
+    // Orçamento de contexto do modelo ativo (registro de janelas; no vLLM, o max_model_len informado)
+    let activeModelName = modelName;
+    if (useGoogleProvider) activeModelName = googleModelName || "gemini-2.5-flash";
+    if (useCerebrasProvider) activeModelName = cerebrasModelName || "llama-3.3-70b";
+    if (useVllmProvider) activeModelName = vllmModelName || "default";
+
+    // A história até agora (resumos da campanha) entra sempre no system prompt
+    const storySoFar = await summaryService.getStorySoFar(chatToken);
+    // O resumo das fichas de personagem também (a ficha completa vem pela tool get_character),
+    // os fios da história em aberto e o relógio oficial do jogo, para o mestre continuar do último carimbo
+    let gameClock = chatMetadata.gameClock || null;
+    const systemInstructionWithStory = gameClockService.injectGameClock(
+        questService.injectQuestLog(
+            characterService.injectCharacterSheets(
+                summaryService.injectStorySoFar(systemInstruction, storySoFar),
+                chatMetadata.characters
+            ),
+            chatMetadata.quests
+        ),
+        gameClock
+    );
+
+    const contextBudget = createContextBudget({
+        modelName: activeModelName,
+        contextWindow: useVllmProvider ? vllmContextWindow : undefined,
+        systemInstruction: systemInstructionWithStory
+    });
+    console.log(`[Service] Orçamento de contexto (${activeModelName}): ${contextBudget.total}/${contextBudget.contextWindow} tokens, memórias ${contextBudget.memories}, histórico ~${contextBudget.history}.`);
 
     // AUTO-REPAIR: Verifica e repara embeddings zerados em background
     // Usa cooldown para nﾃ｣o verificar a cada mensagem (a cada 10 mensagens ou 5 minutos)
@@ -490,8 +715,8 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
             try {
                 const result = await lanceDBService.repairZeroEmbeddings(
                     chatToken,
-                    geminiService.generateEmbedding,
-                    googleApiKeys,
+                    (text) => embeddingService.generateEmbedding(text, embeddingConfig),
+                    null,
                     ['conceitos', 'fatos'] // Nﾃ｣o repara historico automaticamente (muito grande)
                 );
                 if (result.repaired > 0) {
@@ -515,30 +740,62 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
     const MAX_INLINE_SIZE_BYTES = 20 * 1024 * 1024; // 20MB
     const totalAttachmentSize = files.reduce((sum, f) => sum + f.buffer.length, 0);
     if (totalAttachmentSize > MAX_INLINE_SIZE_BYTES) {
-        throw new Error(`Arquivos anexados excedem o limite de 20MB(${(totalAttachmentSize / 1024 / 1024).toFixed(2)}MB enviados).`);
+        throw new ValidationError(
+            `Arquivos anexados excedem o limite de 20MB (${(totalAttachmentSize / 1024 / 1024).toFixed(2)}MB enviados).`,
+            "ATTACHMENTS_TOO_LARGE",
+            { details: { size: totalAttachmentSize, limit: MAX_INLINE_SIZE_BYTES } }
+        );
     }
 
-    await addMessage(chatToken, "historico", userMessage, "user", attachments, googleApiKeys);
+    // Comando de dados do jogador ("/r <expressão>"): rolado aqui, com o mesmo motor do roll_dice,
+    // para o resultado valer e ficar auditável; a mensagem salva é o texto da rolagem
+    let playerRoll = null;
+    const diceExpression = parseDiceCommand(userMessage);
+    if (diceExpression) {
+        try {
+            playerRoll = rollDice(diceExpression);
+        } catch (error) {
+            if (error instanceof DiceError) throw new ValidationError(`Rolagem inválida: ${error.message}`, "INVALID_DICE");
+            throw error;
+        }
+        console.log(`[Dados] Jogador: ${playerRoll.text.replace(/\n/g, "; ")} (seed ${playerRoll.seed})`);
+        userMessage = playerRoll.text;
+    }
+
+    const { messageid: userMessageId } = await addMessage(chatToken, "historico", userMessage, "user", attachments, googleApiKeys, null, {
+        roll: playerRoll && { expression: playerRoll.input, seed: playerRoll.seed }
+    });
+    if (playerRoll) {
+        emit({
+            type: "dice_roll",
+            message: { text: userMessage, role: "user", messageid: userMessageId, createdAt: Date.now() },
+            roll: { ...summarizeRoll(playerRoll.rolls[0]), seed: playerRoll.seed }
+        });
+    }
 
     // 3. Recupera Histﾃｳrico Recente (Necessﾃ｡rio para gerar a query de busca e para o contexto do chat)
     const historyRecords = await lanceDBService.getAllRecordsFromCollection(chatToken, "historico");
     // Ordena por data
     historyRecords.sort((a, b) => a.createdAt - b.createdAt);
 
-    // Pega ﾃｺltimas N mensagens para nﾃ｣o estourar contexto (simplificado)
-    let startIndex = Math.max(0, historyRecords.length - 20);
-    // Tenta garantir que comeﾃｧa com mensagem do usuﾃ｡rio voltando um ﾃｭndice se necessﾃ｡rio
-    if (startIndex > 0 && historyRecords[startIndex].role === 'model') {
-        startIndex = Math.max(0, startIndex - 1);
-    }
-    const recentHistory = historyRecords.slice(startIndex);
+    // Contagem de mensagens funciona como relógio lógico (frequency bias e decay Hebbiano)
+    const currentMessageCount = historyRecords.length;
+
+    // Seleciona os turnos mais recentes que cabem no orçamento provisório do histórico
+    // (assume memórias usando toda a sua cota; ajustado no passo 7 com o system prompt final)
+    const { limitedHistory: recentHistory } = getHistoryWithTokenBudget(historyRecords, contextBudget.history);
 
     // 4. Gera Queries de Busca Otimizadas (RAG - Dual Query: DIRETA + NARRATIVA)
     // Usa o histﾃｳrico recente para entender o que o usuﾃ｡rio quer dizer
     let searchQueries = { direct: userMessage, narrative: '' }; // Default: usa a mensagem do usuﾃ｡rio
 
     // Constrﾃｳi contexto de texto para a IA gerar as queries
-    const historyContextText = recentHistory.map(r => `${r.role}: ${r.text} `).join("\n");
+    // Chamadas auxiliares (queries e contextualização) recebem só o final do histórico
+    const { limitedHistory: auxiliaryHistory } = getHistoryWithTokenBudget(
+        recentHistory,
+        config.contextBudget.auxiliaryHistoryTokens
+    );
+    const historyContextText = auxiliaryHistory.map(r => `${r.role}: ${r.text} `).join("\n");
 
     if (googleApiKeys && googleApiKeys.length > 0) {
         try {
@@ -602,10 +859,30 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
         }
     }
 
+    // === BUSCA DOS FIOS EM ABERTO (ganchos e missões esquecidos voltam ao contexto) ===
+    const questQuery = questService.retrievalQuery(chatMetadata.quests);
+    if (questQuery) {
+        console.log(`[Service] Buscando com os FIOS EM ABERTO: "${questQuery.replace(/\n/g, " | ")}"`);
+
+        for (const collectionName of ["historico", "fatos"]) {
+            try {
+                const results = await searchMessages(chatToken, collectionName, questQuery, 20, googleApiKeys);
+                allMemories = allMemories.concat(results.map(r => ({
+                    ...r,
+                    category: collectionName,
+                    _queryType: 'quest'
+                })));
+            } catch (err) {
+                console.warn(`[Service] Erro ao buscar em ${collectionName} (FIOS): `, err);
+            }
+        }
+    }
+
     // Log de estatﾃｭsticas das buscas
     const directCount = allMemories.filter(m => m._queryType === 'direct').length;
     const narrativeCount = allMemories.filter(m => m._queryType === 'narrative').length;
-    console.log(`[Service] Buscas concluﾃｭdas: ${directCount} resultados DIRETOS, ${narrativeCount} resultados NARRATIVOS`);
+    const questCount = allMemories.filter(m => m._queryType === 'quest').length;
+    console.log(`[Service] Buscas concluﾃｭdas: ${directCount} resultados DIRETOS, ${narrativeCount} resultados NARRATIVOS, ${questCount} dos FIOS EM ABERTO`);
 
     if (allMemories.length > 0) {
 
@@ -625,6 +902,10 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
         //   - 2.0 = duplica (histﾃｳrico 0.5 vira 1.0 - muito agressivo)
         const HISTORICO_PENALTY = 1.016; // 0.6% de penalidade
 
+        // QUEST_BOOST: reduz a distância das mensagens de origem dos fios em aberto
+        const QUEST_BOOST = config.questLimits.retrievalBoost;
+        const questSourceIds = questService.unresolvedSourceIds(chatMetadata.quests);
+
         allMemories.forEach(memory => {
             // Guarda distﾃ｢ncia original para debug
             memory._originalDistance = memory._distance;
@@ -641,8 +922,16 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
                     memory._adaptiveBoost = boost;
                 }
             }
+
+            if (questSourceIds.has(memory.messageid)) {
+                memory._distance = memory._distance * (1 - QUEST_BOOST);
+                memory._questBoost = QUEST_BOOST;
+            }
         });
 
+        // Memórias usadas com frequência ganham boost (log, máx. 30%)
+        allMemories = lanceDBService.applyFrequencyBias(allMemories);
+
         // Ordena por similaridade (menor distﾃ｢ncia = mais similar)
         allMemories.sort((a, b) => a._distance - b._distance);
 
@@ -652,47 +941,92 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
 
         // === QUOTA-BASED FUSION ===
         // Garante diversidade reservando espaﾃｧo para resultados narrativos
-        const WORD_LIMIT = 5000;
-        const NARRATIVE_QUOTA_WORDS = 1500; // Reserva ~30% do espaﾃｧo para narrativa
+        // Limites em tokens vêm do orçamento do modelo (config.contextBudget)
+        const MEMORY_TOKEN_LIMIT = contextBudget.memories;
+        const NARRATIVE_QUOTA_TOKENS = contextBudget.narrative; // Reserva ~30% das memórias para narrativa
 
-        let currentWordCount = 0;
-        let narrativeWordCount = 0;
+        let currentMemoryTokens = 0;
+        let narrativeMemoryTokens = 0;
 
         // Separa resultados por tipo
         const directResults = allMemories.filter(m => m._queryType === 'direct');
         const narrativeResults = allMemories.filter(m => m._queryType === 'narrative');
+        const questResults = allMemories.filter(m => m._queryType === 'quest');
+
+        // Primeiro: memórias dos fios em aberto, com parte da quota narrativa (ganchos esquecidos)
+        const QUEST_QUOTA_TOKENS = NARRATIVE_QUOTA_TOKENS * config.questLimits.retrievalQuotaShare;
+        for (const memory of questResults) {
+            if (seenIds.has(memory.messageid)) continue;
+            if (recentHistoryIds.has(memory.messageid)) continue;
+
+            const memoryTokens = estimateTokens(memory.text);
+            if (narrativeMemoryTokens + memoryTokens > QUEST_QUOTA_TOKENS) continue;
+
+            seenIds.add(memory.messageid);
+            uniqueResults.push(memory);
+            narrativeMemoryTokens += memoryTokens;
+            currentMemoryTokens += memoryTokens;
+        }
 
-        // Primeiro: preenche quota narrativa (foreshadowing garantido)
+        // Segundo: preenche o resto da quota narrativa (foreshadowing garantido)
         for (const memory of narrativeResults) {
             if (seenIds.has(memory.messageid)) continue;
             if (recentHistoryIds.has(memory.messageid)) continue;
 
-            const wordCount = wordCounter(memory.text);
-            if (narrativeWordCount + wordCount > NARRATIVE_QUOTA_WORDS) continue;
+            const memoryTokens = estimateTokens(memory.text);
+            if (narrativeMemoryTokens + memoryTokens > NARRATIVE_QUOTA_TOKENS) continue;
 
             seenIds.add(memory.messageid);
             uniqueResults.push(memory);
-            narrativeWordCount += wordCount;
-            currentWordCount += wordCount;
+            narrativeMemoryTokens += memoryTokens;
+            currentMemoryTokens += memoryTokens;
         }
 
-        // Segundo: preenche o resto com resultados diretos (ordenados por distﾃ｢ncia)
+        // Terceiro: preenche o resto com resultados diretos (ordenados por distﾃ｢ncia)
         for (const memory of directResults) {
             if (seenIds.has(memory.messageid)) continue;
             if (recentHistoryIds.has(memory.messageid)) continue;
 
-            const wordCount = wordCounter(memory.text);
-            if (currentWordCount + wordCount > WORD_LIMIT) break;
+            const memoryTokens = estimateTokens(memory.text);
+            if (currentMemoryTokens + memoryTokens > MEMORY_TOKEN_LIMIT) break;
 
             seenIds.add(memory.messageid);
             uniqueResults.push(memory);
-            currentWordCount += wordCount;
+            currentMemoryTokens += memoryTokens;
         }
 
         // Log de diversidade
         const finalDirect = uniqueResults.filter(m => m._queryType === 'direct').length;
         const finalNarrative = uniqueResults.filter(m => m._queryType === 'narrative').length;
-        console.log(`[Service] Fusﾃ｣o com quotas: ${finalDirect} DIRETOS(~${currentWordCount - narrativeWordCount} palavras), ${finalNarrative} NARRATIVOS(~${narrativeWordCount} palavras)`);
+        const finalQuest = uniqueResults.filter(m => m._queryType === 'quest').length;
+        console.log(`[Service] Fusﾃ｣o com quotas: ${finalDirect} DIRETOS(~${currentMemoryTokens - narrativeMemoryTokens} tokens), ${finalNarrative} NARRATIVOS + ${finalQuest} dos FIOS(~${narrativeMemoryTokens} tokens)`);
+
+        // === ASSOCIAÇÕES HEBBIANAS ===
+        // Memórias fortemente associadas às recuperadas são puxadas junto (respeitando o limite de tokens)
+        if (hebbianConfig.enabled && uniqueResults.length > 0) {
+            const boostedResults = await lanceDBService.applyHebbianBoost(chatToken, uniqueResults, {
+                maxBoost: hebbianConfig.maxBoost
+            });
+
+            let hebbianCount = 0;
+            for (const memory of boostedResults.slice(uniqueResults.length)) {
+                if (seenIds.has(memory.messageid)) continue;
+                if (recentHistoryIds.has(memory.messageid)) continue;
+
+                const memoryTokens = estimateTokens(memory.text);
+                if (currentMemoryTokens + memoryTokens > MEMORY_TOKEN_LIMIT) continue;
+
+                memory._queryType = 'hebbian';
+                seenIds.add(memory.messageid);
+                uniqueResults.push(memory);
+                currentMemoryTokens += memoryTokens;
+                hebbianCount++;
+            }
+
+            if (hebbianCount > 0) {
+                console.log(`[Service] Hebbian: ${hebbianCount} memórias associadas adicionadas ao contexto.`);
+            }
+        }
 
         if (uniqueResults.length > 0) {
             // Coleta mﾃｭdia recuperada do RAG para injeﾃｧﾃ｣o no contexto
@@ -701,7 +1035,7 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
 
             // Monta contexto textual incluindo descriﾃｧﾃｵes de mﾃｭdia
             const memoryLines = uniqueResults.map(m => {
-                let line = `- [${m.role ? m.role.toUpperCase() : 'INFO'}][ID: ${m.messageid}] ${m.text} `;
+                let line = `- [${m.role ? m.role.toUpperCase() : 'INFO'}][ID: ${m.messageid}] ${m.text}${gameClockService.describeGameTime(m)} `;
 
                 // Se tem anexo com mﾃｭdia, adiciona descriﾃｧﾃ｣o e coleta para injeﾃｧﾃ｣o
                 if (m.attachments) {
@@ -769,29 +1103,120 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
                 return {
                     messageid: m.messageid,
                     text: m.text,
+                    gameTime: m.gameTime,
+                    gameLocation: m.gameLocation,
                     score: m._distance,
                     category: m.category,
                     hasMedia: !!mediaData,
                     media: mediaData,
+                    // Já considera o acesso desta geração (marcado em background abaixo)
+                    accessCount: (m.accessCount || 0) + 1,
+                    lastMessageAccessed: currentMessageCount,
                     // Debug info para calibraﾃｧﾃ｣o do RAG
                     debug: {
                         originalDistance: m._originalDistance || m._distance,
                         finalDistance: m._distance,
                         adaptiveBoost: m._adaptiveBoost || 0,
+                        frequencyBoost: m._frequencyBoost || 0,
                         hasPenalty: m.category === 'historico',
-                        queryType: m._queryType || 'direct' // 'direct' ou 'narrative'
+                        queryType: m._queryType || 'direct', // 'direct', 'narrative', 'quest' ou 'hebbian'
+                        questBoost: m._questBoost || 0,
+                        hebbianBoost: m._hebbianBoost || 0,
+                        hebbianPulledBy: m._hebbianPulledBy || null,
+                        hebbianStrength: m._hebbianStrength || 0
                     }
                 };
             });
 
-            console.log(`[Service] Contexto RAG construﾃｭdo com ${uniqueResults.length} memﾃｳrias(~${currentWordCount} palavras).`);
+            console.log(`[Service] Contexto RAG construﾃｭdo com ${uniqueResults.length} memﾃｳrias(~${currentMemoryTokens} tokens).`);
+        }
+    }
+
+    // 5.1 Frequência de acesso (background)
+    // Toda memória que entrou no prompt conta como acessada (alimenta o frequency bias)
+    if (uniqueResults.length > 0) {
+        const accessedIds = uniqueResults.map(m => m.messageid);
+        (async () => {
+            try {
+                await lanceDBService.markMemoriesAccessed(chatToken, accessedIds, currentMessageCount);
+            } catch (err) {
+                console.warn(`[Service] Falha ao marcar memórias acessadas: `, err.message);
+            }
+        })();
+    }
+
+    // 5.2 Aprendizado Hebbiano (background)
+    // Fortalece associações entre memórias co-recuperadas e aplica decay a cada `decayInterval` mensagens.
+    // Memórias puxadas pelo próprio boost não contam como co-ocorrência (evita auto-reforço).
+    // O ponto do decay é salvo com os metadados no final da geração.
+    let synapticDecayAt = null;
+    if (hebbianConfig.enabled) {
+        const lastDecayAt = chatMetadata.lastSynapticDecayAt || 0;
+        const shouldDecay = currentMessageCount - lastDecayAt >= hebbianConfig.decayInterval;
+        if (shouldDecay) synapticDecayAt = currentMessageCount;
+
+        const coRetrieved = uniqueResults.filter(m => m._queryType !== 'hebbian');
+
+        (async () => {
+            try {
+                if (coRetrieved.length > 1) {
+                    await lanceDBService.updateHebbianAssociations(chatToken, coRetrieved, currentMessageCount, {
+                        learningRate: hebbianConfig.learningRate
+                    });
+                }
+                if (shouldDecay) {
+                    await lanceDBService.applySynapticDecay(chatToken, currentMessageCount, hebbianConfig.decayRate, lastDecayAt);
+                }
+            } catch (err) {
+                console.warn(`[Service] Aprendizado Hebbiano falhou: `, err.message);
+            }
+        })();
+    }
+
+    // 6. System Instruction Dinâmico (Two-Stage Memory Contextualization)
+    let finalSystemInstruction = systemInstructionWithStory;
+
+    // Etapa 1: Se temos memórias recuperadas, contextualiza-as antes de injetar
+    if (contextText) {
+        let contextualizedText = contextText; // fallback: memórias brutas
+
+        if (googleApiKeys && googleApiKeys.length > 0) {
+            try {
+                console.log(`[Service] Etapa 1: Contextualizando ${uniqueResults.length} memórias recuperadas...`);
+                contextualizedText = await geminiService.generateContextSummary(
+                    historyContextText,
+                    contextText,
+                    googleApiKeys
+                );
+                console.log(`[Service] Contexto gerado com sucesso (${contextualizedText.length} chars).`);
+            } catch (e) {
+                console.warn("[Service] Falha ao contextualizar memórias, usando formato bruto:", e.message);
+            }
         }
+
+        // Etapa 2: Injeta o texto contextualizado nas system instructions
+        if (finalSystemInstruction.includes("{vector_memory}")) {
+            finalSystemInstruction = finalSystemInstruction.replace("{vector_memory}", contextualizedText);
+        } else {
+            // Fallback para templates antigos que não tenham a tag
+            finalSystemInstruction += "\n\n<retrieved_context>\n" + contextualizedText + "\n</retrieved_context>";
+        }
+    } else {
+        // Limpa o placeholder se não houver memória
+        finalSystemInstruction = finalSystemInstruction.replace("{vector_memory}", "Nenhuma memória relevante encontrada.");
     }
 
-    // 6. Monta Histﾃｳrico para o Gemini
+    // 7. Monta Histﾃｳrico para o Gemini
+    // O histórico fica com o que sobrou depois do system prompt final (com as memórias
+    // contextualizadas) e da mídia recuperada; turnos mais antigos saem primeiro.
+    const ragMediaTokens = (uniqueResults._ragMediaParts || [])
+        .reduce((sum, p) => sum + estimateMediaTokens(p.inlineData), 0);
+    const historyBudget = getHistoryBudget(contextBudget, finalSystemInstruction, ragMediaTokens);
+    const { limitedHistory: promptHistory } = getHistoryWithTokenBudget(recentHistory, historyBudget);
+
     // IMPORTANTE: Para melhor qualidade, imagens/PDFs devem vir ANTES do texto
     // conforme documentaﾃｧﾃ｣o do Gemini
-    const conversationHistory = recentHistory.map(r => {
+    const conversationHistory = promptHistory.map(r => {
         const parts = [];
 
         // Primeiro: adiciona anexos (imagens e PDFs)
@@ -836,7 +1261,7 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
         };
     });
 
-    // 6.1 Injeta imagens recuperadas do RAG no histﾃｳrico
+    // 7.1 Injeta imagens recuperadas do RAG no histﾃｳrico
     // Isso permite que o modelo "veja" imagens antigas que foram recuperadas por busca semﾃ｢ntica
     if (uniqueResults._ragMediaParts && uniqueResults._ragMediaParts.length > 0) {
         const ragMediaParts = uniqueResults._ragMediaParts;
@@ -880,40 +1305,9 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
         });
     }
 
-    // 7. System Instruction Dinâmico (Two-Stage Memory Contextualization)
-    let finalSystemInstruction = systemInstruction;
-
-    // Etapa 1: Se temos memórias recuperadas, contextualiza-as antes de injetar
-    if (contextText) {
-        let contextualizedText = contextText; // fallback: memórias brutas
-
-        if (googleApiKeys && googleApiKeys.length > 0) {
-            try {
-                console.log(`[Service] Etapa 1: Contextualizando ${uniqueResults.length} memórias recuperadas...`);
-                contextualizedText = await geminiService.generateContextSummary(
-                    historyContextText,
-                    contextText,
-                    googleApiKeys
-                );
-                console.log(`[Service] Contexto gerado com sucesso (${contextualizedText.length} chars).`);
-            } catch (e) {
-                console.warn("[Service] Falha ao contextualizar memórias, usando formato bruto:", e.message);
-            }
-        }
-
-        // Etapa 2: Injeta o texto contextualizado nas system instructions
-        if (finalSystemInstruction.includes("{vector_memory}")) {
-            finalSystemInstruction = finalSystemInstruction.replace("{vector_memory}", contextualizedText);
-        } else {
-            // Fallback para templates antigos que não tenham a tag
-            finalSystemInstruction += "\n\n<retrieved_context>\n" + contextualizedText + "\n</retrieved_context>";
-        }
-    } else {
-        // Limpa o placeholder se não houver memória
-        finalSystemInstruction = finalSystemInstruction.replace("{vector_memory}", "Nenhuma memória relevante encontrada.");
-    }
-
     // 8. Chama Gemini com Tools
+    // O mestre precisa saber o sistema dos testes (no PbtA não há CD, no Fate a dificuldade é opcional)
+    const checkRuleset = RULESETS[chatConfig.ruleset] || RULESETS[config.defaultRuleset];
     const tools = [
         {
             function_declarations: [
@@ -941,15 +1335,156 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
                 },
                 {
                     name: "roll_dice",
-                    description: "Realiza uma rolagem de dados de RPG (ex: 1d20, 2d6+3, 4dF). Retorna o resultado.",
+                    description: "Realiza uma rolagem de dados de RPG e retorna o resultado. Use sempre esta ferramenta em vez de inventar números.",
+                    parameters: {
+                        type: "OBJECT",
+                        properties: {
+                            expression: {
+                                type: "STRING",
+                                description: "Expressão de dados. Exemplos: 1d20+5, 2d6+1d4+3, d%, 4dF, 4d6kh3 (mantém os 3 maiores), 2d20kl1, adv/dis (vantagem/desvantagem), 3d6! (explode no máximo), 4d6r1 (rerrola 1s), 8d10>=7f1 (conta sucessos, desconta falhas). Dê nome com \"Ataque: 1d20+5\" e separe várias rolagens com \";\"."
+                            }
+                        },
+                        required: ["expression"]
+                    }
+                },
+                {
+                    name: "skill_check",
+                    description: `Faz um teste de perícia de um personagem: pega o modificador da ficha (perícia ou atributo), rola pelo motor de dados e compara com a CD. Salva o resultado no histórico e devolve sucesso, falha ou crítico. Sistema de regras deste chat: ${checkRuleset.label}${checkRuleset.dcLabel ? "" : " (sem CD: 10+ sucesso, 7-9 sucesso parcial, 6- falha)"}.`,
+                    parameters: {
+                        type: "OBJECT",
+                        properties: {
+                            skill: { type: "STRING", description: "Perícia ou atributo testado, como está na ficha (ex.: Percepção, Força)." },
+                            character: { type: "STRING", description: "Nome do personagem. Pode omitir se o chat tiver um único jogador." },
+                            dc: { type: "INTEGER", description: "Classe de dificuldade (CD) ou dificuldade do teste." },
+                            bonus: { type: "INTEGER", description: "Bônus ou penalidade de situação, somado ao modificador da ficha." },
+                            advantage: { type: "STRING", description: "Só no d20: \"advantage\" (vantagem) ou \"disadvantage\" (desvantagem)." }
+                        },
+                        required: ["skill"]
+                    }
+                },
+                {
+                    name: "get_character",
+                    description: "Consulta a ficha completa de um personagem (atributos, perícias, recursos, condições e inventário). Sem nome, lista todas as fichas do chat.",
+                    parameters: {
+                        type: "OBJECT",
+                        properties: {
+                            name: { type: "STRING", description: "Nome (ou id) do personagem." }
+                        }
+                    }
+                },
+                {
+                    name: "update_character",
+                    description: "Cria ou altera a ficha de um personagem. Só os campos enviados mudam: atributos, perícias e recursos são mesclados; condições e itens são adicionados/removidos. Para dano, cura ou gasto de recursos prefira adjust_resource.",
                     parameters: {
                         type: "OBJECT",
                         properties: {
-                            count: { type: "INTEGER", description: "Nﾃｺmero de dados." },
-                            type: { type: "STRING", description: "Tipo do dado (20, 6, 100, F para Fudge/Fate)." },
-                            modifier: { type: "INTEGER", description: "Modificador a ser somado ao total (opcional)." }
+                            name: { type: "STRING", description: "Nome (ou id) do personagem. Se não existir ficha, ela é criada com este nome." },
+                            kind: { type: "STRING", description: "\"pc\" (personagem do jogador) ou \"npc\" (controlado pelo mestre)." },
+                            description: { type: "STRING", description: "Descrição curta (aparência, papel na história)." },
+                            notes: { type: "STRING", description: "Anotações livres da ficha." },
+                            attributes: {
+                                type: "ARRAY",
+                                description: "Atributos a definir (ex.: Força 14).",
+                                items: {
+                                    type: "OBJECT",
+                                    properties: { name: { type: "STRING" }, value: { type: "NUMBER" } },
+                                    required: ["name", "value"]
+                                }
+                            },
+                            skills: {
+                                type: "ARRAY",
+                                description: "Perícias e seus modificadores (ex.: Furtividade +5).",
+                                items: {
+                                    type: "OBJECT",
+                                    properties: { name: { type: "STRING" }, value: { type: "NUMBER" } },
+                                    required: ["name", "value"]
+                                }
+                            },
+                            resources: {
+                                type: "ARRAY",
+                                description: "Recursos a definir, como PV e mana (valor atual e máximo).",
+                                items: {
+                                    type: "OBJECT",
+                                    properties: { name: { type: "STRING" }, current: { type: "NUMBER" }, max: { type: "NUMBER" } },
+                                    required: ["name"]
+                                }
+                            },
+                            add_conditions: { type: "ARRAY", items: { type: "STRING" }, description: "Condições novas (ex.: envenenado, caído)." },
+                            remove_conditions: { type: "ARRAY", items: { type: "STRING" }, description: "Condições que terminaram." },
+                            items: {
+                                type: "ARRAY",
+                                description: "Itens ganhos (quantidade positiva) ou perdidos/usados (negativa).",
+                                items: {
+                                    type: "OBJECT",
+                                    properties: {
+                                        name: { type: "STRING" },
+                                        quantity_change: { type: "INTEGER" },
+                                        notes: { type: "STRING" }
+                                    },
+                                    required: ["name", "quantity_change"]
+                                }
+                            }
                         },
-                        required: ["count", "type"]
+                        required: ["name"]
+                    }
+                },
+                {
+                    name: "adjust_resource",
+                    description: "Soma ou subtrai de um recurso da ficha (PV, mana, munição...): dano e gasto com valor negativo, cura com positivo. O resultado fica entre 0 e o máximo.",
+                    parameters: {
+                        type: "OBJECT",
+                        properties: {
+                            name: { type: "STRING", description: "Nome (ou id) do personagem." },
+                            resource: { type: "STRING", description: "Nome do recurso (ex.: PV)." },
+                            delta: { type: "NUMBER", description: "Valor a somar (negativo para dano/gasto)." }
+                        },
+                        required: ["name", "resource", "delta"]
+                    }
+                },
+                {
+                    name: "open_quest",
+                    description: "Abre um fio da história no diário de missões: missão, gancho de trama ou promessa de um NPC que o jogador pode seguir. Fios em aberto voltam ao contexto nas próximas cenas.",
+                    parameters: {
+                        type: "OBJECT",
+                        properties: {
+                            title: { type: "STRING", description: "Título curto e único do fio (ex.: Resgatar a filha do ferreiro)." },
+                            description: { type: "STRING", description: "O que foi pedido ou prometido, por quem e o que está em jogo." },
+                            npcs: { type: "ARRAY", items: { type: "STRING" }, description: "NPCs ligados ao fio." },
+                            locations: { type: "ARRAY", items: { type: "STRING" }, description: "Locais ligados ao fio." },
+                            source_message_ids: { type: "ARRAY", items: { type: "STRING" }, description: "IDs de memórias do contexto onde o gancho apareceu (a mensagem atual já é ligada)." }
+                        },
+                        required: ["title"]
+                    }
+                },
+                {
+                    name: "update_quest",
+                    description: "Atualiza um fio do diário de missões: avanço, resolução ou fracasso, novos NPCs e locais. NPCs, locais e origens enviados são somados aos do fio.",
+                    parameters: {
+                        type: "OBJECT",
+                        properties: {
+                            title: { type: "STRING", description: "Título (ou id) do fio." },
+                            status: { type: "STRING", description: "\"open\" (em aberto), \"advanced\" (avançou), \"resolved\" (resolvido) ou \"failed\" (fracassou)." },
+                            note: { type: "STRING", description: "O que aconteceu com o fio nesta cena." },
+                            description: { type: "STRING", description: "Nova descrição completa do fio." },
+                            npcs: { type: "ARRAY", items: { type: "STRING" }, description: "NPCs novos ligados ao fio." },
+                            locations: { type: "ARRAY", items: { type: "STRING" }, description: "Locais novos ligados ao fio." },
+                            source_message_ids: { type: "ARRAY", items: { type: "STRING" }, description: "IDs de memórias do contexto ligadas ao fio." }
+                        },
+                        required: ["title"]
+                    }
+                },
+                {
+                    name: "set_game_clock",
+                    description: "Corrige o relógio oficial do jogo (dia, ano, hora e local). Use quando o carimbo estiver errado ou o tempo pular (viagem, descanso, time skip). Só os campos enviados mudam.",
+                    parameters: {
+                        type: "OBJECT",
+                        properties: {
+                            day: { type: "STRING", description: "Dia, como aparece no carimbo (ex.: Dia 3)." },
+                            year: { type: "STRING", description: "Ano, como aparece no carimbo (ex.: Ano 1042)." },
+                            time: { type: "STRING", description: "Hora no formato HH:MM (ex.: 14:30)." },
+                            location: { type: "STRING", description: "Local atual." },
+                            advance_minutes: { type: "INTEGER", description: "Minutos a avançar a partir do relógio atual (ex.: 480 para um descanso de 8 horas). Passar da meia-noite avança o dia." }
+                        }
                     }
                 },
                 {
@@ -1000,6 +1535,14 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
             tools,
             apiKey: cerebrasApiKey
         };
+    } else if (useVllmProvider) {
+        generationOptions = {
+            baseUrl: vllmBaseUrl,
+            modelName: vllmModelName || "default",
+            temperature,
+            tools,
+            apiKey: vllmApiKey
+        };
     } else {
         generationOptions = {
             modelName,
@@ -1009,12 +1552,21 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
         };
     }
 
+    // Em modo streaming, repassa os trechos de texto conforme chegam do provider
+    if (onEvent) {
+        generationOptions.onTextDelta = (delta) => emit({ type: "text", delta });
+    }
+
     // Função auxiliar para chamar o provider correto
     const generateResponse = async (history, systemInst, options) => {
+        // Cada chamada gera um novo texto; o cliente descarta o parcial anterior
+        emit({ type: "text_reset" });
         if (useGoogleProvider) {
             return await googleProvider.generateChatResponse(history, systemInst, options);
         } else if (useCerebrasProvider) {
             return await cerebrasService.generateChatResponse(history, systemInst, options);
+        } else if (useVllmProvider) {
+            return await vllmService.generateChatResponse(history, systemInst, options);
         }
         return await openrouterService.generateChatResponse(history, systemInst, options);
     };
@@ -1023,6 +1575,8 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
     let finalModelResponseText = "";
     let generatedMessages = [];
     let pendingDeletionsForResponse = null;
+    let clockCorrected = false; // set_game_clock vale sobre o carimbo da narração deste turno
+    const touchedQuestIds = new Set(); // Fios abertos/alterados: ganham as mensagens deste turno como origem
 
     // Primeira chamada
     let currentResponse = await generateResponse(conversationHistory, finalSystemInstruction, generationOptions);
@@ -1066,16 +1620,19 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
                     }
                     memoryInsertCount++;
 
-                    const msgId = await addMessage(chatToken, "fatos", args.text, "model", [], googleApiKeys);
+                    const { messageid: msgId } = await addMessage(chatToken, "fatos", args.text, "model", [], googleApiKeys);
                     toolResult = { status: "success", message: "Fato inserido com sucesso." };
 
                     // Adiciona ﾃ memﾃｳria de exibiﾃｧﾃ｣o para atualizaﾃｧﾃ｣o imediata na UI
                     displayMemory.push({
                         messageid: msgId,
                         text: args.text,
+                        // O mesmo momento que addMessage gravou no registro
+                        ...gameClockService.gameTimeFields(gameClock),
                         score: 0, // Score 0 para indicar que ﾃｩ novo/relevante
                         category: "fatos"
                     });
+                    emit({ type: "memory_inserted", memory: displayMemory[displayMemory.length - 1] });
 
                 } else if (name === "insert_concept") {
                     // Aplica delay entre inserﾃｧﾃｵes para evitar rate limiting no embedding API
@@ -1085,7 +1642,7 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
                     }
                     memoryInsertCount++;
 
-                    const msgId = await addMessage(chatToken, "conceitos", args.text, "model", [], googleApiKeys);
+                    const { messageid: msgId } = await addMessage(chatToken, "conceitos", args.text, "model", [], googleApiKeys);
                     toolResult = { status: "success", message: "Conceito inserido com sucesso." };
 
                     // Adiciona ﾃ memﾃｳria de exibiﾃｧﾃ｣o para atualizaﾃｧﾃ｣o imediata na UI
@@ -1095,48 +1652,85 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
                         score: 0,
                         category: "conceitos"
                     });
+                    emit({ type: "memory_inserted", memory: displayMemory[displayMemory.length - 1] });
 
                 } else if (name === "roll_dice") {
-                    const count = args.count;
-                    const type = args.type;
-                    const modifier = args.modifier || 0;
-
-                    let total = 0;
-                    let rolls = [];
-
-                    for (let i = 0; i < count; i++) {
-                        let val;
-                        let display;
-                        if (type.toUpperCase() === 'F') {
-                            val = Math.floor(Math.random() * 3) - 1;
-                            display = val === -1 ? '-' : val === 1 ? '+' : ' ';
-                        } else {
-                            const sides = parseInt(type, 10);
-                            val = Math.floor(Math.random() * sides) + 1;
-                            display = val;
-                        }
-                        total += val;
-                        rolls.push(display);
-                    }
-
-                    const finalTotal = total + modifier;
-                    const rollString = rolls.join(', ');
-                    const modString = modifier ? (modifier > 0 ? `+ ${modifier} ` : `${modifier} `) : '';
-                    const resultText = `${count}d${type}${modString} = ${finalTotal} { ${rollString} } `;
-
-                    const rollMsgId = await addMessage(chatToken, "historico", resultText, "model", [], googleApiKeys);
+                    // Chamadas antigas ainda podem mandar count/type/modifier
+                    const expression = args.expression
+                        || `${args.count || 1}d${args.type}${args.modifier ? (args.modifier > 0 ? `+${args.modifier}` : args.modifier) : ""}`;
+                    const result = rollDice(expression);
+                    console.log(`[Dados] ${result.text.replace(/\n/g, "; ")} (seed ${result.seed})`);
+
+                    const { messageid: rollMsgId } = await addMessage(chatToken, "historico", result.text, "model", [], googleApiKeys, null, {
+                        roll: { expression: result.input, seed: result.seed }
+                    });
 
-                    generatedMessages.push({
-                        text: resultText,
+                    const rollMessage = {
+                        text: result.text,
                         role: "model",
                         messageid: rollMsgId,
                         createdAt: Date.now()
+                    };
+                    generatedMessages.push(rollMessage);
+                    emit({
+                        type: "dice_roll",
+                        message: rollMessage,
+                        roll: { ...summarizeRoll(result.rolls[0]), seed: result.seed }
                     });
 
-                    toolResult = { result: resultText };
+                    toolResult = {
+                        result: result.text,
+                        seed: result.seed,
+                        rolls: result.rolls.map(({ label, total }) => ({ label, total }))
+                    };
                     needsFollowUp = true; // Rolagem de dados pode precisar de resposta narrativa
+                } else if (name === "skill_check") {
+                    const { message, check, roll } = await performSkillCheck(chatToken, args, googleApiKeys);
+                    generatedMessages.push(message);
+                    // Mesmo evento do roll_dice: o front-end anima os dados e mostra o registro do teste
+                    emit({ type: "dice_roll", message, roll });
+                    toolResult = { status: "success", ...check };
+                    needsFollowUp = true; // O mestre narra a consequência do teste
+                } else if (name === "get_character") {
+                    toolResult = args.name
+                        ? { character: await characterService.getCharacter(chatToken, args.name) }
+                        : { characters: await characterService.listCharacters(chatToken) };
+                    needsFollowUp = true;
+                } else if (name === "update_character") {
+                    const { character, created } = await characterService.updateCharacter(
+                        chatToken,
+                        args.name,
+                        characterService.changesFromToolArgs(args),
+                        { createIfMissing: true }
+                    );
+                    emit({ type: "character_updated", character });
+                    toolResult = { status: "success", created, character };
+                } else if (name === "adjust_resource") {
+                    const { character, ...change } = await characterService.adjustResource(chatToken, args.name, args.resource, args.delta);
+                    emit({ type: "character_updated", character });
+                    toolResult = { status: "success", character: character.name, ...change };
+                    needsFollowUp = true; // O mestre narra a consequência (ex.: personagem caído)
+                } else if (name === "open_quest" || name === "update_quest") {
+                    const quest = name === "open_quest"
+                        ? await questService.createQuest(chatToken, { title: args.title, ...questService.changesFromToolArgs(args) })
+                        : await questService.updateQuest(chatToken, args.title, questService.changesFromToolArgs(args));
+                    touchedQuestIds.add(quest.id);
+                    emit({ type: "quest_updated", quest });
+                    toolResult = { status: "success", quest: { id: quest.id, title: quest.title, status: quest.status } };
+                } else if (name === "set_game_clock") {
+                    gameClock = await gameClockService.setGameClock(chatToken, {
+                        day: args.day,
+                        year: args.year,
+                        time: args.time,
+                        location: args.location,
+                        advanceMinutes: args.advance_minutes
+                    }, "tool");
+                    clockCorrected = true;
+                    emit({ type: "game_clock_updated", clock: gameClock });
+                    toolResult = { status: "success", clock: gameClockService.formatStamp(gameClock) };
                 } else if (name === "edit_memory") {
                     const wasUpdated = await editMessage(chatToken, args.messageid, args.new_text);
+                    emit({ type: "memory_edited", messageid: args.messageid, text: args.new_text, success: !!wasUpdated });
                     if (wasUpdated) {
                         toolResult = { status: "success", message: "Memﾃｳria atualizada com sucesso." };
                     } else {
@@ -1161,6 +1755,7 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
                         pendingDeletions: memoriesToDelete
                     };
                     pendingDeletionsForResponse = memoriesToDelete;
+                    emit({ type: "pending_deletions", pendingDeletions: memoriesToDelete });
                 } else {
                     toolResult = { error: "Function not found" };
                 }
@@ -1248,7 +1843,7 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
         }
     }
 
-    const modelMessageId = await addMessage(chatToken, "historico", modelResponse, "model", [], googleApiKeys, finalThoughtSignature);
+    const { messageid: modelMessageId } = await addMessage(chatToken, "historico", modelResponse, "model", [], googleApiKeys, finalThoughtSignature);
 
     generatedMessages.push({
         text: modelResponse,
@@ -1257,15 +1852,32 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
         createdAt: Date.now()
     });
 
-    // Atualiza metadados
+    // A mensagem do jogador e a narração deste turno viram origem dos fios abertos ou alterados
+    if (touchedQuestIds.size > 0) {
+        const linkedQuests = await questService.linkSources(chatToken, [...touchedQuestIds], [userMessageId, modelMessageId]);
+        for (const quest of linkedQuests) emit({ type: "quest_updated", quest });
+    }
+
+    // O carimbo da narração vira o relógio oficial (respostas sem carimbo mantêm o anterior)
+    if (!clockCorrected) {
+        const stampedClock = await gameClockService.recordStamp(chatToken, modelResponse);
+        if (stampedClock) emit({ type: "game_clock_updated", clock: stampedClock });
+    }
+
+    // Atualiza metadados sobre a versão salva: a config pode ter mudado durante a geração
     if (chatMetadata) {
-        chatMetadata.updatedAt = new Date().toISOString();
-        if (chatMetadata.title === "Novo Chat" && userMessage.length > 2) {
-            chatMetadata.title = userMessage.substring(0, 30) + "...";
-        }
-        await chatStorage.saveChatMetadata(chatToken, chatMetadata, chatMetadata.userId);
+        await chatStorage.updateChatMetadata(chatToken, (current) => {
+            current.updatedAt = new Date().toISOString();
+            if (synapticDecayAt !== null) current.lastSynapticDecayAt = synapticDecayAt;
+            if (current.title === "Novo Chat" && userMessage.length > 2) {
+                current.title = userMessage.substring(0, 30) + "...";
+            }
+        });
     }
 
+    // Resume em background os trechos do histórico que saíram da janela recente
+    summaryService.scheduleSummarization(chatToken);
+
     // Recarrega histﾃｳrico do banco para garantir ordem e consistﾃｪncia
     const finalHistory = await lanceDBService.getAllRecordsFromCollection(chatToken, "historico");
     finalHistory.sort((a, b) => a.createdAt - b.createdAt);
@@ -1286,14 +1898,83 @@ async function handleChatGeneration(chatToken, userMessage, clientVectorMemory,
  */
 async function updateChatConfig(chatToken, config) {
     const metadata = await chatStorage.getChatMetadata(chatToken);
-    if (!metadata) throw new Error("Chat nﾃ｣o encontrado.");
+    if (!metadata) throw new NotFoundError("Chat não encontrado.", "CHAT_NOT_FOUND");
+
+    // O front-end recebe as keys mascaradas: a máscara devolvida mantém a key salva
+    config = restoreMaskedKeys(config, metadata.config);
+
+    // Credenciais do cofre escolhidas para o chat (vazio = herda o padrão do usuário)
+    if (config.credentials) {
+        config = {
+            ...config,
+            credentials: await credentialService.validateChatCredentials(metadata.userId, config.credentials)
+        };
+    }
+
+    if (config.embedding) {
+        config = { ...config, embedding: await applyEmbeddingChange(chatToken, metadata, config) };
+    }
+
+    // Atualiza apenas os campos permitidos ou faz merge (sobre a versão salva, atomicamente)
+    const updated = await chatStorage.updateChatMetadata(chatToken, (current) => {
+        current.config = { ...current.config, ...config };
+        current.updatedAt = new Date().toISOString();
+    });
+    if (!updated) throw new NotFoundError("Chat não encontrado.", "CHAT_NOT_FOUND");
+    return updated;
+}
+
+/**
+ * Valida a troca do modelo de embedding de um chat.
+ * Vetores de modelos diferentes não são comparáveis, então a troca só é permitida
+ * enquanto o chat não tem memórias; nesse caso as tabelas são recriadas com a nova dimensão.
+ * @param {string} chatToken
+ * @param {Object} metadata - Metadados atuais do chat.
+ * @param {Object} newConfig - Config recebida (com newConfig.embedding).
+ * @returns {Promise<Object>} - Config de embedding a salvar (com a dimensão resolvida).
+ */
+async function applyEmbeddingChange(chatToken, metadata, newConfig) {
+    const current = embeddingService.resolveEmbeddingConfig(metadata.config);
+    // A key do novo modelo pode vir do cofre do usuário
+    const requested = embeddingService.resolveEmbeddingConfig(await credentialService.resolveChatConfig({
+        ...metadata,
+        config: { ...metadata.config, ...newConfig, embedding: { ...newConfig.embedding } }
+    }));
+
+    const sameModel = requested.provider === current.provider && requested.model === current.model;
+    if (sameModel && (!requested.dimension || requested.dimension === current.dimension)) {
+        return { ...newConfig.embedding, dimension: current.dimension };
+    }
+
+    if (metadata.embeddingMigration) {
+        throw new ConflictError(
+            "Há uma migração de embeddings pendente neste chat. Conclua ou cancele antes de trocar o modelo.",
+            "EMBEDDING_MIGRATION_IN_PROGRESS"
+        );
+    }
+
+    // Descobre a dimensão do novo modelo se não foi informada
+    if (!requested.dimension) {
+        if (!embeddingService.isEmbeddingAvailable(requested)) {
+            throw new ValidationError("Não foi possível verificar o novo modelo de embedding: configuração incompleta.", "EMBEDDING_CONFIG_INVALID");
+        }
+        requested.dimension = await embeddingService.probeDimension(requested);
+    }
 
-    // Atualiza apenas os campos permitidos ou faz merge
-    metadata.config = { ...metadata.config, ...config };
-    metadata.updatedAt = new Date().toISOString();
+    const stats = await getMemoryStats(chatToken);
+    const totalRecords = Object.values(stats).reduce((sum, count) => sum + count, 0);
+    if (totalRecords > 0) {
+        throw new ConflictError(
+            `Este chat já possui ${totalRecords} registro(s) com embeddings de ${current.model} (${current.dimension}D). Trocar o modelo exige migrar (reprocessar) as memórias.`,
+            "EMBEDDING_MIGRATION_REQUIRED"
+        );
+    }
+
+    console.log(`[Service] Recriando tabelas do chat ${chatToken} para embeddings ${requested.model} (${requested.dimension}D).`);
+    await lanceDBService.deleteChatTables(chatToken);
+    await lanceDBService.initializeCollections(chatToken, requested.dimension);
 
-    await chatStorage.saveChatMetadata(chatToken, metadata, metadata.userId);
-    return metadata;
+    return { ...newConfig.embedding, dimension: requested.dimension };
 }
 
 /**
@@ -1320,8 +2001,8 @@ async function importChat(userId, messages, apiKey, onProgress) {
     // 1. Cria um novo chat
     const chatToken = await createChat(userId);
 
-    // 2. Atualiza a API Key do chat
-    await updateChatConfig(chatToken, { apiKey });
+    // 2. A API Key vai para o cofre do usuário; o chat guarda só a referência
+    await updateChatConfig(chatToken, await credentialService.detachChatKeys(userId, { googleApiKeys: [apiKey] }, "Importação"));
 
     // 3. Processa as mensagens
     let processedCount = 0;
@@ -1358,7 +2039,7 @@ async function branchChat(originalChatToken, targetMessageId, userId) {
     // 1. Recupera metadados do chat original
     const originalMetadata = await chatStorage.getChatMetadata(originalChatToken);
     if (!originalMetadata) {
-        throw new Error("Chat original nﾃ｣o encontrado.");
+        throw new NotFoundError("Chat original não encontrado.", "CHAT_NOT_FOUND");
     }
 
     // 2. Recupera histﾃｳrico completo para encontrar a mensagem alvo e definir o cutoffTime
@@ -1366,19 +2047,30 @@ async function branchChat(originalChatToken, targetMessageId, userId) {
     const targetMessage = fullHistory.find(m => m.messageid === targetMessageId);
 
     if (!targetMessage) {
-        throw new Error("Mensagem alvo nﾃ｣o encontrada no histﾃｳrico.");
+        throw new NotFoundError("Mensagem alvo não encontrada no histórico.", "MESSAGE_NOT_FOUND");
     }
 
     const cutoffTime = targetMessage.createdAt;
     console.log(`[Service] Cutoff time definido: ${cutoffTime} (Msg ID: ${targetMessageId})`);
 
-    // 3. Cria o novo chat
-    const newChatToken = await createChat(userId);
+    // 3. Cria o novo chat (mesmo modelo de embedding, para poder copiar os vetores)
+    const newChatToken = await createChat(userId, {
+        embedding: originalMetadata.config.embedding || { ...config.embeddingDefaults }
+    });
 
     // 4. Copia e salva as configuraﾃｧﾃｵes do chat original
     const newMetadata = await chatStorage.getChatMetadata(newChatToken);
     newMetadata.title = `${originalMetadata.title} (Branch)`;
-    newMetadata.config = { ...originalMetadata.config }; // Copia profunda simples das configs
+    // Keys salvas no chat original vão para o cofre: o branch só referencia as credenciais
+    newMetadata.config = await credentialService.detachChatKeys(userId, { ...originalMetadata.config }, originalMetadata.title);
+    // Fichas vão no estado atual: elas não guardam histórico para voltar ao ponto do branch
+    newMetadata.characters = originalMetadata.characters || [];
+    // O relógio volta ao último carimbo até o ponto do branch (ou fica o atual, se foi definido antes dele)
+    const originalClock = originalMetadata.gameClock;
+    newMetadata.gameClock = gameClockService.clockFromHistory(fullHistory.filter(m => m.createdAt <= cutoffTime))
+        || (originalClock && originalClock.updatedAt <= cutoffTime ? originalClock : null);
+    // Fios abertos depois do ponto do branch ficam de fora; os demais vão no estado atual
+    newMetadata.quests = (originalMetadata.quests || []).filter(q => q.createdAt <= cutoffTime);
     await chatStorage.saveChatMetadata(newChatToken, newMetadata, userId);
 
     // 5. Filtra e copia dados das coleﾃｧﾃｵes (historico, fatos, conceitos)
@@ -1404,13 +2096,23 @@ async function branchChat(originalChatToken, targetMessageId, userId) {
                 // Garante que o vetor seja um array simples de nﾃｺmeros, se existir
                 vector: record.vector ? Array.from(record.vector) : null,
                 attachments: record.attachments, // Mantﾃｩm anexos
-                thoughtSignature: record.thoughtSignature
+                thoughtSignature: record.thoughtSignature,
+                // Dados estruturados (rolagens, momento do jogo dos fatos etc.)
+                ...lanceDBService.pickRecordData(record)
             };
 
             await lanceDBService.insertRecord(newChatToken, collectionName, cleanRecord);
         }
     }
 
+    // 6. Copia os resumos que terminam antes do ponto de branch. Se a história até agora
+    // cobre mensagens posteriores, ela não é copiada e é refeita a partir dos capítulos.
+    const summaryRecords = await lanceDBService.getSummaryRecords(originalChatToken);
+    for (const record of summaryRecords.filter(r => r.endAt <= cutoffTime)) {
+        await lanceDBService.saveSummaryRecord(newChatToken, { ...record });
+    }
+    summaryService.scheduleSummarization(newChatToken);
+
     return newChatToken;
 }
 
@@ -1425,7 +2127,9 @@ async function exportMemories(chatToken, collections = ["fatos", "conceitos"]) {
 
     // Carrega metadados do chat
     const chatMetadata = await chatStorage.getChatMetadata(chatToken);
-    if (!chatMetadata) throw new Error("Chat nﾃ｣o encontrado.");
+    if (!chatMetadata) throw new NotFoundError("Chat não encontrado.", "CHAT_NOT_FOUND");
+
+    const embeddingConfig = embeddingService.resolveEmbeddingConfig(chatMetadata.config);
 
     const exportData = {
         version: "1.1", // Versﾃ｣o atualizada com suporte a embeddings
@@ -1434,7 +2138,9 @@ async function exportMemories(chatToken, collections = ["fatos", "conceitos"]) {
             chatId: chatToken,
             chatTitle: chatMetadata.title || "Chat sem tﾃｭtulo"
         },
-        embeddingDimension: config.embeddingDimension, // Dimensﾃ｣o dos embeddings para validaﾃｧﾃ｣o
+        embeddingDimension: embeddingConfig.dimension, // Dimensﾃ｣o dos embeddings para validaﾃｧﾃ｣o
+        embeddingProvider: embeddingConfig.provider,
+        embeddingModel: embeddingConfig.model,
         statistics: {},
         collections: {}
     };
@@ -1454,7 +2160,9 @@ async function exportMemories(chatToken, collections = ["fatos", "conceitos"]) {
                 // Mantﾃｩm flag de attachments para histﾃｳrico
                 ...(record.attachments && collectionName === "historico" ? {
                     hasAttachments: true
-                } : {})
+                } : {}),
+                // Dados estruturados (momento do jogo dos fatos, rolagens etc.)
+                ...lanceDBService.pickRecordData(record)
             }));
 
             exportData.collections[collectionName] = exportedRecords;
@@ -1484,24 +2192,36 @@ async function importMemories(chatToken, data, collections, onProgress) {
 
     // Valida versﾃ｣o (aceita 1.0 e 1.1)
     if (!["1.0", "1.1"].includes(data.version)) {
-        throw new Error(`Versﾃ｣o do arquivo nﾃ｣o suportada: ${data.version} `);
+        throw new ValidationError(`Versão do arquivo não suportada: ${data.version}.`, "IMPORT_VERSION_UNSUPPORTED", {
+            details: { version: data.version }
+        });
     }
 
     // Carrega metadados do chat para obter API Key (pode ser necessﾃ｡ria)
     const chatMetadata = await chatStorage.getChatMetadata(chatToken);
-    if (!chatMetadata) throw new Error("Chat nﾃ｣o encontrado.");
+    if (!chatMetadata) throw new NotFoundError("Chat não encontrado.", "CHAT_NOT_FOUND");
 
-    const apiKey = chatMetadata.config?.googleApiKeys?.[0];
+    const chatConfig = await credentialService.resolveChatConfig(chatMetadata);
+    const apiKey = chatConfig.googleApiKeys[0];
+    const embeddingConfig = embeddingService.resolveEmbeddingConfig(chatConfig);
 
     // Verifica se os embeddings no arquivo sﾃ｣o compatﾃｭveis
-    const hasEmbeddings = data.version === "1.1" && data.embeddingDimension === config.embeddingDimension;
+    // Arquivos antigos não registram o modelo: eram sempre do Gemini
+    const fileEmbeddingModel = data.embeddingModel || config.embeddingDefaults.model;
+    const hasEmbeddings = data.version === "1.1"
+        && data.embeddingDimension === embeddingConfig.dimension
+        && fileEmbeddingModel === embeddingConfig.model;
 
     if (hasEmbeddings) {
         console.log(`[Service] Arquivo contﾃｩm embeddings compatﾃｭveis(${data.embeddingDimension}D).Importaﾃｧﾃ｣o rﾃ｡pida ativada.`);
     } else {
         console.log(`[Service] Arquivo sem embeddings ou incompatﾃｭvel.Serﾃ｡ necessﾃ｡rio gerar embeddings.`);
-        if (!apiKey) {
-            throw new Error("API Key do Google nﾃ｣o configurada (necessﾃ｡ria para gerar embeddings).");
+        if (!embeddingService.isEmbeddingAvailable(embeddingConfig)) {
+            throw new ValidationError(
+                "Provider de embeddings não configurado (necessário para gerar embeddings).",
+                "EMBEDDING_PROVIDER_MISSING",
+                { details: { provider: embeddingConfig.provider } }
+            );
         }
     }
 
@@ -1536,17 +2256,18 @@ async function importMemories(chatToken, data, collections, onProgress) {
         for (const record of records) {
             try {
                 // Verifica se temos um embedding vﾃ｡lido
-                const hasValidVector = hasEmbeddings && record.vector && Array.isArray(record.vector) && record.vector.length === config.embeddingDimension;
+                const hasValidVector = hasEmbeddings && record.vector && Array.isArray(record.vector) && record.vector.length === embeddingConfig.dimension;
 
                 if (hasValidVector) {
                     // Importaﾃｧﾃ｣o rﾃ｡pida: usa o embedding existente
-                    const messageid = `${uuidv4()} `;
+                    const messageid = uuidv4();
                     const insertRecord = {
                         text: record.text,
                         role: record.role || "model",
                         messageid,
                         createdAt: record.createdAt || Date.now(),
-                        vector: record.vector
+                        vector: record.vector,
+                        ...lanceDBService.pickRecordData(record)
                     };
 
                     await lanceDBService.insertRecord(chatToken, collectionName, insertRecord);
@@ -1559,7 +2280,9 @@ async function importMemories(chatToken, data, collections, onProgress) {
                         record.text,
                         record.role || "model",
                         [], // Sem anexos na importaﾃｧﾃ｣o
-                        apiKey
+                        apiKey,
+                        null,
+                        { recordData: lanceDBService.pickRecordData(record) }
                     );
                     stats.embeddingsGenerated++;
 
@@ -1617,7 +2340,7 @@ async function getMemoryStats(chatToken) {
  * Busca semﾃ｢ntica em todos os chats de um usuﾃ｡rio.
  * @param {string} userId - ID do usuﾃ｡rio
  * @param {string} queryText - Texto da busca
- * @param {string} apiKey - API Key para gerar embedding
+ * @param {string} [apiKey] - API Key do Google (usada nos chats com embeddings Gemini)
  * @returns {Promise<object[]>} - Lista de chats ranqueados por relevﾃ｢ncia
  */
 async function searchAllUserChats(userId, queryText, apiKey) {
@@ -1630,23 +2353,50 @@ async function searchAllUserChats(userId, queryText, apiKey) {
         return [];
     }
 
-    // 2. Gera embedding da query
-    const queryVector = await geminiService.generateEmbedding(queryText, apiKey);
+    // 2. Agrupa os chats por modelo de embedding: vetores de modelos diferentes não são comparáveis
+    const groups = new Map();
+    const keyring = await credentialService.loadKeyring(userId);
+    for (const chat of chats) {
+        const embeddingConfig = embeddingService.resolveEmbeddingConfig(await credentialService.resolveChatConfig(chat, keyring));
+        // Key mascarada (vinda da lista de chats) não serve: usa as keys salvas de cada chat
+        if (apiKey && !isMaskedSecret(apiKey) && embeddingConfig.provider === "gemini") {
+            embeddingConfig.apiKeys = [apiKey];
+        }
+        const signature = embeddingService.getEmbeddingSignature(embeddingConfig);
+        if (!groups.has(signature)) {
+            groups.set(signature, { embeddingConfig, chatTokens: [] });
+        }
+        groups.get(signature).chatTokens.push(chat.id);
+    }
 
-    // 3. Busca em batches paralelos
+    // 3. Gera o embedding da query uma vez por grupo e busca em batches
     const BATCH_SIZE = 50;
     const allResults = [];
-    const chatTokens = chats.map(c => c.id);
-
-    for (let i = 0; i < chatTokens.length; i += BATCH_SIZE) {
-        const batchTokens = chatTokens.slice(i, i + BATCH_SIZE);
-        const batchResults = await lanceDBService.searchAcrossChats(
-            batchTokens,
-            ['fatos', 'conceitos', 'historico'],
-            queryVector,
-            5 // Limite por coleﾃｧﾃ｣o
-        );
-        allResults.push(...batchResults);
+
+    for (const [signature, { embeddingConfig, chatTokens }] of groups) {
+        if (!embeddingService.isEmbeddingAvailable(embeddingConfig)) {
+            console.warn(`[Service] Busca global: embeddings ${signature} indisponíveis, ${chatTokens.length} chat(s) ignorados.`);
+            continue;
+        }
+
+        let queryVector;
+        try {
+            queryVector = await embeddingService.generateEmbedding(queryText, embeddingConfig);
+        } catch (error) {
+            console.warn(`[Service] Busca global: falha ao gerar embedding ${signature}: ${error.message}`);
+            continue;
+        }
+
+        for (let i = 0; i < chatTokens.length; i += BATCH_SIZE) {
+            const batchTokens = chatTokens.slice(i, i + BATCH_SIZE);
+            const batchResults = await lanceDBService.searchAcrossChats(
+                batchTokens,
+                ['fatos', 'conceitos', 'historico'],
+                queryVector,
+                5 // Limite por coleção
+            );
+            allResults.push(...batchResults);
+        }
     }
 
     // 4. Agrupa resultados por chat e calcula score mﾃｩdio
@@ -1703,17 +2453,25 @@ async function searchAllUserChats(userId, queryText, apiKey) {
  */
 async function repairEmbeddings(chatToken) {
     const chatMetadata = await chatStorage.getChatMetadata(chatToken);
-    if (!chatMetadata) throw new Error("Chat não encontrado.");
-
-    const googleApiKeys = chatMetadata.config.googleApiKeys || [];
-    if (googleApiKeys.length === 0) throw new Error("API Key do Google não configurada.");
+    if (!chatMetadata) throw new NotFoundError("Chat não encontrado.", "CHAT_NOT_FOUND");
+
+    const embeddingConfig = embeddingService.resolveEmbeddingConfig(await credentialService.resolveChatConfig(chatMetadata));
+    if (!embeddingService.isEmbeddingAvailable(embeddingConfig)) {
+        throw new ValidationError(
+            embeddingConfig.provider === "gemini"
+                ? "API Key do Google não configurada."
+                : "Provider de embeddings do chat não configurado.",
+            "EMBEDDING_PROVIDER_MISSING",
+            { details: { provider: embeddingConfig.provider } }
+        );
+    }
 
     console.log(`[Service] Iniciando reparo de embeddings para chat ${chatToken}...`);
 
     const result = await lanceDBService.repairZeroEmbeddings(
         chatToken,
-        geminiService.generateEmbedding,
-        googleApiKeys,
+        (text) => embeddingService.generateEmbedding(text, embeddingConfig),
+        null,
         ['conceitos', 'fatos', 'historico'] // Repara todas as coleções
     );
 
@@ -1733,11 +2491,13 @@ module.exports = {
     createChat,
     getAllChats,
     getChatDetails,
+    getChatConfig,
     getChatHistory,
     deleteChat,
     updateChatConfig,
     renameChat,
     addMessage,
+    performSkillCheck,
     editMessage,
     deleteMessage,
     searchMessages,
@@ -1750,5 +2510,6 @@ module.exports = {
     searchAllUserChats,
     repairEmbeddings,
     checkZeroEmbeddings,
-    getPendingQueueStatus
+    getPendingQueueStatus,
+    getChatEmbeddingConfig
 };
@@ -1,33 +1,20 @@
 // src/services/chatStorage.service.js
-const fs = require("fs").promises;
-const fsSync = require("fs");
-const path = require("path");
-const config = require("../config");
-
-// Define o caminho onde os metadados (JSONs) serão salvos.
-// Se config.metadataPath não existir ainda, usamos um padrão 'data/metadata'
-const METADATA_DIR = path.join(process.cwd(), config.metadataPath || "data/metadata");
-
-// Garante que o diretório exista na inicialização
-if (!fsSync.existsSync(METADATA_DIR)) {
-  fsSync.mkdirSync(METADATA_DIR, { recursive: true });
-  console.log(`[SISTEMA] | [STORAGE] -> Diretório de metadados criado em: ${METADATA_DIR}`);
-}
+const storage = require("./storage");
+const { encryptMetadataKeys, decryptMetadataKeys, hasPlaintextKeys } = require("../utils/providerKeys");
 
 /**
  * Salva ou sobrescreve os metadados de um chat.
+ * As API Keys dos providers são cifradas antes de ir para o disco.
  * @param {string} chatToken - O ID único do chat.
  * @param {object} data - Objeto contendo { title, createdAt, modelConfig, etc }.
  * @param {string} userId - ID do usuário dono do chat (opcional para retrocompatibilidade).
  */
 async function saveChatMetadata(chatToken, data, userId = null) {
-  const filePath = path.join(METADATA_DIR, `${chatToken}.json`);
   try {
     if (userId) {
       data.userId = userId;
     }
-    const content = JSON.stringify(data, null, 2);
-    await fs.writeFile(filePath, content, "utf-8");
+    await storage.saveChat(chatToken, encryptMetadataKeys(data));
     console.log(`[${new Date().toLocaleTimeString()}] | [STORAGE] -> Metadados salvos para o chat: ${chatToken} (User: ${userId})`);
   } catch (error) {
     console.error(`[${new Date().toLocaleTimeString()}] | [STORAGE] -> ERRO ao salvar metadados:`, error);
@@ -36,20 +23,19 @@ async function saveChatMetadata(chatToken, data, userId = null) {
 }
 
 /**
- * Recupera os metadados de um chat específico.
+ * Recupera os metadados de um chat específico (com as API Keys já decifradas).
  * @param {string} chatToken 
  * @returns {Promise<object|null>}
  */
 async function getChatMetadata(chatToken) {
-  const filePath = path.join(METADATA_DIR, `${chatToken}.json`);
   try {
-    const content = await fs.readFile(filePath, "utf-8");
-    return JSON.parse(content);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
+    const data = await storage.getChat(chatToken);
+    if (!data) {
       console.warn(`[${new Date().toLocaleTimeString()}] | [STORAGE] -> Chat não encontrado: ${chatToken}`);
       return null;
     }
+    return decryptMetadataKeys(data);
+  } catch (error) {
     console.error(`[${new Date().toLocaleTimeString()}] | [STORAGE] -> ERRO ao ler chat:`, error);
     throw error;
   }
@@ -62,29 +48,7 @@ async function getChatMetadata(chatToken) {
  */
 async function getAllChats(userId) {
   try {
-    const files = await fs.readdir(METADATA_DIR);
-    const jsonFiles = files.filter(file => file.endsWith(".json"));
-
-    const chats = [];
-    for (const file of jsonFiles) {
-      const content = await fs.readFile(path.join(METADATA_DIR, file), "utf-8");
-      try {
-        const data = JSON.parse(content);
-        // Filter by userId if provided
-        if (userId) {
-          if (data.userId === userId) {
-            chats.push(data);
-          }
-        } else {
-          // If no userId provided (e.g. admin or legacy), maybe return all? 
-          // For now, let's return all if no userId is passed, or maybe empty?
-          // Let's assume strict mode: if userId is passed, filter. If not, return all (legacy behavior).
-          chats.push(data);
-        }
-      } catch (parseError) {
-        console.error(`[STORAGE] Erro ao parsear arquivo ${file}:`, parseError);
-      }
-    }
+    const chats = (await storage.listChats(userId || null)).map(decryptMetadataKeys);
 
     // Ordena do mais recente para o mais antigo
     return chats.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -94,45 +58,55 @@ async function getAllChats(userId) {
   }
 }
 
+/**
+ * Atualiza os metadados de um chat de forma atômica: lê a versão salva, aplica o mutator
+ * e grava sem que outra escrita no mesmo chat entre no meio (evita sobrescrever, por exemplo,
+ * uma config salva durante a geração com a cópia antiga que a geração tinha em memória).
+ * @param {string} chatToken
+ * @param {Function} mutator - Recebe os metadados atuais (decifrados) e os altera ou retorna a nova versão. Síncrono.
+ * @returns {Promise<object|null>} - Metadados atualizados, ou null se o chat não existe.
+ */
+async function updateChatMetadata(chatToken, mutator) {
+  const updated = await storage.updateChat(chatToken, (current) => {
+    const data = decryptMetadataKeys(current);
+    return encryptMetadataKeys(mutator(data) || data);
+  });
+  return updated ? decryptMetadataKeys(updated) : null;
+}
+
 /**
  * Atualiza apenas as configurações de um chat existente.
  * @param {string} chatToken 
  * @param {object} newConfig - { temperature, modelName, systemInstruction, etc }
  */
 async function updateChatConfig(chatToken, newConfig) {
-  const currentData = await getChatMetadata(chatToken);
+  const currentData = await updateChatMetadata(chatToken, (data) => {
+    // Mescla a config antiga com a nova
+    data.config = {
+      ...data.config,
+      ...newConfig
+    };
+    data.updatedAt = new Date().toISOString();
+  });
   if (!currentData) {
     throw new Error("Chat não encontrado para atualização.");
   }
 
-  // Mescla a config antiga com a nova
-  currentData.config = {
-    ...currentData.config,
-    ...newConfig
-  };
-
-  // Atualiza timestamp de modificação se desejar (opcional)
-  currentData.updatedAt = new Date().toISOString();
-
-  await saveChatMetadata(chatToken, currentData, currentData.userId);
   console.log(`[${new Date().toLocaleTimeString()}] | [STORAGE] -> Configurações atualizadas para: ${chatToken}`);
   return currentData;
 }
 
 /**
- * Deleta o arquivo de metadados de um chat.
+ * Deleta os metadados de um chat.
  * @param {string} chatToken 
  */
 async function deleteChatMetadata(chatToken) {
-  const filePath = path.join(METADATA_DIR, `${chatToken}.json`);
   try {
-    await fs.unlink(filePath);
-    console.log(`[${new Date().toLocaleTimeString()}] | [STORAGE] -> Arquivo de metadados deletado: ${chatToken}`);
+    await storage.deleteChat(chatToken);
+    console.log(`[${new Date().toLocaleTimeString()}] | [STORAGE] -> Metadados deletados: ${chatToken}`);
   } catch (error) {
-    if (error.code !== 'ENOENT') {
-      console.error(`[${new Date().toLocaleTimeString()}] | [STORAGE] -> ERRO ao deletar arquivo:`, error);
-      throw error;
-    }
+    console.error(`[${new Date().toLocaleTimeString()}] | [STORAGE] -> ERRO ao deletar metadados:`, error);
+    throw error;
   }
 }
 
@@ -142,24 +116,49 @@ async function deleteChatMetadata(chatToken) {
  * @param {string} newTitle 
  */
 async function updateChatTitle(chatToken, newTitle) {
-  const currentData = await getChatMetadata(chatToken);
+  const currentData = await updateChatMetadata(chatToken, (data) => {
+    data.title = newTitle;
+    data.updatedAt = new Date().toISOString();
+  });
   if (!currentData) {
     throw new Error("Chat não encontrado para renomear.");
   }
 
-  currentData.title = newTitle;
-  currentData.updatedAt = new Date().toISOString();
-
-  await saveChatMetadata(chatToken, currentData, currentData.userId);
   console.log(`[${new Date().toLocaleTimeString()}] | [STORAGE] -> Título atualizado para: ${chatToken}`);
   return currentData;
 }
 
+/**
+ * Migração única: cifra as API Keys que ainda estão em texto puro nos metadados
+ * (gravados antes da criptografia). Chats já cifrados são ignorados.
+ * @returns {Promise<number>} - Quantidade de chats migrados.
+ */
+async function encryptLegacyKeys() {
+  let migrated = 0;
+
+  for (const data of await storage.listChats(null)) {
+    if (!hasPlaintextKeys(data)) continue;
+    try {
+      await storage.updateChat(data.id, (current) => encryptMetadataKeys(current));
+      migrated++;
+    } catch (error) {
+      console.error(`[STORAGE] Erro ao cifrar as keys de ${data.id}:`, error.message);
+    }
+  }
+
+  if (migrated > 0) {
+    console.log(`[${new Date().toLocaleTimeString()}] | [STORAGE] -> API Keys cifradas em ${migrated} chat(s) antigos.`);
+  }
+  return migrated;
+}
+
 module.exports = {
   saveChatMetadata,
   getChatMetadata,
   getAllChats,
+  updateChatMetadata,
   updateChatConfig,
   updateChatTitle,
-  deleteChatMetadata
+  deleteChatMetadata,
+  encryptLegacyKeys
 };
\ No newline at end of file
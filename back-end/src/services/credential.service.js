@@ -0,0 +1,398 @@
+// src/services/credential.service.js
+// Cofre de credenciais do usuário: API Keys dos providers compartilhadas entre os chats.
+// Fica ao lado do usuário no storage (tabela keyrings ou data/users/<userId>.keyring.json), com as keys cifradas.
+// Os chats referenciam as keys por id (config.credentials) e herdam os padrões do usuário;
+// uma key salva no próprio chat continua valendo como override (chats antigos).
+
+const { v4: uuidv4 } = require("uuid");
+const storage = require("./storage");
+const { encryptSecret, decryptSecret, maskSecret } = require("../utils/providerKeys");
+const { NotFoundError, ValidationError } = require("../utils/errors");
+
+// Provider da credencial -> campo da config do chat que ela preenche
+const CREDENTIAL_PROVIDERS = {
+    google: "googleApiKeys",
+    openrouter: "openrouterApiKey",
+    cerebras: "cerebrasApiKey",
+    vllm: "vllmApiKey",
+    embedding: "apiKey", // config.embedding.apiKey (embeddings OpenAI-compatible)
+};
+
+// Providers que aceitam várias keys (rotação por quota)
+const MULTI_KEY_PROVIDERS = ["google"];
+
+// Escritas no cofre serializadas por usuário
+const keyringLocks = new Map();
+
+/**
+ * Executa uma alteração no cofre do usuário sem concorrência com outras alterações dele.
+ * @param {string} userId
+ * @param {function(): Promise<*>} task
+ */
+function withKeyringLock(userId, task) {
+    const previous = keyringLocks.get(userId) || Promise.resolve();
+    const next = previous.catch(() => { }).then(task);
+    keyringLocks.set(userId, next);
+    next.catch(() => { }).finally(() => {
+        if (keyringLocks.get(userId) === next) keyringLocks.delete(userId);
+    });
+    return next;
+}
+
+/**
+ * Carrega o cofre do usuário (as keys continuam cifradas).
+ * @param {string} userId
+ * @returns {Promise<{credentials: object[], defaults: object}>}
+ */
+async function loadKeyring(userId) {
+    if (!userId) return { credentials: [], defaults: {} };
+
+    const keyring = await storage.getKeyring(userId);
+    return { credentials: keyring?.credentials || [], defaults: keyring?.defaults || {} };
+}
+
+/**
+ * Salva o cofre do usuário.
+ * @param {string} userId
+ * @param {{credentials: object[], defaults: object}} keyring
+ */
+async function saveKeyring(userId, keyring) {
+    await storage.saveKeyring(userId, { userId, ...keyring });
+}
+
+/**
+ * Credencial pronta para a API (sem a key, só a máscara).
+ * @param {object} credential
+ * @returns {object}
+ */
+function toPublicCredential(credential) {
+    const { key, ...rest } = credential;
+    return { ...rest, fingerprint: maskSecret(decryptSecret(key)) };
+}
+
+/**
+ * Valida uma seleção de credenciais ({ provider: id | id[] }) contra o cofre.
+ * Valores vazios significam "herdar" e são removidos.
+ * @param {object} keyring
+ * @param {object} selection
+ * @returns {object} - Seleção normalizada (array só nos providers com várias keys).
+ */
+function normalizeSelection(keyring, selection) {
+    const result = {};
+
+    for (const [provider, value] of Object.entries(selection || {})) {
+        if (!CREDENTIAL_PROVIDERS[provider]) {
+            throw new ValidationError(`Provider de credencial desconhecido: ${provider}.`, "CREDENTIAL_INVALID");
+        }
+
+        const ids = (Array.isArray(value) ? value : [value]).filter(Boolean);
+        if (ids.length === 0) continue;
+
+        if (ids.length > 1 && !MULTI_KEY_PROVIDERS.includes(provider)) {
+            throw new ValidationError(`O provider ${provider} aceita apenas uma credencial.`, "CREDENTIAL_INVALID");
+        }
+        for (const id of ids) {
+            const credential = keyring.credentials.find((c) => c.id === id);
+            if (!credential || credential.provider !== provider) {
+                throw new ValidationError(
+                    `Credencial ${id} não encontrada para o provider ${provider}.`,
+                    "CREDENTIAL_INVALID"
+                );
+            }
+        }
+
+        result[provider] = MULTI_KEY_PROVIDERS.includes(provider) ? ids : ids[0];
+    }
+    return result;
+}
+
+/**
+ * Lista as credenciais do usuário (mascaradas) e os padrões por provider.
+ * @param {string} userId
+ * @returns {Promise<{credentials: object[], defaults: object}>}
+ */
+async function listCredentials(userId) {
+    const keyring = await loadKeyring(userId);
+    return { credentials: keyring.credentials.map(toPublicCredential), defaults: keyring.defaults };
+}
+
+/**
+ * Adiciona uma credencial ao cofre. A primeira key de um provider vira o padrão dele.
+ * @param {string} userId
+ * @param {{provider: string, label?: string, key: string}} data
+ * @returns {Promise<object>} - Credencial mascarada.
+ */
+function createCredential(userId, { provider, label, key }) {
+    return withKeyringLock(userId, async () => {
+        if (!CREDENTIAL_PROVIDERS[provider]) {
+            throw new ValidationError(`Provider de credencial desconhecido: ${provider}.`, "CREDENTIAL_INVALID");
+        }
+        if (!key || typeof key !== "string" || !key.trim()) {
+            throw new ValidationError("A API Key não pode ser vazia.", "CREDENTIAL_INVALID");
+        }
+
+        const keyring = await loadKeyring(userId);
+        const now = new Date().toISOString();
+        const sameProvider = keyring.credentials.filter((c) => c.provider === provider);
+        const credential = {
+            id: uuidv4(),
+            provider,
+            label: (label || "").trim() || `${provider} ${sameProvider.length + 1}`,
+            key: encryptSecret(key.trim()),
+            createdAt: now,
+            updatedAt: now,
+        };
+
+        keyring.credentials.push(credential);
+        const currentDefault = keyring.defaults[provider];
+        if (!currentDefault || currentDefault.length === 0) {
+            keyring.defaults[provider] = MULTI_KEY_PROVIDERS.includes(provider) ? [credential.id] : credential.id;
+        }
+
+        await saveKeyring(userId, keyring);
+        console.log(`[Credentials] Credencial ${provider} adicionada ao cofre do usuário ${userId}.`);
+        return toPublicCredential(credential);
+    });
+}
+
+/**
+ * Renomeia uma credencial ou troca a key (rotação): todos os chats que a usam passam a usar a nova.
+ * @param {string} userId
+ * @param {string} credentialId
+ * @param {{label?: string, key?: string}} changes
+ * @returns {Promise<object>} - Credencial mascarada.
+ */
+function updateCredential(userId, credentialId, { label, key }) {
+    return withKeyringLock(userId, async () => {
+        const keyring = await loadKeyring(userId);
+        const credential = keyring.credentials.find((c) => c.id === credentialId);
+        if (!credential) {
+            throw new NotFoundError("Credencial não encontrada.", "CREDENTIAL_NOT_FOUND");
+        }
+
+        if (label !== undefined) {
+            if (typeof label !== "string" || !label.trim()) {
+                throw new ValidationError("O nome da credencial não pode ser vazio.", "CREDENTIAL_INVALID");
+            }
+            credential.label = label.trim();
+        }
+        if (key !== undefined) {
+            if (typeof key !== "string" || !key.trim()) {
+                throw new ValidationError("A API Key não pode ser vazia.", "CREDENTIAL_INVALID");
+            }
+            credential.key = encryptSecret(key.trim());
+        }
+        credential.updatedAt = new Date().toISOString();
+
+        await saveKeyring(userId, keyring);
+        return toPublicCredential(credential);
+    });
+}
+
+/**
+ * Remove uma credencial do cofre (e dos padrões). Chats que a referenciavam voltam a herdar.
+ * @param {string} userId
+ * @param {string} credentialId
+ */
+function deleteCredential(userId, credentialId) {
+    return withKeyringLock(userId, async () => {
+        const keyring = await loadKeyring(userId);
+        const credential = keyring.credentials.find((c) => c.id === credentialId);
+        if (!credential) {
+            throw new NotFoundError("Credencial não encontrada.", "CREDENTIAL_NOT_FOUND");
+        }
+
+        keyring.credentials = keyring.credentials.filter((c) => c.id !== credentialId);
+        const current = keyring.defaults[credential.provider];
+        if (Array.isArray(current)) {
+            keyring.defaults[credential.provider] = current.filter((id) => id !== credentialId);
+        } else if (current === credentialId) {
+            delete keyring.defaults[credential.provider];
+        }
+
+        await saveKeyring(userId, keyring);
+        console.log(`[Credentials] Credencial ${credentialId} removida do cofre do usuário ${userId}.`);
+    });
+}
+
+/**
+ * Define as credenciais padrão do usuário por provider (herdadas pelos chats).
+ * @param {string} userId
+ * @param {object} defaults - { google: [ids], openrouter: id, ... }. Vazio remove o padrão.
+ * @returns {Promise<object>} - Padrões salvos.
+ */
+function setDefaults(userId, defaults) {
+    return withKeyringLock(userId, async () => {
+        const keyring = await loadKeyring(userId);
+        keyring.defaults = { ...keyring.defaults };
+
+        // Providers omitidos mantêm o padrão atual
+        for (const provider of Object.keys(defaults || {})) {
+            delete keyring.defaults[provider];
+        }
+        Object.assign(keyring.defaults, normalizeSelection(keyring, defaults));
+
+        await saveKeyring(userId, keyring);
+        return keyring.defaults;
+    });
+}
+
+/**
+ * Valida as credenciais escolhidas para um chat (config.credentials).
+ * @param {string} userId
+ * @param {object} selection - { provider: id | id[] }
+ * @returns {Promise<object>} - Seleção normalizada.
+ */
+async function validateChatCredentials(userId, selection) {
+    return normalizeSelection(await loadKeyring(userId), selection);
+}
+
+/**
+ * Resolve as keys de um provider para um chat.
+ * Ordem: credencial escolhida no chat > key salva no próprio chat > padrão do usuário.
+ * @param {object} keyring
+ * @param {object} chatConfig
+ * @param {string} provider
+ * @returns {{source: string|null, keys: string[]}}
+ */
+function resolveProviderKeys(keyring, chatConfig, provider) {
+    const fromIds = (value) => (Array.isArray(value) ? value : [value])
+        .map((id) => keyring.credentials.find((c) => c.id === id && c.provider === provider))
+        .filter(Boolean)
+        .map((c) => decryptSecret(c.key))
+        .filter(Boolean);
+
+    const selected = chatConfig.credentials?.[provider];
+    if (selected) {
+        const keys = fromIds(selected);
+        if (keys.length > 0) return { source: "credential", keys };
+    }
+
+    const field = CREDENTIAL_PROVIDERS[provider];
+    const raw = provider === "embedding" ? chatConfig.embedding?.apiKey : chatConfig[field];
+    const chatKeys = (Array.isArray(raw) ? raw : [raw]).filter(Boolean);
+    if (chatKeys.length > 0) return { source: "chat", keys: chatKeys };
+
+    const fallback = keyring.defaults[provider];
+    if (fallback) {
+        const keys = fromIds(fallback);
+        if (keys.length > 0) return { source: "default", keys };
+    }
+
+    return { source: null, keys: [] };
+}
+
+/**
+ * Config efetiva de um chat, com as API Keys de todos os providers resolvidas.
+ * Só para uso interno (geração, embeddings): nunca salvar nem devolver na API.
+ * @param {object} metadata - Metadados do chat (com userId e config).
+ * @param {object} [keyring] - Cofre já carregado (ex: ao resolver vários chats do mesmo usuário).
+ * @returns {Promise<object>}
+ */
+async function resolveChatConfig(metadata, keyring = null) {
+    const chatConfig = metadata?.config || {};
+    const ring = keyring || await loadKeyring(metadata?.userId);
+    const resolved = { ...chatConfig };
+
+    for (const provider of Object.keys(CREDENTIAL_PROVIDERS)) {
+        const { keys } = resolveProviderKeys(ring, chatConfig, provider);
+        if (provider === "embedding") {
+            // Sem config.embedding o chat usa o Gemini, que não precisa desta key
+            if (chatConfig.embedding) {
+                resolved.embedding = { ...chatConfig.embedding, apiKey: keys[0] || "" };
+            }
+        } else if (MULTI_KEY_PROVIDERS.includes(provider)) {
+            resolved[CREDENTIAL_PROVIDERS[provider]] = keys;
+        } else {
+            resolved[CREDENTIAL_PROVIDERS[provider]] = keys[0] || "";
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Resumo das keys efetivas do chat para a API: origem e máscaras por provider.
+ * @param {object} metadata
+ * @returns {Promise<object>} - { google: { source, fingerprints }, ... }
+ */
+async function describeChatKeys(metadata) {
+    const keyring = await loadKeyring(metadata?.userId);
+    const result = {};
+    for (const provider of Object.keys(CREDENTIAL_PROVIDERS)) {
+        const { source, keys } = resolveProviderKeys(keyring, metadata?.config || {}, provider);
+        result[provider] = { source, fingerprints: keys.map(maskSecret) };
+    }
+    return result;
+}
+
+/**
+ * Move as keys salvas numa config de chat para o cofre do usuário e troca por referências.
+ * Usado ao importar/bifurcar chats para não espalhar cópias das keys.
+ * Keys que já estão no cofre (mesmo provider e valor) são reaproveitadas.
+ * @param {string} userId
+ * @param {object} chatConfig
+ * @param {string} [label] - Nome das credenciais criadas.
+ * @returns {Promise<object>} - Config sem keys, com config.credentials.
+ */
+function detachChatKeys(userId, chatConfig, label = "") {
+    if (!userId) return Promise.resolve(chatConfig);
+
+    return withKeyringLock(userId, async () => {
+        const keyring = await loadKeyring(userId);
+        const result = { ...chatConfig, credentials: { ...(chatConfig.credentials || {}) } };
+        let changed = false;
+
+        for (const [provider, field] of Object.entries(CREDENTIAL_PROVIDERS)) {
+            const raw = provider === "embedding" ? chatConfig.embedding?.apiKey : chatConfig[field];
+            const keys = (Array.isArray(raw) ? raw : [raw]).filter(Boolean);
+            if (keys.length === 0) continue;
+
+            const ids = keys.map((key) => {
+                const existing = keyring.credentials.find((c) => c.provider === provider && decryptSecret(c.key) === key);
+                if (existing) return existing.id;
+
+                const now = new Date().toISOString();
+                const credential = {
+                    id: uuidv4(),
+                    provider,
+                    label: `${label || provider} (${maskSecret(key)})`,
+                    key: encryptSecret(key),
+                    createdAt: now,
+                    updatedAt: now,
+                };
+                keyring.credentials.push(credential);
+                changed = true;
+                return credential.id;
+            });
+
+            // Uma credencial já escolhida no chat tem prioridade sobre a key salva nele
+            if (!result.credentials[provider]) {
+                result.credentials[provider] = MULTI_KEY_PROVIDERS.includes(provider) ? ids : ids[0];
+            }
+            if (provider === "embedding") {
+                result.embedding = { ...result.embedding, apiKey: "" };
+            } else {
+                result[field] = MULTI_KEY_PROVIDERS.includes(provider) ? [] : "";
+            }
+        }
+
+        if (changed) {
+            await saveKeyring(userId, keyring);
+        }
+        return result;
+    });
+}
+
+module.exports = {
+    CREDENTIAL_PROVIDERS,
+    loadKeyring,
+    listCredentials,
+    createCredential,
+    updateCredential,
+    deleteCredential,
+    setDefaults,
+    validateChatCredentials,
+    resolveChatConfig,
+    describeChatKeys,
+    detachChatKeys,
+};
@@ -0,0 +1,230 @@
+// src/services/embedding.service.js
+// Abstração de providers de embedding.
+// - gemini: API do Google (rotação de keys via gemini.service)
+// - openai: qualquer servidor compatível com /v1/embeddings (OpenAI, vLLM, Ollama, LM Studio, llama.cpp)
+// - local: modelo in-process via @huggingface/transformers (dependência opcional, sem API Key)
+
+const path = require("path");
+const config = require("../config");
+const geminiService = require("./gemini.service");
+const { normalizeBaseUrl, buildHeaders } = require("./vllm.service");
+const { AppError, EmbeddingError, ValidationError } = require("../utils/errors");
+
+const EMBEDDING_PROVIDERS = ["gemini", "openai", "local"];
+
+// Pipelines locais já carregados (modelo -> Promise<pipeline>)
+const localPipelines = new Map();
+
+const withTimeout = (promise, ms) => {
+    let timeoutId;
+    const timeoutPromise = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => {
+            reject(new Error(`Operation timed out after ${ms}ms`));
+        }, ms);
+    });
+
+    return Promise.race([promise, timeoutPromise]).finally(() =>
+        clearTimeout(timeoutId)
+    );
+};
+
+/**
+ * Resolve a configuração de embedding de um chat, completando com os padrões.
+ * Chats antigos (sem config.embedding) continuam no Gemini com a dimensão original.
+ * @param {object} chatConfig - metadata.config do chat.
+ * @returns {{provider: string, model: string, dimension: number|null, baseUrl: string, apiKey: string, apiKeys: string[]}}
+ */
+function resolveEmbeddingConfig(chatConfig = {}) {
+    const embedding = chatConfig.embedding || {};
+    const provider = EMBEDDING_PROVIDERS.includes(embedding.provider)
+        ? embedding.provider
+        : config.embeddingDefaults.provider;
+
+    let defaultModel = "";
+    if (provider === "gemini") defaultModel = config.embeddingDefaults.model;
+    if (provider === "local") defaultModel = config.localEmbeddingModel;
+
+    return {
+        provider,
+        model: embedding.model || defaultModel,
+        dimension: embedding.dimension || (provider === "gemini" ? config.embeddingDefaults.dimension : null),
+        baseUrl: embedding.baseUrl || "",
+        apiKey: embedding.apiKey || "",
+        apiKeys: chatConfig.googleApiKeys || [], // Usadas apenas pelo provider gemini
+    };
+}
+
+/**
+ * Verifica se a configuração tem o necessário para gerar embeddings.
+ * @param {object} embeddingConfig - Resultado de resolveEmbeddingConfig.
+ * @returns {boolean}
+ */
+function isEmbeddingAvailable(embeddingConfig) {
+    switch (embeddingConfig.provider) {
+        case "gemini":
+            return embeddingConfig.apiKeys.length > 0;
+        case "openai":
+            return !!embeddingConfig.baseUrl && !!embeddingConfig.model;
+        case "local":
+            return !!embeddingConfig.model;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Identificador do espaço vetorial (provider + modelo + dimensão).
+ * Vetores só são comparáveis entre configurações com a mesma assinatura.
+ * @param {object} embeddingConfig
+ * @returns {string}
+ */
+function getEmbeddingSignature(embeddingConfig) {
+    return `${embeddingConfig.provider}:${embeddingConfig.model}:${embeddingConfig.dimension}`;
+}
+
+/**
+ * Gera embedding via endpoint /v1/embeddings compatível com OpenAI.
+ * @param {string} text
+ * @param {object} embeddingConfig
+ * @returns {Promise<number[]>}
+ */
+async function generateOpenAIEmbedding(text, embeddingConfig) {
+    const response = await withTimeout(
+        fetch(`${normalizeBaseUrl(embeddingConfig.baseUrl)}/v1/embeddings`, {
+            method: "POST",
+            headers: buildHeaders(embeddingConfig.apiKey),
+            body: JSON.stringify({ model: embeddingConfig.model, input: text }),
+        }),
+        30000 // 30s timeout
+    );
+
+    if (!response.ok) {
+        const errorData = await response.text();
+        throw new EmbeddingError(
+            `O servidor de embeddings respondeu ${response.status}: ${errorData.slice(0, 200)}`,
+            "EMBEDDING_FAILED",
+            { details: { provider: "openai", status: response.status } }
+        );
+    }
+
+    const data = await response.json();
+    const vector = data.data?.[0]?.embedding;
+    if (!Array.isArray(vector)) {
+        throw new EmbeddingError("Servidor de embeddings retornou resposta sem vetor.", "EMBEDDING_FAILED", {
+            details: { provider: "openai" },
+        });
+    }
+    return vector;
+}
+
+/**
+ * Carrega (uma vez por modelo) o pipeline de feature-extraction local.
+ * Os pesos são baixados na primeira execução e ficam em data/models.
+ * @param {string} model - Nome do modelo no Hugging Face Hub (formato ONNX).
+ */
+function getLocalPipeline(model) {
+    if (!localPipelines.has(model)) {
+        const loading = (async () => {
+            let transformers;
+            try {
+                transformers = await import("@huggingface/transformers");
+            } catch (error) {
+                throw new EmbeddingError(
+                    "Embeddings locais requerem o pacote opcional @huggingface/transformers (npm install @huggingface/transformers).",
+                    "EMBEDDING_UNAVAILABLE",
+                    { details: { provider: "local" }, cause: error }
+                );
+            }
+
+            transformers.env.cacheDir = path.join(process.cwd(), "data", "models");
+            console.log(`[Embedding] Carregando modelo local ${model}...`);
+            return transformers.pipeline("feature-extraction", model);
+        })();
+
+        // Falhas não ficam em cache: permite instalar o pacote e tentar de novo
+        loading.catch(() => localPipelines.delete(model));
+        localPipelines.set(model, loading);
+    }
+    return localPipelines.get(model);
+}
+
+/**
+ * Gera embedding com o modelo local (mean pooling + normalização).
+ * @param {string} text
+ * @param {object} embeddingConfig
+ * @returns {Promise<number[]>}
+ */
+async function generateLocalEmbedding(text, embeddingConfig) {
+    const extractor = await getLocalPipeline(embeddingConfig.model);
+    const output = await extractor(text, { pooling: "mean", normalize: true });
+    return Array.from(output.data);
+}
+
+/**
+ * Gera o embedding de um texto com o provider configurado no chat.
+ * Garante que a dimensão retornada corresponde à registrada no chat.
+ * @param {string} text
+ * @param {object} embeddingConfig - Resultado de resolveEmbeddingConfig.
+ * @returns {Promise<number[]>}
+ */
+async function generateEmbedding(text, embeddingConfig) {
+    const { provider } = embeddingConfig;
+    if (!EMBEDDING_PROVIDERS.includes(provider)) {
+        throw new ValidationError(`Provider de embedding desconhecido: ${provider}`, "EMBEDDING_CONFIG_INVALID");
+    }
+
+    let vector;
+    try {
+        switch (provider) {
+            case "gemini":
+                vector = await geminiService.generateEmbedding(text, embeddingConfig.apiKeys, {
+                    model: embeddingConfig.model,
+                    dimension: embeddingConfig.dimension,
+                });
+                break;
+            case "openai":
+                vector = await generateOpenAIEmbedding(text, embeddingConfig);
+                break;
+            case "local":
+                vector = await generateLocalEmbedding(text, embeddingConfig);
+                break;
+        }
+    } catch (error) {
+        if (error instanceof AppError) throw error;
+        // Falha de rede, timeout ou erro do SDK
+        throw new EmbeddingError(`Falha ao gerar embedding (${provider}): ${error.message}`, "EMBEDDING_FAILED", {
+            details: { provider },
+            cause: error,
+        });
+    }
+
+    if (embeddingConfig.dimension && vector.length !== embeddingConfig.dimension) {
+        throw new EmbeddingError(
+            `Dimensão do embedding (${vector.length}) difere da registrada no chat (${embeddingConfig.dimension}). Verifique o modelo de embedding.`,
+            "EMBEDDING_DIMENSION_MISMATCH",
+            { details: { provider, expected: embeddingConfig.dimension, received: vector.length } }
+        );
+    }
+
+    return vector;
+}
+
+/**
+ * Descobre a dimensão produzida por uma configuração gerando um embedding de teste.
+ * Usado quando o chat troca para um modelo cuja dimensão não foi informada.
+ * @param {object} embeddingConfig
+ * @returns {Promise<number>}
+ */
+async function probeDimension(embeddingConfig) {
+    const vector = await generateEmbedding("dimension probe", { ...embeddingConfig, dimension: null });
+    return vector.length;
+}
+
+module.exports = {
+    EMBEDDING_PROVIDERS,
+    resolveEmbeddingConfig,
+    isEmbeddingAvailable,
+    getEmbeddingSignature,
+    generateEmbedding,
+    probeDimension,
+};
@@ -0,0 +1,330 @@
+// src/services/embeddingMigration.service.js
+// Migração de um chat para outro modelo/dimensão de embedding.
+// Re-embeda historico/fatos/conceitos em lotes para tabelas de staging com o novo schema
+// e troca as coleções ao final. O estado fica em metadata.embeddingMigration, então uma
+// migração interrompida (queda do servidor, falha do provider) pode ser retomada de onde parou.
+// Enquanto houver migração registrada, as rotas de escrita do chat ficam bloqueadas.
+
+const chatStorage = require("./chatStorage.service");
+const credentialService = require("./credential.service");
+const lanceDBService = require("./lancedb.service");
+const embeddingService = require("./embedding.service");
+const { maskSecret, restoreMaskedKeys } = require("../utils/providerKeys");
+const { ConflictError, NotFoundError, ValidationError, toAppError } = require("../utils/errors");
+
+const MIGRATION_COLLECTIONS = ["historico", "fatos", "conceitos"];
+const BATCH_SIZE = 20;
+
+// Migrações em execução neste processo: chatToken -> { promise, listeners: Set<function> }
+const activeMigrations = new Map();
+
+/**
+ * Envia um evento de progresso para todos os clientes acompanhando a migração.
+ * @param {string} chatToken
+ * @param {object} event
+ */
+function emit(chatToken, event) {
+    const active = activeMigrations.get(chatToken);
+    if (!active) return;
+
+    for (const listener of active.listeners) {
+        try {
+            listener(event);
+        } catch (error) {
+            // Cliente desconectado não interrompe a migração
+            console.warn(`[Migration] Falha ao notificar listener: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Persiste alterações no estado da migração (atualização atômica dos metadados, para não
+ * sobrescrever mudanças de config feitas durante a migração).
+ * @param {string} chatToken
+ * @param {object} changes
+ * @returns {Promise<object>} - Estado atualizado.
+ */
+async function saveMigrationState(chatToken, changes) {
+    const metadata = await chatStorage.updateChatMetadata(chatToken, (current) => {
+        current.embeddingMigration = {
+            ...current.embeddingMigration,
+            ...changes,
+            updatedAt: Date.now(),
+        };
+    });
+    return metadata.embeddingMigration;
+}
+
+/**
+ * Soma o progresso de todas as coleções.
+ * @param {object} progress - { [collection]: { done, total } }
+ * @returns {{current: number, total: number}}
+ */
+function summarizeProgress(progress) {
+    return Object.values(progress).reduce(
+        (acc, { done, total }) => ({ current: acc.current + done, total: acc.total + total }),
+        { current: 0, total: 0 }
+    );
+}
+
+/**
+ * Indica se há uma migração de embeddings em execução neste processo.
+ * @param {string} chatToken
+ * @returns {boolean}
+ */
+function isMigrationRunning(chatToken) {
+    return activeMigrations.has(chatToken);
+}
+
+/**
+ * Retorna o estado da migração registrada no chat (ou null).
+ * @param {string} chatToken
+ * @returns {Promise<object|null>}
+ */
+async function getMigrationStatus(chatToken) {
+    const metadata = await chatStorage.getChatMetadata(chatToken);
+    const migration = metadata?.embeddingMigration;
+    if (!migration) return null;
+
+    return {
+        ...migration,
+        target: { ...migration.target, apiKey: maskSecret(migration.target.apiKey) },
+        ...summarizeProgress(migration.progress || {}),
+        running: isMigrationRunning(chatToken),
+    };
+}
+
+/**
+ * Re-embeda uma coleção em lotes para a tabela de staging.
+ * Registros já presentes no staging (execução anterior) são pulados.
+ * @param {string} chatToken
+ * @param {string} collectionName
+ * @param {object} embeddingConfig - Config resolvida do modelo de destino.
+ * @param {object} progress - Progresso de todas as coleções (mutado).
+ */
+async function migrateCollection(chatToken, collectionName, embeddingConfig, progress) {
+    await lanceDBService.createStagingCollection(chatToken, collectionName, embeddingConfig.dimension);
+
+    const records = await lanceDBService.getAllRecordsFromCollection(chatToken, collectionName);
+    const staged = await lanceDBService.getStagedMessageIds(chatToken, collectionName);
+    const pending = records.filter((record) => !staged.has(record.messageid));
+
+    progress[collectionName] = { done: records.length - pending.length, total: records.length };
+    emit(chatToken, { type: "progress", collection: collectionName, ...summarizeProgress(progress) });
+
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+        const batch = pending.slice(i, i + BATCH_SIZE);
+        const rows = [];
+
+        for (const record of batch) {
+            // Registros sem texto mantêm o vetor zerado, agora na nova dimensão
+            const vector = record.text?.trim()
+                ? await embeddingService.generateEmbedding(record.text, embeddingConfig)
+                : new Array(embeddingConfig.dimension).fill(0);
+            rows.push({ ...record, vector });
+        }
+
+        await lanceDBService.addStagedRecords(chatToken, collectionName, rows);
+
+        progress[collectionName].done += batch.length;
+        await saveMigrationState(chatToken, { progress });
+        emit(chatToken, { type: "progress", collection: collectionName, ...summarizeProgress(progress) });
+    }
+}
+
+/**
+ * Executa (ou retoma) a migração registrada em metadata.embeddingMigration.
+ * @param {string} chatToken
+ * @returns {Promise<object>} - Estatísticas finais.
+ */
+async function runMigration(chatToken) {
+    const metadata = await chatStorage.getChatMetadata(chatToken);
+    const migration = metadata.embeddingMigration;
+    const embeddingConfig = embeddingService.resolveEmbeddingConfig(await credentialService.resolveChatConfig({
+        ...metadata,
+        config: { ...metadata.config, embedding: migration.target },
+    }));
+    const progress = { ...migration.progress };
+    let swapping = migration.status === "swapping";
+
+    try {
+        if (!swapping) {
+            await saveMigrationState(chatToken, { status: "running", error: null });
+
+            for (const collectionName of MIGRATION_COLLECTIONS) {
+                await migrateCollection(chatToken, collectionName, embeddingConfig, progress);
+            }
+
+            await saveMigrationState(chatToken, { status: "swapping", progress });
+            swapping = true;
+        }
+
+        // Troca as coleções. Coleções já trocadas numa execução anterior não têm mais staging.
+        emit(chatToken, { type: "swapping" });
+        const migrated = {};
+        for (const collectionName of MIGRATION_COLLECTIONS) {
+            const count = await lanceDBService.swapStagingCollection(
+                chatToken,
+                collectionName,
+                embeddingConfig.dimension
+            );
+            migrated[collectionName] = count ?? progress[collectionName]?.total ?? 0;
+        }
+
+        // Só agora o chat passa a usar o novo modelo
+        await chatStorage.updateChatMetadata(chatToken, (current) => {
+            current.config = { ...current.config, embedding: migration.target };
+            delete current.embeddingMigration;
+        });
+
+        const stats = {
+            migrated,
+            total: Object.values(migrated).reduce((sum, count) => sum + count, 0),
+            model: migration.target.model,
+            dimension: migration.target.dimension,
+        };
+        console.log(`[Migration] Chat ${chatToken} migrado para ${stats.model} (${stats.dimension}D): ${stats.total} registros.`);
+        emit(chatToken, { type: "complete", stats });
+        return stats;
+    } catch (error) {
+        console.error(`[Migration] Falha na migração do chat ${chatToken}:`, error.message);
+        await saveMigrationState(chatToken, {
+            // Se a troca já começou, a retomada precisa terminá-la
+            status: swapping ? "swapping" : "failed",
+            progress,
+            error: error.message,
+        }).catch(() => { });
+        emit(chatToken, { type: "error", ...toAppError(error).toJSON() });
+        throw error;
+    }
+}
+
+/**
+ * Inicia uma migração para um novo modelo de embedding, ou retoma a migração pendente.
+ * Se a migração já estiver em execução, apenas passa a acompanhá-la.
+ * @param {string} chatToken
+ * @param {object|null} targetEmbedding - { provider, model, dimension?, baseUrl?, apiKey? }.
+ *   Pode ser omitido para retomar a migração registrada.
+ * @param {function} [onEvent] - Recebe eventos { type: 'progress'|'swapping'|'complete'|'error', ... }.
+ * @returns {Promise<object>} - Estatísticas finais da migração.
+ */
+async function startMigration(chatToken, targetEmbedding, onEvent) {
+    const active = activeMigrations.get(chatToken);
+    if (active) {
+        if (onEvent) active.listeners.add(onEvent);
+        return active.promise;
+    }
+
+    const metadata = await chatStorage.getChatMetadata(chatToken);
+    if (!metadata) throw new NotFoundError("Chat não encontrado.", "CHAT_NOT_FOUND");
+
+    const existing = metadata.embeddingMigration;
+    const current = embeddingService.resolveEmbeddingConfig(metadata.config);
+
+    if (targetEmbedding) {
+        // O formulário devolve a key mascarada: usa a key salva na config do chat
+        targetEmbedding = restoreMaskedKeys({ embedding: targetEmbedding }, metadata.config).embedding;
+        const requested = embeddingService.resolveEmbeddingConfig(await credentialService.resolveChatConfig({
+            ...metadata,
+            config: { ...metadata.config, embedding: targetEmbedding },
+        }));
+        const sameAsExisting = existing
+            && existing.target.provider === requested.provider
+            && existing.target.model === requested.model;
+
+        if (existing && !sameAsExisting) {
+            if (existing.status === "swapping") {
+                throw new ConflictError(
+                    "A troca das coleções já começou. Retome a migração atual antes de escolher outro modelo.",
+                    "EMBEDDING_MIGRATION_IN_PROGRESS"
+                );
+            }
+            // Descarta o staging da migração anterior (outro modelo)
+            await lanceDBService.dropStagingCollections(chatToken);
+        }
+
+        if (!sameAsExisting) {
+            if (requested.provider === current.provider && requested.model === current.model) {
+                throw new ValidationError("O chat já usa este modelo de embedding.", "EMBEDDING_MIGRATION_INVALID");
+            }
+            if (!embeddingService.isEmbeddingAvailable(requested)) {
+                throw new ValidationError(
+                    "Configuração do novo modelo de embedding incompleta.",
+                    "EMBEDDING_MIGRATION_INVALID"
+                );
+            }
+            if (!requested.dimension) {
+                requested.dimension = await embeddingService.probeDimension(requested);
+            }
+
+            const embeddingMigration = {
+                target: {
+                    provider: requested.provider,
+                    model: requested.model,
+                    dimension: requested.dimension,
+                    baseUrl: requested.baseUrl,
+                    // Só a key informada para o novo modelo: a do cofre continua no cofre
+                    apiKey: targetEmbedding.apiKey || "",
+                },
+                from: { provider: current.provider, model: current.model, dimension: current.dimension },
+                status: "running",
+                progress: {},
+                error: null,
+                startedAt: Date.now(),
+                updatedAt: Date.now(),
+            };
+            await chatStorage.updateChatMetadata(chatToken, (data) => {
+                data.embeddingMigration = embeddingMigration;
+            });
+        }
+    } else if (!existing) {
+        throw new NotFoundError("Nenhuma migração de embeddings pendente neste chat.", "EMBEDDING_MIGRATION_NOT_FOUND");
+    }
+
+    console.log(`[Migration] ${existing && !targetEmbedding ? "Retomando" : "Iniciando"} migração de embeddings do chat ${chatToken}.`);
+
+    const listeners = new Set(onEvent ? [onEvent] : []);
+    const promise = runMigration(chatToken).finally(() => activeMigrations.delete(chatToken));
+    activeMigrations.set(chatToken, { promise, listeners });
+    return promise;
+}
+
+/**
+ * Cancela a migração pendente, descartando as tabelas de staging.
+ * Não é possível cancelar uma migração em execução ou com a troca já iniciada.
+ * @param {string} chatToken
+ */
+async function cancelMigration(chatToken) {
+    if (isMigrationRunning(chatToken)) {
+        throw new ConflictError(
+            "A migração está em execução e não pode ser cancelada agora.",
+            "EMBEDDING_MIGRATION_IN_PROGRESS"
+        );
+    }
+
+    const metadata = await chatStorage.getChatMetadata(chatToken);
+    const migration = metadata?.embeddingMigration;
+    if (!migration) {
+        throw new NotFoundError("Nenhuma migração de embeddings pendente neste chat.", "EMBEDDING_MIGRATION_NOT_FOUND");
+    }
+    if (migration.status === "swapping") {
+        throw new ConflictError(
+            "A troca das coleções já começou. Retome a migração para concluí-la.",
+            "EMBEDDING_MIGRATION_IN_PROGRESS"
+        );
+    }
+
+    await lanceDBService.dropStagingCollections(chatToken);
+    await chatStorage.updateChatMetadata(chatToken, (current) => {
+        delete current.embeddingMigration;
+    });
+    console.log(`[Migration] Migração de embeddings do chat ${chatToken} cancelada.`);
+}
+
+module.exports = {
+    MIGRATION_COLLECTIONS,
+    isMigrationRunning,
+    getMigrationStatus,
+    startMigration,
+    cancelMigration,
+};
@@ -0,0 +1,218 @@
+// src/services/gameClock.service.js
+// Relógio e local do jogo de cada chat. O mestre abre cada narração com o carimbo
+// "[Dia, Ano, Hora:Minuto] - [Local]"; o backend lê o carimbo de cada resposta e guarda o valor
+// oficial em metadata.gameClock, que volta para o system prompt e marca os fatos novos
+// (campos gameTime e gameLocation do registro, fora do texto).
+
+const chatStorage = require("./chatStorage.service");
+const { NotFoundError, ValidationError } = require("../utils/errors");
+
+const TEXT_MAX_LENGTH = 100;
+const MINUTES_PER_DAY = 24 * 60;
+
+// "[Dia 3, Ano 1042, 14:30] - [Taverna do Javali]". O dia pode ter vírgulas ("Dia 3, Primavera");
+// o ano é o último trecho antes da hora. Aceita negrito em volta e travessão no lugar do hífen.
+const STAMP = /\[\s*([^[\]\n]+?)\s*,\s*([^[\],\n]+?)\s*,\s*(\d{1,2})\s*[:h]\s*(\d{2})\s*\]\**\s*[-–—]\s*\**\[\s*([^[\]\n]+?)\s*\]/;
+const TIME = /^(\d{1,2}):(\d{2})$/;
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * Lê o primeiro carimbo de tempo de um texto.
+ * @param {string} text - Resposta do modelo.
+ * @returns {{day: string, year: string, hour: number, minute: number, location: string}|null}
+ */
+function parseStamp(text) {
+    if (typeof text !== "string") return null;
+    const match = STAMP.exec(text);
+    if (!match) return null;
+
+    const [, day, year, hour, minute, location] = match;
+    if (Number(hour) > 23 || Number(minute) > 59) return null;
+    return { day, year, hour: Number(hour), minute: Number(minute), location };
+}
+
+/**
+ * Momento do jogo sem o local: "Dia 3, Ano 1042, 14:30".
+ * @param {object} clock
+ * @returns {string}
+ */
+const formatTime = (clock) => `${clock.day}, ${clock.year}, ${pad(clock.hour)}:${pad(clock.minute)}`;
+
+/**
+ * Carimbo completo, no formato pedido ao mestre.
+ * @param {object} clock
+ * @returns {string}
+ */
+const formatStamp = (clock) => `[${formatTime(clock)}] - [${clock.location}]`;
+
+/**
+ * Texto curto (aparado e limitado).
+ * @param {*} value
+ * @param {string} field
+ * @returns {string}
+ */
+function requireText(value, field) {
+    if (typeof value !== "string" || !value.trim()) {
+        throw new ValidationError(`${field} não pode ser vazio.`, "INVALID_GAME_CLOCK");
+    }
+    return value.trim().slice(0, TEXT_MAX_LENGTH);
+}
+
+/**
+ * Soma minutos ao relógio. Ao passar da meia-noite, os dias são somados ao primeiro número
+ * do dia ("Dia 3" vira "Dia 4"); calendários sem número no dia ficam para o mestre corrigir.
+ * @param {object} clock
+ * @param {number} minutes
+ * @returns {object}
+ */
+function advance(clock, minutes) {
+    const total = clock.hour * 60 + clock.minute + minutes;
+    const days = Math.floor(total / MINUTES_PER_DAY);
+    const time = total - days * MINUTES_PER_DAY;
+    return {
+        ...clock,
+        day: days === 0 ? clock.day : clock.day.replace(/\d+/, (n) => String(Math.max(0, Number(n) + days))),
+        hour: Math.floor(time / 60),
+        minute: time % 60,
+    };
+}
+
+/**
+ * Aplica uma correção ao relógio.
+ * @param {object|null} clock - Relógio atual (null se ainda não existe).
+ * @param {object} changes - { day?, year?, time? ("HH:MM"), location?, advanceMinutes? }.
+ * @returns {object}
+ * @throws {ValidationError}
+ */
+function applyClockChanges(clock, changes) {
+    const next = { ...(clock || {}) };
+    if (changes.day !== undefined) next.day = requireText(changes.day, "O dia");
+    if (changes.year !== undefined) next.year = requireText(changes.year, "O ano");
+    if (changes.location !== undefined) next.location = requireText(changes.location, "O local");
+    if (changes.time !== undefined) {
+        const match = TIME.exec(String(changes.time).trim());
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+            throw new ValidationError(`Hora inválida: "${changes.time}". Use HH:MM.`, "INVALID_GAME_CLOCK");
+        }
+        next.hour = Number(match[1]);
+        next.minute = Number(match[2]);
+    }
+
+    const missing = ["day", "year", "hour", "minute", "location"].filter((field) => next[field] === undefined);
+    if (missing.length > 0) {
+        throw new ValidationError(
+            `O relógio do jogo ainda não foi definido: informe dia, ano, hora e local (faltando: ${missing.join(", ")}).`,
+            "GAME_CLOCK_INCOMPLETE"
+        );
+    }
+
+    if (changes.advanceMinutes) {
+        if (!Number.isInteger(changes.advanceMinutes)) {
+            throw new ValidationError("advanceMinutes deve ser um número inteiro de minutos.", "INVALID_GAME_CLOCK");
+        }
+        return advance(next, changes.advanceMinutes);
+    }
+    return next;
+}
+
+/**
+ * Relógio atual do chat.
+ * @param {string} chatToken
+ * @returns {Promise<object|null>} - { day, year, hour, minute, location, source, updatedAt } ou null.
+ */
+async function getGameClock(chatToken) {
+    const metadata = await chatStorage.getChatMetadata(chatToken);
+    if (!metadata) throw new NotFoundError("Chat não encontrado.", "CHAT_NOT_FOUND");
+    return metadata.gameClock || null;
+}
+
+/**
+ * Corrige o relógio (tool do mestre ou edição pela interface).
+ * @param {string} chatToken
+ * @param {object} changes - Ver applyClockChanges.
+ * @param {"model"|"tool"|"user"} source - Quem definiu o valor.
+ * @returns {Promise<object>}
+ * @throws {NotFoundError|ValidationError}
+ */
+async function setGameClock(chatToken, changes, source) {
+    let clock;
+    const updated = await chatStorage.updateChatMetadata(chatToken, (data) => {
+        clock = { ...applyClockChanges(data.gameClock, changes), source, updatedAt: Date.now() };
+        data.gameClock = clock;
+    });
+    if (!updated) throw new NotFoundError("Chat não encontrado.", "CHAT_NOT_FOUND");
+    return clock;
+}
+
+/**
+ * Guarda o carimbo de uma resposta do mestre. Respostas sem carimbo mantêm o relógio.
+ * @param {string} chatToken
+ * @param {string} text
+ * @returns {Promise<object|null>} - Relógio atualizado, ou null se não havia carimbo.
+ */
+async function recordStamp(chatToken, text) {
+    const stamp = parseStamp(text);
+    if (!stamp) return null;
+    const { day, year, hour, minute, location } = stamp;
+    return setGameClock(chatToken, { day, year, location, time: `${hour}:${pad(minute)}` }, "model");
+}
+
+/**
+ * Relógio a partir do último carimbo de um histórico (ex.: até o ponto de um branch).
+ * @param {object[]} records - Mensagens do historico, em qualquer ordem.
+ * @returns {object|null}
+ */
+function clockFromHistory(records) {
+    const sorted = [...records].filter((record) => record.role === "model").sort((a, b) => b.createdAt - a.createdAt);
+    for (const record of sorted) {
+        const stamp = parseStamp(record.text);
+        if (stamp) return { ...stamp, source: "model", updatedAt: record.createdAt };
+    }
+    return null;
+}
+
+/**
+ * Insere o relógio no system prompt.
+ * Prompts criados antes do relógio (sem {game_clock}) recebem o bloco no final, se houver relógio.
+ * @param {string} systemInstruction
+ * @param {object|null} clock
+ * @returns {string}
+ */
+function injectGameClock(systemInstruction, clock) {
+    const text = clock ? formatStamp(clock) : "Ainda não definido: estabeleça o carimbo na próxima narração.";
+    if (systemInstruction.includes("{game_clock}")) return systemInstruction.replace("{game_clock}", text);
+    if (!clock) return systemInstruction;
+    return `${systemInstruction}\n\n<game_clock>\nMomento e local atuais do jogo (continue a partir daqui; use set_game_clock para corrigir): ${text}\n</game_clock>`;
+}
+
+/**
+ * Campos do registro com o momento e o local do jogo (vazio se o relógio ainda não foi definido).
+ * @param {object|null} clock
+ * @returns {{gameTime?: string, gameLocation?: string}}
+ */
+const gameTimeFields = (clock) => (clock ? { gameTime: formatTime(clock), gameLocation: clock.location } : {});
+
+/**
+ * Momento do jogo de um registro, para o contexto do modelo: " (Dia 3, Ano 1042, 14:30 - Taverna)".
+ * @param {object} record
+ * @returns {string} - Vazio se o registro não tem momento.
+ */
+function describeGameTime(record) {
+    if (!record.gameTime) return "";
+    return ` (${record.gameLocation ? `${record.gameTime} - ${record.gameLocation}` : record.gameTime})`;
+}
+
+module.exports = {
+    parseStamp,
+    formatTime,
+    formatStamp,
+    applyClockChanges,
+    getGameClock,
+    setGameClock,
+    recordStamp,
+    clockFromHistory,
+    injectGameClock,
+    gameTimeFields,
+    describeGameTime,
+};
@@ -1,6 +1,7 @@
 // src/services/gemini.service.js
 const { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } = require("@google/generative-ai");
 const config = require("../config");
+const { QuotaExhaustedError, ValidationError } = require("../utils/errors");
 
 // --- Helper de Retry e Timeout ---
 
@@ -65,7 +66,7 @@ async function retryOperation(operation, operationName, maxRetries = 5) {
  */
 function getClient(apiKey) {
     if (!apiKey) {
-        throw new Error("API Key do Gemini não fornecida.");
+        throw new ValidationError("API Key do Gemini não fornecida.", "PROVIDER_KEY_MISSING");
     }
     return new GoogleGenerativeAI(apiKey);
 }
@@ -125,14 +126,15 @@ function isQuotaError(error) {
 /**
  * @param {string} text - O texto a ser convertido em embedding.
  * @param {string|string[]} apiKeyOrKeys - Uma chave de API ou array de chaves (para rotação).
+ * @param {object} [options] - { model, dimension } (padrão: gemini-embedding-001 / config.embeddingDimension)
  * @returns {Promise<number[]>} O vetor de embedding.
  */
-async function generateEmbedding(text, apiKeyOrKeys) {
+async function generateEmbedding(text, apiKeyOrKeys, options = {}) {
     // Normalize to array
     const apiKeys = Array.isArray(apiKeyOrKeys) ? apiKeyOrKeys : [apiKeyOrKeys];
 
     if (apiKeys.length === 0 || !apiKeys[0]) {
-        throw new Error("API Key do Gemini não fornecida.");
+        throw new ValidationError("API Key do Gemini não fornecida.", "PROVIDER_KEY_MISSING");
     }
 
     const ONE_DAY_MS = 24 * 60 * 60 * 1000;
@@ -157,12 +159,12 @@ async function generateEmbedding(text, apiKeyOrKeys) {
             return await retryOperation(async () => {
                 const genAI = getClient(currentKey);
                 const embeddingModel = genAI.getGenerativeModel({
-                    model: "gemini-embedding-001",
+                    model: options.model || "gemini-embedding-001",
                 });
 
                 const result = await withTimeout(embeddingModel.embedContent({
                     content: { parts: [{ text }] },
-                    outputDimensionality: config.embeddingDimension,
+                    outputDimensionality: options.dimension || config.embeddingDimension,
                 }), 30000); // 30s timeout
 
                 return result.embedding.values;
@@ -185,14 +187,16 @@ async function generateEmbedding(text, apiKeyOrKeys) {
         }
     }
 
-    // All keys exhausted
+    // All keys in cooldown (skipped or exhausted now)
     if (lastError) {
-        const error = new Error(`Todas as API Keys de embedding estão em cooldown ou falharam. Último erro: ${lastError.message}`);
-        error.allKeysExhausted = true;
-        throw error;
+        console.warn(`[Gemini] Todas as API Keys de embedding esgotadas. Último erro: ${lastError.message}`);
     }
-
-    throw new Error("Nenhuma API Key disponível para embeddings.");
+    const retryAt = Math.min(...apiKeys.map((key) => getEmbeddingKeyState(key).cooldownUntil));
+    throw new QuotaExhaustedError(
+        `Todas as ${apiKeys.length} API Keys de embedding do Google estão em cooldown.`,
+        "EMBEDDING_KEYS_EXHAUSTED",
+        { details: { provider: "gemini", keyCount: apiKeys.length, retryAt }, cause: lastError || undefined }
+    );
 }
 
 /**
@@ -206,7 +210,7 @@ async function generateSearchQuery(contextText, apiKeyOrKeys) {
     const apiKeys = Array.isArray(apiKeyOrKeys) ? apiKeyOrKeys : [apiKeyOrKeys];
 
     if (apiKeys.length === 0 || !apiKeys[0]) {
-        throw new Error("API Key do Gemini não fornecida.");
+        throw new ValidationError("API Key do Gemini não fornecida.", "PROVIDER_KEY_MISSING");
     }
 
     const ONE_DAY_MS = 24 * 60 * 60 * 1000;
@@ -361,7 +365,7 @@ async function generateContextSummary(historyText, memoriesText, apiKeyOrKeys) {
     const apiKeys = Array.isArray(apiKeyOrKeys) ? apiKeyOrKeys : [apiKeyOrKeys];
 
     if (apiKeys.length === 0 || !apiKeys[0]) {
-        throw new Error("API Key do Gemini não fornecida.");
+        throw new ValidationError("API Key do Gemini não fornecida.", "PROVIDER_KEY_MISSING");
     }
 
     const ONE_DAY_MS = 24 * 60 * 60 * 1000;
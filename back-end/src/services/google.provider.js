@@ -3,6 +3,7 @@
 
 const { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } = require("@google/generative-ai");
 const config = require("../config");
+const { ProviderError, QuotaExhaustedError, ValidationError } = require("../utils/errors");
 
 // --- In-Memory API Key State Management ---
 // Format: { [key_modelName]: { cooldownUntil: timestamp, requestCount: number, lastRequestMinute: timestamp } }
@@ -187,12 +188,57 @@ function isRateLimitError(error) {
     );
 }
 
+/**
+ * Sends the last message in streaming mode, forwarding text deltas as they arrive.
+ * Parts are collected manually because the SDK's aggregated response drops thoughtSignature.
+ * @param {object} chat - ChatSession from startChat()
+ * @param {Array} messageParts - Parts of the message being sent
+ * @param {Function} onTextDelta - Called with each text chunk
+ * @returns {Promise<Array>} Response parts (consecutive text chunks merged)
+ */
+async function streamMessageParts(chat, messageParts, onTextDelta) {
+    const streamResult = await chat.sendMessageStream(messageParts);
+    const parts = [];
+    let hasCandidate = false;
+
+    for await (const chunk of streamResult.stream) {
+        const candidate = chunk.candidates?.[0];
+        if (!candidate) continue;
+        hasCandidate = true;
+
+        for (const part of candidate.content?.parts || []) {
+            const lastPart = parts[parts.length - 1];
+            const isTextPart = typeof part.text === "string" && !part.functionCall;
+
+            if (isTextPart && part.text) {
+                onTextDelta(part.text);
+            }
+
+            if (isTextPart && lastPart && typeof lastPart.text === "string") {
+                lastPart.text += part.text;
+                if (part.thoughtSignature) {
+                    lastPart.thoughtSignature = part.thoughtSignature;
+                }
+            } else {
+                parts.push({ ...part });
+            }
+        }
+    }
+
+    if (!hasCandidate) {
+        throw new Error("Google AI retornou resposta vazia.");
+    }
+
+    return parts;
+}
+
 /**
  * Gera uma resposta de chat usando a API do Google Gemini.
+ * Se generationOptions.onTextDelta for informado, a resposta é transmitida em streaming.
  *
  * @param {object[]} history - Histórico no formato interno.
  * @param {string} systemInstruction - Instrução de sistema.
- * @param {object} generationOptions - { modelName, temperature, tools, apiKeys, rateLimits }
+ * @param {object} generationOptions - { modelName, temperature, tools, apiKeys, rateLimits, onTextDelta }
  * @returns {Promise<{text: string, functionCalls: object[], parts: object[]}>}
  */
 async function generateChatResponse(
@@ -204,6 +250,7 @@ async function generateChatResponse(
     const temperature = generationOptions.temperature ?? 1.0;
     const tools = generationOptions.tools || [];
     const apiKeys = generationOptions.apiKeys || [];
+    const onTextDelta = generationOptions.onTextDelta;
     const rateLimits = generationOptions.rateLimits || {
         rpm: 5,
         tpm: 250000,
@@ -211,12 +258,13 @@ async function generateChatResponse(
     };
 
     if (!apiKeys || apiKeys.length === 0) {
-        throw new Error("Nenhuma API Key do Google fornecida.");
+        throw new ValidationError("Nenhuma API Key do Google fornecida.", "PROVIDER_KEY_MISSING");
     }
 
     // Try each available key
     let lastError = null;
     let attemptedKeys = [];
+    let streamStarted = false; // Once text reaches the client, keys can no longer be rotated
     const ONE_DAY_MS = 24 * 60 * 60 * 1000;
 
     while (true) {
@@ -229,19 +277,34 @@ async function generateChatResponse(
                 `Key ${k.index}: ${k.isAvailable ? 'disponível' : `cooldown por ${Math.round(k.cooldownRemaining / 1000 / 60)} min`}`
             ).join(", ");
 
-            const error = new Error(`Todas as API Keys do Google estão em cooldown para o modelo ${modelName}. Status: ${statusText}`);
-            error.errorType = "all_keys_exhausted";
-            error.userMessage = `Todas as ${apiKeys.length} API Keys atingiram o limite para o modelo ${modelName}. Tente outro modelo ou aguarde.`;
-            error.keysStatus = keysStatus;
-            throw error;
+            console.warn(`[GoogleProvider] Todas as API Keys do Google estão em cooldown para o modelo ${modelName}. Status: ${statusText}`);
+
+            // Sem o prefixo das keys: details vai para o cliente
+            const now = Date.now();
+            const keys = keysStatus.map((k) => ({ index: k.index, availableAt: now + k.cooldownRemaining }));
+            throw new QuotaExhaustedError(
+                `Todas as ${apiKeys.length} API Keys atingiram o limite para o modelo ${modelName}. Tente outro modelo ou aguarde.`,
+                "GOOGLE_KEYS_EXHAUSTED",
+                {
+                    details: {
+                        provider: "google",
+                        model: modelName,
+                        keyCount: apiKeys.length,
+                        retryAt: Math.min(...keys.map((k) => k.availableAt)),
+                        keys
+                    },
+                    cause: lastError || undefined
+                }
+            );
         }
 
         if (attemptedKeys.includes(currentKey)) {
             // Already tried this key in this request cycle
-            const error = new Error("Ciclo de retry detectado - todas as keys disponíveis falharam.");
-            error.errorType = "retry_cycle";
-            error.userMessage = "Erro temporário. Tente novamente em alguns segundos.";
-            throw error;
+            // Ciclo de retry: todas as keys disponíveis falharam nesta requisição
+            throw new ProviderError("Erro temporário. Tente novamente em alguns segundos.", "PROVIDER_UNAVAILABLE", {
+                details: { provider: "google", model: modelName },
+                cause: lastError || undefined
+            });
         }
 
         attemptedKeys.push(currentKey);
@@ -292,20 +355,31 @@ async function generateChatResponse(
             });
 
             // Send the last message
-            const result = await withTimeout(
-                chat.sendMessage(lastMessage.parts),
-                120000 // 120s timeout
-            );
+            let parts;
+            if (onTextDelta) {
+                parts = await withTimeout(
+                    streamMessageParts(chat, lastMessage.parts, (delta) => {
+                        streamStarted = true;
+                        onTextDelta(delta);
+                    }),
+                    180000 // 180s timeout (streaming)
+                );
+            } else {
+                const result = await withTimeout(
+                    chat.sendMessage(lastMessage.parts),
+                    120000 // 120s timeout
+                );
 
-            const response = result.response;
-            const candidate = response.candidates?.[0];
+                const candidate = result.response.candidates?.[0];
 
-            if (!candidate) {
-                throw new Error("Google AI retornou resposta vazia.");
+                if (!candidate) {
+                    throw new Error("Google AI retornou resposta vazia.");
+                }
+
+                parts = candidate.content?.parts || [];
             }
 
             // Process response parts
-            const parts = candidate.content?.parts || [];
             let text = "";
             let functionCalls = [];
             let responseParts = [];
@@ -348,6 +422,17 @@ async function generateChatResponse(
             lastError = error;
             console.error(`[GoogleProvider] Erro com API Key ${currentKey.substring(0, 10)}...:`, error.message);
 
+            // Partial narration was already streamed: retrying would duplicate text on the client
+            if (streamStarted) {
+                const streamError = new ProviderError(
+                    "A conexão com o Google AI caiu durante a narração. Tente novamente.",
+                    "PROVIDER_STREAM_INTERRUPTED",
+                    { details: { provider: "google", model: modelName }, cause: error }
+                );
+                streamError.streamStarted = true;
+                throw streamError;
+            }
+
             // Check if this is a daily quota error (should rotate key)
             if (isDailyQuotaError(error)) {
                 console.warn(`[GoogleProvider] Quota diária excedida para key ${currentKey.substring(0, 10)}... Marcando em cooldown de 24h.`);
@@ -366,21 +451,25 @@ async function generateChatResponse(
             }
 
             // For other errors (auth, invalid key, etc), throw immediately
-            const structuredError = new Error(`Google AI error: ${error.message}`);
-            structuredError.statusCode = error.status || 500;
+            const details = { provider: "google", model: modelName, status: error.status };
 
             if (error.message.includes("API_KEY_INVALID") || error.message.includes("401")) {
-                structuredError.errorType = "auth";
-                structuredError.userMessage = "API Key do Google inválida. Verifique suas chaves nas configurações.";
+                throw new ProviderError(
+                    "API Key do Google inválida. Verifique suas chaves nas configurações.",
+                    "PROVIDER_AUTH",
+                    { details, cause: error }
+                );
             } else if (error.message.includes("403")) {
-                structuredError.errorType = "forbidden";
-                structuredError.userMessage = "Acesso negado pela API do Google. Verifique se a API está habilitada.";
-            } else {
-                structuredError.errorType = "unknown";
-                structuredError.userMessage = "Erro ao gerar resposta com Google AI. Tente novamente.";
+                throw new ProviderError(
+                    "Acesso negado pela API do Google. Verifique se a API está habilitada.",
+                    "PROVIDER_FORBIDDEN",
+                    { details, cause: error }
+                );
             }
-
-            throw structuredError;
+            throw new ProviderError("Erro ao gerar resposta com Google AI. Tente novamente.", "PROVIDER_FAILED", {
+                details,
+                cause: error
+            });
         }
     }
 }
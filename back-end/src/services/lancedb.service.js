@@ -4,8 +4,10 @@ const { Index } = require("@lancedb/lancedb");
 const path = require("path");
 const fs = require("fs");
 const config = require("../config");
-const { chatMessageSchema } = require("../config/lancedb.schema");
+const { createChatMessageSchema, RECORD_DATA_FIELDS } = require("../config/lancedb.schema");
 const { hebbianAssociationSchema } = require("../config/hebbian.schema");
+const { summarySchema } = require("../config/summary.schema");
+const { idEquals, idIn, compareNumber, and, or } = require("../utils/lanceFilter");
 
 const dbPath = path.join(process.cwd(), config.dbPath);
 
@@ -15,6 +17,18 @@ fs.mkdirSync(path.dirname(dbPath), { recursive: true });
 // Cached DB connection for performance
 let cachedDb = null;
 
+// Tabelas cujo índice FTS já foi verificado nesta execução
+const ftsIndexedTables = new Set();
+
+// Tabelas que já têm as colunas de RECORD_DATA_FIELDS (verificadas nesta execução)
+const dataColumnTables = new Set();
+
+// Sufixo das tabelas de staging usadas na migração de embeddings
+const STAGING_SUFFIX = "reembed";
+
+// Resumos da campanha (capítulos + história até agora), sem vetores
+const SUMMARY_COLLECTION = "resumos";
+
 /**
  * Obtém uma conexão com o banco de dados LanceDB (cached).
  * @returns {Promise<lancedb.Connection>}
@@ -29,14 +43,16 @@ async function getDbConnection() {
 /**
  * Cria e inicializa as tabelas para um novo chat.
  * @param {string} chatToken - O identificador único do chat.
+ * @param {number} [dimension] - Dimensão dos embeddings do chat (padrão: config.embeddingDimension).
  */
-async function initializeCollections(chatToken) {
+async function initializeCollections(chatToken, dimension = config.embeddingDimension) {
   const db = await getDbConnection();
+  const schema = createChatMessageSchema(dimension);
 
   for (const name of config.collectionNames) {
     const tableName = `${chatToken}-${name}`;
     try {
-      await db.createEmptyTable(tableName, chatMessageSchema);
+      await db.createEmptyTable(tableName, schema);
       console.log(`[LanceDB] Tabela '${tableName}' criada com schema.`);
 
       const table = await db.openTable(tableName);
@@ -47,6 +63,8 @@ async function initializeCollections(chatToken) {
       console.log(
         `[LanceDB] Índice B-Tree em 'messageid' para '${tableName}' criado.`
       );
+
+      await ensureFtsIndex(table, tableName);
     } catch (e) {
       if (e.message?.toLowerCase().includes("already exists")) {
         console.log(
@@ -61,6 +79,9 @@ async function initializeCollections(chatToken) {
       }
     }
   }
+
+  await initializeHebbianTable(chatToken);
+  await initializeSummaryTable(chatToken);
 }
 
 /**
@@ -71,13 +92,17 @@ async function deleteChatTables(chatToken) {
   const db = await getDbConnection();
   console.log(`[LanceDB] Iniciando remoção das tabelas do chat: ${chatToken}`);
 
-  for (const name of config.collectionNames) {
+  // Inclui as tabelas de associações Hebbianas, de resumos e eventuais tabelas de migração
+  const stagingNames = config.collectionNames.map((name) => `${name}-${STAGING_SUFFIX}`);
+  for (const name of [...config.collectionNames, "hebbian", SUMMARY_COLLECTION, ...stagingNames]) {
     const tableName = `${chatToken}-${name}`;
     try {
       // Verifica se a tabela existe antes de tentar deletar (listando tabelas)
       const existingTables = await db.tableNames();
       if (existingTables.includes(tableName)) {
         await db.dropTable(tableName);
+        ftsIndexedTables.delete(tableName);
+        dataColumnTables.delete(tableName);
         console.log(`[LanceDB] Tabela removida: ${tableName}`);
       } else {
         console.log(`[LanceDB] Tabela não encontrada para remoção: ${tableName}`);
@@ -89,16 +114,47 @@ async function deleteChatTables(chatToken) {
   }
 }
 
+/**
+ * Garante que a tabela tenha as colunas de RECORD_DATA_FIELDS (tabelas criadas antes delas
+ * ganham a coluna, com null nos registros existentes).
+ * @param {object} table - Tabela LanceDB já aberta
+ * @param {string} tableName
+ */
+async function ensureDataColumns(table, tableName) {
+  if (dataColumnTables.has(tableName)) return;
+
+  const existing = new Set((await table.schema()).fields.map((field) => field.name));
+  const missing = RECORD_DATA_FIELDS.filter((name) => !existing.has(name));
+  if (missing.length > 0) {
+    await table.addColumns(missing.map((name) => ({ name, valueSql: "CAST(NULL AS STRING)" })));
+    console.log(`[LanceDB] Colunas ${missing.join(", ")} adicionadas em '${tableName}'.`);
+  }
+
+  dataColumnTables.add(tableName);
+}
+
+/**
+ * Campos de RECORD_DATA_FIELDS preenchidos no registro (para copiá-lo ou importá-lo sem perder os dados).
+ * @param {object} record
+ * @returns {object}
+ */
+function pickRecordData(record) {
+  return Object.fromEntries(
+    RECORD_DATA_FIELDS.filter((name) => typeof record[name] === "string").map((name) => [name, record[name]])
+  );
+}
+
 /**
  * Insere um novo registro em uma coleção específica.
  * @param {string} chatToken
  * @param {string} collectionName
- * @param {object} record - { text, vector, messageid, role }
+ * @param {object} record - { text, vector, messageid, role } e, opcionalmente, os campos de RECORD_DATA_FIELDS
  */
 async function insertRecord(chatToken, collectionName, record) {
   const db = await getDbConnection();
   const tableName = `${chatToken}-${collectionName}`;
   const table = await db.openTable(tableName);
+  await ensureDataColumns(table, tableName);
   await table.add([record]);
   console.log(
     `[LanceDB] Registro inserido em ${tableName} com messageid: ${record.messageid}.`
@@ -174,6 +230,7 @@ async function updateRecordByMessageId(
   newVector
 ) {
   const db = await getDbConnection();
+  const filter = idEquals("messageid", messageid);
   let recordUpdated = false;
 
   for (const collectionName of config.collectionNames) {
@@ -183,7 +240,7 @@ async function updateRecordByMessageId(
 
       const recordsFound = await table
         .query()
-        .where(`messageid = '${messageid}'`)
+        .where(filter)
         .limit(1)
         .toArray();
 
@@ -194,7 +251,7 @@ async function updateRecordByMessageId(
 
         const oldRecord = recordsFound[0];
 
-        await table.delete(`messageid = '${messageid}'`);
+        await table.delete(filter);
 
         await table.add([
           {
@@ -203,6 +260,10 @@ async function updateRecordByMessageId(
             messageid,
             role: oldRecord.role ?? null,
             createdAt: oldRecord.createdAt ?? Date.now(),
+            // Mantém estatísticas de uso e os dados estruturados ao editar o texto
+            accessCount: oldRecord.accessCount ?? null,
+            lastMessageAccessed: oldRecord.lastMessageAccessed ?? null,
+            ...pickRecordData(oldRecord),
           },
         ]);
         console.log(`[LanceDB] Atualização concluída em ${tableName}.`);
@@ -231,6 +292,7 @@ async function updateRecordByMessageId(
  */
 async function deleteRecordByMessageId(chatToken, messageid) {
   const db = await getDbConnection();
+  const filter = idEquals("messageid", messageid);
   let recordDeleted = false;
 
   for (const collectionName of config.collectionNames) {
@@ -239,7 +301,7 @@ async function deleteRecordByMessageId(chatToken, messageid) {
       const table = await db.openTable(tableName);
 
       // Tenta deletar - LanceDB usa "soft delete" (tombstones)
-      await table.delete(`messageid = '${messageid}'`);
+      await table.delete(filter);
 
       // IMPORTANTE: optimize() compacta a tabela e remove fisicamente os registros
       // marcados para deleção. Sem isso, buscas vetoriais ainda retornam os registros.
@@ -311,35 +373,136 @@ async function searchAcrossChats(chatTokens, collections, queryVector, limitPerC
 // HYBRID SEARCH (BM25 + Vetorial)
 // ============================================
 
+/**
+ * Garante que a coluna `text` da tabela tenha índice full-text (criado sob demanda).
+ * Linhas adicionadas depois do índice continuam buscáveis (busca flat nas não indexadas).
+ * @param {object} table - Tabela LanceDB já aberta
+ * @param {string} tableName
+ */
+async function ensureFtsIndex(table, tableName) {
+  if (ftsIndexedTables.has(tableName)) return;
+
+  const indices = await table.listIndices();
+  const hasFtsIndex = indices.some(
+    (idx) => idx.indexType === "FTS" && idx.columns.includes("text")
+  );
+
+  if (!hasFtsIndex) {
+    await table.createIndex("text", {
+      config: Index.fts(),
+      replace: true,
+    });
+    console.log(`[LanceDB] Índice FTS em 'text' para '${tableName}' criado.`);
+  }
+
+  ftsIndexedTables.add(tableName);
+}
+
+/**
+ * Busca full-text (BM25) na coluna `text` de uma coleção.
+ * Não depende de embeddings, então funciona mesmo com as API Keys em cooldown.
+ * @param {string} chatToken
+ * @param {string} collectionName
+ * @param {string} queryText
+ * @param {number} limit
+ * @returns {Promise<object[]>} Registros com `_textScore` (maior = mais relevante)
+ */
+async function fullTextSearch(chatToken, collectionName, queryText, limit = 50) {
+  if (!queryText || !queryText.trim()) return [];
+
+  const db = await getDbConnection();
+  const tableName = `${chatToken}-${collectionName}`;
+
+  const existingTables = await db.tableNames();
+  if (!existingTables.includes(tableName)) return [];
+
+  const table = await db.openTable(tableName);
+  await ensureFtsIndex(table, tableName);
+
+  const results = await table.search(queryText, "fts", "text").limit(limit).toArray();
+  console.log(`[LanceDB] Full-text em ${tableName} retornou ${results.length} resultados.`);
+
+  // Renomeia _score (BM25) para não confundir com os scores exibidos no frontend
+  return results.map(({ _score, ...record }) => ({ ...record, _textScore: _score }));
+}
+
+/**
+ * Distância L2 ao quadrado (mesma métrica usada por table.search com vetores).
+ * @param {number[]} a
+ * @param {Iterable<number>} b
+ * @returns {number}
+ */
+function squaredL2Distance(a, b) {
+  const other = Array.from(b);
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - (other[i] || 0);
+    sum += diff * diff;
+  }
+  return sum;
+}
+
 /**
  * Realiza busca híbrida combinando vetorial + full-text search.
+ * Sem queryVector (ex: embeddings em cooldown) a busca é apenas lexical.
  * @param {string} chatToken
  * @param {string} collectionName
- * @param {number[]} queryVector
+ * @param {number[]|null} queryVector
  * @param {string} queryText
  * @param {number} limit
- * @returns {Promise<object[]>}
+ * @returns {Promise<object[]>} Resultados ordenados por RRF, todos com `_distance`
  */
 async function hybridSearch(chatToken, collectionName, queryVector, queryText, limit = 50) {
   const db = await getDbConnection();
   const tableName = `${chatToken}-${collectionName}`;
+  const KEYWORD_BOOST = 0.15; // Reduz 15% da distância de memórias com match lexical
 
   try {
     const table = await db.openTable(tableName);
 
     // Busca vetorial (principal)
-    const vectorResults = await table.search(queryVector).limit(limit).toArray();
+    const vectorResults = queryVector
+      ? await table.search(queryVector).limit(limit).toArray()
+      : [];
 
-    // Nota: LanceDB FTS requer índice FTS criado previamente com createIndex()
-    // Por ora, focamos na busca vetorial que é mais robusta
-    // O RRF ainda funciona com apenas um conjunto de resultados
-    const textResults = [];
+    // Busca full-text (nomes exatos de NPCs, itens, lugares...)
+    let textResults = [];
+    try {
+      textResults = await fullTextSearch(chatToken, collectionName, queryText, limit);
+    } catch (e) {
+      console.warn(`[LanceDB] Full-text indisponível em ${tableName}:`, e.message);
+    }
+
+    // Reciprocal Rank Fusion decide quem entra no limite
+    const combined = reciprocalRankFusion(vectorResults, textResults).slice(0, limit);
+    const textScores = new Map(textResults.map((r) => [r.messageid, r._textScore]));
+
+    // O pipeline de RAG ordena por _distance: hits só lexicais recebem a distância
+    // vetorial real (ou derivada do BM25 quando não há vetor da query)
+    const fused = combined.map((item) => {
+      const textScore = textScores.get(item.messageid);
+      let distance = item._distance;
+
+      if (distance === undefined || distance === null) {
+        distance = queryVector
+          ? squaredL2Distance(queryVector, item.vector)
+          : 1 / (1 + textScore);
+      }
+      if (textScore !== undefined && queryVector) {
+        distance = distance * (1 - KEYWORD_BOOST);
+      }
+
+      return {
+        ...item,
+        _distance: distance,
+        _textScore: textScore ?? null,
+        _keywordMatch: textScore !== undefined,
+      };
+    });
 
-    // Reciprocal Rank Fusion (funciona mesmo com textResults vazio)
-    const combined = reciprocalRankFusion(vectorResults, textResults);
-    console.log(`[LanceDB] Hybrid search em ${tableName}: ${vectorResults.length} resultados.`);
+    console.log(`[LanceDB] Hybrid search em ${tableName}: ${vectorResults.length} vetoriais + ${textResults.length} lexicais -> ${fused.length} resultados.`);
 
-    return combined.slice(0, limit);
+    return fused;
   } catch (e) {
     console.warn(`[LanceDB] Erro em hybrid search ${tableName}:`, e.message);
     return [];
@@ -381,34 +544,41 @@ function reciprocalRankFusion(...resultSets) {
  * @param {number} currentMessageCount
  */
 async function markMemoriesAccessed(chatToken, messageids, currentMessageCount) {
+  if (!messageids || messageids.length === 0) return;
+
   const db = await getDbConnection();
+  const existingTables = await db.tableNames();
+  const filter = idIn("messageid", messageids);
+  let marked = 0;
 
   for (const collectionName of config.collectionNames) {
     const tableName = `${chatToken}-${collectionName}`;
+    if (!existingTables.includes(tableName)) continue;
+
     try {
       const table = await db.openTable(tableName);
-
-      for (const messageid of messageids) {
-        const records = await table.query().where(`messageid = '${messageid}'`).limit(1).toArray();
-        if (records.length > 0) {
-          const record = records[0];
-          const newAccessCount = (record.accessCount || 0) + 1;
-
-          // Update via delete + add
-          await table.delete(`messageid = '${messageid}'`);
-          await table.add([{
-            ...record,
-            accessCount: newAccessCount,
-            lastMessageAccessed: currentMessageCount
-          }]);
-        }
-      }
+      const records = await table.query().where(filter).toArray();
+      if (records.length === 0) continue;
+
+      // Monta os registros atualizados ANTES do delete para não perder dados em caso de erro.
+      // O vetor vem como Arrow Vector e precisa virar array para ser re-inserido.
+      const updatedRecords = records.map(record => ({
+        ...record,
+        vector: Array.from(record.vector),
+        accessCount: (record.accessCount || 0) + 1,
+        lastMessageAccessed: currentMessageCount
+      }));
+
+      // Update via delete + add
+      await table.delete(filter);
+      await table.add(updatedRecords);
+      marked += updatedRecords.length;
     } catch (e) {
-      // Ignora erros de tabelas não encontradas
+      console.warn(`[LanceDB] Erro ao marcar acesso em '${tableName}':`, e.message);
     }
   }
 
-  console.log(`[LanceDB] Marcadas ${messageids.length} memórias como acessadas.`);
+  console.log(`[LanceDB] Marcadas ${marked} memórias como acessadas.`);
 }
 
 /**
@@ -423,17 +593,137 @@ function applyFrequencyBias(results) {
     const frequencyBoost = Math.min(0.30, Math.log(1 + accessCount) * 0.05);
 
     // Guarda distância original, usa 1 como fallback se undefined
-    const originalDistance = r._distance ?? r._rrfScore ?? 1;
+    const currentDistance = r._distance ?? r._rrfScore ?? 1;
 
     return {
       ...r,
-      _originalDistance: originalDistance,
-      _distance: originalDistance * (1 - frequencyBoost),
+      // Preserva a distância original caso outro bias já tenha sido aplicado
+      _originalDistance: r._originalDistance ?? currentDistance,
+      _distance: currentDistance * (1 - frequencyBoost),
       _frequencyBoost: frequencyBoost
     };
   });
 }
 
+// ============================================
+// MIGRAÇÃO DE EMBEDDINGS (tabelas de staging)
+// ============================================
+
+/**
+ * Cria (se ainda não existir) a tabela de staging de uma coleção com a nova dimensão.
+ * Tabelas já existentes são mantidas: é o que permite retomar uma migração interrompida.
+ * @param {string} chatToken
+ * @param {string} collectionName
+ * @param {number} dimension - Dimensão do novo modelo de embedding.
+ */
+async function createStagingCollection(chatToken, collectionName, dimension) {
+  const db = await getDbConnection();
+  const tableName = `${chatToken}-${collectionName}-${STAGING_SUFFIX}`;
+
+  const existingTables = await db.tableNames();
+  if (existingTables.includes(tableName)) {
+    console.log(`[LanceDB] Tabela de staging '${tableName}' já existe. Retomando.`);
+    return;
+  }
+
+  await db.createEmptyTable(tableName, createChatMessageSchema(dimension));
+  console.log(`[LanceDB] Tabela de staging '${tableName}' criada (${dimension}D).`);
+}
+
+/**
+ * Retorna os messageids já copiados para a tabela de staging.
+ * @param {string} chatToken
+ * @param {string} collectionName
+ * @returns {Promise<Set<string>>}
+ */
+async function getStagedMessageIds(chatToken, collectionName) {
+  const db = await getDbConnection();
+  const tableName = `${chatToken}-${collectionName}-${STAGING_SUFFIX}`;
+
+  const existingTables = await db.tableNames();
+  if (!existingTables.includes(tableName)) return new Set();
+
+  const table = await db.openTable(tableName);
+  const rows = await table.query().select(["messageid"]).toArray();
+  return new Set(rows.map((row) => row.messageid));
+}
+
+/**
+ * Adiciona um lote de registros (já com os novos vetores) à tabela de staging.
+ * @param {string} chatToken
+ * @param {string} collectionName
+ * @param {object[]} records
+ */
+async function addStagedRecords(chatToken, collectionName, records) {
+  if (records.length === 0) return;
+
+  const db = await getDbConnection();
+  const table = await db.openTable(`${chatToken}-${collectionName}-${STAGING_SUFFIX}`);
+  await table.add(records);
+}
+
+/**
+ * Substitui a coleção pelo conteúdo da tabela de staging e remove o staging.
+ * A substituição é um único commit de overwrite no LanceDB (nova versão da tabela
+ * com o novo schema), então leitores veem a coleção antiga ou a nova, nunca uma mistura.
+ * @param {string} chatToken
+ * @param {string} collectionName
+ * @param {number} dimension - Dimensão do novo modelo de embedding.
+ * @returns {Promise<number|null>} - Registros na nova coleção, ou null se não havia staging
+ *   (já trocada em uma execução anterior).
+ */
+async function swapStagingCollection(chatToken, collectionName, dimension) {
+  const db = await getDbConnection();
+  const tableName = `${chatToken}-${collectionName}`;
+  const stagingName = `${tableName}-${STAGING_SUFFIX}`;
+
+  const existingTables = await db.tableNames();
+  if (!existingTables.includes(stagingName)) return null;
+
+  const staging = await db.openTable(stagingName);
+  const records = (await staging.query().toArray()).map((record) => ({
+    ...record,
+    vector: Array.from(record.vector),
+  }));
+
+  await db.createTable(tableName, records, {
+    mode: "overwrite",
+    schema: createChatMessageSchema(dimension),
+  });
+
+  // O overwrite descarta os índices da versão anterior
+  const table = await db.openTable(tableName);
+  await table.createIndex("messageid", {
+    config: Index.btree(),
+    replace: true,
+  });
+  ftsIndexedTables.delete(tableName);
+  dataColumnTables.delete(tableName);
+  await ensureFtsIndex(table, tableName);
+
+  await db.dropTable(stagingName);
+  console.log(`[LanceDB] Coleção '${tableName}' trocada para ${dimension}D (${records.length} registros).`);
+
+  return records.length;
+}
+
+/**
+ * Remove as tabelas de staging de um chat (cancelamento da migração).
+ * @param {string} chatToken
+ */
+async function dropStagingCollections(chatToken) {
+  const db = await getDbConnection();
+  const existingTables = await db.tableNames();
+
+  for (const name of config.collectionNames) {
+    const stagingName = `${chatToken}-${name}-${STAGING_SUFFIX}`;
+    if (existingTables.includes(stagingName)) {
+      await db.dropTable(stagingName);
+      console.log(`[LanceDB] Tabela de staging removida: ${stagingName}`);
+    }
+  }
+}
+
 // ============================================
 // HEBBIAN ASSOCIATIONS
 // ============================================
@@ -461,11 +751,13 @@ async function initializeHebbianTable(chatToken) {
  * @param {string} chatToken
  * @param {object[]} retrievedMemories
  * @param {number} currentMessageCount
+ * @param {object} [options]
+ * @param {number} [options.learningRate=0.1] - Reforço aplicado a cada co-ocorrência
  */
-async function updateHebbianAssociations(chatToken, retrievedMemories, currentMessageCount) {
+async function updateHebbianAssociations(chatToken, retrievedMemories, currentMessageCount, options = {}) {
   const db = await getDbConnection();
   const tableName = `${chatToken}-hebbian`;
-  const LEARNING_RATE = 0.1;
+  const LEARNING_RATE = options.learningRate ?? 0.1;
   const MAX_STRENGTH = 0.95;
   const MAX_ASSOCIATIONS_PER_MEMORY = 20;
 
@@ -487,7 +779,10 @@ async function updateHebbianAssociations(chatToken, retrievedMemories, currentMe
 
         // Busca associação existente
         const existing = await table.query()
-          .where(`("sourceId" = '${sourceId}' AND "targetId" = '${targetId}') OR ("sourceId" = '${targetId}' AND "targetId" = '${sourceId}')`)
+          .where(or(
+            and(idEquals("sourceId", sourceId), idEquals("targetId", targetId)),
+            and(idEquals("sourceId", targetId), idEquals("targetId", sourceId))
+          ))
           .limit(1)
           .toArray();
 
@@ -498,7 +793,7 @@ async function updateHebbianAssociations(chatToken, retrievedMemories, currentMe
           const assoc = existing[0];
           const newStrength = Math.min(MAX_STRENGTH, assoc.strength + LEARNING_RATE * proximityBonus);
 
-          await table.delete(`"sourceId" = '${assoc.sourceId}' AND "targetId" = '${assoc.targetId}'`);
+          await table.delete(and(idEquals("sourceId", assoc.sourceId), idEquals("targetId", assoc.targetId)));
           await table.add([{
             ...assoc,
             strength: newStrength,
@@ -529,12 +824,15 @@ async function updateHebbianAssociations(chatToken, retrievedMemories, currentMe
  * Aplica boost Hebbiano (puxa memórias associadas).
  * @param {string} chatToken
  * @param {object[]} results
+ * @param {object} [options]
+ * @param {number} [options.maxBoost=0.30] - Redução máxima de distância (com força 1.0)
  * @returns {Promise<object[]>}
  */
-async function applyHebbianBoost(chatToken, results) {
+async function applyHebbianBoost(chatToken, results, options = {}) {
   const db = await getDbConnection();
   const tableName = `${chatToken}-hebbian`;
   const MIN_STRENGTH = 0.3; // Só puxa se associação for forte
+  const MAX_BOOST = options.maxBoost ?? 0.30;
   const boostedResults = [...results];
   const existingIds = new Set(results.map(r => r.messageid));
 
@@ -544,7 +842,10 @@ async function applyHebbianBoost(chatToken, results) {
     for (const memory of results.slice(0, 5)) { // Limita a 5 para performance
       // Busca associações fortes
       const associations = await table.query()
-        .where(`("sourceId" = '${memory.messageid}' OR "targetId" = '${memory.messageid}') AND "strength" >= ${MIN_STRENGTH}`)
+        .where(and(
+          or(idEquals("sourceId", memory.messageid), idEquals("targetId", memory.messageid)),
+          compareNumber("strength", ">=", MIN_STRENGTH)
+        ))
         .limit(5)
         .toArray();
 
@@ -555,13 +856,14 @@ async function applyHebbianBoost(chatToken, results) {
           // Busca a memória associada
           for (const collectionName of config.collectionNames) {
             const collTable = await db.openTable(`${chatToken}-${collectionName}`);
-            const linked = await collTable.query().where(`messageid = '${linkedId}'`).limit(1).toArray();
+            const linked = await collTable.query().where(idEquals("messageid", linkedId)).limit(1).toArray();
 
             if (linked.length > 0) {
               const linkedMemory = linked[0];
-              // Boost baseado na força da associação (max 30%)
-              const hebbianBoost = assoc.strength * 0.30;
+              // Boost baseado na força da associação (limitado por MAX_BOOST)
+              const hebbianBoost = assoc.strength * MAX_BOOST;
               linkedMemory._distance = (linkedMemory._distance || 1) * (1 - hebbianBoost);
+              linkedMemory._hebbianBoost = hebbianBoost;
               linkedMemory._hebbianPulledBy = memory.messageid;
               linkedMemory._hebbianStrength = assoc.strength;
               linkedMemory.category = collectionName;
@@ -588,8 +890,9 @@ async function applyHebbianBoost(chatToken, results) {
  * @param {string} chatToken
  * @param {number} currentMessageCount
  * @param {number} decayRate
+ * @param {number} [lastDecayMessageCount=0] - Contagem do último decay (evita aplicar o mesmo intervalo duas vezes)
  */
-async function applySynapticDecay(chatToken, currentMessageCount, decayRate = 0.01) {
+async function applySynapticDecay(chatToken, currentMessageCount, decayRate = 0.01, lastDecayMessageCount = 0) {
   const db = await getDbConnection();
   const tableName = `${chatToken}-hebbian`;
   const MIN_STRENGTH = 0.05;
@@ -602,11 +905,13 @@ async function applySynapticDecay(chatToken, currentMessageCount, decayRate = 0.
     let deleted = 0;
 
     for (const assoc of associations) {
-      const messagesSinceUpdate = currentMessageCount - (assoc.lastMessageUpdated || 0);
+      const messagesSinceUpdate = currentMessageCount - Math.max(assoc.lastMessageUpdated || 0, lastDecayMessageCount);
+      if (messagesSinceUpdate <= 0) continue;
+
       const decayFactor = Math.exp(-decayRate * messagesSinceUpdate);
       const newStrength = assoc.strength * decayFactor;
 
-      await table.delete(`"sourceId" = '${assoc.sourceId}' AND "targetId" = '${assoc.targetId}'`);
+      await table.delete(and(idEquals("sourceId", assoc.sourceId), idEquals("targetId", assoc.targetId)));
 
       if (newStrength >= MIN_STRENGTH) {
         await table.add([{ ...assoc, strength: newStrength }]);
@@ -622,10 +927,65 @@ async function applySynapticDecay(chatToken, currentMessageCount, decayRate = 0.
   }
 }
 
+// ============================================
+// RESUMOS DA CAMPANHA
+// ============================================
+
+/**
+ * Inicializa a tabela de resumos (capítulos e história até agora) de um chat.
+ * @param {string} chatToken
+ */
+async function initializeSummaryTable(chatToken) {
+  const db = await getDbConnection();
+  const tableName = `${chatToken}-${SUMMARY_COLLECTION}`;
+
+  try {
+    await db.createEmptyTable(tableName, summarySchema);
+    console.log(`[LanceDB] Tabela de resumos '${tableName}' criada.`);
+  } catch (e) {
+    if (!e.message?.toLowerCase().includes("already exists")) {
+      console.error(`[LanceDB] Erro ao criar tabela de resumos:`, e);
+      throw e;
+    }
+  }
+}
+
+/**
+ * Retorna todos os resumos de um chat (vazio se a tabela ainda não existir).
+ * @param {string} chatToken
+ * @returns {Promise<object[]>}
+ */
+async function getSummaryRecords(chatToken) {
+  const db = await getDbConnection();
+  const tableName = `${chatToken}-${SUMMARY_COLLECTION}`;
+
+  const existingTables = await db.tableNames();
+  if (!existingTables.includes(tableName)) return [];
+
+  const table = await db.openTable(tableName);
+  return table.query().toArray();
+}
+
+/**
+ * Insere ou substitui um resumo (pelo messageid). Cria a tabela em chats antigos.
+ * @param {string} chatToken
+ * @param {object} record - Registro no formato do summarySchema.
+ */
+async function saveSummaryRecord(chatToken, record) {
+  const db = await getDbConnection();
+  const tableName = `${chatToken}-${SUMMARY_COLLECTION}`;
+
+  await initializeSummaryTable(chatToken);
+  const table = await db.openTable(tableName);
+  await table.delete(idEquals("messageid", record.messageid));
+  await table.add([record]);
+}
+
 module.exports = {
   initializeCollections,
   deleteChatTables,
   insertRecord,
+  pickRecordData,
   searchByVector,
   getAllRecordsFromCollection,
   updateRecordByMessageId,
@@ -633,15 +993,27 @@ module.exports = {
   searchAcrossChats,
   // Novas funções RAG
   hybridSearch,
+  fullTextSearch,
   reciprocalRankFusion,
   // Frequency Bias
   markMemoriesAccessed,
   applyFrequencyBias,
+  // Migração de embeddings
+  createStagingCollection,
+  getStagedMessageIds,
+  addStagedRecords,
+  swapStagingCollection,
+  dropStagingCollections,
   // Hebbian
   initializeHebbianTable,
   updateHebbianAssociations,
   applyHebbianBoost,
   applySynapticDecay,
+  // Resumos
+  SUMMARY_COLLECTION,
+  initializeSummaryTable,
+  getSummaryRecords,
+  saveSummaryRecord,
   // Embedding Check & Repair
   countZeroEmbeddings: async function (chatToken, collections = ['conceitos', 'fatos', 'historico']) {
     const db = await getDbConnection();
@@ -735,7 +1107,7 @@ module.exports = {
                 continue;
               }
 
-              await table.delete(`messageid = '${record.messageid}'`);
+              await table.delete(idEquals("messageid", record.messageid));
               await table.add([{ ...record, vector: newVector }]);
 
               console.log(`[LanceDB] ✓ Reparado: "${record.text?.substring(0, 50)}..."`);
@@ -0,0 +1,114 @@
+// src/services/mail.service.js
+// Envio de emails da conta (redefinição de senha).
+// Transportes (config.mail.transport):
+// - "log": escreve o email no console (padrão em desenvolvimento, sem servidor de email)
+// - "smtp": SMTP simples, sem TLS nem autenticação — feito para mail-catchers locais
+//   (MailHog, Mailpit, smtp4dev) ou um relay interno na porta configurada
+
+const net = require("net");
+const os = require("os");
+const config = require("../config");
+
+const SMTP_TIMEOUT_MS = 10000;
+
+/**
+ * Monta a mensagem no formato RFC 5322 (texto puro, UTF-8).
+ * @param {{to: string, subject: string, text: string}} mail
+ * @returns {string}
+ */
+function buildMessage({ to, subject, text }) {
+    const encodedSubject = `=?UTF-8?B?${Buffer.from(subject, "utf-8").toString("base64")}?=`;
+    const headers = [
+        `From: ${config.mail.from}`,
+        `To: ${to}`,
+        `Subject: ${encodedSubject}`,
+        `Date: ${new Date().toUTCString()}`,
+        "MIME-Version: 1.0",
+        "Content-Type: text/plain; charset=UTF-8",
+        "Content-Transfer-Encoding: 8bit",
+    ];
+    // Dot-stuffing: linhas começando com "." ganham outro ponto (o servidor remove)
+    const body = text.replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+    return `${headers.join("\r\n")}\r\n\r\n${body}`;
+}
+
+/**
+ * Envia um email por SMTP, comando a comando, conferindo o código de cada resposta.
+ * @param {{to: string, subject: string, text: string}} mail
+ * @returns {Promise<void>}
+ */
+function sendSmtp(mail) {
+    const { smtpHost, smtpPort, from } = config.mail;
+    const envelopeFrom = (from.match(/<([^>]+)>/) || [null, from])[1];
+
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host: smtpHost, port: smtpPort });
+        socket.setEncoding("utf-8");
+        socket.setTimeout(SMTP_TIMEOUT_MS);
+
+        // Cada passo: comando a enviar (null = só aguardar a saudação) e código esperado
+        const steps = [
+            [null, 220],
+            [`EHLO ${os.hostname()}`, 250],
+            [`MAIL FROM:<${envelopeFrom}>`, 250],
+            [`RCPT TO:<${mail.to}>`, 250],
+            ["DATA", 354],
+            [`${buildMessage(mail)}\r\n.`, 250],
+            ["QUIT", 221],
+        ];
+        let buffer = "";
+        let finished = false;
+
+        const fail = (error) => {
+            if (finished) return;
+            finished = true;
+            socket.destroy();
+            reject(error);
+        };
+
+        socket.on("data", (chunk) => {
+            buffer += chunk;
+            // Respostas de várias linhas ("250-...") só terminam na linha "250 ..."
+            const lines = buffer.split("\r\n");
+            buffer = lines.pop();
+            for (const line of lines) {
+                if (/^\d{3}-/.test(line)) continue;
+
+                const [, expected] = steps.shift();
+                const code = Number(line.slice(0, 3));
+                if (code !== expected) {
+                    return fail(new Error(`SMTP respondeu "${line}" (esperado ${expected}).`));
+                }
+                if (steps.length === 0) {
+                    finished = true;
+                    socket.end();
+                    return resolve();
+                }
+                socket.write(`${steps[0][0]}\r\n`);
+            }
+        });
+
+        socket.on("timeout", () => fail(new Error("Tempo esgotado aguardando o servidor SMTP.")));
+        socket.on("error", fail);
+        socket.on("close", () => fail(new Error("Conexão SMTP encerrada antes do fim do envio.")));
+    });
+}
+
+/**
+ * Envia um email pelo transporte configurado.
+ * @param {{to: string, subject: string, text: string}} mail
+ * @returns {Promise<void>}
+ */
+async function sendMail(mail) {
+    if (config.mail.transport === "smtp") {
+        await sendSmtp(mail);
+        console.log(`[Mail] Email "${mail.subject}" enviado para ${mail.to} via SMTP.`);
+        return;
+    }
+
+    console.log(`[Mail] (transporte "log") Para: ${mail.to} | Assunto: ${mail.subject}\n${mail.text}`);
+}
+
+module.exports = {
+    sendMail,
+};
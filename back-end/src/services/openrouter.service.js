@@ -2,6 +2,7 @@
 // OpenRouter API integration for chat generation with tool calling support.
 
 const config = require("../config");
+const { ProviderError, QuotaExhaustedError } = require("../utils/errors");
 
 const OPENROUTER_API_URL = "https://openrouter.ai/api/v1/chat/completions";
 
@@ -36,11 +37,13 @@ async function retryOperation(operation, operationName, maxRetries = 5) {
             return await operation();
         } catch (error) {
             attempt++;
-            if (attempt >= maxRetries) {
+            // Não retenta se parte da resposta já foi transmitida ao cliente (duplicaria o texto)
+            if (attempt >= maxRetries || error.streamStarted) {
                 throw error;
             }
 
             const isRateLimit =
+                error.code === "PROVIDER_RATE_LIMITED" ||
                 error.message.includes("429") ||
                 error.message.includes("Too Many Requests");
             const delay = isRateLimit ? Math.pow(2, attempt) * 2000 : 1000;
@@ -166,17 +169,24 @@ function convertToolsToOpenAI(geminiTools) {
                 // Converte tipos do Gemini (OBJECT, STRING) para JSON Schema (object, string)
                 const convertType = (type) => (type ? type.toLowerCase() : "string");
 
+                // Recursivo: listas de objetos (ex.: itens do update_character) mantêm os campos
+                const convertSchema = (schema) => {
+                    const result = { type: convertType(schema.type) };
+                    if (schema.description) result.description = schema.description;
+                    if (schema.enum) result.enum = schema.enum;
+                    if (schema.items) result.items = convertSchema(schema.items);
+                    if (schema.properties) {
+                        result.properties = convertProperties(schema.properties);
+                        if (schema.required) result.required = schema.required;
+                    }
+                    return result;
+                };
+
                 const convertProperties = (props) => {
                     if (!props) return {};
                     const result = {};
                     for (const [key, value] of Object.entries(props)) {
-                        result[key] = {
-                            type: convertType(value.type),
-                            description: value.description || "",
-                        };
-                        if (value.items) {
-                            result[key].items = { type: convertType(value.items.type) };
-                        }
+                        result[key] = { description: "", ...convertSchema(value) };
                     }
                     return result;
                 };
@@ -200,12 +210,107 @@ function convertToolsToOpenAI(geminiTools) {
     return tools;
 }
 
+/**
+ * Lê uma resposta em streaming (SSE) no formato OpenAI, repassando os trechos de texto
+ * e acumulando as tool calls (que chegam fragmentadas por índice).
+ * @param {Response} response - Resposta do fetch feita com stream: true.
+ * @param {Function} onTextDelta - Callback chamado a cada trecho de texto recebido.
+ * @returns {Promise<{content: string, toolCalls: object[], reasoning: string|null}>}
+ */
+async function readOpenAIStream(response, onTextDelta) {
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let content = "";
+    let reasoning = "";
+    const toolCalls = [];
+
+    const handleLine = (rawLine) => {
+        const line = rawLine.trim();
+        // Ignora linhas vazias e comentários SSE (ex: ": OPENROUTER PROCESSING")
+        if (!line.startsWith("data:")) return;
+
+        const payload = line.slice(5).trim();
+        if (payload === "[DONE]") return;
+
+        let data;
+        try {
+            data = JSON.parse(payload);
+        } catch (e) {
+            return;
+        }
+
+        if (data.error) {
+            throw new ProviderError(`Erro no stream: ${data.error.message || JSON.stringify(data.error)}`, "PROVIDER_FAILED");
+        }
+
+        const delta = data.choices?.[0]?.delta;
+        if (!delta) return;
+
+        if (delta.content) {
+            content += delta.content;
+            onTextDelta(delta.content);
+        }
+
+        if (delta.reasoning) {
+            reasoning += delta.reasoning;
+        }
+
+        for (const tc of delta.tool_calls || []) {
+            const index = tc.index ?? toolCalls.length;
+            if (!toolCalls[index]) {
+                toolCalls[index] = { id: tc.id, type: "function", function: { name: "", arguments: "" } };
+            }
+            const target = toolCalls[index];
+            if (tc.id) target.id = tc.id;
+            if (tc.function?.name) target.function.name += tc.function.name;
+            if (tc.function?.arguments) target.function.arguments += tc.function.arguments;
+        }
+    };
+
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop(); // A última linha pode estar incompleta
+        lines.forEach(handleLine);
+    }
+    if (buffer) handleLine(buffer);
+
+    return { content, toolCalls: toolCalls.filter(Boolean), reasoning: reasoning || null };
+}
+
+/**
+ * Consome o stream de uma resposta OpenAI-compatible e devolve no mesmo formato de
+ * `choices[0].message` da API sem streaming. Erros após o primeiro trecho de texto
+ * são marcados com `streamStarted` para não serem retentados.
+ * @param {Response} response
+ * @param {Function} onTextDelta
+ * @param {number} timeoutMs
+ * @returns {Promise<{content: string, tool_calls: object[], reasoning: string|null}>}
+ */
+async function readStreamedMessage(response, onTextDelta, timeoutMs = 180000) {
+    let streamStarted = false;
+    try {
+        const streamed = await withTimeout(
+            readOpenAIStream(response, (delta) => {
+                streamStarted = true;
+                onTextDelta(delta);
+            }),
+            timeoutMs
+        );
+        return { content: streamed.content, tool_calls: streamed.toolCalls, reasoning: streamed.reasoning };
+    } catch (error) {
+        if (streamStarted) error.streamStarted = true;
+        throw error;
+    }
+}
+
 /**
  * Gera uma resposta de chat usando a API do OpenRouter.
+ * Se generationOptions.onTextDelta for informado, a resposta é transmitida em streaming.
  *
  * @param {object[]} history - Histórico no formato Gemini (será convertido).
  * @param {string} systemInstruction - Instrução de sistema.
- * @param {object} generationOptions - { modelName, temperature, tools, apiKey }
+ * @param {object} generationOptions - { modelName, temperature, tools, apiKey, onTextDelta }
  * @returns {Promise<{text: string, functionCalls: object[], parts: object[]}>}
  */
 async function generateChatResponse(
@@ -218,6 +323,7 @@ async function generateChatResponse(
         const temperature = generationOptions.temperature ?? 0.7;
         const geminiTools = generationOptions.tools || [];
         const apiKey = generationOptions.apiKey;
+        const onTextDelta = generationOptions.onTextDelta;
 
         if (!apiKey) {
             throw new Error("API Key do OpenRouter não fornecida.");
@@ -247,6 +353,10 @@ async function generateChatResponse(
             requestBody.tools = tools;
         }
 
+        if (onTextDelta) {
+            requestBody.stream = true;
+        }
+
         // Função interna para fazer a requisição
         const makeRequest = async (body) => {
             const response = await withTimeout(
@@ -299,42 +409,51 @@ async function generateChatResponse(
                     // Erro não é JSON
                 }
 
-                // Cria erro estruturado para o frontend
-                const error = new Error(`OpenRouter API error (${response.status}): ${errorData}`);
-                error.statusCode = response.status;
+                // Erro estruturado para o frontend; a resposta original fica em cause (logs)
+                const cause = new Error(`OpenRouter API error (${response.status}): ${errorData}`);
+                const details = { provider: "openrouter", status: response.status };
 
                 // Detecta tipos específicos de erro
                 if (response.status === 403 && errorDetails.error?.metadata?.reasons) {
-                    error.errorType = "moderation";
-                    error.reasons = errorDetails.error.metadata.reasons;
-                    error.userMessage = `Conteúdo bloqueado pela moderação: ${error.reasons.join(", ")}. Tente reformular sua mensagem ou usar outro modelo.`;
+                    const reasons = errorDetails.error.metadata.reasons;
+                    throw new ProviderError(
+                        `Conteúdo bloqueado pela moderação: ${reasons.join(", ")}. Tente reformular sua mensagem ou usar outro modelo.`,
+                        "PROVIDER_MODERATION",
+                        { details: { ...details, reasons }, cause }
+                    );
                 } else if (response.status === 429) {
-                    error.errorType = "rate_limit";
-                    error.userMessage = "Limite de requisições atingido. Aguarde alguns segundos e tente novamente.";
+                    throw new QuotaExhaustedError(
+                        "Limite de requisições atingido. Aguarde alguns segundos e tente novamente.",
+                        "PROVIDER_RATE_LIMITED",
+                        { details, cause }
+                    );
                 } else if (response.status === 401 || response.status === 403) {
-                    error.errorType = "auth";
-                    error.userMessage = "Erro de autenticação com o OpenRouter. Verifique sua API Key.";
+                    throw new ProviderError("Erro de autenticação com o OpenRouter. Verifique sua API Key.", "PROVIDER_AUTH", { details, cause });
                 } else if (response.status === 404 && errorData.includes("data policy")) {
-                    error.errorType = "privacy_policy";
-                    error.userMessage = "Modelo bloqueado por política de privacidade. Configure em: openrouter.ai/settings/privacy";
-                } else {
-                    error.errorType = "unknown";
-                    error.userMessage = "Erro ao gerar resposta. Tente novamente ou troque de modelo.";
+                    throw new ProviderError(
+                        "Modelo bloqueado por política de privacidade. Configure em: openrouter.ai/settings/privacy",
+                        "PROVIDER_PRIVACY_POLICY",
+                        { details, cause }
+                    );
                 }
-
-                throw error;
+                throw new ProviderError("Erro ao gerar resposta. Tente novamente ou troque de modelo.", "PROVIDER_FAILED", { details, cause });
             }
         }
 
-        const data = await response.json();
+        let message;
+        if (onTextDelta) {
+            message = await readStreamedMessage(response, onTextDelta);
+        } else {
+            const data = await response.json();
 
-        // Processa a resposta
-        const choice = data.choices?.[0];
-        if (!choice) {
-            throw new Error("OpenRouter retornou resposta vazia.");
+            // Processa a resposta
+            const choice = data.choices?.[0];
+            if (!choice) {
+                throw new Error("OpenRouter retornou resposta vazia.");
+            }
+            message = choice.message;
         }
 
-        const message = choice.message;
         let text = message.content || "";
         let functionCalls = [];
         let parts = [];
@@ -374,4 +493,5 @@ module.exports = {
     generateChatResponse,
     convertHistoryToOpenAI,
     convertToolsToOpenAI,
+    readStreamedMessage,
 };
@@ -3,8 +3,9 @@
 
 const pdfParse = require("pdf-parse");
 const { v4: uuidv4 } = require("uuid");
-const geminiService = require("./gemini.service");
+const embeddingService = require("./embedding.service");
 const lanceDBService = require("./lancedb.service");
+const gameClockService = require("./gameClock.service");
 const config = require("../config");
 
 /**
@@ -110,15 +111,15 @@ function chunkText(text, targetWords = 500) {
  * @param {string} collectionName - Collection onde salvar (fatos, conceitos, etc).
  * @param {string} base64Data - Dados do PDF em base64.
  * @param {string} fileName - Nome original do arquivo.
- * @param {string} apiKey - API Key do Gemini para embeddings.
+ * @param {object} embeddingConfig - Configuração de embedding do chat (embeddingService.resolveEmbeddingConfig).
  * @param {function} onProgress - Callback de progresso (current, total).
  * @returns {Promise<{success: boolean, chunks: number, documentId: string}>}
  */
-async function vectorizePDF(chatToken, collectionName, base64Data, fileName, apiKey, onProgress) {
+async function vectorizePDF(chatToken, collectionName, base64Data, fileName, embeddingConfig, onProgress) {
     console.log(`[PDF Service] Iniciando vetorização de: ${fileName}`);
 
-    if (!apiKey) {
-        throw new Error("API Key do Gemini necessária para gerar embeddings.");
+    if (!embeddingConfig || !embeddingService.isEmbeddingAvailable(embeddingConfig)) {
+        throw new Error("Provider de embeddings do chat não configurado.");
     }
 
     // 1. Extrai texto do PDF
@@ -143,6 +144,11 @@ async function vectorizePDF(chatToken, collectionName, base64Data, fileName, api
     const documentId = uuidv4();
     const documentTitle = info.Title || fileName;
 
+    // Como os demais fatos (ver addMessage em chat.service), os trechos guardam o momento do jogo
+    const gameTime = collectionName === "fatos"
+        ? gameClockService.gameTimeFields(await gameClockService.getGameClock(chatToken))
+        : {};
+
     // 4. Processa cada chunk
     let processedCount = 0;
     const results = [];
@@ -152,7 +158,7 @@ async function vectorizePDF(chatToken, collectionName, base64Data, fileName, api
 
         try {
             // Gera embedding para o chunk
-            const vector = await geminiService.generateEmbedding(chunk, apiKey);
+            const vector = await embeddingService.generateEmbedding(chunk, embeddingConfig);
 
             // Monta o texto com metadados
             const textWithContext = `[Documento: ${documentTitle}] [Parte ${i + 1}/${chunks.length}]\n\n${chunk}`;
@@ -170,7 +176,8 @@ async function vectorizePDF(chatToken, collectionName, base64Data, fileName, api
                 _documentTitle: documentTitle,
                 _chunkIndex: i + 1,
                 _totalChunks: chunks.length,
-                _sourceFileName: fileName
+                _sourceFileName: fileName,
+                ...gameTime
             };
 
             await lanceDBService.insertRecord(chatToken, collectionName, record);
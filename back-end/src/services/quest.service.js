@@ -0,0 +1,343 @@
+// src/services/quest.service.js
+// Diário de missões de cada chat: ganchos, missões e promessas de NPCs que a história ainda precisa
+// resolver. Cada fio guarda status, NPCs e locais ligados e as mensagens de origem no historico.
+// Ficam nos metadados do chat (metadata.quests), alterados sempre por chatStorage.updateChatMetadata.
+// Fios em aberto vão para o system prompt e ganham prioridade na recuperação de memórias.
+
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config");
+const chatStorage = require("./chatStorage.service");
+const { ConflictError, NotFoundError, ValidationError } = require("../utils/errors");
+
+const STATUSES = ["open", "advanced", "resolved", "failed"];
+const UNRESOLVED = ["open", "advanced"];
+const STATUS_LABELS = { open: "em aberto", advanced: "em andamento", resolved: "resolvida", failed: "fracassada" };
+const TITLE_MAX_LENGTH = 150;
+const TEXT_MAX_LENGTH = 5000;
+
+const invalid = (message) => new ValidationError(message, "INVALID_QUEST");
+
+/**
+ * Texto obrigatório (aparado e limitado).
+ * @param {*} value
+ * @param {string} field - Nome do campo nas mensagens de erro.
+ * @param {number} [maxLength]
+ * @returns {string}
+ */
+function requireText(value, field, maxLength = TITLE_MAX_LENGTH) {
+    if (typeof value !== "string" || !value.trim()) {
+        throw invalid(`${field} não pode ser vazio.`);
+    }
+    return value.trim().slice(0, maxLength);
+}
+
+const sameText = (a, b) => a.trim().toLocaleLowerCase("pt-BR") === b.trim().toLocaleLowerCase("pt-BR");
+
+/**
+ * Junta nomes numa lista sem repetir (sem diferenciar maiúsculas).
+ * @param {string[]} list
+ * @param {string[]} additions
+ * @param {string} field
+ * @returns {string[]}
+ */
+function mergeNames(list, additions, field) {
+    const result = [...list];
+    for (const value of [].concat(additions)) {
+        const name = requireText(value, `Nome em ${field}`);
+        if (!result.some((existing) => sameText(existing, name))) result.push(name);
+    }
+    return result;
+}
+
+const isUnresolved = (quest) => UNRESOLVED.includes(quest.status);
+
+/**
+ * Encontra um fio pelo id ou pelo título.
+ * @param {object[]} quests
+ * @param {string} ref - Id ou título.
+ * @returns {object|undefined}
+ */
+function findQuest(quests, ref) {
+    if (typeof ref !== "string" || !ref.trim()) return undefined;
+    return quests.find((quest) => quest.id === ref) || quests.find((quest) => sameText(quest.title, ref));
+}
+
+/**
+ * Aplica um conjunto de alterações num fio (sem persistir).
+ * @param {object} quest
+ * @param {object} changes
+ * @param {string} [changes.title]
+ * @param {string} [changes.description]
+ * @param {"open"|"advanced"|"resolved"|"failed"} [changes.status]
+ * @param {string} [changes.note] - Registro do que mudou (vai para updates, com o status).
+ * @param {string[]} [changes.npcs] - Substitui a lista.
+ * @param {string[]} [changes.locations] - Substitui a lista.
+ * @param {string[]} [changes.addNpcs]
+ * @param {string[]} [changes.addLocations]
+ * @param {string[]} [changes.addSources] - Ids de mensagens de origem.
+ * @returns {object} - Nova versão do fio.
+ * @throws {ValidationError}
+ */
+function applyQuestChanges(quest, changes) {
+    const limits = config.questLimits;
+    const next = { ...quest };
+
+    if (changes.title !== undefined) next.title = requireText(changes.title, "O título");
+    if (changes.description !== undefined) next.description = String(changes.description ?? "").slice(0, TEXT_MAX_LENGTH);
+    if (changes.status !== undefined && !STATUSES.includes(changes.status)) {
+        throw invalid(`status deve ser um de: ${STATUSES.join(", ")}.`);
+    }
+
+    if (changes.npcs) next.npcs = mergeNames([], changes.npcs, "npcs");
+    if (changes.locations) next.locations = mergeNames([], changes.locations, "locations");
+    if (changes.addNpcs) next.npcs = mergeNames(next.npcs, changes.addNpcs, "npcs");
+    if (changes.addLocations) next.locations = mergeNames(next.locations, changes.addLocations, "locations");
+    if (changes.addSources) {
+        const sources = [].concat(changes.addSources).filter((id) => typeof id === "string" && id.trim());
+        next.sourceMessageIds = [...new Set([...next.sourceMessageIds, ...sources])];
+    }
+
+    // Mudança de status ou nota ficam no registro do fio (os mais antigos saem ao passar do limite)
+    const note = changes.note === undefined ? "" : String(changes.note).trim().slice(0, TEXT_MAX_LENGTH);
+    if (note || (changes.status && changes.status !== quest.status)) {
+        next.status = changes.status || next.status;
+        next.updates = [...next.updates, { status: next.status, note, createdAt: Date.now() }].slice(-limits.maxUpdates);
+    }
+
+    if (next.npcs.length > limits.maxEntries) throw invalid(`Limite de ${limits.maxEntries} NPCs por missão.`);
+    if (next.locations.length > limits.maxEntries) throw invalid(`Limite de ${limits.maxEntries} locais por missão.`);
+    // Só as origens mais recentes ficam
+    next.sourceMessageIds = next.sourceMessageIds.slice(-limits.maxEntries);
+
+    next.updatedAt = Date.now();
+    return next;
+}
+
+/**
+ * Fio vazio com os campos padrão.
+ * @param {string} title
+ * @returns {object}
+ */
+function emptyQuest(title) {
+    const now = Date.now();
+    return {
+        id: uuidv4(),
+        title,
+        description: "",
+        status: "open",
+        npcs: [],
+        locations: [],
+        sourceMessageIds: [],
+        updates: [],
+        createdAt: now,
+        updatedAt: now,
+    };
+}
+
+/**
+ * Lê, altera e grava os fios de um chat numa única atualização dos metadados.
+ * @param {string} chatToken
+ * @param {function(object[]): {quests: object[], result: any}} mutator - Síncrono.
+ * @returns {Promise<any>} - O result devolvido pelo mutator.
+ */
+async function withQuests(chatToken, mutator) {
+    let result;
+    const updated = await chatStorage.updateChatMetadata(chatToken, (data) => {
+        const outcome = mutator(data.quests || []);
+        data.quests = outcome.quests;
+        result = outcome.result;
+    });
+    if (!updated) throw new NotFoundError("Chat não encontrado.", "CHAT_NOT_FOUND");
+    return result;
+}
+
+const questNotFound = (ref) => new NotFoundError(`Missão "${ref}" não encontrada.`, "QUEST_NOT_FOUND");
+
+/**
+ * Fios em aberto primeiro; dentro de cada grupo, os alterados mais recentemente.
+ * @param {object[]} quests
+ * @returns {object[]}
+ */
+const sortQuests = (quests) =>
+    [...quests].sort((a, b) => isUnresolved(b) - isUnresolved(a) || b.updatedAt - a.updatedAt);
+
+/**
+ * Fios de um chat.
+ * @param {string} chatToken
+ * @returns {Promise<object[]>}
+ */
+async function listQuests(chatToken) {
+    const metadata = await chatStorage.getChatMetadata(chatToken);
+    if (!metadata) throw new NotFoundError("Chat não encontrado.", "CHAT_NOT_FOUND");
+    return sortQuests(metadata.quests || []);
+}
+
+/**
+ * Cria um fio.
+ * @param {string} chatToken
+ * @param {object} data - { title, ...campos de applyQuestChanges }.
+ * @returns {Promise<object>}
+ * @throws {ValidationError|ConflictError}
+ */
+async function createQuest(chatToken, data) {
+    const title = requireText(data.title, "O título");
+    return withQuests(chatToken, (quests) => {
+        if (findQuest(quests, title)) throw new ConflictError(`Já existe uma missão "${title}".`, "QUEST_EXISTS");
+        if (quests.length >= config.questLimits.maxQuests) {
+            throw invalid(`Limite de ${config.questLimits.maxQuests} missões por chat.`);
+        }
+        const quest = applyQuestChanges(emptyQuest(title), { ...data, title });
+        return { quests: [...quests, quest], result: quest };
+    });
+}
+
+/**
+ * Altera um fio.
+ * @param {string} chatToken
+ * @param {string} ref - Id ou título.
+ * @param {object} changes - Ver applyQuestChanges.
+ * @returns {Promise<object>}
+ * @throws {NotFoundError|ValidationError|ConflictError}
+ */
+async function updateQuest(chatToken, ref, changes) {
+    return withQuests(chatToken, (quests) => {
+        const current = findQuest(quests, ref);
+        if (!current) throw questNotFound(ref);
+
+        const quest = applyQuestChanges(current, changes);
+        const duplicate = quests.find((other) => other.id !== quest.id && sameText(other.title, quest.title));
+        if (duplicate) throw new ConflictError(`Já existe uma missão "${quest.title}".`, "QUEST_EXISTS");
+
+        return { quests: quests.map((other) => (other.id === quest.id ? quest : other)), result: quest };
+    });
+}
+
+/**
+ * Remove um fio.
+ * @param {string} chatToken
+ * @param {string} ref - Id ou título.
+ * @returns {Promise<void>}
+ * @throws {NotFoundError}
+ */
+async function deleteQuest(chatToken, ref) {
+    await withQuests(chatToken, (quests) => {
+        const quest = findQuest(quests, ref);
+        if (!quest) throw questNotFound(ref);
+        return { quests: quests.filter((other) => other.id !== quest.id) };
+    });
+}
+
+/**
+ * Liga mensagens aos fios abertos ou alterados numa geração (a narração que os originou).
+ * @param {string} chatToken
+ * @param {string[]} questIds
+ * @param {string[]} messageIds
+ * @returns {Promise<object[]>} - Fios atualizados.
+ */
+async function linkSources(chatToken, questIds, messageIds) {
+    return withQuests(chatToken, (quests) => {
+        const linked = [];
+        const next = quests.map((quest) => {
+            if (!questIds.includes(quest.id)) return quest;
+            const updated = applyQuestChanges(quest, { addSources: messageIds });
+            linked.push(updated);
+            return updated;
+        });
+        return { quests: next, result: linked };
+    });
+}
+
+/**
+ * Converte os argumentos das tools open_quest/update_quest para o formato de applyQuestChanges.
+ * Listas das tools somam às do fio (o mestre só informa o que é novo).
+ * @param {object} args
+ * @returns {object}
+ */
+function changesFromToolArgs(args = {}) {
+    return {
+        description: args.description,
+        status: args.status,
+        note: args.note,
+        addNpcs: args.npcs,
+        addLocations: args.locations,
+        addSources: args.source_message_ids,
+    };
+}
+
+/**
+ * Fios em aberto, dos alterados mais recentemente para os mais antigos.
+ * @param {object[]} quests
+ * @returns {object[]}
+ */
+const unresolvedQuests = (quests = []) => sortQuests(quests).filter(isUnresolved);
+
+/**
+ * Consulta de busca com os fios em aberto (título e descrição), para a recuperação
+ * de memórias trazer de volta ganchos que saíram da conversa.
+ * @param {object[]} quests
+ * @returns {string} - Vazio se não houver fio em aberto.
+ */
+function retrievalQuery(quests = []) {
+    return unresolvedQuests(quests)
+        .slice(0, config.questLimits.retrievalQuests)
+        .map((quest) => (quest.description ? `${quest.title}: ${quest.description.slice(0, 300)}` : quest.title))
+        .join("\n");
+}
+
+/**
+ * Ids das mensagens de origem dos fios em aberto.
+ * @param {object[]} quests
+ * @returns {Set<string>}
+ */
+const unresolvedSourceIds = (quests = []) =>
+    new Set(unresolvedQuests(quests).flatMap((quest) => quest.sourceMessageIds));
+
+/**
+ * Uma linha de resumo do fio para o system prompt.
+ * @param {object} quest
+ * @returns {string}
+ */
+function summarizeQuest(quest) {
+    const parts = [`${quest.title} (${STATUS_LABELS[quest.status]})`];
+    if (quest.description) parts.push(quest.description.slice(0, 200));
+    if (quest.npcs.length > 0) parts.push(`NPCs: ${quest.npcs.join(", ")}`);
+    if (quest.locations.length > 0) parts.push(`Locais: ${quest.locations.join(", ")}`);
+    const lastNote = [...quest.updates].reverse().find((update) => update.note);
+    if (lastNote) parts.push(`Último avanço: ${lastNote.note.slice(0, 200)}`);
+    return `- ${parts.join(" | ")}`;
+}
+
+/**
+ * Insere os fios em aberto no system prompt.
+ * Prompts criados antes do diário (sem {quest_log}) recebem o bloco no final, se houver fios em aberto.
+ * @param {string} systemInstruction
+ * @param {object[]} quests
+ * @returns {string}
+ */
+function injectQuestLog(systemInstruction, quests = []) {
+    const limit = config.questLimits.promptQuests;
+    const open = unresolvedQuests(quests);
+    const lines = open.slice(0, limit).map(summarizeQuest);
+    if (open.length > limit) lines.push(`- ... e mais ${open.length - limit} fio(s) em aberto.`);
+    const text = lines.join("\n");
+
+    if (systemInstruction.includes("{quest_log}")) {
+        return systemInstruction.replace("{quest_log}", text || "Nenhum fio em aberto.");
+    }
+    if (!text) return systemInstruction;
+
+    return `${systemInstruction}\n\n<quest_log>\nFios da história em aberto (use open_quest e update_quest para registrar e atualizar):\n${text}\n</quest_log>`;
+}
+
+module.exports = {
+    listQuests,
+    createQuest,
+    updateQuest,
+    deleteQuest,
+    linkSources,
+    applyQuestChanges,
+    changesFromToolArgs,
+    retrievalQuery,
+    unresolvedSourceIds,
+    injectQuestLog,
+};
@@ -0,0 +1,85 @@
+// src/services/rateLimit/file.store.js
+// Um JSON por chave em data/rate-limits/<sha256(chave)>.json (a chave pode conter emails e IPs).
+// Sobrevive a reinícios; as atualizações de uma chave são serializadas apenas dentro deste processo.
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+
+/**
+ * Cria o store em arquivos.
+ * @param {object} options
+ * @param {string} options.dir - Diretório dos contadores.
+ * @returns {object} - Store de rate limit (ver rateLimit/index.js).
+ */
+function createFileStore({ dir }) {
+    fsSync.mkdirSync(dir, { recursive: true });
+
+    // Escritas serializadas por arquivo
+    const locks = new Map();
+    const withLock = (lockKey, task) => {
+        const previous = locks.get(lockKey) || Promise.resolve();
+        const next = previous.catch(() => { }).then(task);
+        locks.set(lockKey, next);
+        next.catch(() => { }).finally(() => {
+            if (locks.get(lockKey) === next) locks.delete(lockKey);
+        });
+        return next;
+    };
+
+    const fileName = (key) => `${crypto.createHash("sha256").update(key).digest("hex")}.json`;
+
+    const readEntry = async (file) => {
+        try {
+            return JSON.parse(await fs.readFile(path.join(dir, file), "utf-8")).entry;
+        } catch (error) {
+            // Arquivo ausente ou corrompido (ex.: queda no meio da escrita): conta como zerado
+            if (error.code === "ENOENT" || error instanceof SyntaxError) return null;
+            throw error;
+        }
+    };
+
+    // Grava num temporário e renomeia: leitores nunca veem um JSON pela metade
+    const writeEntry = async (file, key, entry) => {
+        const filePath = path.join(dir, file);
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify({ key, entry }), "utf-8");
+        await fs.rename(tmpPath, filePath);
+    };
+
+    return {
+        backend: "file",
+
+        get: (key) => readEntry(fileName(key)),
+
+        update: (key, mutator) => {
+            const file = fileName(key);
+            return withLock(file, async () => {
+                const updated = mutator(await readEntry(file));
+                if (updated) await writeEntry(file, key, updated);
+                else await fs.rm(path.join(dir, file), { force: true });
+                return updated;
+            });
+        },
+
+        prune: async (now = Date.now()) => {
+            const files = (await fs.readdir(dir)).filter((file) => file.endsWith(".json"));
+            let removed = 0;
+            for (const file of files) {
+                await withLock(file, async () => {
+                    const entry = await readEntry(file);
+                    if (!entry || entry.expiresAt <= now) {
+                        await fs.rm(path.join(dir, file), { force: true });
+                        removed++;
+                    }
+                });
+            }
+            return removed;
+        },
+
+        close: () => { },
+    };
+}
+
+module.exports = { createFileStore };
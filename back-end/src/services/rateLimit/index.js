@@ -0,0 +1,69 @@
+// src/services/rateLimit/index.js
+// Store dos contadores de rate limit (ver api/middlewares/rateLimit.middleware.js).
+// Exporta o store escolhido em config.rateLimit.store; o middleware não sabe qual é.
+//
+// Interface comum (registros { count, resetAt, blockedUntil, expiresAt }, em ms):
+// - get(key) -> registro ou null
+// - update(key, mutator): aplica mutator(atual|null) -> novo registro (null apaga) sem que outra
+//   atualização da mesma chave entre no meio. O mutator é síncrono. Retorna o novo registro.
+// - prune(now) -> quantidade de registros expirados removidos
+// - close()
+
+const path = require("path");
+const config = require("../../config");
+const { createMemoryStore } = require("./memory.store");
+const { createFileStore } = require("./file.store");
+
+// Limpeza periódica dos contadores expirados
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Carrega o better-sqlite3 (dependência opcional).
+ * @returns {Function|null} - Construtor do banco ou null se o pacote não estiver disponível.
+ */
+function loadSqliteDriver() {
+    try {
+        return require("better-sqlite3");
+    } catch (error) {
+        console.warn(
+            `[RateLimit] better-sqlite3 indisponível (${error.message.split("\n")[0]}). Usando contadores em arquivos.`
+        );
+        return null;
+    }
+}
+
+/**
+ * Cria o store configurado.
+ * @param {object} [options] - Sobrescreve config.rateLimit (usado nos testes).
+ * @returns {object} - Store de rate limit.
+ */
+function createRateLimitStore(options = {}) {
+    const settings = { ...config.rateLimit, ...options };
+
+    if (settings.store === "memory") {
+        return createMemoryStore();
+    }
+    if (settings.store === "sqlite") {
+        const Database = loadSqliteDriver();
+        if (Database) {
+            const { createSqliteStore } = require("./sqlite.store");
+            return createSqliteStore(Database, { dbPath: path.resolve(settings.sqlitePath) });
+        }
+    } else if (settings.store !== "file") {
+        console.warn(`[RateLimit] Store desconhecido "${settings.store}". Usando contadores em arquivos.`);
+    }
+
+    return createFileStore({ dir: path.resolve(settings.filePath) });
+}
+
+const store = createRateLimitStore();
+console.log(`[RateLimit] Store dos limites de requisição: ${store.backend}`);
+
+setInterval(() => {
+    store.prune(Date.now()).catch((error) => {
+        console.error("[RateLimit] Falha ao limpar contadores expirados:", error.message);
+    });
+}, PRUNE_INTERVAL_MS).unref();
+
+module.exports = store;
+module.exports.createRateLimitStore = createRateLimitStore;
@@ -0,0 +1,40 @@
+// src/services/rateLimit/memory.store.js
+// Contadores em um Map do processo: zerados a cada reinício e não compartilhados entre instâncias.
+// Útil em desenvolvimento e nos testes.
+
+/**
+ * Cria o store em memória.
+ * @returns {object} - Store de rate limit (ver rateLimit/index.js).
+ */
+function createMemoryStore() {
+    const entries = new Map();
+
+    return {
+        backend: "memory",
+
+        get: async (key) => entries.get(key) || null,
+
+        // Tudo síncrono entre a leitura e a escrita: nenhuma outra requisição entra no meio
+        update: async (key, mutator) => {
+            const updated = mutator(entries.get(key) || null);
+            if (updated) entries.set(key, updated);
+            else entries.delete(key);
+            return updated;
+        },
+
+        prune: async (now = Date.now()) => {
+            let removed = 0;
+            for (const [key, entry] of entries) {
+                if (entry.expiresAt <= now) {
+                    entries.delete(key);
+                    removed++;
+                }
+            }
+            return removed;
+        },
+
+        close: () => entries.clear(),
+    };
+}
+
+module.exports = { createMemoryStore };
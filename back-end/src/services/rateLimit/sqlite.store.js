@@ -0,0 +1,66 @@
+// src/services/rateLimit/sqlite.store.js
+// Contadores num banco SQLite próprio (data/rate-limits.sqlite). Cada atualização é uma transação
+// IMMEDIATE: vários processos do servidor apontando para o mesmo arquivo compartilham os limites.
+
+const fs = require("fs");
+const path = require("path");
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS rate_limits (
+        key TEXT PRIMARY KEY,
+        expiresAt INTEGER NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS rate_limits_expires ON rate_limits (expiresAt);
+`;
+
+/**
+ * Abre (ou cria) o banco e devolve o store.
+ * @param {Function} Database - Construtor do better-sqlite3.
+ * @param {object} options
+ * @param {string} options.dbPath - Caminho do arquivo .sqlite.
+ * @returns {object} - Store de rate limit (ver rateLimit/index.js).
+ */
+function createSqliteStore(Database, { dbPath }) {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+    const db = new Database(dbPath);
+    db.pragma("journal_mode = WAL");
+    db.pragma("busy_timeout = 5000");
+    db.exec(SCHEMA);
+
+    const statements = {
+        get: db.prepare("SELECT data FROM rate_limits WHERE key = ?"),
+        upsert: db.prepare(
+            "INSERT INTO rate_limits (key, expiresAt, data) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET expiresAt = excluded.expiresAt, data = excluded.data"
+        ),
+        delete: db.prepare("DELETE FROM rate_limits WHERE key = ?"),
+        prune: db.prepare("DELETE FROM rate_limits WHERE expiresAt <= ?"),
+    };
+
+    const read = (key) => {
+        const row = statements.get.get(key);
+        return row ? JSON.parse(row.data) : null;
+    };
+
+    const update = db.transaction((key, mutator) => {
+        const updated = mutator(read(key));
+        if (updated) statements.upsert.run(key, updated.expiresAt, JSON.stringify(updated));
+        else statements.delete.run(key);
+        return updated;
+    });
+
+    return {
+        backend: "sqlite",
+
+        get: async (key) => read(key),
+
+        update: async (key, mutator) => update.immediate(key, mutator),
+
+        prune: async (now = Date.now()) => statements.prune.run(now).changes,
+
+        close: () => db.close(),
+    };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,240 @@
+// src/services/session.service.js
+// Sessões de login: cada login cria uma sessão no servidor, um access token JWT de curta duração
+// (com o id da sessão em `sid`) e um refresh token rotativo "<sessionId>.<segredo>".
+// Só o hash do segredo é guardado; a cada refresh o segredo é trocado e o anterior, se reapresentado
+// depois, indica roubo do token e encerra a sessão. Logout apaga a sessão e invalida o access token na hora.
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config");
+const storage = require("./storage");
+const { AuthError, NotFoundError } = require("../utils/errors");
+
+// Refresh simultâneo (duas abas) com o segredo recém-substituído não é tratado como roubo
+const REUSE_GRACE_MS = 30 * 1000;
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const sameHash = (a, b) => Boolean(a && b) && a.length === b.length &&
+    crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const newSecret = () => crypto.randomBytes(32).toString("base64url");
+
+/**
+ * Assina o access token da sessão.
+ * @param {{id: string, email: string}} user
+ * @param {string} sessionId
+ * @returns {string}
+ */
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        { id: user.id, email: user.email, sid: sessionId },
+        config.auth.jwtSecret,
+        { expiresIn: config.auth.accessTokenTtl }
+    );
+}
+
+/**
+ * Sessão pronta para a API (sem hashes).
+ * @param {object} session
+ * @param {string} [currentSessionId]
+ * @returns {object}
+ */
+function toPublicSession(session, currentSessionId) {
+    return {
+        id: session.id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session.id === currentSessionId,
+    };
+}
+
+/**
+ * Remove as sessões expiradas do usuário.
+ * @param {string} userId
+ * @returns {Promise<object[]>} - Sessões ainda válidas.
+ */
+async function pruneExpiredSessions(userId) {
+    const now = Date.now();
+    const sessions = await storage.listSessions(userId);
+    for (const session of sessions.filter((s) => s.expiresAt <= now)) {
+        await storage.deleteSession(session.id);
+    }
+    return sessions.filter((s) => s.expiresAt > now);
+}
+
+/**
+ * Abre uma sessão para o usuário (login/cadastro).
+ * @param {{id: string, email: string}} user
+ * @param {{userAgent?: string, ip?: string}} [client] - Dados do dispositivo, exibidos na lista de sessões.
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+async function createSession(user, client = {}) {
+    await pruneExpiredSessions(user.id);
+
+    const secret = newSecret();
+    const now = Date.now();
+    const session = {
+        id: uuidv4(),
+        userId: user.id,
+        tokenHash: hashSecret(secret),
+        previousTokenHash: null,
+        rotatedAt: null,
+        userAgent: (client.userAgent || "").slice(0, 200),
+        ip: client.ip || null,
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: now + config.auth.refreshTokenTtlMs,
+    };
+    await storage.saveSession(session);
+
+    return { token: signAccessToken(user, session.id), refreshToken: `${session.id}.${secret}` };
+}
+
+/**
+ * Troca um refresh token por um novo par de tokens (o refresh token usado deixa de valer).
+ * @param {string} refreshToken
+ * @param {{userAgent?: string, ip?: string}} [client]
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+async function refreshSession(refreshToken, client = {}) {
+    const [sessionId, secret] = String(refreshToken || "").split(".");
+    if (!sessionId || !secret) {
+        throw new AuthError("Refresh token inválido.", "AUTH_REFRESH_INVALID");
+    }
+
+    const presentedHash = hashSecret(secret);
+    const rotatedSecret = newSecret();
+    let outcome = "invalid";
+
+    // Verificação e rotação na mesma atualização: dois refreshes com o mesmo token não geram duas sessões válidas
+    const session = await storage.updateSession(sessionId, (current) => {
+        const now = Date.now();
+        if (current.expiresAt <= now) {
+            outcome = "expired";
+            return current;
+        }
+        if (sameHash(current.tokenHash, presentedHash)) {
+            outcome = "rotated";
+            return {
+                ...current,
+                tokenHash: hashSecret(rotatedSecret),
+                previousTokenHash: current.tokenHash,
+                rotatedAt: now,
+                userAgent: client.userAgent ? client.userAgent.slice(0, 200) : current.userAgent,
+                ip: client.ip || current.ip,
+                lastUsedAt: now,
+                expiresAt: now + config.auth.refreshTokenTtlMs,
+            };
+        }
+        if (sameHash(current.previousTokenHash, presentedHash)) {
+            outcome = now - current.rotatedAt <= REUSE_GRACE_MS ? "superseded" : "reused";
+        }
+        return current;
+    });
+
+    if (!session || outcome === "invalid" || outcome === "superseded") {
+        throw new AuthError("Refresh token inválido.", "AUTH_REFRESH_INVALID");
+    }
+    if (outcome === "expired") {
+        await storage.deleteSession(sessionId);
+        throw new AuthError("Sessão expirada. Faça login novamente.", "AUTH_SESSION_EXPIRED");
+    }
+    if (outcome === "reused") {
+        await storage.deleteSession(sessionId);
+        console.warn(`[Auth] Refresh token reutilizado na sessão ${sessionId} (usuário ${session.userId}). Sessão encerrada.`);
+        throw new AuthError("Sessão encerrada por segurança. Faça login novamente.", "AUTH_REFRESH_REUSED");
+    }
+
+    // O email do token vem do usuário atual (pode ter mudado desde o login)
+    const user = await storage.getUserById(session.userId);
+    if (!user) {
+        await storage.deleteSession(sessionId);
+        throw new AuthError("Refresh token inválido.", "AUTH_REFRESH_INVALID");
+    }
+
+    return { token: signAccessToken(user, sessionId), refreshToken: `${sessionId}.${rotatedSecret}` };
+}
+
+/**
+ * Valida um access token e confirma que a sessão dele ainda existe.
+ * @param {string} token
+ * @returns {Promise<{id: string, email: string, sessionId: string}>}
+ */
+async function verifyAccessToken(token) {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, config.auth.jwtSecret);
+    } catch (error) {
+        const expired = error.name === "TokenExpiredError";
+        throw new AuthError(expired ? "Token expired" : "Token invalid", expired ? "AUTH_TOKEN_EXPIRED" : "AUTH_TOKEN_INVALID");
+    }
+
+    // Tokens sem sessão (emitidos antes dos refresh tokens) não podem ser revogados: não valem mais
+    const session = decoded.sid ? await storage.getSession(decoded.sid) : null;
+    if (!session || session.userId !== decoded.id || session.expiresAt <= Date.now()) {
+        throw new AuthError("Sessão encerrada. Faça login novamente.", "AUTH_SESSION_REVOKED");
+    }
+
+    return { id: decoded.id, email: decoded.email, sessionId: decoded.sid };
+}
+
+/**
+ * Lista as sessões ativas do usuário, da mais recente para a mais antiga.
+ * @param {string} userId
+ * @param {string} [currentSessionId] - Sessão da requisição, marcada com current: true.
+ * @returns {Promise<object[]>}
+ */
+async function listSessions(userId, currentSessionId) {
+    const sessions = await pruneExpiredSessions(userId);
+    return sessions
+        .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+        .map((session) => toPublicSession(session, currentSessionId));
+}
+
+/**
+ * Encerra uma sessão do usuário.
+ * @param {string} userId
+ * @param {string} sessionId
+ */
+async function revokeSession(userId, sessionId) {
+    const session = await storage.getSession(sessionId);
+    if (!session || session.userId !== userId) {
+        throw new NotFoundError("Sessão não encontrada.", "SESSION_NOT_FOUND");
+    }
+    await storage.deleteSession(sessionId);
+}
+
+/**
+ * Encerra todas as sessões do usuário (logout em todos os dispositivos).
+ * @param {string} userId
+ * @param {string} [exceptSessionId] - Sessão mantida (ex.: a que acabou de trocar a senha).
+ * @returns {Promise<number>} - Quantidade de sessões encerradas.
+ */
+async function revokeAllSessions(userId, exceptSessionId = null) {
+    let revoked = 0;
+    if (exceptSessionId) {
+        for (const session of await storage.listSessions(userId)) {
+            if (session.id === exceptSessionId) continue;
+            await storage.deleteSession(session.id);
+            revoked++;
+        }
+    } else {
+        revoked = await storage.deleteUserSessions(userId);
+    }
+    console.log(`[Auth] ${revoked} sessão(ões) do usuário ${userId} encerrada(s).`);
+    return revoked;
+}
+
+module.exports = {
+    createSession,
+    refreshSession,
+    verifyAccessToken,
+    listSessions,
+    revokeSession,
+    revokeAllSessions,
+};
@@ -0,0 +1,193 @@
+// src/services/storage/file.adapter.js
+// Backend em arquivos JSON (formato original): data/users/<id>.json, data/users/<id>.keyring.json
+// data/metadata/<chatToken>.json e data/sessions/<sessionId>.json. Sem índices: buscas por email/userId leem todos os arquivos.
+// As atualizações de um mesmo registro são serializadas neste processo e gravadas de forma atômica.
+
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+
+/**
+ * Cria o backend de arquivos.
+ * @param {object} options
+ * @param {string} options.usersDir - Diretório dos usuários e cofres.
+ * @param {string} options.metadataDir - Diretório dos metadados dos chats.
+ * @param {string} options.sessionsDir - Diretório das sessões de login.
+ * @returns {object} - Adapter de storage (ver storage/index.js).
+ */
+function createFileStorage({ usersDir, metadataDir, sessionsDir }) {
+    for (const dir of [usersDir, metadataDir, sessionsDir]) {
+        if (!fsSync.existsSync(dir)) {
+            fsSync.mkdirSync(dir, { recursive: true });
+        }
+    }
+
+    // Escritas serializadas por arquivo
+    const locks = new Map();
+    const withLock = (key, task) => {
+        const previous = locks.get(key) || Promise.resolve();
+        const next = previous.catch(() => { }).then(task);
+        locks.set(key, next);
+        next.catch(() => { }).finally(() => {
+            if (locks.get(key) === next) locks.delete(key);
+        });
+        return next;
+    };
+
+    const readJson = async (filePath) => {
+        try {
+            return JSON.parse(await fs.readFile(filePath, "utf-8"));
+        } catch (error) {
+            if (error.code === "ENOENT") return null;
+            throw error;
+        }
+    };
+
+    // Grava num temporário e renomeia: leitores nunca veem um JSON pela metade
+    const writeJson = async (filePath, data) => {
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), "utf-8");
+        await fs.rename(tmpPath, filePath);
+    };
+
+    const userPath = (id) => path.join(usersDir, `${id}.json`);
+    const keyringPath = (userId) => path.join(usersDir, `${userId}.keyring.json`);
+    const chatPath = (chatToken) => path.join(metadataDir, `${chatToken}.json`);
+    const sessionPath = (sessionId) => path.join(sessionsDir, `${sessionId}.json`);
+
+    const readAllUsers = async () => {
+        const files = await fs.readdir(usersDir);
+        const users = [];
+        for (const file of files) {
+            // <id>.keyring.json é o cofre de credenciais, não um usuário
+            if (!file.endsWith(".json") || file.endsWith(".keyring.json")) continue;
+            users.push(JSON.parse(await fs.readFile(path.join(usersDir, file), "utf-8")));
+        }
+        return users;
+    };
+
+    const readUserSessions = async (userId) => {
+        const files = (await fs.readdir(sessionsDir)).filter((file) => file.endsWith(".json"));
+        const sessions = [];
+        for (const file of files) {
+            const session = await readJson(path.join(sessionsDir, file));
+            if (session && session.userId === userId) sessions.push(session);
+        }
+        return sessions;
+    };
+
+    return {
+        backend: "file",
+
+        // --- Usuários ---
+
+        getUserById: (id) => readJson(userPath(id)),
+
+        getUserByEmail: async (email) => {
+            const users = await readAllUsers();
+            return users.find((user) => user.email === email) || null;
+        },
+
+        insertUser: (user) => withLock("users", async () => {
+            const users = await readAllUsers();
+            if (users.some((u) => u.email === user.email)) {
+                throw new Error("User already exists");
+            }
+            await writeJson(userPath(user.id), user);
+            return user;
+        }),
+
+        // Mesma trava do cadastro: a troca de email também precisa checar a unicidade
+        updateUser: (id, mutator) => withLock("users", async () => {
+            const current = await readJson(userPath(id));
+            if (!current) return null;
+            const updated = mutator(current);
+            if (updated.email !== current.email) {
+                const users = await readAllUsers();
+                if (users.some((u) => u.id !== id && u.email === updated.email)) {
+                    throw new Error("User already exists");
+                }
+            }
+            await writeJson(userPath(id), updated);
+            return updated;
+        }),
+
+        deleteUser: (id) => withLock("users", async () => {
+            await fs.rm(userPath(id), { force: true });
+        }),
+
+        // --- Cofres de credenciais ---
+
+        getKeyring: (userId) => readJson(keyringPath(userId)),
+
+        saveKeyring: (userId, keyring) => withLock(keyringPath(userId), () => writeJson(keyringPath(userId), keyring)),
+
+        deleteKeyring: (userId) => withLock(keyringPath(userId), async () => {
+            await fs.rm(keyringPath(userId), { force: true });
+        }),
+
+        // --- Metadados dos chats ---
+
+        getChat: (chatToken) => readJson(chatPath(chatToken)),
+
+        listChats: async (userId = null) => {
+            const files = (await fs.readdir(metadataDir)).filter((file) => file.endsWith(".json"));
+            const chats = [];
+            for (const file of files) {
+                try {
+                    const data = JSON.parse(await fs.readFile(path.join(metadataDir, file), "utf-8"));
+                    if (!userId || data.userId === userId) {
+                        chats.push({ id: file.replace(/\.json$/, ""), ...data });
+                    }
+                } catch (parseError) {
+                    console.error(`[STORAGE] Erro ao parsear arquivo ${file}:`, parseError);
+                }
+            }
+            return chats;
+        },
+
+        saveChat: (chatToken, data) => withLock(chatPath(chatToken), () => writeJson(chatPath(chatToken), data)),
+
+        updateChat: (chatToken, mutator) => withLock(chatPath(chatToken), async () => {
+            const current = await readJson(chatPath(chatToken));
+            if (!current) return null;
+            const updated = mutator(current);
+            await writeJson(chatPath(chatToken), updated);
+            return updated;
+        }),
+
+        deleteChat: (chatToken) => withLock(chatPath(chatToken), async () => {
+            await fs.rm(chatPath(chatToken), { force: true });
+        }),
+
+        // --- Sessões de login ---
+
+        getSession: (sessionId) => readJson(sessionPath(sessionId)),
+
+        listSessions: readUserSessions,
+
+        saveSession: (session) => withLock(sessionPath(session.id), () => writeJson(sessionPath(session.id), session)),
+
+        updateSession: (sessionId, mutator) => withLock(sessionPath(sessionId), async () => {
+            const current = await readJson(sessionPath(sessionId));
+            if (!current) return null;
+            const updated = mutator(current);
+            await writeJson(sessionPath(sessionId), updated);
+            return updated;
+        }),
+
+        deleteSession: (sessionId) => withLock(sessionPath(sessionId), async () => {
+            await fs.rm(sessionPath(sessionId), { force: true });
+        }),
+
+        deleteUserSessions: async (userId) => {
+            const sessions = await readUserSessions(userId);
+            for (const session of sessions) {
+                await withLock(sessionPath(session.id), () => fs.rm(sessionPath(session.id), { force: true }));
+            }
+            return sessions.length;
+        },
+    };
+}
+
+module.exports = { createFileStorage };
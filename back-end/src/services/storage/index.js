@@ -0,0 +1,68 @@
+// src/services/storage/index.js
+// Ponto único de persistência de usuários, cofres de credenciais, metadados dos chats e sessões de login.
+// Exporta o adapter escolhido em config.storage.backend; os serviços não sabem qual é.
+//
+// Interface comum (os registros são objetos puros, sem criptografia ou máscara aplicadas aqui):
+// - getUserById(id), getUserByEmail(email), insertUser(user) -> Error("User already exists") se o email existir
+// - updateUser(id, mutator) (mesmo erro se o novo email já existir), deleteUser(id)
+// - getKeyring(userId), saveKeyring(userId, keyring), deleteKeyring(userId)
+// - getChat(chatToken), listChats(userId|null), saveChat(chatToken, data), deleteChat(chatToken)
+// - updateChat(chatToken, mutator): lê, aplica mutator(atual) -> novo e grava sem que outra escrita
+//   no mesmo chat entre no meio. O mutator é síncrono. Retorna o novo registro ou null se o chat não existe.
+// - getSession(id), listSessions(userId), saveSession(session), updateSession(id, mutator),
+//   deleteSession(id), deleteUserSessions(userId) -> quantidade removida
+
+const path = require("path");
+const config = require("../../config");
+const { createFileStorage } = require("./file.adapter");
+
+/**
+ * Carrega o better-sqlite3 (dependência opcional).
+ * @returns {Function|null} - Construtor do banco ou null se o pacote não estiver disponível.
+ */
+function loadSqliteDriver() {
+    try {
+        return require("better-sqlite3");
+    } catch (error) {
+        console.warn(
+            `[Storage] better-sqlite3 indisponível (${error.message.split("\n")[0]}). Usando os arquivos JSON; instale o pacote para o backend SQLite.`
+        );
+        return null;
+    }
+}
+
+/**
+ * Cria o adapter configurado.
+ * @param {object} [options] - Sobrescreve config.storage (usado nos testes).
+ * @returns {object} - Adapter de storage.
+ */
+function createStorage(options = {}) {
+    const settings = { ...config.storage, ...options };
+    const dirs = {
+        usersDir: path.resolve(settings.usersPath),
+        metadataDir: path.resolve(settings.metadataPath),
+        sessionsDir: path.resolve(settings.sessionsPath),
+    };
+
+    if (settings.backend === "sqlite") {
+        const Database = loadSqliteDriver();
+        if (Database) {
+            const { createSqliteStorage } = require("./sqlite.adapter");
+            const { importJsonFiles } = require("./jsonMigrator");
+
+            const storage = createSqliteStorage(Database, { dbPath: path.resolve(settings.sqlitePath) });
+            importJsonFiles(storage, dirs);
+            return storage;
+        }
+    } else if (settings.backend !== "file") {
+        console.warn(`[Storage] Backend desconhecido "${settings.backend}". Usando os arquivos JSON.`);
+    }
+
+    return createFileStorage(dirs);
+}
+
+const storage = createStorage();
+console.log(`[Storage] Backend de persistência: ${storage.backend}`);
+
+module.exports = storage;
+module.exports.createStorage = createStorage;
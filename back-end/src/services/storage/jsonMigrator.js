@@ -0,0 +1,67 @@
+// src/services/storage/jsonMigrator.js
+// Importa para o SQLite os arquivos JSON do backend antigo (data/users e data/metadata).
+// Roda uma única vez por banco; os arquivos originais ficam intactos como backup e
+// continuam servindo ao backend de arquivos (STORAGE_BACKEND=file).
+
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATION_KEY = "json_import_completed_at";
+
+/**
+ * Lê todos os .json de um diretório, ignorando os que não parseiam.
+ * @param {string} dir - Diretório.
+ * @returns {Array<{file: string, data: object}>}
+ */
+function readJsonDir(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    const entries = [];
+    for (const file of fs.readdirSync(dir)) {
+        if (!file.endsWith(".json")) continue;
+        try {
+            entries.push({ file, data: JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8")) });
+        } catch (error) {
+            console.error(`[Storage] Arquivo ignorado na importação (${file}):`, error.message);
+        }
+    }
+    return entries;
+}
+
+/**
+ * Importa usuários, cofres e metadados dos chats para o adapter SQLite.
+ * É síncrona de propósito: roda na abertura do banco, antes de qualquer requisição.
+ * @param {object} storage - Adapter SQLite (precisa de getMeta/setMeta/importRecords).
+ * @param {object} dirs
+ * @param {string} dirs.usersDir - Diretório dos usuários e cofres.
+ * @param {string} dirs.metadataDir - Diretório dos metadados dos chats.
+ * @returns {{users: number, keyrings: number, chats: number}|null} - Quantidades importadas, ou null se já migrado.
+ */
+function importJsonFiles(storage, { usersDir, metadataDir }) {
+    if (storage.getMeta(MIGRATION_KEY)) return null;
+
+    const users = [];
+    const keyrings = [];
+    for (const { file, data } of readJsonDir(usersDir)) {
+        if (file.endsWith(".keyring.json")) {
+            keyrings.push({ ...data, userId: data.userId || file.replace(".keyring.json", "") });
+        } else if (data.id && data.email) {
+            users.push(data);
+        }
+    }
+
+    const chats = readJsonDir(metadataDir).map(({ file, data }) => ({
+        ...data,
+        id: data.id || file.replace(/\.json$/, ""),
+    }));
+
+    const counts = storage.importRecords({ users, keyrings, chats });
+    storage.setMeta(MIGRATION_KEY, new Date().toISOString());
+
+    if (counts.users || counts.keyrings || counts.chats) {
+        console.log(`[Storage] Importados dos arquivos JSON: ${counts.users} usuário(s), ${counts.keyrings} cofre(s), ${counts.chats} chat(s).`);
+    }
+    return counts;
+}
+
+module.exports = { importJsonFiles, MIGRATION_KEY };
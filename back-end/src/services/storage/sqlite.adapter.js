@@ -0,0 +1,239 @@
+// src/services/storage/sqlite.adapter.js
+// Backend SQLite embarcado (better-sqlite3): usuários indexados por email, chats por userId e
+// atualizações de metadados dentro de transações. Cada registro é guardado como JSON na coluna
+// `data`; as demais colunas existem só para índice e ordenação.
+
+const fs = require("fs");
+const path = require("path");
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS users_email ON users (email);
+    CREATE TABLE IF NOT EXISTS keyrings (
+        userId TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS chats (
+        id TEXT PRIMARY KEY,
+        userId TEXT,
+        createdAt TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS chats_user ON chats (userId, createdAt);
+    CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        userId TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS sessions_user ON sessions (userId);
+`;
+
+/**
+ * Abre (ou cria) o banco e devolve o adapter.
+ * @param {Function} Database - Construtor do better-sqlite3.
+ * @param {object} options
+ * @param {string} options.dbPath - Caminho do arquivo .sqlite.
+ * @returns {object} - Adapter de storage (ver storage/index.js).
+ */
+function createSqliteStorage(Database, { dbPath }) {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+    const db = new Database(dbPath);
+    db.pragma("journal_mode = WAL");
+    db.pragma("busy_timeout = 5000");
+    db.exec(SCHEMA);
+
+    const statements = {
+        getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+        setMeta: db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"),
+        getUserById: db.prepare("SELECT data FROM users WHERE id = ?"),
+        getUserByEmail: db.prepare("SELECT data FROM users WHERE email = ?"),
+        insertUser: db.prepare("INSERT INTO users (id, email, data) VALUES (?, ?, ?)"),
+        updateUser: db.prepare("UPDATE users SET email = ?, data = ? WHERE id = ?"),
+        deleteUser: db.prepare("DELETE FROM users WHERE id = ?"),
+        importUser: db.prepare("INSERT OR IGNORE INTO users (id, email, data) VALUES (?, ?, ?)"),
+        getKeyring: db.prepare("SELECT data FROM keyrings WHERE userId = ?"),
+        saveKeyring: db.prepare("INSERT INTO keyrings (userId, data) VALUES (?, ?) ON CONFLICT(userId) DO UPDATE SET data = excluded.data"),
+        importKeyring: db.prepare("INSERT OR IGNORE INTO keyrings (userId, data) VALUES (?, ?)"),
+        deleteKeyring: db.prepare("DELETE FROM keyrings WHERE userId = ?"),
+        getChat: db.prepare("SELECT data FROM chats WHERE id = ?"),
+        listChats: db.prepare("SELECT data FROM chats ORDER BY createdAt DESC"),
+        listUserChats: db.prepare("SELECT data FROM chats WHERE userId = ? ORDER BY createdAt DESC"),
+        saveChat: db.prepare(`
+            INSERT INTO chats (id, userId, createdAt, data) VALUES (@id, @userId, @createdAt, @data)
+            ON CONFLICT(id) DO UPDATE SET userId = excluded.userId, createdAt = excluded.createdAt, data = excluded.data
+        `),
+        importChat: db.prepare("INSERT OR IGNORE INTO chats (id, userId, createdAt, data) VALUES (@id, @userId, @createdAt, @data)"),
+        deleteChat: db.prepare("DELETE FROM chats WHERE id = ?"),
+        getSession: db.prepare("SELECT data FROM sessions WHERE id = ?"),
+        listSessions: db.prepare("SELECT data FROM sessions WHERE userId = ?"),
+        saveSession: db.prepare(`
+            INSERT INTO sessions (id, userId, data) VALUES (?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET userId = excluded.userId, data = excluded.data
+        `),
+        deleteSession: db.prepare("DELETE FROM sessions WHERE id = ?"),
+        deleteUserSessions: db.prepare("DELETE FROM sessions WHERE userId = ?"),
+    };
+
+    const parseRow = (row) => (row ? JSON.parse(row.data) : null);
+
+    const chatRow = (chatToken, data) => ({
+        id: chatToken,
+        userId: data.userId || null,
+        createdAt: data.createdAt || null,
+        data: JSON.stringify(data),
+    });
+
+    const saveChat = (chatToken, data) => {
+        statements.saveChat.run(chatRow(chatToken, data));
+    };
+
+    // Leitura, mutação e escrita no mesmo BEGIN IMMEDIATE: nenhuma outra escrita entra no meio
+    const updateChat = db.transaction((chatToken, mutator) => {
+        const current = parseRow(statements.getChat.get(chatToken));
+        if (!current) return null;
+        const updated = mutator(current);
+        saveChat(chatToken, updated);
+        return updated;
+    });
+
+    const updateUser = db.transaction((id, mutator) => {
+        const current = parseRow(statements.getUserById.get(id));
+        if (!current) return null;
+        const updated = mutator(current);
+        statements.updateUser.run(updated.email, JSON.stringify(updated), id);
+        return updated;
+    });
+
+    const isUniqueViolation = (error) =>
+        error.code === "SQLITE_CONSTRAINT_UNIQUE" || error.code === "SQLITE_CONSTRAINT_PRIMARYKEY";
+
+    const saveSession = (session) => {
+        statements.saveSession.run(session.id, session.userId, JSON.stringify(session));
+    };
+
+    const updateSession = db.transaction((sessionId, mutator) => {
+        const current = parseRow(statements.getSession.get(sessionId));
+        if (!current) return null;
+        const updated = mutator(current);
+        saveSession(updated);
+        return updated;
+    });
+
+    // Importação em lote usada pelo migrador; registros já existentes são mantidos
+    const importRecords = db.transaction(({ users = [], keyrings = [], chats = [] }) => {
+        const counts = { users: 0, keyrings: 0, chats: 0 };
+        for (const user of users) {
+            counts.users += statements.importUser.run(user.id, user.email, JSON.stringify(user)).changes;
+        }
+        for (const keyring of keyrings) {
+            counts.keyrings += statements.importKeyring.run(keyring.userId, JSON.stringify(keyring)).changes;
+        }
+        for (const chat of chats) {
+            counts.chats += statements.importChat.run(chatRow(chat.id, chat)).changes;
+        }
+        return counts;
+    });
+
+    return {
+        backend: "sqlite",
+
+        getMeta: (key) => statements.getMeta.get(key)?.value ?? null,
+
+        setMeta: (key, value) => {
+            statements.setMeta.run(key, String(value));
+        },
+
+        importRecords: (records) => importRecords.immediate(records),
+
+        close: () => db.close(),
+
+        // --- Usuários ---
+
+        getUserById: async (id) => parseRow(statements.getUserById.get(id)),
+
+        getUserByEmail: async (email) => parseRow(statements.getUserByEmail.get(email)),
+
+        insertUser: async (user) => {
+            try {
+                statements.insertUser.run(user.id, user.email, JSON.stringify(user));
+                return user;
+            } catch (error) {
+                if (isUniqueViolation(error)) {
+                    throw new Error("User already exists");
+                }
+                throw error;
+            }
+        },
+
+        updateUser: async (id, mutator) => {
+            try {
+                return updateUser.immediate(id, mutator);
+            } catch (error) {
+                if (isUniqueViolation(error)) {
+                    throw new Error("User already exists");
+                }
+                throw error;
+            }
+        },
+
+        deleteUser: async (id) => {
+            statements.deleteUser.run(id);
+        },
+
+        // --- Cofres de credenciais ---
+
+        getKeyring: async (userId) => parseRow(statements.getKeyring.get(userId)),
+
+        saveKeyring: async (userId, keyring) => {
+            statements.saveKeyring.run(userId, JSON.stringify(keyring));
+        },
+
+        deleteKeyring: async (userId) => {
+            statements.deleteKeyring.run(userId);
+        },
+
+        // --- Metadados dos chats ---
+
+        getChat: async (chatToken) => parseRow(statements.getChat.get(chatToken)),
+
+        listChats: async (userId = null) => {
+            const rows = userId ? statements.listUserChats.all(userId) : statements.listChats.all();
+            return rows.map(parseRow);
+        },
+
+        saveChat: async (chatToken, data) => saveChat(chatToken, data),
+
+        updateChat: async (chatToken, mutator) => updateChat.immediate(chatToken, mutator),
+
+        deleteChat: async (chatToken) => {
+            statements.deleteChat.run(chatToken);
+        },
+
+        // --- Sessões de login ---
+
+        getSession: async (sessionId) => parseRow(statements.getSession.get(sessionId)),
+
+        listSessions: async (userId) => statements.listSessions.all(userId).map(parseRow),
+
+        saveSession: async (session) => saveSession(session),
+
+        updateSession: async (sessionId, mutator) => updateSession.immediate(sessionId, mutator),
+
+        deleteSession: async (sessionId) => {
+            statements.deleteSession.run(sessionId);
+        },
+
+        deleteUserSessions: async (userId) => statements.deleteUserSessions.run(userId).changes,
+    };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,442 @@
+// src/services/summary.service.js
+// Resumos contínuos da campanha (coleção "resumos").
+// Depois de cada geração, trechos fechados do historico (fora da janela recente) são
+// condensados em capítulos, com links para os messageids de origem, e a "história até
+// agora" é atualizada a partir deles. A história entra sempre no system prompt.
+
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config");
+const lanceDBService = require("./lancedb.service");
+const chatStorage = require("./chatStorage.service");
+const credentialService = require("./credential.service");
+const openrouterService = require("./openrouter.service");
+const cerebrasService = require("./cerebras.service");
+const vllmService = require("./vllm.service");
+const googleProvider = require("./google.provider");
+const { ConflictError, NotFoundError, ValidationError, ProviderError } = require("../utils/errors");
+
+const STORY_ID = "historia";
+const SUMMARY_TEMPERATURE = 0.3;
+
+// Fila por chat: resumos de um mesmo chat nunca rodam em paralelo
+const summaryLocks = new Map();
+
+/**
+ * Executa uma tarefa depois das tarefas de resumo pendentes do mesmo chat.
+ * @param {string} chatToken
+ * @param {function(): Promise<any>} task
+ * @returns {Promise<any>}
+ */
+function withSummaryLock(chatToken, task) {
+    const previous = summaryLocks.get(chatToken) || Promise.resolve();
+    const run = previous.then(task);
+    const tail = run.catch(() => { });
+    summaryLocks.set(chatToken, tail);
+    tail.then(() => {
+        if (summaryLocks.get(chatToken) === tail) summaryLocks.delete(chatToken);
+    });
+    return run;
+}
+
+/**
+ * Converte um registro da tabela para a API (sourceIds como array).
+ * @param {object} record
+ * @returns {object}
+ */
+function toSummary(record) {
+    let sourceIds = [];
+    try {
+        sourceIds = JSON.parse(record.sourceIds || "[]");
+    } catch (e) { /* mantém vazio */ }
+
+    return {
+        messageid: record.messageid,
+        kind: record.kind,
+        chapter: record.chapter,
+        text: record.text,
+        sourceIds,
+        startAt: record.startAt,
+        endAt: record.endAt,
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt,
+        edited: !!record.edited,
+    };
+}
+
+/**
+ * Converte um resumo da API de volta para o formato do summarySchema.
+ * @param {object} summary
+ * @returns {object}
+ */
+function toRecord(summary) {
+    return { ...summary, sourceIds: JSON.stringify(summary.sourceIds || []) };
+}
+
+/**
+ * Retorna a história até agora e os capítulos (em ordem) de um chat.
+ * @param {string} chatToken
+ * @returns {Promise<{storySoFar: object|null, chapters: object[]}>}
+ */
+async function getSummaries(chatToken) {
+    const records = await lanceDBService.getSummaryRecords(chatToken);
+    const summaries = records.map(toSummary);
+
+    return {
+        storySoFar: summaries.find((s) => s.kind === "historia") || null,
+        chapters: summaries
+            .filter((s) => s.kind === "capitulo")
+            .sort((a, b) => a.chapter - b.chapter),
+    };
+}
+
+/**
+ * Texto da história até agora ("" se o chat ainda não tem resumos).
+ * Falhas de leitura não impedem a geração.
+ * @param {string} chatToken
+ * @returns {Promise<string>}
+ */
+async function getStorySoFar(chatToken) {
+    try {
+        const { storySoFar } = await getSummaries(chatToken);
+        return storySoFar?.text || "";
+    } catch (error) {
+        console.warn(`[Summary] Falha ao carregar a história até agora: ${error.message}`);
+        return "";
+    }
+}
+
+/**
+ * Insere a história até agora no system prompt.
+ * Prompts criados antes dos resumos (sem {story_so_far}) recebem o bloco no final.
+ * @param {string} systemInstruction
+ * @param {string} storyText
+ * @returns {string}
+ */
+function injectStorySoFar(systemInstruction, storyText) {
+    if (systemInstruction.includes("{story_so_far}")) {
+        return systemInstruction.replace(
+            "{story_so_far}",
+            storyText || "Nenhum resumo ainda: a campanha está no começo."
+        );
+    }
+    if (!storyText) return systemInstruction;
+
+    return `${systemInstruction}\n\n<story_so_far>\nResumo de tudo o que aconteceu na campanha antes do histórico recente:\n${storyText}\n</story_so_far>`;
+}
+
+/**
+ * Monta a transcrição de um trecho do historico para o prompt.
+ * @param {object[]} records
+ * @returns {string}
+ */
+function formatTranscript(records) {
+    return records
+        .map((r) => `${r.role === "user" ? "Jogador" : "Mestre"}: ${r.text}`)
+        .join("\n\n");
+}
+
+/**
+ * Gera um texto com o provider e o modelo configurados no chat (sem tools).
+ * @param {object} chatConfig - Config do chat com as keys resolvidas (credentialService.resolveChatConfig).
+ * @param {string} prompt
+ * @returns {Promise<string>}
+ */
+async function generateWithChatProvider(chatConfig, prompt) {
+    const history = [{ role: "user", parts: [{ text: prompt }] }];
+    let text;
+
+    switch (chatConfig.provider) {
+        case "google":
+            ({ text } = await googleProvider.generateChatResponse(history, "", {
+                modelName: chatConfig.googleModelName || "gemini-2.5-flash",
+                temperature: SUMMARY_TEMPERATURE,
+                apiKeys: chatConfig.googleApiKeys || [],
+                rateLimits: chatConfig.rateLimits || { rpm: 5, tpm: 250000, rpd: 20 },
+            }));
+            break;
+        case "cerebras":
+            ({ text } = await cerebrasService.generateChatResponse(history, "", {
+                modelName: chatConfig.cerebrasModelName || "llama-3.3-70b",
+                temperature: SUMMARY_TEMPERATURE,
+                apiKey: chatConfig.cerebrasApiKey,
+            }));
+            break;
+        case "vllm":
+            ({ text } = await vllmService.generateChatResponse(history, "", {
+                baseUrl: chatConfig.vllmBaseUrl,
+                modelName: chatConfig.vllmModelName || "default",
+                temperature: SUMMARY_TEMPERATURE,
+                apiKey: chatConfig.vllmApiKey,
+            }));
+            break;
+        default:
+            ({ text } = await openrouterService.generateChatResponse(history, "", {
+                modelName: chatConfig.modelName,
+                temperature: SUMMARY_TEMPERATURE,
+                apiKey: chatConfig.openrouterApiKey,
+            }));
+    }
+
+    if (!text?.trim()) {
+        throw new ProviderError("O modelo retornou um resumo vazio.", "SUMMARY_EMPTY", {
+            details: { provider: chatConfig.provider || "openrouter" }
+        });
+    }
+    return text.trim();
+}
+
+/**
+ * Resume um trecho do historico.
+ * @param {object} chatConfig
+ * @param {object[]} records - Mensagens do capítulo, em ordem.
+ * @param {string} previousStory - História até agora (contexto).
+ * @returns {Promise<string>}
+ */
+function summarizeChapterText(chatConfig, records, previousStory) {
+    const prompt = config.chapterSummaryPrompt
+        .replace("{previous}", previousStory || "(início da campanha)")
+        .replace("{transcript}", formatTranscript(records))
+        .replace("{maxWords}", config.summaryDefaults.chapterMaxWords);
+
+    return generateWithChatProvider(chatConfig, prompt);
+}
+
+/**
+ * Divide as mensagens ainda não resumidas em trechos fechados.
+ * As últimas keepRecentMessages mensagens ficam de fora (já estão no contexto), e cada
+ * trecho termina no fim de um turno (antes da próxima mensagem do jogador).
+ * @param {object[]} pending - Mensagens após o último capítulo, em ordem.
+ * @returns {object[][]}
+ */
+function findClosedSpans(pending) {
+    const { chapterMessages, keepRecentMessages } = config.summaryDefaults;
+    const closable = Math.max(0, pending.length - keepRecentMessages);
+    const spans = [];
+    let start = 0;
+
+    while (closable - start >= chapterMessages) {
+        let end = start + chapterMessages;
+        while (end < pending.length && pending[end].role !== "user") end++;
+        if (end >= pending.length) break; // Turno ainda em andamento
+
+        spans.push(pending.slice(start, end));
+        start = end;
+    }
+
+    return spans;
+}
+
+/**
+ * Atualiza a história até agora com os capítulos que ela ainda não cobre.
+ * @param {string} chatToken
+ * @param {object} chatConfig
+ * @param {{storySoFar: object|null, chapters: object[]}} summaries
+ * @param {boolean} [rebuild=false] - Reescreve a partir de todos os capítulos.
+ * @returns {Promise<object|null>} - História atualizada (null se não havia o que fazer).
+ */
+async function updateStorySoFar(chatToken, chatConfig, summaries, rebuild = false) {
+    const { storySoFar, chapters } = summaries;
+    if (chapters.length === 0) return null;
+
+    const coveredUntil = rebuild || !storySoFar ? -Infinity : storySoFar.endAt;
+    const newChapters = chapters.filter((c) => c.endAt > coveredUntil);
+    if (newChapters.length === 0) return null;
+
+    const prompt = config.storySoFarPrompt
+        .replace("{previous}", rebuild || !storySoFar ? "(vazia)" : storySoFar.text)
+        .replace("{chapters}", newChapters.map((c) => `Capítulo ${c.chapter}:\n${c.text}`).join("\n\n"))
+        .replace("{maxWords}", config.summaryDefaults.storyMaxWords);
+
+    const text = await generateWithChatProvider(chatConfig, prompt);
+    const now = Date.now();
+    const story = {
+        messageid: STORY_ID,
+        kind: "historia",
+        chapter: 0,
+        text,
+        sourceIds: chapters.map((c) => c.messageid),
+        startAt: chapters[0].startAt,
+        endAt: chapters[chapters.length - 1].endAt,
+        createdAt: storySoFar?.createdAt || now,
+        updatedAt: now,
+        edited: false,
+    };
+
+    await lanceDBService.saveSummaryRecord(chatToken, toRecord(story));
+    console.log(`[Summary] História até agora atualizada com ${newChapters.length} capítulo(s).`);
+    return story;
+}
+
+/**
+ * Resume os trechos fechados do historico que ainda não têm capítulo
+ * e atualiza a história até agora.
+ * @param {string} chatToken
+ * @returns {Promise<{created: number, storyUpdated: boolean}>}
+ */
+function summarizePendingChapters(chatToken) {
+    return withSummaryLock(chatToken, async () => {
+        const metadata = await chatStorage.getChatMetadata(chatToken);
+        if (!metadata) throw new NotFoundError("Chat não encontrado.", "CHAT_NOT_FOUND");
+        const chatConfig = await credentialService.resolveChatConfig(metadata);
+
+        const summaries = await getSummaries(chatToken);
+        const lastChapter = summaries.chapters[summaries.chapters.length - 1];
+        const coveredUntil = lastChapter ? lastChapter.endAt : -Infinity;
+
+        const history = await lanceDBService.getAllRecordsFromCollection(chatToken, "historico");
+        const pending = history
+            .filter((r) => r.createdAt > coveredUntil)
+            .sort((a, b) => a.createdAt - b.createdAt);
+
+        const spans = findClosedSpans(pending);
+        let nextChapter = lastChapter ? lastChapter.chapter + 1 : 1;
+
+        for (const span of spans) {
+            console.log(`[Summary] Resumindo capítulo ${nextChapter} (${span.length} mensagens) do chat ${chatToken}...`);
+            const text = await summarizeChapterText(chatConfig, span, summaries.storySoFar?.text);
+            const now = Date.now();
+            const chapter = {
+                messageid: uuidv4(),
+                kind: "capitulo",
+                chapter: nextChapter++,
+                text,
+                sourceIds: span.map((r) => r.messageid),
+                startAt: span[0].createdAt,
+                endAt: span[span.length - 1].createdAt,
+                createdAt: now,
+                updatedAt: now,
+                edited: false,
+            };
+            await lanceDBService.saveSummaryRecord(chatToken, toRecord(chapter));
+            summaries.chapters.push(chapter);
+        }
+
+        // Também cobre histórias desatualizadas (ex: branch copiou só parte dos capítulos)
+        const story = await updateStorySoFar(chatToken, chatConfig, summaries);
+        return { created: spans.length, storyUpdated: !!story };
+    });
+}
+
+/**
+ * Dispara a sumarização em background (sem bloquear a resposta).
+ * Se o chat já estiver sendo resumido, a próxima mensagem dispara de novo.
+ * @param {string} chatToken
+ */
+function scheduleSummarization(chatToken) {
+    if (!config.summaryDefaults.enabled || isSummarizing(chatToken)) return;
+
+    summarizePendingChapters(chatToken)
+        .then(({ created }) => {
+            if (created > 0) console.log(`[Summary] ${created} capítulo(s) criado(s) para o chat ${chatToken}.`);
+        })
+        .catch((error) => {
+            console.warn(`[Summary] Falha ao resumir o chat ${chatToken}: ${error.message}`);
+        });
+}
+
+/**
+ * Indica se há uma tarefa de resumo em andamento (ou na fila) para o chat.
+ * @param {string} chatToken
+ * @returns {boolean}
+ */
+function isSummarizing(chatToken) {
+    return summaryLocks.has(chatToken);
+}
+
+/**
+ * Busca um resumo pelo messageid.
+ * @param {string} chatToken
+ * @param {string} summaryId
+ * @returns {Promise<{summary: object, summaries: object}>}
+ */
+async function findSummary(chatToken, summaryId) {
+    const summaries = await getSummaries(chatToken);
+    const summary = summaryId === STORY_ID
+        ? summaries.storySoFar
+        : summaries.chapters.find((c) => c.messageid === summaryId);
+
+    if (!summary) {
+        throw new NotFoundError("Resumo não encontrado.", "SUMMARY_NOT_FOUND");
+    }
+    return { summary, summaries };
+}
+
+/**
+ * Edita manualmente o texto de um resumo.
+ * @param {string} chatToken
+ * @param {string} summaryId - messageid do capítulo ou "historia".
+ * @param {string} text
+ * @returns {Promise<object>} - Resumo atualizado.
+ */
+function updateSummary(chatToken, summaryId, text) {
+    return withSummaryLock(chatToken, async () => {
+        if (!text?.trim()) {
+            throw new ValidationError("O texto do resumo não pode ficar vazio.", "SUMMARY_INVALID");
+        }
+
+        const { summary } = await findSummary(chatToken, summaryId);
+        const updated = { ...summary, text: text.trim(), updatedAt: Date.now(), edited: true };
+        await lanceDBService.saveSummaryRecord(chatToken, toRecord(updated));
+        return updated;
+    });
+}
+
+/**
+ * Gera de novo um resumo a partir das mensagens de origem.
+ * Regenerar um capítulo também reescreve a história até agora.
+ * @param {string} chatToken
+ * @param {string} summaryId - messageid do capítulo ou "historia".
+ * @returns {Promise<{summary: object, storySoFar: object|null}>}
+ */
+function regenerateSummary(chatToken, summaryId) {
+    return withSummaryLock(chatToken, async () => {
+        const metadata = await chatStorage.getChatMetadata(chatToken);
+        const chatConfig = await credentialService.resolveChatConfig(metadata);
+        const { summary, summaries } = await findSummary(chatToken, summaryId);
+
+        if (summary.kind === "historia") {
+            const story = await updateStorySoFar(chatToken, chatConfig, summaries, true);
+            return { summary: story, storySoFar: story };
+        }
+
+        // Mensagens apagadas depois do resumo são ignoradas
+        const sourceIds = new Set(summary.sourceIds);
+        const records = (await lanceDBService.getAllRecordsFromCollection(chatToken, "historico"))
+            .filter((r) => sourceIds.has(r.messageid))
+            .sort((a, b) => a.createdAt - b.createdAt);
+
+        if (records.length === 0) {
+            throw new ConflictError(
+                "As mensagens deste capítulo foram apagadas; não há o que resumir.",
+                "SUMMARY_SOURCES_MISSING"
+            );
+        }
+
+        // A história até agora já cobre capítulos posteriores: o contexto são os capítulos anteriores
+        const previousContext = summaries.chapters
+            .filter((c) => c.chapter < summary.chapter)
+            .slice(-3)
+            .map((c) => c.text)
+            .join("\n\n");
+
+        const text = await summarizeChapterText(chatConfig, records, previousContext);
+        const chapter = { ...summary, text, updatedAt: Date.now(), edited: false };
+        await lanceDBService.saveSummaryRecord(chatToken, toRecord(chapter));
+
+        summaries.chapters = summaries.chapters.map((c) => (c.messageid === chapter.messageid ? chapter : c));
+        const story = await updateStorySoFar(chatToken, chatConfig, summaries, true);
+        return { summary: chapter, storySoFar: story };
+    });
+}
+
+module.exports = {
+    STORY_ID,
+    getSummaries,
+    getStorySoFar,
+    injectStorySoFar,
+    summarizePendingChapters,
+    scheduleSummarization,
+    updateSummary,
+    regenerateSummary,
+    isSummarizing,
+};
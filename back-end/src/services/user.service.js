@@ -1,14 +1,55 @@
-const fs = require("fs").promises;
-const fsSync = require("fs");
-const path = require("path");
+const crypto = require("crypto");
 const bcrypt = require("bcryptjs");
 const { v4: uuidv4 } = require("uuid");
+const config = require("../config");
+const storage = require("./storage");
+const chatService = require("./chat.service");
+const chatStorage = require("./chatStorage.service");
+const sessionService = require("./session.service");
+const mailService = require("./mail.service");
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require("../utils/errors");
 
-const USERS_DIR = path.join(process.cwd(), "data/users");
+/**
+ * User without password hash and reset token.
+ * @param {object} user
+ * @returns {object}
+ */
+function toPublicUser(user) {
+    const { password: _, passwordReset: __, ...publicUser } = user;
+    return publicUser;
+}
+
+const hashResetSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+/**
+ * Loads a user and checks the current password (required for sensitive changes).
+ * @param {string} id
+ * @param {string} password
+ * @returns {Promise<object>}
+ */
+async function requireValidPassword(id, password) {
+    const user = await findUserById(id);
+    if (!user) {
+        throw new NotFoundError("Usuário não encontrado.", "USER_NOT_FOUND");
+    }
+    // 403 rather than 401: the front end treats 401 as an expired session
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+        throw new ForbiddenError("Senha atual incorreta.", "AUTH_PASSWORD_INVALID");
+    }
+    return user;
+}
 
-// Ensure users directory exists
-if (!fsSync.existsSync(USERS_DIR)) {
-    fsSync.mkdirSync(USERS_DIR, { recursive: true });
+/**
+ * Rejects passwords shorter than the configured minimum.
+ * @param {string} password
+ */
+function assertPasswordStrength(password) {
+    if (typeof password !== "string" || password.length < config.auth.minPasswordLength) {
+        throw new ValidationError(
+            `A senha precisa ter pelo menos ${config.auth.minPasswordLength} caracteres.`,
+            "USER_INVALID"
+        );
+    }
 }
 
 /**
@@ -18,17 +59,7 @@ if (!fsSync.existsSync(USERS_DIR)) {
  */
 async function findUserByEmail(email) {
     try {
-        const files = await fs.readdir(USERS_DIR);
-        for (const file of files) {
-            if (!file.endsWith(".json")) continue;
-
-            const content = await fs.readFile(path.join(USERS_DIR, file), "utf-8");
-            const user = JSON.parse(content);
-            if (user.email === email) {
-                return user;
-            }
-        }
-        return null;
+        return await storage.getUserByEmail(email);
     } catch (error) {
         console.error("Error finding user by email:", error);
         throw error;
@@ -41,14 +72,7 @@ async function findUserByEmail(email) {
  * @returns {Promise<object|null>}
  */
 async function findUserById(id) {
-    const filePath = path.join(USERS_DIR, `${id}.json`);
-    try {
-        const content = await fs.readFile(filePath, "utf-8");
-        return JSON.parse(content);
-    } catch (error) {
-        if (error.code === 'ENOENT') return null;
-        throw error;
-    }
+    return await storage.getUserById(id);
 }
 
 /**
@@ -59,7 +83,7 @@ async function findUserById(id) {
 async function createUser({ name, email, password }) {
     const existingUser = await findUserByEmail(email);
     if (existingUser) {
-        throw new Error("User already exists");
+        throw new ConflictError("Este email já está em uso.", "USER_EMAIL_TAKEN");
     }
 
     const hashedPassword = await bcrypt.hash(password, 10);
@@ -73,11 +97,18 @@ async function createUser({ name, email, password }) {
         createdAt: new Date().toISOString()
     };
 
-    await fs.writeFile(path.join(USERS_DIR, `${id}.json`), JSON.stringify(newUser, null, 2));
+    // The unique email index rejects a concurrent registration with the same email
+    try {
+        await storage.insertUser(newUser);
+    } catch (error) {
+        if (error.message === "User already exists") {
+            throw new ConflictError("Este email já está em uso.", "USER_EMAIL_TAKEN");
+        }
+        throw error;
+    }
 
     // Return user without password
-    const { password: _, ...userWithoutPassword } = newUser;
-    return userWithoutPassword;
+    return toPublicUser(newUser);
 }
 
 /**
@@ -93,12 +124,173 @@ async function validateUser(email, password) {
     const isValid = await bcrypt.compare(password, user.password);
     if (!isValid) return null;
 
-    const { password: _, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+    return toPublicUser(user);
+}
+
+/**
+ * Returns the public profile of a user.
+ * @param {string} id
+ * @returns {Promise<object>}
+ */
+async function getProfile(id) {
+    const user = await findUserById(id);
+    if (!user) {
+        throw new NotFoundError("Usuário não encontrado.", "USER_NOT_FOUND");
+    }
+    return toPublicUser(user);
+}
+
+/**
+ * Updates name and/or email. Changing the email requires the current password.
+ * @param {string} id
+ * @param {{name?: string, email?: string, currentPassword?: string}} changes
+ * @returns {Promise<object>} - Updated public profile.
+ */
+async function updateProfile(id, { name, email, currentPassword } = {}) {
+    const user = await getProfile(id);
+    const nextName = name === undefined ? user.name : String(name).trim();
+    const nextEmail = email === undefined ? user.email : String(email).trim();
+
+    if (!nextName || !nextEmail || !nextEmail.includes("@")) {
+        throw new ValidationError("Nome e email válidos são obrigatórios.", "USER_INVALID");
+    }
+    if (nextEmail !== user.email) {
+        await requireValidPassword(id, currentPassword);
+    }
+
+    try {
+        const updated = await storage.updateUser(id, (current) => ({
+            ...current,
+            name: nextName,
+            email: nextEmail,
+            updatedAt: new Date().toISOString()
+        }));
+        return toPublicUser(updated);
+    } catch (error) {
+        if (error.message === "User already exists") {
+            throw new ConflictError("Este email já está em uso.", "USER_EMAIL_TAKEN");
+        }
+        throw error;
+    }
+}
+
+/**
+ * Changes the password and ends every other session of the user.
+ * @param {string} id
+ * @param {string} currentPassword
+ * @param {string} newPassword
+ * @param {string} [currentSessionId] - Session kept logged in.
+ */
+async function changePassword(id, currentPassword, newPassword, currentSessionId = null) {
+    await requireValidPassword(id, currentPassword);
+    assertPasswordStrength(newPassword);
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await storage.updateUser(id, (current) => ({
+        ...current,
+        password: hashedPassword,
+        passwordReset: null,
+        updatedAt: new Date().toISOString()
+    }));
+    await sessionService.revokeAllSessions(id, currentSessionId);
+}
+
+/**
+ * Starts the password reset flow: stores the hash of a one-time token and emails the link.
+ * Unknown emails are silently ignored (the response must not reveal which emails exist).
+ * @param {string} email
+ */
+async function requestPasswordReset(email) {
+    const user = email ? await findUserByEmail(String(email).trim()) : null;
+    if (!user) return;
+
+    const secret = crypto.randomBytes(32).toString("base64url");
+    const expiresAt = Date.now() + config.auth.passwordResetTtlMs;
+    await storage.updateUser(user.id, (current) => ({
+        ...current,
+        passwordReset: { tokenHash: hashResetSecret(secret), expiresAt }
+    }));
+
+    const token = `${user.id}.${secret}`;
+    const link = `${config.mail.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+    const minutes = Math.round(config.auth.passwordResetTtlMs / 60000);
+
+    await mailService.sendMail({
+        to: user.email,
+        subject: "Redefinição de senha",
+        text: [
+            `Olá, ${user.name}.`,
+            "",
+            "Recebemos um pedido para redefinir a senha da sua conta. Para escolher uma nova senha, acesse:",
+            link,
+            "",
+            `O link vale por ${minutes} minutos e pode ser usado uma única vez.`,
+            "Se você não fez este pedido, ignore este email: sua senha continua a mesma."
+        ].join("\n")
+    });
+}
+
+/**
+ * Finishes the password reset: validates the token, sets the new password and ends all sessions.
+ * @param {string} token - "<userId>.<secret>" from the emailed link.
+ * @param {string} newPassword
+ */
+async function resetPassword(token, newPassword) {
+    const invalid = () => new ValidationError("Link de redefinição inválido ou expirado.", "RESET_TOKEN_INVALID");
+
+    const [userId, secret] = String(token || "").split(".");
+    if (!userId || !secret) throw invalid();
+    assertPasswordStrength(newPassword);
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    const presentedHash = hashResetSecret(secret);
+    let accepted = false;
+
+    // Check and consume in the same update: the token works only once
+    await storage.updateUser(userId, (current) => {
+        const reset = current.passwordReset;
+        const matches = reset && reset.expiresAt > Date.now() && reset.tokenHash.length === presentedHash.length &&
+            crypto.timingSafeEqual(Buffer.from(reset.tokenHash), Buffer.from(presentedHash));
+        if (!matches) return current;
+
+        accepted = true;
+        return { ...current, password: hashedPassword, passwordReset: null, updatedAt: new Date().toISOString() };
+    });
+
+    if (!accepted) throw invalid();
+    await sessionService.revokeAllSessions(userId);
+}
+
+/**
+ * Deletes the account and everything it owns: every chat (LanceDB tables + metadata),
+ * the credential vault and all sessions. Requires the current password.
+ * @param {string} id
+ * @param {string} password
+ * @returns {Promise<{chats: number}>}
+ */
+async function deleteAccount(id, password) {
+    await requireValidPassword(id, password);
+
+    const chats = await chatStorage.getAllChats(id);
+    for (const chat of chats) {
+        await chatService.deleteChat(chat.id, id);
+    }
+
+    await storage.deleteKeyring(id);
+    await sessionService.revokeAllSessions(id);
+    await storage.deleteUser(id);
+    console.log(`[Account] Conta ${id} removida com ${chats.length} chat(s).`);
+    return { chats: chats.length };
 }
 
 module.exports = {
     createUser,
     validateUser,
-    findUserById
+    findUserById,
+    getProfile,
+    updateProfile,
+    changePassword,
+    requestPasswordReset,
+    resetPassword,
+    deleteAccount
 };
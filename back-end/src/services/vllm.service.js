@@ -1,8 +1,10 @@
 // src/services/vllm.service.js
 // vLLM API integration for chat generation with tool calling support.
-// Uses OpenAI-compatible API format (/v1/chat/completions).
+// Uses OpenAI-compatible API format (/v1/chat/completions), so it also works with
+// llama.cpp server, Ollama and LM Studio ("local/OpenAI-compatible" provider).
 
 const openrouterService = require("./openrouter.service");
+const { ProviderError, QuotaExhaustedError } = require("../utils/errors");
 
 // --- Helper de Retry e Timeout ---
 
@@ -35,11 +37,12 @@ async function retryOperation(operation, operationName, maxRetries = 5) {
             return await operation();
         } catch (error) {
             attempt++;
-            if (attempt >= maxRetries) {
+            if (attempt >= maxRetries || error.streamStarted) {
                 throw error;
             }
 
             const isRateLimit =
+                error.code === "PROVIDER_RATE_LIMITED" ||
                 error.message.includes("429") ||
                 error.message.includes("Too Many Requests");
             const delay = isRateLimit ? Math.pow(2, attempt) * 2000 : 1000;
@@ -53,11 +56,80 @@ async function retryOperation(operation, operationName, maxRetries = 5) {
 }
 
 /**
- * Gera uma resposta de chat usando a API do vLLM.
+ * Normaliza a Base URL do servidor (remove trailing slash e /v1 se presente).
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+function normalizeBaseUrl(baseUrl) {
+    return baseUrl.replace(/\/+$/, "").replace(/\/v1$/, "");
+}
+
+/**
+ * Monta os headers da requisição. A API Key é opcional (servidores locais geralmente não exigem).
+ * @param {string} [apiKey]
+ * @returns {object}
+ */
+function buildHeaders(apiKey) {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+    }
+    return headers;
+}
+
+/**
+ * Lista os modelos disponíveis no servidor via /v1/models.
+ * @param {string} baseUrl - Base URL do servidor (com ou sem /v1).
+ * @param {string} [apiKey] - API Key opcional.
+ * @returns {Promise<{id: string, name: string, context: number|undefined}[]>}
+ */
+async function listModels(baseUrl, apiKey) {
+    if (!baseUrl) {
+        throw new Error("Base URL do vLLM não fornecida.");
+    }
+
+    const response = await withTimeout(
+        fetch(`${normalizeBaseUrl(baseUrl)}/v1/models`, {
+            method: "GET",
+            headers: buildHeaders(apiKey),
+        }),
+        10000 // 10s timeout
+    );
+
+    if (!response.ok) {
+        const errorData = await response.text();
+        const cause = new Error(`vLLM API error (${response.status}): ${errorData}`);
+        const details = { provider: "vllm", status: response.status };
+        if (response.status === 401 || response.status === 403) {
+            throw new ProviderError("Erro de autenticação com o servidor. Verifique seu Token.", "PROVIDER_AUTH", { details, cause });
+        }
+        throw new ProviderError(
+            "Não foi possível listar os modelos. Verifique a Base URL e se o servidor está rodando.",
+            "PROVIDER_UNAVAILABLE",
+            { details, cause }
+        );
+    }
+
+    const data = await response.json();
+
+    // vLLM/LM Studio/Ollama retornam { data: [...] }; llama.cpp também aceita { models: [...] }
+    const models = data.data || data.models || [];
+    return models
+        .map((m) => ({
+            id: m.id || m.name || m.model,
+            name: m.name || m.id || m.model,
+            context: m.max_model_len || m.context_length,
+        }))
+        .filter((m) => m.id);
+}
+
+/**
+ * Gera uma resposta de chat usando a API do vLLM (ou outro servidor compatível com OpenAI).
+ * Se generationOptions.onTextDelta for informado, a resposta é transmitida em streaming.
  *
  * @param {object[]} history - Histórico no formato Gemini (será convertido).
  * @param {string} systemInstruction - Instrução de sistema.
- * @param {object} generationOptions - { baseUrl, apiKey, modelName, temperature, tools }
+ * @param {object} generationOptions - { baseUrl, apiKey, modelName, temperature, tools, onTextDelta }
  * @returns {Promise<{text: string, functionCalls: object[], parts: object[]}>}
  */
 async function generateChatResponse(
@@ -71,19 +143,13 @@ async function generateChatResponse(
         const modelName = generationOptions.modelName || "default";
         const temperature = generationOptions.temperature ?? 0.7;
         const geminiTools = generationOptions.tools || [];
+        const onTextDelta = generationOptions.onTextDelta;
 
         if (!baseUrl) {
             throw new Error("Base URL do vLLM não fornecida.");
         }
 
-        if (!apiKey) {
-            throw new Error("API Key do vLLM não fornecida.");
-        }
-
-        // Normaliza baseUrl (remove trailing slash e /v1 se presente)
-        let normalizedBaseUrl = baseUrl.replace(/\/+$/, "");
-        // Remove /v1 do final se presente (evita duplicação)
-        normalizedBaseUrl = normalizedBaseUrl.replace(/\/v1$/, "");
+        const normalizedBaseUrl = normalizeBaseUrl(baseUrl);
         const apiUrl = `${normalizedBaseUrl}/v1/chat/completions`;
 
         console.log(
@@ -110,15 +176,16 @@ async function generateChatResponse(
             requestBody.tools = tools;
         }
 
+        if (onTextDelta) {
+            requestBody.stream = true;
+        }
+
         // Função interna para fazer a requisição
         const makeRequest = async (body) => {
             const response = await withTimeout(
                 fetch(apiUrl, {
                     method: "POST",
-                    headers: {
-                        Authorization: `Bearer ${apiKey}`,
-                        "Content-Type": "application/json",
-                    },
+                    headers: buildHeaders(apiKey),
                     body: JSON.stringify(body),
                 }),
                 120000 // 120s timeout
@@ -152,41 +219,50 @@ async function generateChatResponse(
                     throw new Error(`vLLM API error (${response.status}): ${retryErrorData}`);
                 }
             } else {
-                // Cria erro estruturado para o frontend
-                const error = new Error(`vLLM API error (${response.status}): ${errorData}`);
-                error.statusCode = response.status;
+                // Erro estruturado para o frontend; a resposta original fica em cause (logs)
+                const cause = new Error(`vLLM API error (${response.status}): ${errorData}`);
+                const details = { provider: "vllm", status: response.status };
 
                 // Detecta tipos específicos de erro
                 if (response.status === 429) {
-                    error.errorType = "rate_limit";
-                    error.userMessage = "Limite de requisições atingido. Aguarde alguns segundos e tente novamente.";
+                    throw new QuotaExhaustedError(
+                        "Limite de requisições atingido. Aguarde alguns segundos e tente novamente.",
+                        "PROVIDER_RATE_LIMITED",
+                        { details, cause }
+                    );
                 } else if (response.status === 401 || response.status === 403) {
-                    error.errorType = "auth";
-                    error.userMessage = "Erro de autenticação com o vLLM. Verifique seu Token.";
+                    throw new ProviderError("Erro de autenticação com o vLLM. Verifique seu Token.", "PROVIDER_AUTH", { details, cause });
                 } else if (response.status === 404) {
-                    error.errorType = "not_found";
-                    error.userMessage = "Modelo ou endpoint não encontrado. Verifique a Base URL e o nome do modelo.";
+                    throw new ProviderError(
+                        "Modelo ou endpoint não encontrado. Verifique a Base URL e o nome do modelo.",
+                        "PROVIDER_NOT_FOUND",
+                        { details, cause }
+                    );
                 } else if (response.status >= 500) {
-                    error.errorType = "server_error";
-                    error.userMessage = "Erro no servidor vLLM. Verifique se o serviço está rodando corretamente.";
-                } else {
-                    error.errorType = "unknown";
-                    error.userMessage = "Erro ao gerar resposta. Verifique as configurações do vLLM.";
+                    throw new ProviderError(
+                        "Erro no servidor vLLM. Verifique se o serviço está rodando corretamente.",
+                        "PROVIDER_UNAVAILABLE",
+                        { details, cause }
+                    );
                 }
-
-                throw error;
+                throw new ProviderError("Erro ao gerar resposta. Verifique as configurações do vLLM.", "PROVIDER_FAILED", { details, cause });
             }
         }
 
-        const data = await response.json();
+        let message;
+        if (onTextDelta) {
+            message = await openrouterService.readStreamedMessage(response, onTextDelta);
+        } else {
+            const data = await response.json();
 
-        // Processa a resposta
-        const choice = data.choices?.[0];
-        if (!choice) {
-            throw new Error("vLLM retornou resposta vazia.");
-        }
+            // Processa a resposta
+            const choice = data.choices?.[0];
+            if (!choice) {
+                throw new Error("vLLM retornou resposta vazia.");
+            }
 
-        const message = choice.message;
+            message = choice.message;
+        }
         let text = message.content || "";
         let functionCalls = [];
         let parts = [];
@@ -224,4 +300,7 @@ async function generateChatResponse(
 
 module.exports = {
     generateChatResponse,
+    listModels,
+    normalizeBaseUrl,
+    buildHeaders,
 };
@@ -0,0 +1,134 @@
+// src/storage.test.js
+// Backends de persistência: importação dos JSONs antigos para o SQLite, email único,
+// atualizações concorrentes sem perda e o fallback em arquivos.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Os serviços resolvem os diretórios de dados a partir do cwd no require
+const originalCwd = process.cwd();
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rpg-storage-"));
+process.chdir(tmpDir);
+
+const storage = require("./services/storage");
+const chatStorage = require("./services/chatStorage.service");
+
+const { createStorage } = storage;
+
+// Diretórios isolados por caso, para os backends criados nos testes
+const makeDirs = (name) => {
+  const base = path.join(tmpDir, name);
+  return {
+    sqlitePath: path.join(base, "storage.sqlite"),
+    usersPath: path.join(base, "users"),
+    metadataPath: path.join(base, "metadata"),
+  };
+};
+
+const writeJson = (dir, file, data) => {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, file), JSON.stringify(data, null, 2));
+};
+
+describe("Storage", () => {
+  afterAll(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("usa o SQLite por padrão", () => {
+    expect(storage.backend).toBe("sqlite");
+  });
+
+  test("importa os JSONs antigos para o SQLite uma única vez", async () => {
+    const dirs = makeDirs("migracao");
+    writeJson(dirs.usersPath, "u1.json", { id: "u1", email: "aria@example.com", name: "Aria", password: "hash" });
+    writeJson(dirs.usersPath, "u1.keyring.json", { userId: "u1", credentials: [], defaults: { google: [] } });
+    writeJson(dirs.metadataPath, "chat-a.json", { id: "chat-a", userId: "u1", title: "Antigo", createdAt: "2024-01-01T00:00:00.000Z" });
+    writeJson(dirs.metadataPath, "chat-b.json", { id: "chat-b", userId: "u1", title: "Recente", createdAt: "2024-06-01T00:00:00.000Z" });
+    writeJson(dirs.metadataPath, "chat-c.json", { id: "chat-c", userId: "u2", title: "De outro", createdAt: "2024-03-01T00:00:00.000Z" });
+    fs.writeFileSync(path.join(dirs.metadataPath, "quebrado.json"), "{ nao e json");
+
+    const sqlite = createStorage({ backend: "sqlite", ...dirs });
+    expect((await sqlite.getUserByEmail("aria@example.com")).name).toBe("Aria");
+    expect((await sqlite.getKeyring("u1")).defaults).toEqual({ google: [] });
+    expect((await sqlite.listChats("u1")).map((chat) => chat.id)).toEqual(["chat-b", "chat-a"]);
+    expect(await sqlite.listChats()).toHaveLength(3);
+    sqlite.close();
+
+    // Arquivos novos depois da migração não são reimportados; os originais ficam intactos
+    writeJson(dirs.metadataPath, "chat-d.json", { id: "chat-d", userId: "u1" });
+    const reopened = createStorage({ backend: "sqlite", ...dirs });
+    expect(await reopened.getChat("chat-d")).toBeNull();
+    expect(await reopened.listChats("u1")).toHaveLength(2);
+    expect(fs.existsSync(path.join(dirs.metadataPath, "chat-a.json"))).toBe(true);
+    reopened.close();
+  });
+
+  describe.each(["sqlite", "file"])("backend %s", (backend) => {
+    let adapter;
+
+    beforeAll(() => {
+      adapter = createStorage({ backend, ...makeDirs(`backend-${backend}`) });
+    });
+
+    afterAll(() => {
+      adapter.close?.();
+    });
+
+    test("rejeita email duplicado mesmo em cadastros simultâneos", async () => {
+      const results = await Promise.allSettled([
+        adapter.insertUser({ id: "a", email: "mesmo@example.com" }),
+        adapter.insertUser({ id: "b", email: "mesmo@example.com" }),
+      ]);
+
+      expect(results.filter((r) => r.status === "fulfilled")).toHaveLength(1);
+      expect(results.find((r) => r.status === "rejected").reason.message).toBe("User already exists");
+      expect(await adapter.getUserById("a")).not.toBeNull();
+    });
+
+    test("atualizações concorrentes do mesmo chat não se perdem", async () => {
+      await adapter.saveChat("chat-x", { id: "chat-x", userId: "u1", counter: 0 });
+
+      await Promise.all(
+        Array.from({ length: 20 }, () =>
+          adapter.updateChat("chat-x", (chat) => ({ ...chat, counter: chat.counter + 1 }))
+        )
+      );
+
+      expect((await adapter.getChat("chat-x")).counter).toBe(20);
+      expect(await adapter.updateChat("inexistente", (chat) => chat)).toBeNull();
+    });
+
+    test("remove o chat", async () => {
+      await adapter.deleteChat("chat-x");
+      expect(await adapter.getChat("chat-x")).toBeNull();
+      expect(await adapter.listChats("u1")).toEqual([]);
+    });
+  });
+
+  test("título e config salvos ao mesmo tempo preservam as duas mudanças", async () => {
+    await chatStorage.saveChatMetadata("chat-corrida", {
+      id: "chat-corrida",
+      title: "Novo Chat",
+      createdAt: new Date().toISOString(),
+      config: { temperature: 1, googleApiKeys: ["AIzaSyA-chave-da-corrida-0001"] },
+    }, "u1");
+
+    await Promise.all([
+      chatStorage.updateChatTitle("chat-corrida", "A Taverna"),
+      chatStorage.updateChatConfig("chat-corrida", { temperature: 0.4 }),
+      chatStorage.updateChatMetadata("chat-corrida", (metadata) => {
+        metadata.updatedAt = "fim-da-geracao";
+      }),
+    ]);
+
+    const metadata = await chatStorage.getChatMetadata("chat-corrida");
+    expect(metadata.title).toBe("A Taverna");
+    expect(metadata.config.temperature).toBe(0.4);
+    expect(metadata.config.googleApiKeys).toEqual(["AIzaSyA-chave-da-corrida-0001"]);
+
+    // Continua cifrado no storage
+    expect(JSON.stringify(await storage.getChat("chat-corrida"))).not.toContain("AIzaSyA-chave-da-corrida-0001");
+  });
+});
@@ -0,0 +1,137 @@
+// src/streaming.test.js
+// Testes do streaming: leitura do SSE OpenAI-compatible e os eventos de /generate?stream=true.
+const { useTempCwd, useFakeLlmChat } = require("./testUtils/fakeLlm");
+
+// Antes de qualquer require dos serviços
+useTempCwd("rpg-stream-");
+
+const { readStreamedMessage } = require("./services/openrouter.service");
+
+// Resposta de fetch falsa: o corpo chega exatamente nos pedaços dados (cortados no meio de linhas e do JSON)
+const fakeResponse = (chunks) => ({
+  body: (async function* () {
+    const encoder = new TextEncoder();
+    for (const chunk of chunks) yield encoder.encode(chunk);
+  })(),
+});
+
+// Quebra um texto SSE em pedaços de tamanho fixo, sem respeitar linhas
+const splitEvery = (text, size) => text.match(new RegExp(`[\\s\\S]{1,${size}}`, "g"));
+
+const sse = (...payloads) => payloads.map((p) => `data: ${typeof p === "string" ? p : JSON.stringify(p)}\n\n`).join("");
+
+// Eventos SSE de uma resposta do supertest
+const parseEvents = (text) =>
+  text
+    .split("\n\n")
+    .filter((frame) => frame.startsWith("data: "))
+    .map((frame) => JSON.parse(frame.slice(6)));
+
+describe("Leitura do stream OpenAI-compatible", () => {
+  test("junta texto e tool calls fragmentadas em pedaços quebrados", async () => {
+    const body = sse(
+      ": OPENROUTER PROCESSING",
+      { choices: [{ delta: { content: "Você entra " } }] },
+      { choices: [{ delta: { content: "na mina." } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, id: "call-0", function: { name: "insert_", arguments: '{"te' } }] } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 1, id: "call-1", function: { name: "roll_dice", arguments: "" } }] } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, function: { name: "fact", arguments: 'xt":"Mina ' } }] } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 1, function: { arguments: '{"expression":"1d20"}' } }] } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'escura."}' } }] } }] },
+      "[DONE]"
+    );
+    const deltas = [];
+
+    const message = await readStreamedMessage(fakeResponse(splitEvery(body, 7)), (delta) => deltas.push(delta));
+
+    expect(deltas).toEqual(["Você entra ", "na mina."]);
+    expect(message.content).toBe("Você entra na mina.");
+    expect(message.tool_calls).toEqual([
+      { id: "call-0", type: "function", function: { name: "insert_fact", arguments: '{"text":"Mina escura."}' } },
+      { id: "call-1", type: "function", function: { name: "roll_dice", arguments: '{"expression":"1d20"}' } },
+    ]);
+  });
+
+  test("erro depois do primeiro texto é marcado para não ser retentado", async () => {
+    const started = sse({ choices: [{ delta: { content: "Você" } }] }, { error: { message: "sobrecarregado" } });
+    const error = await readStreamedMessage(fakeResponse([started]), () => {}).catch((e) => e);
+    expect(error.message).toMatch(/sobrecarregado/);
+    expect(error.code).toBe("PROVIDER_FAILED");
+    expect(error.streamStarted).toBe(true);
+
+    // Sem texto enviado ao cliente, o erro ainda pode ser retentado
+    const early = await readStreamedMessage(fakeResponse([sse({ error: { message: "sobrecarregado" } })]), () => {}).catch((e) => e);
+    expect(early.streamStarted).toBeUndefined();
+  });
+});
+
+describe("POST /generate?stream=true", () => {
+  const chat = useFakeLlmChat({ narration: "" });
+  const { api } = chat;
+
+  const generateStream = (message) =>
+    api("post", `/api/chat/generate/${chat.chatToken}?stream=true`)
+      .send({ message })
+      .expect(200)
+      .expect("Content-Type", /text\/event-stream/)
+      .then((res) => parseEvents(res.text));
+
+  afterEach(() => {
+    chat.llm.toolCalls = [];
+    chat.llm.toolText = "";
+    chat.llm.streamError = null;
+  });
+
+  test("eventos em ordem: texto, reinício, tools e a resposta final", async () => {
+    chat.llm.chatRequests = [];
+    // Curto o bastante para não virar a narração final (que dispensaria a segunda chamada)
+    chat.llm.toolText = "Hmm, ";
+    chat.llm.toolCalls = [["insert_fact", { text: "A mina velha está inundada." }]];
+    chat.llm.narration = "A água chega aos joelhos.";
+
+    const events = await generateStream("Desço para a mina");
+
+    // Trechos seguidos do mesmo tipo viram um só para comparar a ordem
+    const order = events.map((e) => e.type).filter((type, i, all) => type !== all[i - 1]);
+    expect(order).toEqual(["text_reset", "text", "memory_inserted", "text_reset", "text", "complete"]);
+
+    const firstReset = events.findIndex((e) => e.type === "text_reset");
+    const secondReset = events.findIndex((e, i) => i > firstReset && e.type === "text_reset");
+    const textBetween = (from, to) =>
+      events
+        .slice(from, to)
+        .filter((e) => e.type === "text")
+        .map((e) => e.delta)
+        .join("");
+    expect(textBetween(firstReset, secondReset)).toBe("Hmm, ");
+    expect(textBetween(secondReset, events.length)).toBe("A água chega aos joelhos.");
+
+    const inserted = events.find((e) => e.type === "memory_inserted");
+    expect(inserted.memory).toMatchObject({ category: "fatos", messageid: expect.any(String) });
+
+    const complete = events.at(-1);
+    expect(complete.type).toBe("complete");
+    expect(JSON.stringify(complete)).toContain("A água chega aos joelhos.");
+
+    // O provider recebeu as duas chamadas em streaming
+    expect(chat.llm.chatRequests.filter((r) => r.stream)).toHaveLength(2);
+  }, 30000);
+
+  test("falha do provider no meio do stream vira evento de erro, sem retentar", async () => {
+    chat.llm.chatRequests = [];
+    chat.llm.narration = "Você ouve passos.";
+    chat.llm.streamError = "sobrecarregado";
+
+    const events = await generateStream("Escuto");
+
+    expect(events.some((e) => e.type === "text")).toBe(true);
+    const last = events.at(-1);
+    expect(last.type).toBe("error");
+    expect(last.code).toBe("PROVIDER_FAILED");
+    expect(last.error).toMatch(/sobrecarregado/);
+    expect(events.some((e) => e.type === "complete")).toBe(false);
+
+    // O texto já foi para o cliente: uma única tentativa
+    expect(chat.llm.chatRequests.filter((r) => r.stream)).toHaveLength(1);
+  }, 30000);
+});
@@ -0,0 +1,161 @@
+// src/summaries.test.js
+// Resumos da campanha: capítulos com links para o histórico, história até agora no contexto,
+// edição e regeneração.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+
+// Os serviços resolvem os diretórios de dados a partir do cwd no require
+const originalCwd = process.cwd();
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rpg-summaries-"));
+process.chdir(tmpDir);
+
+const request = require("supertest");
+const app = require("./app");
+const chatService = require("./services/chat.service");
+const lanceDBService = require("./services/lancedb.service");
+const summaryService = require("./services/summary.service");
+
+const waitForSummaries = async (chatToken) => {
+  while (summaryService.isSummarizing(chatToken)) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+};
+
+describe("Resumos da campanha", () => {
+  let server;
+  let baseUrl;
+  let authToken;
+  let chatToken;
+  let historyIds = [];
+  let chatRequests = [];
+  let chapterCalls = 0;
+
+  beforeAll(async () => {
+    // Servidor OpenAI-compatible falso: embeddings de 4 dimensões e respostas fixas
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        const payload = JSON.parse(body);
+        res.setHeader("Content-Type", "application/json");
+
+        if (req.url === "/v1/embeddings") {
+          return res.end(JSON.stringify({ data: [{ embedding: [0.1, 0.2, 0.3, 0.4] }] }));
+        }
+
+        chatRequests.push(payload);
+        const prompt = payload.messages.at(-1).content;
+        let content = "O mestre narra a cena.";
+        if (prompt.includes("Resuma o trecho")) {
+          chapterCalls++;
+          content = `Aria entrou na taverna e enfrentou o guarda (versão ${chapterCalls}).`;
+        } else if (prompt.includes("mantém a \"história até agora\"")) {
+          content = "Até agora, Aria chegou à cidade e arranjou briga na taverna.";
+        }
+        res.end(JSON.stringify({ choices: [{ message: { content } }] }));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const registerRes = await request(app)
+      .post("/api/auth/register")
+      .send({ name: "mestre", email: "mestre@example.com", password: "senha-segura-123" });
+    authToken = registerRes.body.token;
+
+    const createRes = await request(app)
+      .post("/api/chat/create")
+      .set("Authorization", `Bearer ${authToken}`);
+    chatToken = createRes.body.chatToken;
+
+    await chatService.updateChatConfig(chatToken, {
+      provider: "vllm",
+      vllmBaseUrl: baseUrl,
+      vllmModelName: "mestre",
+      embedding: { provider: "openai", model: "embeddings", baseUrl },
+    });
+
+    // 44 mensagens antigas alternando jogador/mestre
+    const start = Date.now() - 60 * 60 * 1000;
+    for (let i = 0; i < 44; i++) {
+      const messageid = `msg-${i}`;
+      await lanceDBService.insertRecord(chatToken, "historico", {
+        text: i % 2 === 0 ? `Ação ${i} do jogador` : `Narração ${i}`,
+        vector: [0.1, 0.2, 0.3, 0.4],
+        messageid,
+        role: i % 2 === 0 ? "user" : "model",
+        createdAt: start + i * 1000,
+        attachments: "[]",
+        thoughtSignature: null,
+      });
+      historyIds.push(messageid);
+    }
+  }, 30000);
+
+  afterAll(async () => {
+    await waitForSummaries(chatToken);
+    await new Promise((resolve) => server.close(resolve));
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const api = (method, url) => request(app)[method](url).set("Authorization", `Bearer ${authToken}`);
+
+  test("fecha capítulos fora da janela recente com links para as mensagens", async () => {
+    const res = await api("post", `/api/chat/${chatToken}/summaries`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.created).toBe(1);
+    expect(res.body.chapters).toHaveLength(1);
+    expect(res.body.chapters[0]).toMatchObject({ chapter: 1, kind: "capitulo", edited: false });
+    expect(res.body.chapters[0].sourceIds).toEqual(historyIds.slice(0, 20));
+    expect(res.body.storySoFar.text).toContain("Até agora");
+    expect(res.body.storySoFar.sourceIds).toEqual([res.body.chapters[0].messageid]);
+
+    // Nada novo para resumir
+    const again = await api("post", `/api/chat/${chatToken}/summaries`);
+    expect(again.body.created).toBe(0);
+    expect(again.body.storyUpdated).toBe(false);
+  }, 30000);
+
+  test("a história até agora entra no system prompt da geração", async () => {
+    chatRequests = [];
+    const res = await api("post", `/api/chat/generate/${chatToken}`).send({ message: "Peço uma cerveja" });
+    await waitForSummaries(chatToken);
+
+    expect(res.status).toBe(200);
+    const systemPrompt = chatRequests[0].messages.find((m) => m.role === "system").content;
+    expect(systemPrompt).toContain("<story_so_far>");
+    expect(systemPrompt).toContain("Até agora, Aria chegou à cidade");
+    expect(systemPrompt).not.toContain("{story_so_far}");
+  }, 30000);
+
+  test("edita e regenera capítulos", async () => {
+    const { body } = await api("get", `/api/chat/${chatToken}/summaries`);
+    const chapterId = body.chapters[0].messageid;
+
+    const editRes = await api("put", `/api/chat/${chatToken}/summaries/${chapterId}`)
+      .send({ text: "Aria chegou à cidade." });
+    expect(editRes.status).toBe(200);
+    expect(editRes.body.summary).toMatchObject({ text: "Aria chegou à cidade.", edited: true });
+
+    const regenRes = await api("post", `/api/chat/${chatToken}/summaries/${chapterId}/regenerate`);
+    expect(regenRes.status).toBe(200);
+    expect(regenRes.body.summary.text).toContain("enfrentou o guarda");
+    expect(regenRes.body.summary.edited).toBe(false);
+    expect(regenRes.body.summary.sourceIds).toEqual(historyIds.slice(0, 20));
+    expect(regenRes.body.storySoFar.text).toContain("Até agora");
+  }, 30000);
+
+  test("resumo inexistente ou texto vazio retornam erros com código", async () => {
+    const missing = await api("put", `/api/chat/${chatToken}/summaries/nao-existe`).send({ text: "x" });
+    expect(missing.status).toBe(404);
+    expect(missing.body.code).toBe("SUMMARY_NOT_FOUND");
+
+    const empty = await api("put", `/api/chat/${chatToken}/summaries/${summaryService.STORY_ID}`).send({ text: " " });
+    expect(empty.status).toBe(400);
+    expect(empty.body.code).toBe("SUMMARY_INVALID");
+  });
+});
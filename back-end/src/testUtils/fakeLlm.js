@@ -0,0 +1,158 @@
+// src/testUtils/fakeLlm.js
+// Infra compartilhada dos testes de geração: diretório de dados temporário, um servidor
+// OpenAI-compatible falso e um chat pronto apontando para ele.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+
+/**
+ * Muda o cwd para um diretório temporário e o remove ao final do arquivo de teste.
+ * Os serviços resolvem os diretórios de dados a partir do cwd no require, então deve ser
+ * chamada antes de qualquer require do app ou dos serviços.
+ * @param {string} prefix - Prefixo do diretório temporário (ex: "rpg-quests-")
+ * @returns {string} Caminho do diretório criado
+ */
+function useTempCwd(prefix) {
+  const originalCwd = process.cwd();
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  process.chdir(tmpDir);
+
+  afterAll(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  return tmpDir;
+}
+
+/**
+ * Responde em SSE no formato OpenAI (stream: true), em trechos pequenos como um provider real:
+ * o texto em duas partes e cada tool call com os argumentos fragmentados.
+ * Com `streamError`, o stream quebra depois do primeiro trecho de texto.
+ * @param {http.ServerResponse} res
+ * @param {Object} message - { content, tool_calls? }
+ * @param {string|null} streamError
+ */
+function writeStream(res, { content, tool_calls: toolCalls = [] }, streamError) {
+  res.setHeader("Content-Type", "text/event-stream");
+  const send = (payload) => res.write(`data: ${JSON.stringify(payload)}\n\n`);
+  const delta = (value) => send({ choices: [{ delta: value }] });
+
+  const half = Math.ceil(content.length / 2);
+  for (const part of [content.slice(0, half), content.slice(half)].filter(Boolean)) {
+    delta({ content: part });
+    if (streamError) {
+      send({ error: { message: streamError } });
+      return res.end();
+    }
+  }
+
+  toolCalls.forEach((call, index) => {
+    const args = call.function.arguments;
+    const cut = Math.floor(args.length / 2);
+    delta({ tool_calls: [{ index, id: call.id, type: "function", function: { name: call.function.name, arguments: args.slice(0, cut) } }] });
+    delta({ tool_calls: [{ index, function: { arguments: args.slice(cut) } }] });
+  });
+  res.end("data: [DONE]\n\n");
+}
+
+/**
+ * Sobe o servidor falso: embeddings de 4 dimensões; se houver `toolCalls`, chama as tools
+ * (com `toolText` de narração junto) e, na resposta às tools (ou sem tools), narra `narration`.
+ * Pedidos com stream: true recebem SSE (ver writeStream).
+ * Os testes trocam `toolCalls`/`toolText`/`narration`/`streamError` e zeram `chatRequests`/`embeddingInputs`
+ * direto no objeto.
+ * @param {string} narration - Narração inicial do modelo
+ * @returns {Promise<Object>} { baseUrl, chatRequests, embeddingInputs, toolCalls, toolText, narration, streamError, close }
+ */
+async function startFakeLlm(narration = "") {
+  const llm = { chatRequests: [], embeddingInputs: [], toolCalls: [], toolText: "", narration, streamError: null };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const payload = JSON.parse(body);
+      res.setHeader("Content-Type", "application/json");
+
+      if (req.url === "/v1/embeddings") {
+        llm.embeddingInputs.push(payload.input);
+        return res.end(JSON.stringify({ data: [{ embedding: [0.1, 0.2, 0.3, 0.4] }] }));
+      }
+
+      llm.chatRequests.push(payload);
+      const answeringTools = payload.messages.at(-1).role === "tool";
+      const message =
+        payload.tools && !answeringTools && llm.toolCalls.length > 0
+          ? {
+              content: llm.toolText,
+              tool_calls: llm.toolCalls.map(([name, args], index) => ({
+                id: `call-${index}`,
+                type: "function",
+                function: { name, arguments: JSON.stringify(args) },
+              })),
+            }
+          : { content: llm.narration };
+      if (payload.stream) return writeStream(res, message, llm.streamError);
+      res.end(JSON.stringify({ choices: [{ message }] }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  llm.baseUrl = `http://127.0.0.1:${server.address().port}`;
+  llm.close = () => new Promise((resolve) => server.close(resolve));
+  return llm;
+}
+
+/**
+ * Registra hooks no describe atual: sobe o modelo falso, cria um usuário e um chat configurado
+ * para usá-lo (geração e embeddings) e, no final, espera o resumo em segundo plano antes de fechar.
+ * Os campos do objeto retornado são preenchidos no beforeAll.
+ * @param {Object} options
+ * @param {string} [options.narration] - Narração inicial do modelo
+ * @returns {Object} { llm, authToken, chatToken, api(method, url) }
+ */
+function useFakeLlmChat({ narration = "" } = {}) {
+  // Requer tarde: o chamador já mudou o cwd com useTempCwd
+  const request = require("supertest");
+  const app = require("../app");
+  const chatService = require("../services/chat.service");
+  const summaryService = require("../services/summary.service");
+
+  const ctx = {
+    api: (method, url) => request(app)[method](url).set("Authorization", `Bearer ${ctx.authToken}`),
+  };
+
+  beforeAll(async () => {
+    ctx.llm = await startFakeLlm(narration);
+
+    const registerRes = await request(app)
+      .post("/api/auth/register")
+      .send({ name: "mestre", email: "mestre@example.com", password: "senha-segura-123" });
+    ctx.authToken = registerRes.body.token;
+
+    const createRes = await request(app).post("/api/chat/create").set("Authorization", `Bearer ${ctx.authToken}`);
+    ctx.chatToken = createRes.body.chatToken;
+
+    const { baseUrl } = ctx.llm;
+    await chatService.updateChatConfig(ctx.chatToken, {
+      provider: "vllm",
+      vllmBaseUrl: baseUrl,
+      vllmModelName: "mestre",
+      embedding: { provider: "openai", model: "embeddings", baseUrl },
+    });
+  }, 30000);
+
+  afterAll(async () => {
+    // A geração agenda o resumo do histórico em segundo plano
+    while (summaryService.isSummarizing(ctx.chatToken)) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    await ctx.llm?.close();
+  });
+
+  return ctx;
+}
+
+module.exports = { useTempCwd, startFakeLlm, useFakeLlmChat };
@@ -0,0 +1,84 @@
+// src/utils/contextBudget.js
+// Divide a janela de contexto do modelo entre resposta, system prompt, memórias (RAG)
+// e histórico recente. Os valores são estimativas (ver historyHelper.estimateTokens).
+
+const config = require("../config");
+const { estimateTokens } = require("./historyHelper");
+
+/**
+ * Retorna a janela de contexto (tokens) de um modelo.
+ * @param {string} modelName - Nome do modelo no provider (ex: "google/gemini-2.5-flash").
+ * @param {number} [override] - Janela informada no chat (ex: config.vllmContextWindow).
+ * @returns {number}
+ */
+function getModelContextWindow(modelName, override) {
+  if (Number.isFinite(override) && override > 0) {
+    return override;
+  }
+
+  const name = (modelName || "").toLowerCase();
+  let bestKey = null;
+
+  // A chave mais longa contida no nome é a mais específica
+  for (const key of Object.keys(config.modelContextWindows)) {
+    if (key === "default" || !name.includes(key)) continue;
+    if (!bestKey || key.length > bestKey.length) {
+      bestKey = key;
+    }
+  }
+
+  return config.modelContextWindows[bestKey || "default"];
+}
+
+/**
+ * Calcula o orçamento de contexto de uma geração.
+ * @param {object} options
+ * @param {string} options.modelName - Modelo ativo.
+ * @param {number} [options.contextWindow] - Override da janela (ex: max_model_len do vLLM).
+ * @param {string} [options.systemInstruction] - Template do system prompt (sem as memórias).
+ * @returns {{contextWindow: number, total: number, responseReserve: number, system: number, memories: number, narrative: number, history: number}}
+ */
+function createContextBudget({ modelName, contextWindow, systemInstruction = "" }) {
+  const budgetConfig = config.contextBudget;
+  const window = getModelContextWindow(modelName, contextWindow);
+  const total = Math.min(window, budgetConfig.maxContextTokens);
+
+  const responseReserve = Math.min(
+    Math.floor(total * budgetConfig.responseReserveRatio),
+    budgetConfig.maxResponseReserveTokens
+  );
+  const system = estimateTokens(systemInstruction);
+  const free = Math.max(0, total - responseReserve - system);
+
+  const memories = Math.min(Math.floor(free * budgetConfig.memoryRatio), budgetConfig.maxMemoryTokens);
+  const narrative = Math.floor(memories * budgetConfig.narrativeRatio);
+
+  return {
+    contextWindow: window,
+    total,
+    responseReserve,
+    system,
+    memories,
+    narrative,
+    history: free - memories,
+  };
+}
+
+/**
+ * Tokens que sobram para o histórico depois de montado o system prompt final
+ * (já com as memórias contextualizadas) e de mídias extras (ex: imagens do RAG).
+ * @param {object} budget - Resultado de createContextBudget.
+ * @param {string} finalSystemInstruction
+ * @param {number} [extraTokens=0]
+ * @returns {number}
+ */
+function getHistoryBudget(budget, finalSystemInstruction, extraTokens = 0) {
+  const used = budget.responseReserve + estimateTokens(finalSystemInstruction) + extraTokens;
+  return Math.max(0, budget.total - used);
+}
+
+module.exports = {
+  getModelContextWindow,
+  createContextBudget,
+  getHistoryBudget,
+};
@@ -0,0 +1,124 @@
+// src/utils/errors.js
+// Erros da aplicação com status HTTP e código estável. O errorHandler (e os eventos de erro dos
+// streams SSE) serializam todos no mesmo formato: { error, code, details? }.
+// `error` é a mensagem para o usuário; `code` é o que o front-end usa para escolher a mensagem
+// localizada (front-end/src/utils/errorMessages.js); `details` traz dados para ela (ex.: retryAt).
+//
+// Códigos genéricos de cada classe (os serviços usam códigos mais específicos, ex.: USER_NOT_FOUND):
+// VALIDATION_FAILED, AUTH_REQUIRED, FORBIDDEN, NOT_FOUND, CONFLICT, RATE_LIMITED, QUOTA_EXHAUSTED,
+// PROVIDER_FAILED, EMBEDDING_FAILED e INTERNAL_ERROR (erros inesperados).
+
+const config = require("../config");
+
+class AppError extends Error {
+  /**
+   * @param {string} message - Mensagem para o usuário.
+   * @param {object} [options]
+   * @param {string} [options.code]
+   * @param {number} [options.statusCode]
+   * @param {object} [options.details] - Dados públicos do erro (vão na resposta).
+   * @param {Error} [options.cause] - Erro original (só nos logs).
+   */
+  constructor(message, { code = "INTERNAL_ERROR", statusCode = 500, details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+
+  /**
+   * Corpo da resposta HTTP (e do evento SSE de erro).
+   * @returns {{error: string, code: string, details?: object}}
+   */
+  toJSON() {
+    return this.details === undefined
+      ? { error: this.message, code: this.code }
+      : { error: this.message, code: this.code, details: this.details };
+  }
+}
+
+/**
+ * Cria uma subclasse com status e código padrão: new Classe(message, code?, { details, cause }?).
+ * @param {string} name
+ * @param {number} statusCode
+ * @param {string} defaultCode
+ * @returns {typeof AppError}
+ */
+function defineError(name, statusCode, defaultCode) {
+  const ErrorClass = class extends AppError {
+    constructor(message, code = defaultCode, options = {}) {
+      super(message, { ...options, code, statusCode });
+    }
+  };
+  Object.defineProperty(ErrorClass, "name", { value: name });
+  return ErrorClass;
+}
+
+// Entrada inválida do cliente
+const ValidationError = defineError("ValidationError", 400, "VALIDATION_FAILED");
+// Sem sessão válida (o front-end renova a sessão ou volta para o login)
+const AuthError = defineError("AuthError", 401, "AUTH_REQUIRED");
+// Sessão válida, mas sem permissão (ou senha atual errada numa ação sensível)
+const ForbiddenError = defineError("ForbiddenError", 403, "FORBIDDEN");
+const NotFoundError = defineError("NotFoundError", 404, "NOT_FOUND");
+const ConflictError = defineError("ConflictError", 409, "CONFLICT");
+// Limite de requisições desta API (rateLimit.middleware)
+const RateLimitError = defineError("RateLimitError", 429, "RATE_LIMITED");
+// Cota de um provider esgotada (todas as API Keys em cooldown); details.retryAt diz quando volta
+const QuotaExhaustedError = defineError("QuotaExhaustedError", 429, "QUOTA_EXHAUSTED");
+// Falha de um provider de LLM (OpenRouter, Google, Cerebras, vLLM); details.provider diz qual
+const ProviderError = defineError("ProviderError", 502, "PROVIDER_FAILED");
+// Falha ao gerar embeddings
+const EmbeddingError = defineError("EmbeddingError", 502, "EMBEDDING_FAILED");
+
+/**
+ * Converte qualquer erro em AppError. Erros conhecidos de bibliotecas viram o tipo certo;
+ * o resto vira INTERNAL_ERROR, com a mensagem original só fora de produção.
+ * @param {Error} error
+ * @param {object} [options]
+ * @param {boolean} [options.exposeInternal] - Inclui a mensagem original em details (padrão: fora de produção).
+ * @returns {AppError}
+ */
+function toAppError(error, { exposeInternal = config.env !== "production" } = {}) {
+  if (error instanceof AppError) return error;
+
+  // Tabela do LanceDB inexistente para o chatToken
+  if (error?.message?.toLowerCase().includes("was not found")) {
+    return new NotFoundError(
+      "Recurso não encontrado: a tabela ou coleção não existe para este chat.",
+      "COLLECTION_NOT_FOUND",
+      { cause: error }
+    );
+  }
+  // express.json(): corpo que não é JSON ou acima do limite
+  if (error?.type === "entity.parse.failed") {
+    return new ValidationError("O corpo da requisição não é um JSON válido.", "INVALID_JSON", { cause: error });
+  }
+  if (error?.type === "entity.too.large") {
+    return new AppError("O corpo da requisição é grande demais.", { code: "PAYLOAD_TOO_LARGE", statusCode: 413, cause: error });
+  }
+  // multer (uploads)
+  if (error?.name === "MulterError") {
+    return new ValidationError(`Upload inválido: ${error.message}.`, "UPLOAD_INVALID", { cause: error });
+  }
+
+  return new AppError("Erro interno do servidor.", {
+    details: exposeInternal && error?.message ? { message: error.message } : undefined,
+    cause: error,
+  });
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  QuotaExhaustedError,
+  ProviderError,
+  EmbeddingError,
+  toAppError,
+};
@@ -1,5 +1,14 @@
 // src/utils/historyHelper.js
 
+// Média de caracteres por token (texto em português fica entre 3 e 4).
+// Usar o valor menor superestima um pouco, o que é mais seguro para o orçamento.
+const CHARS_PER_TOKEN = 3.5;
+
+// Custo aproximado de mídia inline: o Gemini cobra 258 tokens por imagem
+// e por página de PDF. Páginas de PDF são estimadas pelo tamanho do arquivo.
+const MEDIA_TOKENS = 258;
+const PDF_BYTES_PER_PAGE = 100 * 1024;
+
 /**
  * Conta o número de palavras em uma string.
  * Uma sequência de um ou mais caracteres de espaço em branco é tratada como um separador.
@@ -17,50 +26,116 @@ function countWords(text) {
 }
 
 /**
- * Filtra o histórico de mensagens para incluir aproximadamente as últimas N palavras.
- * Começa a contar da mensagem mais recente para a mais antiga, garantindo que
- * nenhuma mensagem seja cortada ao meio.
- *
- * @param {Array<object>} fullHistory - O array completo de registros de mensagens.
- * @param {number} wordLimit - O número máximo de palavras desejado no histórico.
- * @returns {{limitedHistory: Array<object>, wordCount: number}} - Um objeto contendo o histórico filtrado e a contagem total de palavras.
+ * Estima o número de tokens de um texto (sem depender do tokenizer de cada provider).
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estima os tokens de um anexo inline (imagem ou PDF).
+ * @param {{mimeType: string, data?: string}} media - data em base64.
+ * @returns {number}
  */
-function getHistoryWithWordLimit(fullHistory, wordLimit) {
-  const limitedHistory = [];
-  let currentWordCount = 0;
-
-  // Itera sobre o histórico de trás para frente (do mais recente para o mais antigo).
-  for (let i = fullHistory.length - 1; i >= 0; i--) {
-    const message = fullHistory[i];
-    const wordsInMessage = countWords(message.text);
-
-    // Adiciona a mensagem atual, mesmo que ela sozinha ultrapasse o limite.
-    // Isso garante que a mensagem mais recente esteja sempre presente e que
-    // a iteração pare após incluir uma mensagem que exceda o limite.
-    if (currentWordCount < wordLimit) {
-      limitedHistory.push(message);
-      currentWordCount += wordsInMessage;
+function estimateMediaTokens(media) {
+  if (media.mimeType === "application/pdf") {
+    const bytes = ((media.data || "").length * 3) / 4;
+    return MEDIA_TOKENS * Math.max(1, Math.ceil(bytes / PDF_BYTES_PER_PAGE));
+  }
+  return MEDIA_TOKENS;
+}
+
+/**
+ * Estima os tokens de um registro do histórico (texto + anexos visuais).
+ * @param {object} record - Registro do LanceDB (text, attachments em JSON).
+ * @returns {number}
+ */
+function estimateRecordTokens(record) {
+  let tokens = estimateTokens(record.text);
+
+  if (record.attachments) {
+    try {
+      for (const att of JSON.parse(record.attachments)) {
+        if (att.mimeType?.startsWith("image/") || att.mimeType === "application/pdf") {
+          tokens += estimateMediaTokens(att);
+        }
+      }
+    } catch (e) { /* anexos inválidos não contam */ }
+  }
+
+  return tokens;
+}
+
+/**
+ * Agrupa o histórico em turnos: cada turno começa em uma mensagem do usuário e
+ * inclui as respostas do modelo (e resultados de tools) que vieram depois dela.
+ * @param {Array<object>} history - Registros em ordem cronológica.
+ * @returns {Array<Array<object>>}
+ */
+function groupIntoTurns(history) {
+  const turns = [];
+
+  for (const message of history) {
+    const lastTurn = turns[turns.length - 1];
+    const previous = lastTurn?.[lastTurn.length - 1];
+    const startsTurn = !lastTurn || (message.role === "user" && previous.role !== "user");
+
+    if (startsTurn) {
+      turns.push([message]);
     } else {
-      // Para a iteração assim que o limite for atingido ou ultrapassado.
+      lastTurn.push(message);
+    }
+  }
+
+  return turns;
+}
+
+/**
+ * Seleciona o histórico mais recente que cabe em um orçamento de tokens.
+ * Descarta turnos inteiros, do mais antigo para o mais recente, para que o histórico
+ * continue começando pelo usuário e alternando user/model. O turno mais recente
+ * (a mensagem atual) é sempre mantido, mesmo que sozinho ultrapasse o orçamento.
+ *
+ * @param {Array<object>} fullHistory - O array completo de registros, em ordem cronológica.
+ * @param {number} tokenBudget - Tokens disponíveis para o histórico.
+ * @returns {{limitedHistory: Array<object>, tokenCount: number, droppedCount: number}}
+ */
+function getHistoryWithTokenBudget(fullHistory, tokenBudget) {
+  const turns = groupIntoTurns(fullHistory);
+  const keptTurns = [];
+  let tokenCount = 0;
+
+  // Itera do turno mais recente para o mais antigo
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const turnTokens = turns[i].reduce((sum, record) => sum + estimateRecordTokens(record), 0);
+
+    if (keptTurns.length > 0 && tokenCount + turnTokens > tokenBudget) {
       break;
     }
+
+    keptTurns.unshift(turns[i]);
+    tokenCount += turnTokens;
   }
 
-  // A lista foi construída na ordem inversa (recente -> antigo),
-  // então precisamos revertê-la para a ordem cronológica correta (antigo -> recente).
-  const finalHistory = limitedHistory.reverse();
+  const limitedHistory = keptTurns.flat();
+  const droppedCount = fullHistory.length - limitedHistory.length;
 
   console.log(
-    `[History Helper] Histórico filtrado para as últimas ${currentWordCount} palavras em ${finalHistory.length} mensagens.`
+    `[History Helper] Histórico com ${limitedHistory.length} mensagens (~${tokenCount}/${tokenBudget} tokens, ${droppedCount} antigas descartadas).`
   );
 
-  return {
-    limitedHistory: finalHistory,
-    wordCount: currentWordCount,
-  };
+  return { limitedHistory, tokenCount, droppedCount };
 }
 
 module.exports = {
-  getHistoryWithWordLimit,
   countWords,
-};
\ No newline at end of file
+  estimateTokens,
+  estimateMediaTokens,
+  estimateRecordTokens,
+  getHistoryWithTokenBudget,
+};
@@ -0,0 +1,101 @@
+// src/utils/lanceFilter.js
+// Monta os filtros SQL passados ao LanceDB (where/delete). Os ids chegam da API e das tools
+// do modelo, então nunca são interpolados crus: são validados e escapados aqui.
+const { ValidationError } = require("./errors");
+
+// uuid, "historia" e ids de documentos; o espaço final opcional cobre ids antigos do import de memórias
+const RECORD_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,128} ?$/;
+const COLUMN_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const COMPARISON_OPERATORS = ["=", "!=", "<", "<=", ">", ">="];
+
+/**
+ * Garante que o valor tem o formato de um id de registro.
+ * @param {*} id
+ * @returns {string}
+ */
+function assertRecordId(id) {
+  if (typeof id !== "string" || !RECORD_ID_PATTERN.test(id)) {
+    throw new ValidationError("Id de registro inválido.", "INVALID_RECORD_ID", {
+      details: { id: String(id).slice(0, 128) },
+    });
+  }
+  return id;
+}
+
+/**
+ * Nome de coluna entre crases (preserva maiúsculas, como em sourceId). No LanceDB aspas duplas
+ * viram literal de texto: `"sourceId" = 'x'` compara duas strings e nunca casa com a coluna.
+ * @param {string} column
+ * @returns {string}
+ */
+function quoteColumn(column) {
+  if (!COLUMN_PATTERN.test(column)) {
+    throw new Error(`Coluna inválida no filtro: ${column}`);
+  }
+  return `\`${column}\``;
+}
+
+/**
+ * Literal de texto com as aspas simples escapadas.
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Filtro `coluna = 'id'`.
+ * @param {string} column
+ * @param {string} id
+ * @returns {string}
+ */
+function idEquals(column, id) {
+  return `${quoteColumn(column)} = ${quoteString(assertRecordId(id))}`;
+}
+
+/**
+ * Filtro `coluna IN ('id1', 'id2', ...)`.
+ * @param {string} column
+ * @param {string[]} ids
+ * @returns {string}
+ */
+function idIn(column, ids) {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw new Error("Lista de ids vazia no filtro.");
+  }
+  return `${quoteColumn(column)} IN (${ids.map((id) => quoteString(assertRecordId(id))).join(", ")})`;
+}
+
+/**
+ * Comparação numérica (strength >= 0.3).
+ * @param {string} column
+ * @param {string} operator
+ * @param {number} value
+ * @returns {string}
+ */
+function compareNumber(column, operator, value) {
+  if (!COMPARISON_OPERATORS.includes(operator)) {
+    throw new Error(`Operador inválido no filtro: ${operator}`);
+  }
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    throw new Error(`Valor numérico inválido no filtro: ${value}`);
+  }
+  return `${quoteColumn(column)} ${operator} ${value}`;
+}
+
+/**
+ * Junta filtros com AND (cada um entre parênteses).
+ * @param {...string} filters
+ * @returns {string}
+ */
+const and = (...filters) => filters.map((filter) => `(${filter})`).join(" AND ");
+
+/**
+ * Junta filtros com OR (cada um entre parênteses).
+ * @param {...string} filters
+ * @returns {string}
+ */
+const or = (...filters) => filters.map((filter) => `(${filter})`).join(" OR ");
+
+module.exports = { assertRecordId, quoteString, idEquals, idIn, compareNumber, and, or };
@@ -0,0 +1,240 @@
+// src/utils/providerKeys.js
+// Criptografia das API Keys dos providers salvas nos metadados dos chats.
+// No disco as keys ficam cifradas (AES-256-GCM com a KEY_ENCRYPTION_SECRET do servidor);
+// em memória os serviços usam o texto puro; a API só devolve as keys mascaradas.
+
+const crypto = require("crypto");
+const config = require("../config");
+
+const ENCRYPTED_PREFIX = "enc:v1:";
+const MASK = "••••";
+
+// Campos de config.* que guardam keys ("apiKey" é o campo legado do import de chats)
+const KEY_FIELDS = ["openrouterApiKey", "cerebrasApiKey", "vllmApiKey", "apiKey"];
+const KEY_LIST_FIELDS = ["googleApiKeys"];
+
+let derivedKey = null;
+
+/**
+ * Deriva (uma vez) a chave AES a partir do segredo mestre.
+ * @returns {Buffer}
+ */
+function getDerivedKey() {
+  if (!derivedKey) {
+    derivedKey = crypto.scryptSync(config.keyEncryptionSecret, "rag-rpg:provider-keys", 32);
+  }
+  return derivedKey;
+}
+
+/**
+ * Indica se o valor já está cifrado.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEncryptedSecret(value) {
+  return typeof value === "string" && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Indica se o valor é uma key mascarada (devolvida pela API).
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isMaskedSecret(value) {
+  return typeof value === "string" && value.includes(MASK);
+}
+
+/**
+ * Cifra uma key. Valores vazios ou já cifrados são devolvidos como estão.
+ * @param {string} value
+ * @returns {string}
+ */
+function encryptSecret(value) {
+  if (!value || typeof value !== "string" || isEncryptedSecret(value)) {
+    return value;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getDerivedKey(), iv);
+  const data = Buffer.concat([cipher.update(value, "utf8"), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return `${ENCRYPTED_PREFIX}${iv.toString("base64")}:${tag.toString("base64")}:${data.toString("base64")}`;
+}
+
+/**
+ * Decifra uma key. Texto puro (metadados antigos) é devolvido como está.
+ * Se o segredo mestre mudou, a key não pode ser recuperada e volta vazia.
+ * @param {string} value
+ * @returns {string}
+ */
+function decryptSecret(value) {
+  if (!isEncryptedSecret(value)) {
+    return value;
+  }
+
+  try {
+    const [iv, tag, data] = value.slice(ENCRYPTED_PREFIX.length).split(":");
+    const decipher = crypto.createDecipheriv("aes-256-gcm", getDerivedKey(), Buffer.from(iv, "base64"));
+    decipher.setAuthTag(Buffer.from(tag, "base64"));
+    return Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]).toString("utf8");
+  } catch (error) {
+    console.error("[ProviderKeys] Não foi possível decifrar uma API Key (KEY_ENCRYPTION_SECRET alterada?):", error.message);
+    return "";
+  }
+}
+
+/**
+ * Máscara (impressão digital) de uma key em texto puro: "AIza••••x9Qk".
+ * Keys curtas não revelam nenhum caractere.
+ * @param {string} value
+ * @returns {string}
+ */
+function maskSecret(value) {
+  if (!value || typeof value !== "string") {
+    return value;
+  }
+  if (value.length < 16) {
+    return MASK;
+  }
+  return `${value.slice(0, 4)}${MASK}${value.slice(-4)}`;
+}
+
+/**
+ * Aplica uma transformação a todas as keys de uma config de chat (sem alterar o original).
+ * @param {object} chatConfig
+ * @param {function(string): string} transform
+ * @returns {object}
+ */
+function mapConfigKeys(chatConfig, transform) {
+  if (!chatConfig) return chatConfig;
+
+  const result = { ...chatConfig };
+  for (const field of KEY_FIELDS) {
+    if (result[field]) {
+      result[field] = transform(result[field]);
+    }
+  }
+  for (const field of KEY_LIST_FIELDS) {
+    if (Array.isArray(result[field])) {
+      result[field] = result[field].map(transform);
+    }
+  }
+  if (result.embedding?.apiKey) {
+    result.embedding = { ...result.embedding, apiKey: transform(result.embedding.apiKey) };
+  }
+  return result;
+}
+
+/**
+ * Aplica uma transformação às keys dos metadados (config e alvo da migração de embeddings).
+ * @param {object} metadata
+ * @param {function(string): string} transform
+ * @returns {object}
+ */
+function mapMetadataKeys(metadata, transform) {
+  if (!metadata) return metadata;
+
+  const result = { ...metadata, config: mapConfigKeys(metadata.config, transform) };
+  if (metadata.embeddingMigration?.target?.apiKey) {
+    result.embeddingMigration = {
+      ...metadata.embeddingMigration,
+      target: {
+        ...metadata.embeddingMigration.target,
+        apiKey: transform(metadata.embeddingMigration.target.apiKey),
+      },
+    };
+  }
+  return result;
+}
+
+/**
+ * Metadados prontos para o disco (keys cifradas).
+ * @param {object} metadata
+ * @returns {object}
+ */
+function encryptMetadataKeys(metadata) {
+  return mapMetadataKeys(metadata, encryptSecret);
+}
+
+/**
+ * Metadados lidos do disco com as keys em texto puro.
+ * @param {object} metadata
+ * @returns {object}
+ */
+function decryptMetadataKeys(metadata) {
+  return mapMetadataKeys(metadata, decryptSecret);
+}
+
+/**
+ * Metadados prontos para a API (keys mascaradas).
+ * @param {object} metadata - Metadados com as keys em texto puro.
+ * @returns {object}
+ */
+function maskMetadataKeys(metadata) {
+  return mapMetadataKeys(metadata, maskSecret);
+}
+
+/**
+ * Indica se os metadados (como estão no disco) ainda têm alguma key em texto puro.
+ * @param {object} metadata
+ * @returns {boolean}
+ */
+function hasPlaintextKeys(metadata) {
+  let found = false;
+  mapMetadataKeys(metadata, (value) => {
+    if (typeof value === "string" && value && !isEncryptedSecret(value)) {
+      found = true;
+    }
+    return value;
+  });
+  return found;
+}
+
+/**
+ * Troca as keys mascaradas de uma config recebida do front-end pelas keys salvas.
+ * O front-end devolve as máscaras que recebeu: máscara mantém a key, texto novo a substitui
+ * e valor vazio a remove. Máscaras que não correspondem a nenhuma key salva são descartadas.
+ * @param {object} newConfig - Config recebida da API.
+ * @param {object} currentConfig - Config salva (keys em texto puro).
+ * @returns {object}
+ */
+function restoreMaskedKeys(newConfig, currentConfig = {}) {
+  const current = currentConfig || {};
+  const restore = (value, saved) => (isMaskedSecret(value) && maskSecret(saved) === value ? saved : "");
+
+  const result = { ...newConfig };
+  for (const field of KEY_FIELDS) {
+    if (isMaskedSecret(result[field])) {
+      result[field] = restore(result[field], current[field]);
+    }
+  }
+  for (const field of KEY_LIST_FIELDS) {
+    if (Array.isArray(result[field])) {
+      const savedKeys = current[field] || [];
+      result[field] = result[field]
+        .map((key) => (isMaskedSecret(key) ? savedKeys.find((saved) => maskSecret(saved) === key) : key))
+        .filter(Boolean);
+    }
+  }
+  if (isMaskedSecret(result.embedding?.apiKey)) {
+    result.embedding = {
+      ...result.embedding,
+      apiKey: restore(result.embedding.apiKey, current.embedding?.apiKey),
+    };
+  }
+  return result;
+}
+
+module.exports = {
+  isEncryptedSecret,
+  isMaskedSecret,
+  encryptSecret,
+  decryptSecret,
+  maskSecret,
+  encryptMetadataKeys,
+  decryptMetadataKeys,
+  maskMetadataKeys,
+  hasPlaintextKeys,
+  restoreMaskedKeys,
+};
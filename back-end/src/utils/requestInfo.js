@@ -0,0 +1,14 @@
+// src/utils/requestInfo.js
+// Dados do cliente de uma requisição (rate limit e lista de sessões).
+
+/**
+ * IP do cliente. O X-Forwarded-For só é considerado pelo Express quando vem de um proxy
+ * confiável (config.trustProxy); fora isso vale o endereço da conexão.
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+function getClientIP(req) {
+  return req.ip || req.socket?.remoteAddress || "unknown";
+}
+
+module.exports = { getClientIP };
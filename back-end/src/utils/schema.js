@@ -0,0 +1,135 @@
+// src/utils/schema.js
+// Validação com um subconjunto de JSON Schema. Os schemas das rotas (api/schemas) usam só estas
+// palavras, para servirem tal qual na documentação da API:
+// type (ou lista de tipos), enum, minLength, maxLength, pattern, format ("email"), minimum, maximum,
+// items, minItems, maxItems, properties, required e additionalProperties (false ou um schema).
+// description e example são só documentação.
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  object: (value) => value !== null && typeof value === "object" && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  null: (value) => value === null,
+};
+
+const TYPE_NAMES = {
+  string: "texto",
+  number: "número",
+  integer: "número inteiro",
+  boolean: "booleano",
+  object: "objeto",
+  array: "lista",
+  null: "null",
+};
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+};
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+/**
+ * Valida um valor contra um schema.
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [path] - Caminho do valor, usado nas mensagens (ex.: "body.config").
+ * @param {Array<{path: string, message: string}>} [errors] - Acumulador.
+ * @returns {Array<{path: string, message: string}>} - Lista vazia se o valor for válido.
+ */
+function validateSchema(schema, value, path = "", errors = []) {
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.some((type) => TYPE_CHECKS[type](value))) {
+    errors.push({ path, message: `deve ser ${types.map((type) => TYPE_NAMES[type]).join(" ou ")}` });
+    return errors;
+  }
+  if (value === null) return errors;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `deve ser um de: ${schema.enum.join(", ")}` });
+    return errors;
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({
+        path,
+        message: schema.minLength === 1 ? "não pode ser vazio" : `deve ter ao menos ${schema.minLength} caracteres`,
+      });
+    } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `deve ter no máximo ${schema.maxLength} caracteres` });
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: "tem formato inválido" });
+    } else if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      errors.push({ path, message: `deve ser um ${schema.format} válido` });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `deve ser no mínimo ${schema.minimum}` });
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `deve ser no máximo ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `deve ter ao menos ${schema.minItems} item(ns)` });
+    } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `deve ter no máximo ${schema.maxItems} itens` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateSchema(schema.items, item, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: "é obrigatório" });
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        validateSchema(propertySchema, item, joinPath(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: "não é um campo permitido" });
+      } else if (TYPE_CHECKS.object(schema.additionalProperties)) {
+        validateSchema(schema.additionalProperties, item, joinPath(path, key), errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Converte os valores de texto de params/query para os tipos do schema
+ * (números, booleanos e listas separadas por vírgula). O resto fica como veio.
+ * @param {object} schema - Schema de objeto (params ou query).
+ * @param {object} values
+ * @returns {object}
+ */
+function coerceFromStrings(schema, values = {}) {
+  const result = { ...values };
+  for (const [key, value] of Object.entries(result)) {
+    const types = [].concat(schema.properties?.[key]?.type || []);
+    if (typeof value !== "string") continue;
+
+    if ((types.includes("integer") || types.includes("number")) && /^-?\d+(\.\d+)?$/.test(value)) {
+      result[key] = Number(value);
+    } else if (types.includes("boolean") && (value === "true" || value === "false")) {
+      result[key] = value === "true";
+    } else if (types.includes("array")) {
+      result[key] = value.split(",").map((item) => item.trim()).filter(Boolean);
+    }
+  }
+  return result;
+}
+
+module.exports = { validateSchema, coerceFromStrings };
@@ -0,0 +1,102 @@
+// src/validation.test.js
+// Schemas das rotas: campos desconhecidos, tipos errados e coleções fora da lista viram 400 com o
+// caminho de cada campo; nada disso chega aos serviços.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Os serviços resolvem os diretórios de dados a partir do cwd no require
+const originalCwd = process.cwd();
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rpg-validation-"));
+process.chdir(tmpDir);
+
+const request = require("supertest");
+const app = require("./app");
+const chatService = require("./services/chat.service");
+const { validateSchema, coerceFromStrings } = require("./utils/schema");
+
+const paths = (res) => res.body.details.errors.map((error) => error.path);
+
+describe("Validação das requisições", () => {
+  let authToken;
+  let chatToken;
+
+  beforeAll(async () => {
+    const registerRes = await request(app)
+      .post("/api/auth/register")
+      .send({ name: "mestre", email: "mestre@example.com", password: "senha-segura-123" });
+    authToken = registerRes.body.token;
+    chatToken = (await api("post", "/api/chat/create")).body.chatToken;
+  });
+
+  afterAll(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const api = (method, url) => request(app)[method](url).set("Authorization", `Bearer ${authToken}`);
+
+  test("config do chat só aceita as chaves conhecidas, com os tipos certos", async () => {
+    const res = await api("put", `/api/chat/${chatToken}/config`).send({
+      temperature: "quente",
+      userId: "outro-usuario",
+      hebbian: { learningRate: 5 },
+      embedding: { provider: "desconhecido" },
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("VALIDATION_FAILED");
+    expect(paths(res)).toEqual([
+      "body.temperature",
+      "body.userId",
+      "body.hebbian.learningRate",
+      "body.embedding.provider",
+    ]);
+
+    const config = await chatService.getChatConfig(chatToken);
+    expect(config.userId).toBeUndefined();
+    expect(config.temperature).toBe(1);
+
+    await api("put", `/api/chat/${chatToken}/config`).send({ temperature: 0.4 }).expect(200);
+    expect((await chatService.getChatConfig(chatToken)).temperature).toBe(0.4);
+  });
+
+  test("coleção fora da lista não chega ao LanceDB", async () => {
+    const res = await api("post", `/api/chat/insert/${chatToken}/usuarios`).send({ text: "x" });
+    expect(res.status).toBe(400);
+    expect(paths(res)).toEqual(["params.collectionName"]);
+
+    const exportRes = await api("get", `/api/chat/${chatToken}/memories/export?collections=fatos,senhas`);
+    expect(exportRes.status).toBe(400);
+    expect(paths(exportRes)).toEqual(["query.collections[1]"]);
+  });
+
+  test("chatToken com caracteres de caminho é recusado antes de ler o disco", async () => {
+    const res = await api("get", "/api/chat/..%2F..%2Fetc/history");
+    expect(res.status).toBe(400);
+    expect(paths(res)).toEqual(["params.chatToken"]);
+  });
+
+  test("campos obrigatórios e formatos no cadastro", async () => {
+    const res = await request(app).post("/api/auth/register").send({ email: "sem-arroba", password: "curta" });
+    expect(res.status).toBe(400);
+    expect(res.body.details.errors).toEqual([
+      { path: "body.name", message: "é obrigatório" },
+      { path: "body.email", message: "deve ser um email válido" },
+      { path: "body.password", message: "deve ter ao menos 8 caracteres" },
+    ]);
+    expect(res.body.error).toBe("Requisição inválida: body.name é obrigatório (e mais 2 erro(s)).");
+  });
+
+  test("validateSchema e a conversão de query", () => {
+    const schema = {
+      type: "object",
+      properties: { limit: { type: "integer", minimum: 1 }, tags: { type: "array", items: { type: "string" } } },
+      additionalProperties: false,
+    };
+    expect(validateSchema(schema, coerceFromStrings(schema, { limit: "3", tags: "a, b" }))).toEqual([]);
+    expect(coerceFromStrings(schema, { limit: "3", tags: "a, b" })).toEqual({ limit: 3, tags: ["a", "b"] });
+    expect(validateSchema(schema, { limit: 0 }, "query")).toEqual([{ path: "query.limit", message: "deve ser no mínimo 1" }]);
+    expect(validateSchema({ type: ["string", "null"] }, null)).toEqual([]);
+  });
+});
@@ -4,6 +4,7 @@ import AuthPage from "./components/AuthPage.jsx";
 import ChatInterface from "./components/ChatInterface.jsx";
 import ProtectedRoute from "./components/ProtectedRoute.jsx";
 import PublicRoute from "./components/PublicRoute.jsx";
+import RateLimitNotifier from "./components/RateLimitNotifier.jsx";
 import { ToastProvider } from "./context/ToastContext.jsx";
 import { ConfirmationProvider } from "./context/ConfirmationContext.jsx";
 
@@ -11,11 +12,15 @@ function App() {
   return (
     <ToastProvider>
       <ConfirmationProvider>
+        <RateLimitNotifier />
         <Routes>
           <Route element={<PublicRoute />}>
             <Route path="/" element={<AuthPage />} />
           </Route>
 
+          {/* Link do email de redefinição: vale também com uma sessão aberta */}
+          <Route path="/reset-password" element={<AuthPage />} />
+
           <Route element={<ProtectedRoute />}>
             <Route path="/chat" element={<ChatInterface />} />
             <Route path="/c/:chatId" element={<ChatInterface />} />
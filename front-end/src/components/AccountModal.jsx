@@ -0,0 +1,264 @@
+// src/components/AccountModal.jsx
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { X, Save, Monitor, LogOut, Trash2 } from "lucide-react";
+import {
+  getProfile,
+  updateProfile,
+  changePassword,
+  getSessions,
+  revokeSession,
+  logoutEverywhere,
+  deleteAccount,
+} from "../services/api";
+import { useToast } from "../context/ToastContext";
+import { useConfirmation } from "../context/ConfirmationContext";
+import configStyles from "./ConfigModal.module.css";
+import keyringStyles from "./KeyringModal.module.css";
+import styles from "./AccountModal.module.css";
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleString("pt-BR");
+
+// Minha conta: perfil, senha, sessões ativas e exclusão da conta
+const AccountModal = ({ onClose }) => {
+  const [profile, setProfile] = useState(null);
+  const [form, setForm] = useState({ name: "", email: "", currentPassword: "" });
+  const [passwords, setPasswords] = useState({ currentPassword: "", newPassword: "" });
+  const [sessions, setSessions] = useState([]);
+  const [deletePassword, setDeletePassword] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const navigate = useNavigate();
+  const { addToast } = useToast();
+  const { confirm } = useConfirmation();
+
+  const errorMessage = (err, fallback) => err.response?.data?.error || fallback;
+
+  const loadAccount = useCallback(async () => {
+    try {
+      const [user, activeSessions] = await Promise.all([getProfile(), getSessions()]);
+      setProfile(user);
+      setForm({ name: user.name, email: user.email, currentPassword: "" });
+      setSessions(activeSessions);
+    } catch (err) {
+      console.error("[Account] Failed to load:", err);
+      addToast({ type: "error", message: "Erro ao carregar os dados da conta." });
+    }
+  }, [addToast]);
+
+  useEffect(() => {
+    loadAccount();
+  }, [loadAccount]);
+
+  // Fecha ao pressionar ESC
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const emailChanged = profile && form.email.trim() !== profile.email;
+
+  const handleSaveProfile = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const updated = await updateProfile({
+        name: form.name,
+        email: form.email,
+        currentPassword: emailChanged ? form.currentPassword : undefined,
+      });
+      setProfile(updated);
+      setForm({ name: updated.name, email: updated.email, currentPassword: "" });
+      addToast({ type: "success", message: "Perfil atualizado." });
+    } catch (err) {
+      addToast({ type: "error", message: errorMessage(err, "Erro ao atualizar o perfil.") });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await changePassword(passwords.currentPassword, passwords.newPassword);
+      setPasswords({ currentPassword: "", newPassword: "" });
+      addToast({ type: "success", message: "Senha alterada. Os outros dispositivos foram desconectados." });
+      setSessions(await getSessions());
+    } catch (err) {
+      addToast({ type: "error", message: errorMessage(err, "Erro ao trocar a senha.") });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRevokeSession = async (session) => {
+    try {
+      await revokeSession(session.id);
+      setSessions((prev) => prev.filter((s) => s.id !== session.id));
+    } catch (err) {
+      addToast({ type: "error", message: errorMessage(err, "Erro ao encerrar a sessão.") });
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (!(await confirm("Encerrar todas as sessões, inclusive esta?", "Sair de Todos os Dispositivos"))) return;
+    try {
+      await logoutEverywhere();
+      navigate("/");
+    } catch (err) {
+      addToast({ type: "error", message: errorMessage(err, "Erro ao encerrar as sessões.") });
+    }
+  };
+
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    if (!(await confirm("Excluir a conta apaga todos os seus chats, memórias e chaves de API. Esta ação não pode ser desfeita.", "Excluir Conta"))) return;
+
+    setIsSaving(true);
+    try {
+      await deleteAccount(deletePassword);
+      navigate("/");
+    } catch (err) {
+      addToast({ type: "error", message: errorMessage(err, "Erro ao excluir a conta.") });
+      setIsSaving(false);
+    }
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  return (
+    <div className={configStyles.overlay} onClick={handleBackdropClick}>
+      <div className={configStyles.modal} style={{ maxWidth: "560px" }}>
+        <div className={configStyles.header}>
+          <h2>Minha Conta</h2>
+          <button onClick={onClose} className={configStyles.closeBtn}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className={configStyles.body}>
+          {!profile ? (
+            <div className={keyringStyles.empty}>Carregando...</div>
+          ) : (
+            <>
+              <form onSubmit={handleSaveProfile} className={styles.section}>
+                <div className={keyringStyles.groupTitle}>Perfil</div>
+                <div className={configStyles.field}>
+                  <label>Nome</label>
+                  <input type="text" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} />
+                </div>
+                <div className={configStyles.field}>
+                  <label>Email</label>
+                  <input
+                    type="text"
+                    inputMode="email"
+                    value={form.email}
+                    onChange={(e) => setForm({ ...form, email: e.target.value })}
+                  />
+                </div>
+                {emailChanged && (
+                  <div className={configStyles.field}>
+                    <label>Senha atual</label>
+                    <input
+                      type="password"
+                      value={form.currentPassword}
+                      onChange={(e) => setForm({ ...form, currentPassword: e.target.value })}
+                    />
+                    <span className={configStyles.hint}>Necessária para trocar o email da conta.</span>
+                  </div>
+                )}
+                <button type="submit" className={`${configStyles.saveBtn} ${styles.submit}`} disabled={isSaving}>
+                  <Save size={16} />
+                  Salvar Perfil
+                </button>
+              </form>
+
+              <form onSubmit={handleChangePassword} className={styles.section}>
+                <div className={keyringStyles.groupTitle}>Senha</div>
+                <div className={configStyles.field}>
+                  <label>Senha atual</label>
+                  <input
+                    type="password"
+                    value={passwords.currentPassword}
+                    onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+                  />
+                </div>
+                <div className={configStyles.field}>
+                  <label>Nova senha</label>
+                  <input
+                    type="password"
+                    value={passwords.newPassword}
+                    onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+                    minLength={8}
+                  />
+                </div>
+                <button
+                  type="submit"
+                  className={`${configStyles.saveBtn} ${styles.submit}`}
+                  disabled={isSaving || !passwords.currentPassword || !passwords.newPassword}
+                >
+                  <Save size={16} />
+                  Trocar Senha
+                </button>
+              </form>
+
+              <div className={styles.section}>
+                <div className={keyringStyles.groupTitle}>Sessões ativas</div>
+                {sessions.map((session) => (
+                  <div key={session.id} className={keyringStyles.item}>
+                    <div className={keyringStyles.itemInfo}>
+                      <span className={keyringStyles.label}>
+                        <Monitor size={14} className={styles.sessionIcon} />
+                        {session.userAgent || "Dispositivo desconhecido"}
+                        {session.current && <span className={styles.currentBadge}>este dispositivo</span>}
+                      </span>
+                      <span className={styles.sessionMeta}>
+                        {session.ip ? `${session.ip} · ` : ""}último uso em {formatDate(session.lastUsedAt)}
+                      </span>
+                    </div>
+                    {!session.current && (
+                      <button className={keyringStyles.iconBtn} onClick={() => handleRevokeSession(session)} title="Encerrar sessão">
+                        <X size={14} />
+                      </button>
+                    )}
+                  </div>
+                ))}
+                <button className={`${configStyles.cancelBtn} ${styles.submit}`} onClick={handleLogoutEverywhere}>
+                  <LogOut size={14} className={styles.sessionIcon} />
+                  Sair de todos os dispositivos
+                </button>
+              </div>
+
+              <form onSubmit={handleDeleteAccount} className={`${styles.section} ${styles.danger}`}>
+                <div className={keyringStyles.groupTitle}>Excluir conta</div>
+                <span className={configStyles.hint}>
+                  Remove permanentemente todos os chats, memórias, chaves de API e sessões da conta.
+                </span>
+                <div className={configStyles.field}>
+                  <label>Confirme com a sua senha</label>
+                  <input type="password" value={deletePassword} onChange={(e) => setDeletePassword(e.target.value)} />
+                </div>
+                <button type="submit" className={styles.deleteBtn} disabled={isSaving || !deletePassword}>
+                  <Trash2 size={16} />
+                  Excluir Conta
+                </button>
+              </form>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccountModal;
@@ -1,12 +1,24 @@
 import React, { useState, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation, useSearchParams } from 'react-router-dom';
 import { Terminal, ArrowRight, User, Mail, Lock, Sparkles } from 'lucide-react';
 import * as api from '../services/api';
 import styles from './AuthPage.module.css';
 import CinematicLoading from './CinematicLoading';
 
+// Textos de cada modo da página: login, cadastro, pedido de redefinição e nova senha (link do email)
+const MODES = {
+    login: { title: 'Bem-vindo de volta', subtitle: 'Faça login para continuar a campanha', submit: 'Entrar', loading: 'Autenticando...' },
+    register: { title: 'Criar uma conta', subtitle: 'Cadastre-se para jogar criar uma campanha', submit: 'Criar Conta', loading: 'Criando sua conta...' },
+    forgot: { title: 'Esqueceu a senha?', subtitle: 'Enviaremos um link para redefini-la', submit: 'Enviar Link', loading: 'Enviando o link...' },
+    reset: { title: 'Nova senha', subtitle: 'Escolha a nova senha da sua conta', submit: 'Redefinir Senha', loading: 'Redefinindo a senha...' },
+};
+
 const AuthPage = () => {
-    const [isLogin, setIsLogin] = useState(true);
+    const location = useLocation();
+    const [searchParams] = useSearchParams();
+    const resetToken = searchParams.get('token');
+    const [mode, setMode] = useState(location.pathname === '/reset-password' && resetToken ? 'reset' : 'login');
+    const isLogin = mode === 'login';
     const navigate = useNavigate();
     const submitButtonRef = useRef(null);
     const [formData, setFormData] = useState({
@@ -25,16 +37,32 @@ const AuthPage = () => {
         e.preventDefault();
         setIsLoading(true);
         setLoadingStatus('loading');
-        setLoadingMessage(isLogin ? "Autenticando..." : "Criando sua conta...");
+        setLoadingMessage(MODES[mode].loading);
         setErrorMessage("");
 
         // Small delay for cinematic effect
         await new Promise(resolve => setTimeout(resolve, 2000));
 
         try {
-            if (isLogin) {
-                const { token } = await api.login(formData.email, formData.password);
-                localStorage.setItem('token', token);
+            if (mode === 'forgot' || mode === 'reset') {
+                const { message } = mode === 'forgot'
+                    ? await api.forgotPassword(formData.email)
+                    : await api.resetPassword(resetToken, formData.password);
+
+                setLoadingStatus('anticipate-success');
+                await new Promise(resolve => setTimeout(resolve, 1000));
+
+                setLoadingStatus('success');
+                setLoadingMessage(message);
+                setTimeout(() => {
+                    setIsLoading(false);
+                    setLoadingStatus('loading');
+                    setFormData({ ...formData, password: '' });
+                    setMode('login');
+                    if (mode === 'reset') navigate('/', { replace: true });
+                }, 3000);
+            } else if (isLogin) {
+                api.saveSession(await api.login(formData.email, formData.password));
 
                 // Anticipation phase
                 setLoadingStatus('anticipate-success');
@@ -44,8 +72,7 @@ const AuthPage = () => {
                 setLoadingMessage("Entrando no Reino...");
                 setTimeout(() => navigate('/chat'), 1500);
             } else {
-                const { token } = await api.register(formData.name, formData.email, formData.password);
-                localStorage.setItem('token', token);
+                api.saveSession(await api.register(formData.name, formData.email, formData.password));
 
                 // Anticipation phase
                 setLoadingStatus('anticipate-success');
@@ -68,8 +95,9 @@ const AuthPage = () => {
             const responseData = error.response?.data;
             let errorMsg = responseData?.error || "Falha na autenticação";
 
-            if (responseData?.remainingAttempts !== undefined && responseData.remainingAttempts > 0) {
-                errorMsg += ` (${responseData.remainingAttempts} tentativa(s) restante(s))`;
+            const remainingAttempts = responseData?.details?.remainingAttempts;
+            if (remainingAttempts !== undefined && remainingAttempts > 0) {
+                errorMsg += ` (${remainingAttempts} tentativa(s) restante(s))`;
             } else if (error.response?.status === 429) {
                 // Already includes the time in the error message from backend
             }
@@ -125,12 +153,12 @@ const AuthPage = () => {
                 <div className={styles.cardContainer}>
                     <div className={styles.glassCard}>
                         <div className={styles.cardHeader}>
-                            <h2>{isLogin ? 'Bem-vindo de volta' : 'Criar uma conta'}</h2>
-                            <p>{isLogin ? 'Faça login para continuar a campanha' : 'Cadastre-se para jogar criar uma campanha'}</p>
+                            <h2>{MODES[mode].title}</h2>
+                            <p>{MODES[mode].subtitle}</p>
                         </div>
 
                         <form onSubmit={handleSubmit} className={styles.form}>
-                            <div className={`${styles.collapsibleWrapper} ${!isLogin ? styles.show : ''}`}>
+                            <div className={`${styles.collapsibleWrapper} ${mode === 'register' ? styles.show : ''}`}>
                                 <div className={styles.overflowHandler}>
                                     <div className={styles.inputGroup}>
                                         <User size={20} className={styles.inputIcon} />
@@ -142,42 +170,53 @@ const AuthPage = () => {
                                             onChange={handleChange}
                                             onKeyDown={handleKeyDown}
                                             className={styles.input}
-                                            required={!isLogin}
+                                            required={mode === 'register'}
                                         />
                                     </div>
                                 </div>
                             </div>
 
-                            <div className={styles.inputGroup}>
-                                <Mail size={20} className={styles.inputIcon} />
-                                <input
-                                    type="email"
-                                    name="email"
-                                    placeholder="Endereço de E-mail"
-                                    value={formData.email}
-                                    onChange={handleChange}
-                                    onKeyDown={handleKeyDown}
-                                    className={styles.input}
-                                    required
-                                />
-                            </div>
+                            {mode !== 'reset' && (
+                                <div className={styles.inputGroup}>
+                                    <Mail size={20} className={styles.inputIcon} />
+                                    <input
+                                        type="email"
+                                        name="email"
+                                        placeholder="Endereço de E-mail"
+                                        value={formData.email}
+                                        onChange={handleChange}
+                                        onKeyDown={handleKeyDown}
+                                        className={styles.input}
+                                        required
+                                    />
+                                </div>
+                            )}
+
+                            {mode !== 'forgot' && (
+                                <div className={styles.inputGroup}>
+                                    <Lock size={20} className={styles.inputIcon} />
+                                    <input
+                                        type="password"
+                                        name="password"
+                                        placeholder={mode === 'reset' ? 'Nova senha (mínimo 8 caracteres)' : 'Senha'}
+                                        value={formData.password}
+                                        onChange={handleChange}
+                                        onKeyDown={handleKeyDown}
+                                        className={styles.input}
+                                        required
+                                        minLength={mode === 'reset' ? 8 : undefined}
+                                    />
+                                </div>
+                            )}
 
-                            <div className={styles.inputGroup}>
-                                <Lock size={20} className={styles.inputIcon} />
-                                <input
-                                    type="password"
-                                    name="password"
-                                    placeholder="Senha"
-                                    value={formData.password}
-                                    onChange={handleChange}
-                                    onKeyDown={handleKeyDown}
-                                    className={styles.input}
-                                    required
-                                />
-                            </div>
+                            {isLogin && (
+                                <button type="button" onClick={() => setMode('forgot')} className={styles.forgotLink} disabled={isLoading}>
+                                    Esqueceu a senha?
+                                </button>
+                            )}
 
                             <button ref={submitButtonRef} type="submit" className={styles.submitButton} disabled={isLoading}>
-                                <span>{isLogin ? 'Entrar' : 'Criar Conta'}</span>
+                                <span>{MODES[mode].submit}</span>
                                 <ArrowRight size={20} />
                                 <div className={styles.buttonGlow} />
                             </button>
@@ -188,11 +227,14 @@ const AuthPage = () => {
                         </div>
 
                         <button
-                            onClick={() => setIsLogin(!isLogin)}
+                            onClick={() => {
+                                if (mode === 'reset') navigate('/', { replace: true });
+                                setMode(isLogin ? 'register' : 'login');
+                            }}
                             className={styles.toggleButton}
                             disabled={isLoading}
                         >
-                            {isLogin ? "Não tem uma conta? Cadastre-se" : 'Já tem uma conta? Entrar'}
+                            {isLogin ? "Não tem uma conta? Cadastre-se" : mode === 'register' ? 'Já tem uma conta? Entrar' : 'Voltar para o login'}
                         </button>
                     </div>
                 </div>
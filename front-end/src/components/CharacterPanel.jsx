@@ -0,0 +1,539 @@
+// src/components/CharacterPanel.jsx
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Users, Plus, Minus, Edit2, Trash2, X, Loader, RefreshCw,
+  ChevronLeft, ChevronRight, Package, Swords, Dices
+} from "lucide-react";
+import {
+  getCharacters, createCharacter, updateCharacter, deleteCharacter, adjustCharacterResource, skillCheck
+} from "../services/api";
+import { useToast } from "../context/ToastContext";
+import { useConfirmation } from "../context/ConfirmationContext";
+import styles from "./MemoryPanel.module.css";
+import sheet from "./CharacterPanel.module.css";
+
+const KIND_LABELS = { pc: "Jogador", npc: "NPC" };
+
+const EMPTY_FORM = {
+  name: "",
+  kind: "pc",
+  description: "",
+  attributes: "",
+  skills: "",
+  resources: "",
+  conditions: "",
+  inventory: "",
+  notes: "",
+};
+
+// --- Conversão entre a ficha e o texto do formulário (uma entrada por linha) ---
+
+const lines = (text) => text.split("\n").map((line) => line.trim()).filter(Boolean);
+
+// "Força: 14" -> { Força: 14 }
+const parseNumberLines = (text, label) => {
+  const result = {};
+  for (const line of lines(text)) {
+    const match = line.match(/^(.+?)\s*:\s*(-?\d+)$/);
+    if (!match) throw new Error(`${label}: use "Nome: número" (linha "${line}").`);
+    result[match[1]] = Number(match[2]);
+  }
+  return result;
+};
+
+// "PV: 8/10" -> { PV: { current: 8, max: 10 } }; "Ouro: 30" -> sem máximo
+const parseResourceLines = (text) => {
+  const result = {};
+  for (const line of lines(text)) {
+    const match = line.match(/^(.+?)\s*:\s*(\d+)(?:\s*\/\s*(\d+))?$/);
+    if (!match) throw new Error(`Recursos: use "Nome: atual/máximo" (linha "${line}").`);
+    result[match[1]] = { current: Number(match[2]), max: match[3] ? Number(match[3]) : null };
+  }
+  return result;
+};
+
+// "2x Poção de cura" -> { name, quantity: 2 }; mantém as notas dos itens que já existiam
+const parseInventoryLines = (text, previous = []) =>
+  lines(text).map((line) => {
+    const match = line.match(/^(\d+)\s*x\s+(.+)$/i);
+    const name = match ? match[2] : line;
+    const existing = previous.find((item) => item.name.toLowerCase() === name.toLowerCase());
+    return { name, quantity: match ? Number(match[1]) : 1, notes: existing?.notes || "" };
+  });
+
+// O PUT mescla os mapas: entradas apagadas no formulário vão como null
+const withRemovals = (next, previous = {}) => {
+  const keys = Object.keys(next).map((key) => key.toLowerCase());
+  const removed = Object.keys(previous).filter((key) => !keys.includes(key.toLowerCase()));
+  return { ...Object.fromEntries(removed.map((key) => [key, null])), ...next };
+};
+
+const formFromCharacter = (character) => ({
+  name: character.name,
+  kind: character.kind,
+  description: character.description,
+  attributes: Object.entries(character.attributes).map(([name, value]) => `${name}: ${value}`).join("\n"),
+  skills: Object.entries(character.skills).map(([name, value]) => `${name}: ${value}`).join("\n"),
+  resources: Object.entries(character.resources)
+    .map(([name, { current, max }]) => `${name}: ${max === null ? current : `${current}/${max}`}`)
+    .join("\n"),
+  conditions: character.conditions.join(", "),
+  inventory: character.inventory.map((item) => `${item.quantity}x ${item.name}`).join("\n"),
+  notes: character.notes,
+});
+
+const changesFromForm = (form, original) => {
+  const attributes = parseNumberLines(form.attributes, "Atributos");
+  const skills = parseNumberLines(form.skills, "Perícias");
+  const resources = parseResourceLines(form.resources);
+
+  return {
+    name: form.name.trim(),
+    kind: form.kind,
+    description: form.description,
+    notes: form.notes,
+    attributes: original ? withRemovals(attributes, original.attributes) : attributes,
+    skills: original ? withRemovals(skills, original.skills) : skills,
+    resources: original ? withRemovals(resources, original.resources) : resources,
+    conditions: form.conditions.split(",").map((condition) => condition.trim()).filter(Boolean),
+    inventory: parseInventoryLines(form.inventory, original?.inventory),
+  };
+};
+
+const EMPTY_CHECK = { skill: "", dc: "", bonus: "", advantage: "" };
+
+// Painel lateral com as fichas do chat (PV, atributos, condições e inventário).
+// onSkillCheck recebe { message, check, roll } dos testes feitos por aqui.
+const CharacterPanel = ({ chatToken, characterUpdate, onSkillCheck }) => {
+  const [collapsed, setCollapsed] = useState(true);
+  const [characters, setCharacters] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  // Modal de criação/edição (editing = ficha original, null ao criar)
+  const [showModal, setShowModal] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Modal de teste de perícia (checking = ficha que rola)
+  const [checking, setChecking] = useState(null);
+  const [checkForm, setCheckForm] = useState(EMPTY_CHECK);
+  const [isRolling, setIsRolling] = useState(false);
+
+  const { addToast, showError } = useToast();
+  const { confirm } = useConfirmation();
+
+  const loadCharacters = useCallback(async () => {
+    if (!chatToken) return;
+    setIsLoading(true);
+    try {
+      setCharacters(await getCharacters(chatToken));
+    } catch (err) {
+      console.error("[Characters] Failed to load:", err);
+      addToast({ type: "error", message: "Erro ao carregar fichas." });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [chatToken, addToast]);
+
+  useEffect(() => {
+    loadCharacters();
+  }, [loadCharacters]);
+
+  const replaceCharacter = useCallback((character) => {
+    setCharacters((prev) => {
+      const exists = prev.some((c) => c.id === character.id);
+      const next = exists ? prev.map((c) => (c.id === character.id ? character : c)) : [...prev, character];
+      // Mesma ordem do backend: jogadores primeiro, depois por nome
+      return next.sort((a, b) => (a.kind === b.kind ? a.name.localeCompare(b.name, "pt-BR") : a.kind === "pc" ? -1 : 1));
+    });
+  }, []);
+
+  // Fichas alteradas pelo mestre durante a geração (evento character_updated)
+  useEffect(() => {
+    if (characterUpdate) replaceCharacter(characterUpdate);
+  }, [characterUpdate, replaceCharacter]);
+
+  const openModal = (character = null) => {
+    setEditing(character);
+    setForm(character ? formFromCharacter(character) : EMPTY_FORM);
+    setShowModal(true);
+  };
+
+  const handleSave = async () => {
+    let changes;
+    try {
+      changes = changesFromForm(form, editing);
+    } catch (err) {
+      addToast({ type: "error", message: err.message });
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const character = editing
+        ? await updateCharacter(chatToken, editing.id, changes)
+        : await createCharacter(chatToken, changes);
+      replaceCharacter(character);
+      addToast({ type: "success", message: editing ? "Ficha atualizada." : "Ficha criada." });
+      setShowModal(false);
+    } catch (err) {
+      showError(err, "Erro ao salvar ficha.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (character) => {
+    if (!(await confirm(`Remover a ficha de ${character.name}?`, "Confirmar Exclusão"))) return;
+    try {
+      await deleteCharacter(chatToken, character.id);
+      setCharacters((prev) => prev.filter((c) => c.id !== character.id));
+      addToast({ type: "success", message: "Ficha removida." });
+    } catch (err) {
+      showError(err, "Erro ao remover ficha.");
+    }
+  };
+
+  const handleAdjust = async (character, resource, delta) => {
+    setBusyId(character.id);
+    try {
+      const result = await adjustCharacterResource(chatToken, character.id, resource, delta);
+      replaceCharacter(result.character);
+    } catch (err) {
+      showError(err, "Erro ao ajustar recurso.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const openCheck = (character) => {
+    setChecking(character);
+    setCheckForm(EMPTY_CHECK);
+  };
+
+  const handleCheck = async () => {
+    // Campos vazios ficam de fora: a CD do Fate tem padrão e o PbtA não usa CD
+    const check = { skill: checkForm.skill.trim() };
+    if (checkForm.dc !== "") check.dc = Number(checkForm.dc);
+    if (checkForm.bonus !== "") check.bonus = Number(checkForm.bonus);
+    if (checkForm.advantage) check.advantage = checkForm.advantage;
+
+    setIsRolling(true);
+    try {
+      const result = await skillCheck(chatToken, checking.id, check);
+      onSkillCheck?.(result);
+      setChecking(null);
+    } catch (err) {
+      showError(err, "Erro ao fazer o teste.");
+    } finally {
+      setIsRolling(false);
+    }
+  };
+
+  const renderEntries = (entries) =>
+    Object.entries(entries).map(([name, value]) => (
+      <span key={name} className={sheet.stat}>
+        {name} <strong>{value}</strong>
+      </span>
+    ));
+
+  const renderCharacter = (character) => {
+    const isBusy = busyId === character.id;
+
+    return (
+      <div key={character.id} className={styles.memoryItem}>
+        <div className={sheet.nameRow}>
+          <span className={sheet.name}>{character.name}</span>
+          <span className={styles.accessTag}>{KIND_LABELS[character.kind]}</span>
+          <div className={styles.itemActions}>
+            <button onClick={() => openCheck(character)} className={styles.actionBtn} title="Teste de perícia">
+              <Dices size={12} />
+            </button>
+            <button onClick={() => openModal(character)} className={styles.actionBtn} title="Editar">
+              <Edit2 size={12} />
+            </button>
+            <button
+              onClick={() => handleDelete(character)}
+              className={`${styles.actionBtn} ${styles.delete}`}
+              title="Remover"
+            >
+              <Trash2 size={12} />
+            </button>
+          </div>
+        </div>
+
+        {character.description && <p className={styles.memoryText}>{character.description}</p>}
+
+        {Object.entries(character.resources).map(([name, { current, max }]) => (
+          <div key={name} className={sheet.resource}>
+            <span className={sheet.resourceName}>{name}</span>
+            <button
+              className={styles.actionBtn}
+              onClick={() => handleAdjust(character, name, -1)}
+              disabled={isBusy || current === 0}
+              title={`-1 ${name}`}
+            >
+              <Minus size={12} />
+            </button>
+            <div className={sheet.resourceBar}>
+              {max !== null && (
+                <div className={sheet.resourceFill} style={{ width: `${max > 0 ? (current / max) * 100 : 0}%` }} />
+              )}
+              <span className={sheet.resourceValue}>{max === null ? current : `${current}/${max}`}</span>
+            </div>
+            <button
+              className={styles.actionBtn}
+              onClick={() => handleAdjust(character, name, 1)}
+              disabled={isBusy || current === max}
+              title={`+1 ${name}`}
+            >
+              <Plus size={12} />
+            </button>
+          </div>
+        ))}
+
+        {Object.keys(character.attributes).length > 0 && (
+          <div className={sheet.stats}>{renderEntries(character.attributes)}</div>
+        )}
+        {Object.keys(character.skills).length > 0 && (
+          <div className={sheet.stats}>{renderEntries(character.skills)}</div>
+        )}
+
+        {character.conditions.length > 0 && (
+          <div className={sheet.stats}>
+            {character.conditions.map((condition) => (
+              <span key={condition} className={sheet.condition}>{condition}</span>
+            ))}
+          </div>
+        )}
+
+        {character.inventory.length > 0 && (
+          <ul className={sheet.inventory}>
+            {character.inventory.map((item) => (
+              <li key={item.name} title={item.notes}>
+                <Package size={10} />
+                {item.quantity > 1 && <strong>{item.quantity}x</strong>} {item.name}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  const field = (key, label, rows, placeholder) => (
+    <label className={sheet.field}>
+      <span>{label}</span>
+      <textarea
+        className={styles.modalTextarea}
+        value={form[key]}
+        onChange={(e) => setForm((prev) => ({ ...prev, [key]: e.target.value }))}
+        onKeyDown={(e) => {
+          // Permite Enter para quebra de linha sem propagação
+          if (e.key === "Enter") {
+            e.stopPropagation();
+          }
+        }}
+        placeholder={placeholder}
+        rows={rows}
+      />
+    </label>
+  );
+
+  const groups = [
+    { kind: "pc", label: "Jogadores" },
+    { kind: "npc", label: "NPCs" },
+  ];
+
+  const setCheckField = (key) => (e) => setCheckForm((prev) => ({ ...prev, [key]: e.target.value }));
+
+  return (
+    <div className={`${styles.memoryPanelContainer} ${sheet.characterPanel} ${collapsed ? styles.collapsed : ""}`}>
+
+      {/* Botão Toggle Lateral (abaixo do botão da memória, que fica na mesma borda quando este painel está fechado) */}
+      <button
+        className={`${styles.collapseButton} ${sheet.collapseButton}`}
+        onClick={() => setCollapsed(!collapsed)}
+        title={collapsed ? "Expandir Fichas" : "Ocultar Fichas"}
+      >
+        {collapsed ? <ChevronLeft size={16} /> : <ChevronRight size={16} />}
+      </button>
+
+      <div className={`${styles.panelContentWrapper} ${sheet.contentWrapper}`}>
+        <div className={styles.header}>
+          <div className={styles.headerTop}>
+            <h3>
+              <Swords size={16} color="var(--accent-primary)" />
+              Fichas
+            </h3>
+
+            <div className={styles.headerActions}>
+              <button
+                className={`${styles.actionBtnHeader} ${isLoading ? styles.spinning : ""}`}
+                onClick={loadCharacters}
+                title="Recarregar fichas"
+                disabled={isLoading}
+              >
+                {isLoading ? <Loader size={14} /> : <RefreshCw size={14} />}
+              </button>
+              <button className={styles.addBtnHeader} onClick={() => openModal()} title="Nova ficha">
+                <Plus size={16} />
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <div className={styles.content}>
+          {characters.length === 0 ? (
+            <div className={styles.emptyMessage}>
+              {isLoading
+                ? "Carregando..."
+                : "Nenhuma ficha ainda. Crie uma ou peça ao mestre para registrar os personagens."}
+            </div>
+          ) : (
+            groups.map(({ kind, label }) => {
+              const items = characters.filter((c) => c.kind === kind);
+              if (items.length === 0) return null;
+              return (
+                <div key={kind} className={styles.categorySection}>
+                  <div className={styles.categoryHeader}>
+                    <Users size={14} />
+                    <span>{label}</span>
+                  </div>
+                  {items.map(renderCharacter)}
+                </div>
+              );
+            })
+          )}
+        </div>
+      </div>
+
+      {/* Modal de Criação/Edição */}
+      {showModal && (
+        <div className={styles.modalOverlay}>
+          <div className={`${styles.modal} ${sheet.modal}`}>
+            <div className={styles.modalHeader}>
+              <h4>{editing ? `Editar ${editing.name}` : "Nova ficha"}</h4>
+              <button onClick={() => setShowModal(false)} className={styles.modalCloseBtn}>
+                <X size={16} />
+              </button>
+            </div>
+
+            <div className={sheet.form}>
+              <div className={sheet.formRow}>
+                <label className={sheet.field}>
+                  <span>Nome</span>
+                  <input
+                    className={styles.searchInput}
+                    value={form.name}
+                    onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+                    autoFocus
+                  />
+                </label>
+                <label className={sheet.field}>
+                  <span>Tipo</span>
+                  <select
+                    className={styles.searchInput}
+                    value={form.kind}
+                    onChange={(e) => setForm((prev) => ({ ...prev, kind: e.target.value }))}
+                  >
+                    <option value="pc">{KIND_LABELS.pc}</option>
+                    <option value="npc">{KIND_LABELS.npc}</option>
+                  </select>
+                </label>
+              </div>
+              {field("description", "Descrição", 2)}
+              <div className={sheet.formRow}>
+                {field("attributes", "Atributos", 4, "Força: 14")}
+                {field("skills", "Perícias", 4, "Furtividade: 5")}
+              </div>
+              <div className={sheet.formRow}>
+                {field("resources", "Recursos", 3, "PV: 8/10")}
+                {field("inventory", "Inventário", 3, "2x Poção de cura")}
+              </div>
+              {field("conditions", "Condições (separadas por vírgula)", 1, "Envenenado, Cansado")}
+              {field("notes", "Notas", 2)}
+            </div>
+
+            <div className={styles.modalFooter}>
+              <button
+                className={styles.modalSaveBtn}
+                onClick={handleSave}
+                disabled={!form.name.trim() || isSaving}
+              >
+                {isSaving ? "Salvando..." : "Salvar"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Modal de Teste de Perícia */}
+      {checking && (
+        <div className={styles.modalOverlay}>
+          <div className={`${styles.modal} ${sheet.modal}`}>
+            <div className={styles.modalHeader}>
+              <h4>Teste de {checking.name}</h4>
+              <button onClick={() => setChecking(null)} className={styles.modalCloseBtn}>
+                <X size={16} />
+              </button>
+            </div>
+
+            <div className={sheet.form}>
+              <label className={sheet.field}>
+                <span>Perícia ou atributo</span>
+                <input
+                  className={styles.searchInput}
+                  value={checkForm.skill}
+                  onChange={setCheckField("skill")}
+                  list="character-check-stats"
+                  autoFocus
+                />
+                <datalist id="character-check-stats">
+                  {[...Object.keys(checking.skills), ...Object.keys(checking.attributes)].map((name) => (
+                    <option key={name} value={name} />
+                  ))}
+                </datalist>
+              </label>
+              <div className={sheet.formRow}>
+                <label className={sheet.field}>
+                  <span>CD / dificuldade</span>
+                  <input type="number" className={styles.searchInput} value={checkForm.dc} onChange={setCheckField("dc")} />
+                </label>
+                <label className={sheet.field}>
+                  <span>Bônus de situação</span>
+                  <input type="number" className={styles.searchInput} value={checkForm.bonus} onChange={setCheckField("bonus")} />
+                </label>
+                <label className={sheet.field}>
+                  <span>Vantagem (d20)</span>
+                  <select className={styles.searchInput} value={checkForm.advantage} onChange={setCheckField("advantage")}>
+                    <option value="">Normal</option>
+                    <option value="advantage">Vantagem</option>
+                    <option value="disadvantage">Desvantagem</option>
+                  </select>
+                </label>
+              </div>
+              <span className={styles.hint}>
+                O modificador vem da ficha e o sistema de regras é o das configurações do chat. O resultado entra no histórico.
+              </span>
+            </div>
+
+            <div className={styles.modalFooter}>
+              <button
+                className={styles.modalSaveBtn}
+                onClick={handleCheck}
+                disabled={!checkForm.skill.trim() || isRolling}
+              >
+                {isRolling ? "Rolando..." : "Rolar"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CharacterPanel;
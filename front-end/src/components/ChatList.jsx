@@ -1,13 +1,15 @@
 import React, { useEffect, useState, useRef, useMemo } from "react";
-import { MessageSquare, Trash2, Plus, Settings, ChevronLeft, ChevronRight, Edit2, Check, X, LogOut, Upload, Search, ArrowUpDown } from "lucide-react";
+import { MessageSquare, Trash2, Plus, Settings, ChevronLeft, ChevronRight, Edit2, Check, X, LogOut, Upload, Search, ArrowUpDown, KeyRound, UserCog } from "lucide-react";
 import { useNavigate } from "react-router-dom";
 import { formatDistanceToNow } from "date-fns";
 import { ptBR } from "date-fns/locale";
-import { getAllChats, deleteChat, renameChat, importChat, searchGlobalChats } from "../services/api";
+import { getAllChats, deleteChat, renameChat, importChat, searchGlobalChats, logout, authFetch } from "../services/api";
 import { useToast } from "../context/ToastContext";
 import { useConfirmation } from "../context/ConfirmationContext";
 import ConfigModal from "./ConfigModal.jsx";
 import ApiKeyModal from "./ApiKeyModal.jsx";
+import KeyringModal from "./KeyringModal.jsx";
+import AccountModal from "./AccountModal.jsx";
 import CinematicLoading from "./CinematicLoading.jsx";
 import styles from "./ChatList.module.css";
 
@@ -17,6 +19,8 @@ const ChatList = ({ onSelectChat, activeChatToken, onNewChat, isCreating }) => {
   const [collapsed, setCollapsed] = useState(false);
   const [showConfig, setShowConfig] = useState(false);
   const [showApiKeyModal, setShowApiKeyModal] = useState(false);
+  const [showKeyring, setShowKeyring] = useState(false);
+  const [showAccount, setShowAccount] = useState(false);
   const [pendingImportMessages, setPendingImportMessages] = useState([]);
   const [editingChatId, setEditingChatId] = useState(null);
   const [newTitle, setNewTitle] = useState("");
@@ -213,8 +217,7 @@ const ChatList = ({ onSelectChat, activeChatToken, onNewChat, isCreating }) => {
   const handleLogout = async () => {
     if (await confirm("Tem certeza que deseja sair?", "Sair")) {
       setIsLoggingOut(true);
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      localStorage.removeItem("token");
+      await Promise.all([logout(), new Promise(resolve => setTimeout(resolve, 2000))]);
       navigate("/");
     }
   };
@@ -282,12 +285,10 @@ const ChatList = ({ onSelectChat, activeChatToken, onNewChat, isCreating }) => {
     setImportProgress({ current: 0, total: 0 });
 
     try {
-      const token = localStorage.getItem("token");
-      const response = await fetch("http://localhost:3001/api/chat/import", {
+      const response = await authFetch("http://localhost:3001/api/chat/import", {
         method: "POST",
         headers: {
-          "Content-Type": "application/json",
-          "Authorization": `Bearer ${token}`
+          "Content-Type": "application/json"
         },
         body: JSON.stringify({ messages: pendingImportMessages, apiKey })
       });
@@ -316,7 +317,7 @@ const ChatList = ({ onSelectChat, activeChatToken, onNewChat, isCreating }) => {
               } else if (data.type === "complete") {
                 chatToken = data.chatToken;
               } else if (data.type === "error") {
-                throw new Error(data.message);
+                throw new Error(data.error);
               }
             } catch (e) {
               console.warn("Erro ao parsear evento SSE:", e);
@@ -513,6 +514,22 @@ const ChatList = ({ onSelectChat, activeChatToken, onNewChat, isCreating }) => {
         </div>
 
         <div className={styles.footer}>
+          <button
+            className={styles.footerBtn}
+            onClick={() => setShowKeyring(true)}
+            title="Chaves de API da conta"
+          >
+            <KeyRound size={20} />
+            {!collapsed && <span>Chaves de API</span>}
+          </button>
+          <button
+            className={styles.footerBtn}
+            onClick={() => setShowAccount(true)}
+            title="Minha conta"
+          >
+            <UserCog size={20} />
+            {!collapsed && <span>Minha Conta</span>}
+          </button>
           <button
             className={styles.footerBtn}
             onClick={handleLogout}
@@ -531,6 +548,10 @@ const ChatList = ({ onSelectChat, activeChatToken, onNewChat, isCreating }) => {
         />
       )}
 
+      {showKeyring && <KeyringModal onClose={() => setShowKeyring(false)} />}
+
+      {showAccount && <AccountModal onClose={() => setShowAccount(false)} />}
+
       {showApiKeyModal && (
         <ApiKeyModal
           onClose={() => setShowApiKeyModal(false)}
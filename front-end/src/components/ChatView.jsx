@@ -3,10 +3,11 @@ import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import ChatWindow from "./ChatWindow.jsx";
 import MemoryPanel from "./MemoryPanel.jsx";
+import CharacterPanel from "./CharacterPanel.jsx";
 import FilePreviewModal from "./FilePreviewModal.jsx";
 import log from "../services/logger.js";
 import {
-  generateChatResponse,
+  generateChatResponseStream,
   editMemory,
   deleteMessage,
   getChatHistory,
@@ -19,19 +20,24 @@ import { useToast } from "../context/ToastContext";
 import { useConfirmation } from "../context/ConfirmationContext";
 import styles from "./ChatView.module.css";
 import DiceAnimation from "./DiceAnimation.jsx";
-import { parseDiceCommand, rollDice, formatDiceResult, findAndParseDiceCommand } from "../utils/dice.js";
+import { parseDiceCommand, parseDice, findDiceRoll, DiceError } from "../utils/dice.js";
 
 const ChatView = ({ chatToken }) => {
   const [messages, setMessages] = useState([]);
   const [vectorMemory, setVectorMemory] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const navigate = useNavigate();
-  const { addToast } = useToast();
+  const { addToast, showError } = useToast();
   const { confirm } = useConfirmation();
   const [diceAnimationData, setDiceAnimationData] = useState(null);
   const [pendingDeletions, setPendingDeletions] = useState(null);
   const [isConfirmationModalOpen, setIsConfirmationModalOpen] = useState(false);
   const [previewFile, setPreviewFile] = useState(null);
+  // Última ficha alterada pelo mestre durante a geração (repassada ao painel de fichas)
+  const [characterUpdate, setCharacterUpdate] = useState(null);
+  // Último relógio do jogo vindo da geração (carimbo da narração ou set_game_clock)
+  const [clockUpdate, setClockUpdate] = useState(null);
+  const [questUpdate, setQuestUpdate] = useState(null);
 
   // Carrega histórico ao montar ou trocar de chat
   useEffect(() => {
@@ -72,7 +78,12 @@ const ChatView = ({ chatToken }) => {
       try {
         const chatDetails = await apiClient.get(`/chat/${chatToken}`);
         const config = chatDetails.data?.config;
-        if ((!config?.googleApiKeys || config.googleApiKeys.length === 0) && !config?.openrouterApiKey) {
+        // Keys efetivas do chat (próprias ou do cofre da conta)
+        const keys = chatDetails.data?.keys;
+        // Keys do Google só são obrigatórias quando os embeddings do chat usam o Gemini
+        const usesGeminiEmbeddings = !config?.embedding?.provider || config.embedding.provider === "gemini";
+        const hasGoogleKeys = !!keys?.google?.source;
+        if (usesGeminiEmbeddings && !hasGoogleKeys && !keys?.openrouter?.source) {
           addToast({
             type: "warning",
             message: "Configure a API Key nas configurações antes de enviar mensagens."
@@ -85,25 +96,16 @@ const ChatView = ({ chatToken }) => {
       }
     }
 
-    // Check for dice command
-    if (userMessage.startsWith('/r ')) {
-      const commandData = parseDiceCommand(userMessage);
-
-      if (commandData) {
-        const result = rollDice(commandData.count, commandData.type);
-        const resultString = formatDiceResult(
-          commandData.count,
-          commandData.type,
-          commandData.modifier,
-          result.total,
-          result.rolls
-        );
-
-        // Trigger Animation
-        setDiceAnimationData({ ...commandData, ...result });
-
-        // Send the RESULT string instead of the command
-        userMessage = resultString;
+    // Comando de dados: "/r <expressão>" é rolado pelo backend (resultado oficial, com a seed salva);
+    // aqui só valida a expressão para avisar antes de enviar
+    const diceExpression = parseDiceCommand(userMessage);
+    if (diceExpression) {
+      try {
+        parseDice(diceExpression);
+      } catch (err) {
+        if (!(err instanceof DiceError)) throw err;
+        addToast({ type: "warning", message: `Rolagem inválida: ${err.message}` });
+        return;
       }
     }
 
@@ -125,12 +127,76 @@ const ChatView = ({ chatToken }) => {
     const newUserMessage = { role: "user", text: displayText, messageid: tempId };
     setMessages((prev) => [...prev, newUserMessage]);
 
+    // Estado local do streaming: evita repetir animação/modal quando a resposta completa chegar
+    let diceAnimatedDuringStream = false;
+    let deletionsShownDuringStream = false;
+
+    const handleStreamEvent = (event) => {
+      switch (event.type) {
+        case "text":
+          // Acrescenta o trecho na mensagem parcial (criando-a no primeiro trecho)
+          setMessages(prev => {
+            const last = prev[prev.length - 1];
+            if (last?.isStreaming) {
+              return [...prev.slice(0, -1), { ...last, text: last.text + event.delta }];
+            }
+            return [...prev, { role: "model", text: event.delta, messageid: null, isStreaming: true }];
+          });
+          break;
+        case "text_reset":
+          // Nova chamada ao modelo: descarta o texto parcial anterior
+          setMessages(prev => prev.filter(m => !m.isStreaming));
+          break;
+        case "dice_roll":
+          setDiceAnimationData(event.roll);
+          diceAnimatedDuringStream = true;
+          if (event.message.role === "user") {
+            // Rolagem do jogador (/r): o texto rolado pelo backend substitui a mensagem otimista
+            setMessages(prev => prev.map(m => (m.messageid === tempId ? event.message : m)));
+            break;
+          }
+          setMessages(prev => [
+            ...prev.filter(m => !m.isStreaming),
+            event.message,
+            ...prev.filter(m => m.isStreaming)
+          ]);
+          break;
+        case "memory_inserted":
+          setVectorMemory(prev => [...prev, event.memory]);
+          break;
+        case "memory_edited":
+          if (event.success) {
+            setVectorMemory(prev => prev.map(m =>
+              m.messageid === event.messageid ? { ...m, text: event.text } : m
+            ));
+          }
+          break;
+        case "character_updated":
+          setCharacterUpdate(event.character);
+          break;
+        case "game_clock_updated":
+          setClockUpdate(event.clock);
+          break;
+        case "quest_updated":
+          setQuestUpdate(event.quest);
+          break;
+        case "pending_deletions":
+          setPendingDeletions(event.pendingDeletions);
+          setIsConfirmationModalOpen(true);
+          deletionsShownDuringStream = true;
+          break;
+        default:
+          break;
+      }
+    };
+
     try {
-      const response = await generateChatResponse(
+      const response = await generateChatResponseStream(
         chatToken,
         displayText,
         vectorMemory,
-        files
+        files,
+        handleStreamEvent
       );
 
       log("CHAT", "Resposta da IA processada com sucesso.");
@@ -150,45 +216,16 @@ const ChatView = ({ chatToken }) => {
       // Filtra apenas as mensagens que não estavam no estado anterior
       const newlyAddedMessages = newHistory.filter(m => !knownIds.has(m.messageid));
 
-      let animationTriggered = false;
+      let animationTriggered = diceAnimatedDuringStream;
 
       // Itera sobre as novas mensagens (de trás para frente para pegar a mais recente se houver múltiplas)
       for (let i = newlyAddedMessages.length - 1; i >= 0; i--) {
         const msg = newlyAddedMessages[i];
         if (msg.role === 'model' && !animationTriggered) {
-          // Verifica se é formato de dado: "1d20 = 20 { 20 }"
-          const diceRegex = /^(\d+)d([Ff]|\d+)([\+\-]\d+)? = (-?\d+) \{ (.*?) \}$/;
-          const match = msg.text.match(diceRegex);
-
-          if (match) {
-            // Parse para animation data
-            const count = parseInt(match[1], 10);
-            const type = match[2].toUpperCase();
-            const modifier = match[3] ? parseInt(match[3], 10) : 0;
-            const total = parseInt(match[4], 10);
-
-            const rollsStr = match[5];
-            const rollsValues = rollsStr.split(',').map(s => s.trim());
-
-            // Recriar estrutura de rolls para animação
-            const rolls = rollsValues.map(v => {
-              let val;
-              if (v === '+' || v === '-' || v === ' ') {
-                val = 0; // Valor numérico fictício para Fudge
-              } else {
-                val = parseInt(v, 10);
-              }
-              return { value: val, display: v };
-            });
-
-            setDiceAnimationData({
-              count,
-              type,
-              modifier,
-              total,
-              rolls
-            });
-
+          // Verifica se é o texto de uma rolagem: "1d20+5 = 25 { 20 }"
+          const roll = findDiceRoll(msg);
+          if (roll) {
+            setDiceAnimationData(roll);
             animationTriggered = true;
           }
         }
@@ -198,8 +235,8 @@ const ChatView = ({ chatToken }) => {
         const existingIds = new Set(prev.map(m => m.messageid));
         const uniqueNewMessages = newHistory.filter(m => !existingIds.has(m.messageid));
 
-        // Remove mensagem otimista e adiciona novas
-        const updatedPrev = prev.filter(m => m.messageid !== tempId);
+        // Remove mensagem otimista e a parcial do streaming, e adiciona novas
+        const updatedPrev = prev.filter(m => m.messageid !== tempId && !m.isStreaming);
 
         return [...updatedPrev, ...uniqueNewMessages];
       });
@@ -208,35 +245,16 @@ const ChatView = ({ chatToken }) => {
       setVectorMemory(response.newVectorMemory || []);
 
       // Check for pending deletions
-      if (response.pendingDeletions && response.pendingDeletions.length > 0) {
+      if (!deletionsShownDuringStream && response.pendingDeletions && response.pendingDeletions.length > 0) {
         setPendingDeletions(response.pendingDeletions);
         setIsConfirmationModalOpen(true);
       }
     } catch (err) {
-      // Tenta extrair mensagem de erro estruturada do backend
-      let errorMessage = "Falha ao obter resposta da IA.";
-      let errorType = "error";
-
-      if (err.response?.data) {
-        const data = err.response.data;
-        errorMessage = data.error || errorMessage;
-
-        // Ajusta tipo de toast baseado no erro
-        if (data.errorType === "moderation") {
-          errorType = "warning";
-          errorMessage = `⚠️ ${errorMessage}`;
-        } else if (data.errorType === "rate_limit") {
-          errorType = "warning";
-        } else if (data.errorType === "privacy_policy") {
-          errorType = "info";
-        }
+      // 429 já foi avisado pelo RateLimitNotifier (com o tempo de espera)
+      if (err.response?.status !== 429) {
+        showError(err, "Falha ao obter resposta da IA.");
       }
-
-      addToast({
-        type: errorType,
-        message: errorMessage,
-      });
-      setMessages(prev => prev.filter(m => m.messageid !== tempId));
+      setMessages(prev => prev.filter(m => m.messageid !== tempId && !m.isStreaming));
     } finally {
       setIsLoading(false);
     }
@@ -344,6 +362,12 @@ const ChatView = ({ chatToken }) => {
     }
   };
 
+  // Teste de perícia feito pelo painel de fichas: já está salvo no histórico, só exibe e anima
+  const handleSkillCheck = ({ message, roll }) => {
+    setMessages(prev => [...prev, message]);
+    setDiceAnimationData(roll);
+  };
+
   return (
     <div className={styles.chatViewContainer}>
       <ChatWindow
@@ -357,8 +381,10 @@ const ChatView = ({ chatToken }) => {
         onMassDelete={handleMassDelete}
         onBranch={handleBranch}
         chatToken={chatToken}
+        clockUpdate={clockUpdate}
       />
-      <MemoryPanel chatToken={chatToken} vectorMemory={vectorMemory} />
+      <CharacterPanel chatToken={chatToken} characterUpdate={characterUpdate} onSkillCheck={handleSkillCheck} />
+      <MemoryPanel chatToken={chatToken} vectorMemory={vectorMemory} questUpdate={questUpdate} />
 
       {previewFile && (
         <FilePreviewModal
@@ -4,6 +4,7 @@ import Message from "./Message.jsx";
 import LoadingIndicator from "./LoadingIndicator.jsx";
 import FileCard from "./FileCard.jsx";
 import PDFOptionsModal from "./PDFOptionsModal.jsx";
+import GameClock from "./GameClock.jsx";
 import { Send, Paperclip, Trash2, X, CheckSquare, Dice6 } from "lucide-react";
 import styles from "./ChatWindow.module.css";
 import { Virtuoso } from "react-virtuoso";
@@ -19,7 +20,8 @@ const ChatWindow = ({
     onPreviewFile,
     onMassDelete,
     onBranch,
-    chatToken
+    chatToken,
+    clockUpdate
 }) => {
     const [inputText, setInputText] = useState("");
     const [selectedFiles, setSelectedFiles] = useState([]);
@@ -40,6 +42,10 @@ const ChatWindow = ({
     });
     const [showDiceHistory, setShowDiceHistory] = useState(false);
 
+    // Durante o streaming o texto já aparece na própria mensagem, então o indicador some
+    const lastMessage = messages[messages.length - 1];
+    const isStreamingText = Boolean(lastMessage?.isStreaming && lastMessage.text);
+
     // Auto-save draft to localStorage
     useEffect(() => {
         if (chatToken) {
@@ -296,6 +302,9 @@ const ChatWindow = ({
                 </div>
             )}
 
+            {/* Relógio e local do jogo */}
+            {!isSelectionMode && <GameClock chatToken={chatToken} clockUpdate={clockUpdate} />}
+
             {!isSelectionMode && messages.length > 0 && (
                 <button
                     className={styles.enterSelectionModeBtn}
@@ -343,7 +352,7 @@ const ChatWindow = ({
                             Header: () => <div style={{ height: "40px" }} />,
                             Footer: () => (
                                 <div style={{ paddingBottom: "120px", paddingLeft: "40px", paddingRight: "40px" }}>
-                                    {isLoading && (
+                                    {isLoading && !isStreamingText && (
                                         <div className={styles.loadingContainer}>
                                             <div className={styles.typingIndicator}>
                                                 <div className={styles.magicOrb}>
@@ -1,8 +1,18 @@
 // src/components/ConfigModal/ConfigModal.jsx
 import React, { useState, useEffect, useCallback } from "react";
-import { X, Save, ExternalLink, Check, AlertCircle, Zap, Search, Key, Settings, Cpu, Wrench } from "lucide-react";
-import { apiClient, updateChatConfig } from "../services/api";
+import { X, Save, ExternalLink, Check, AlertCircle, Zap, Search, Key, Settings, Cpu, Wrench, Server, RefreshCw, Database } from "lucide-react";
+import {
+  apiClient,
+  updateChatConfig,
+  listVllmModels,
+  getEmbeddingMigration,
+  startEmbeddingMigration,
+  cancelEmbeddingMigration,
+  getCredentials,
+} from "../services/api";
 import { useToast } from "../context/ToastContext";
+import CredentialSelect from "./CredentialSelect.jsx";
+import { RULESETS, RULESET_IDS } from "../utils/dice.js";
 import styles from "./ConfigModal.module.css";
 
 // Modelos populares do OpenRouter
@@ -31,6 +41,30 @@ const CEREBRAS_MODELS = [
   { id: "zai-glm-4.7", name: "Z.ai GLM 4.7 - Reasoning (~1000 t/s)" },
 ];
 
+// Padrões da memória associativa (espelham config.hebbianDefaults do backend)
+const HEBBIAN_DEFAULTS = {
+  enabled: true,
+  learningRate: 0.1,
+  decayRate: 0.01,
+  maxBoost: 0.3,
+  decayInterval: 10,
+};
+
+// Modelos padrão por provider de embedding (espelham config.embeddingDefaults do backend)
+const EMBEDDING_DEFAULT_MODELS = {
+  gemini: "gemini-embedding-001",
+  openai: "",
+  local: "Xenova/paraphrase-multilingual-MiniLM-L12-v2",
+};
+
+const EMBEDDING_DEFAULTS = {
+  provider: "gemini",
+  model: EMBEDDING_DEFAULT_MODELS.gemini,
+  dimension: 3072,
+  baseUrl: "",
+  apiKey: "",
+};
+
 // Gera code_verifier e code_challenge para OAuth PKCE
 async function generatePKCE() {
   const array = new Uint8Array(32);
@@ -62,9 +96,18 @@ const ConfigModal = ({ chatToken, onClose }) => {
     googleApiKeys: [],
     googleModelName: "gemini-2.5-flash",
     rateLimits: { rpm: 5, tpm: 250000, rpd: 20 },
+    hebbian: HEBBIAN_DEFAULTS,
+    ruleset: "d20", // Sistema dos testes de perícia
     // Cerebras Provider fields
     cerebrasApiKey: "",
     cerebrasModelName: "llama-3.3-70b",
+    // Local/OpenAI-compatible Provider fields
+    vllmBaseUrl: "",
+    vllmModelName: "",
+    vllmApiKey: "",
+    vllmContextWindow: null,
+    embedding: EMBEDDING_DEFAULTS,
+    credentials: {}, // Credenciais do cofre escolhidas para o chat ({ provider: id | id[] })
   });
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -74,7 +117,16 @@ const ConfigModal = ({ chatToken, onClose }) => {
   const [filteredModels, setFilteredModels] = useState([]);
   const [showModelDropdown, setShowModelDropdown] = useState(false);
   const [googleApiKeysText, setGoogleApiKeysText] = useState(""); // For textarea
-  const { addToast } = useToast();
+  const [vllmModels, setVllmModels] = useState([]);
+  const [isLoadingVllmModels, setIsLoadingVllmModels] = useState(false);
+  const [showVllmDropdown, setShowVllmDropdown] = useState(false);
+  const [migration, setMigration] = useState(null); // Migração de embeddings pendente no servidor
+  const [migrationPrompt, setMigrationPrompt] = useState(null); // Mensagem do 409 ao trocar de modelo
+  const [migrationProgress, setMigrationProgress] = useState(null);
+  const [isMigrating, setIsMigrating] = useState(false);
+  const [credentials, setCredentials] = useState([]); // Cofre de credenciais do usuário (mascaradas)
+  const [keyInfo, setKeyInfo] = useState({}); // Keys efetivas do chat por provider: { source, fingerprints }
+  const { addToast, showError } = useToast();
 
   // Carrega todos os modelos do OpenRouter
   useEffect(() => {
@@ -182,10 +234,27 @@ const ConfigModal = ({ chatToken, onClose }) => {
           googleApiKeys: googleKeys,
           googleModelName: currentConfig.googleModelName || "gemini-2.5-flash",
           rateLimits: currentConfig.rateLimits || { rpm: 5, tpm: 250000, rpd: 20 },
+          hebbian: { ...HEBBIAN_DEFAULTS, ...(currentConfig.hebbian || {}) },
+          ruleset: currentConfig.ruleset || "d20",
           // Cerebras Provider fields
           cerebrasApiKey: currentConfig.cerebrasApiKey || "",
           cerebrasModelName: currentConfig.cerebrasModelName || "llama-3.3-70b",
+          // Local/OpenAI-compatible Provider fields
+          vllmBaseUrl: currentConfig.vllmBaseUrl || "",
+          vllmModelName: currentConfig.vllmModelName || "",
+          vllmApiKey: currentConfig.vllmApiKey || "",
+          vllmContextWindow: currentConfig.vllmContextWindow || null,
+          // Embeddings (chats antigos não têm config.embedding: Gemini)
+          embedding: { ...EMBEDDING_DEFAULTS, ...(currentConfig.embedding || {}) },
+          credentials: currentConfig.credentials || {},
         });
+        setMigration(response.data.embeddingMigration || null);
+        setKeyInfo(response.data.keys || {});
+
+        // O cofre é opcional: sem ele o chat usa só as próprias keys
+        getCredentials()
+          .then((data) => setCredentials(data.credentials))
+          .catch(() => setCredentials([]));
       } catch (error) {
         addToast({ type: "error", message: "Erro ao carregar configurações." });
         onClose();
@@ -238,6 +307,64 @@ const ConfigModal = ({ chatToken, onClose }) => {
     setConfig({ ...config, googleApiKeys: keys });
   };
 
+  // Busca os modelos do servidor local via /v1/models
+  const handleLoadVllmModels = async () => {
+    if (!config.vllmBaseUrl.trim()) {
+      addToast({ type: "warning", message: "Informe a Base URL do servidor antes de carregar os modelos." });
+      return;
+    }
+
+    setIsLoadingVllmModels(true);
+    try {
+      const models = await listVllmModels(config.vllmBaseUrl.trim(), config.vllmApiKey, chatToken);
+      setVllmModels(models);
+      if (models.length === 0) {
+        addToast({ type: "info", message: "Nenhum modelo encontrado no servidor." });
+        return;
+      }
+      // Seleciona o primeiro modelo se nenhum estiver definido
+      if (!config.vllmModelName) {
+        setConfig((prev) => ({
+          ...prev,
+          vllmModelName: models[0].id,
+          vllmContextWindow: models[0].context || null,
+        }));
+      }
+      setShowVllmDropdown(true);
+    } catch (error) {
+      showError(error, "Erro ao carregar modelos do servidor.");
+    } finally {
+      setIsLoadingVllmModels(false);
+    }
+  };
+
+  // Trocar provider/modelo invalida a dimensão: o backend detecta a nova ao salvar
+  const updateEmbedding = (changes) => {
+    setConfig((prev) => {
+      const embedding = { ...prev.embedding, ...changes };
+      if ("provider" in changes && changes.provider !== prev.embedding.provider) {
+        embedding.model = EMBEDDING_DEFAULT_MODELS[changes.provider];
+      }
+      if (embedding.provider !== prev.embedding.provider || embedding.model !== prev.embedding.model) {
+        embedding.dimension = null;
+      }
+      return { ...prev, embedding };
+    });
+  };
+
+  const updateHebbian = (field, value) => {
+    const parsed = parseFloat(value);
+    setConfig((prev) => ({
+      ...prev,
+      hebbian: { ...prev.hebbian, [field]: Number.isNaN(parsed) ? HEBBIAN_DEFAULTS[field] : parsed }
+    }));
+  };
+
+  // Escolhe a credencial do cofre de um provider (vazio herda o padrão da conta)
+  const updateCredentialChoice = (provider, value) => {
+    setConfig((prev) => ({ ...prev, credentials: { ...prev.credentials, [provider]: value } }));
+  };
+
   const handleSave = async () => {
     setSaving(true);
     try {
@@ -245,12 +372,56 @@ const ConfigModal = ({ chatToken, onClose }) => {
       addToast({ type: "success", message: "Configurações salvas com sucesso." });
       onClose();
     } catch (error) {
-      addToast({ type: "error", message: "Erro ao salvar configurações." });
+      // 409: troca de modelo de embedding em chat que já tem memórias
+      if (error.response?.data?.code === "EMBEDDING_MIGRATION_REQUIRED") {
+        setMigrationPrompt(error.response.data.error);
+        addToast({ type: "warning", message: "Este chat já tem memórias: migre-as para o novo modelo." });
+      } else {
+        showError(error, "Erro ao salvar configurações.");
+      }
     } finally {
       setSaving(false);
     }
   };
 
+  // Inicia a migração para o modelo escolhido, ou retoma a pendente (embedding = null)
+  const handleMigrateEmbeddings = async (embedding) => {
+    setIsMigrating(true);
+    setMigrationProgress(null);
+    try {
+      const stats = await startEmbeddingMigration(chatToken, embedding, (current, total) => {
+        setMigrationProgress({ current, total });
+      });
+      setMigration(null);
+      setMigrationPrompt(null);
+      setConfig((prev) => ({
+        ...prev,
+        embedding: { ...prev.embedding, dimension: stats.dimension },
+      }));
+      addToast({
+        type: "success",
+        message: `${stats.total} memória(s) migrada(s) para ${stats.model} (${stats.dimension}D).`
+      });
+    } catch (error) {
+      addToast({ type: "error", message: "Erro na migração: " + (error.response?.data?.error || error.message) });
+      // Progresso fica salvo no servidor: mostra a opção de retomar
+      setMigrationPrompt(null);
+      setMigration(await getEmbeddingMigration(chatToken).catch(() => null));
+    } finally {
+      setIsMigrating(false);
+    }
+  };
+
+  const handleCancelMigration = async () => {
+    try {
+      await cancelEmbeddingMigration(chatToken);
+      setMigration(null);
+      addToast({ type: "info", message: "Migração cancelada. O chat continua no modelo anterior." });
+    } catch (error) {
+      showError(error, "Erro ao cancelar migração.");
+    }
+  };
+
   const handleRepairMemories = async () => {
     setIsRepairing(true);
     try {
@@ -283,12 +454,24 @@ const ConfigModal = ({ chatToken, onClose }) => {
 
   if (loading) return null;
 
-  const isOpenRouterConnected = !!config.openrouterApiKey;
-  const isGoogleConfigured = config.googleApiKeys && config.googleApiKeys.length > 0;
-  const isCerebrasConfigured = !!config.cerebrasApiKey;
+  // Key do cofre: escolhida para o chat ou herdada do padrão da conta
+  const hasVaultKey = (provider) =>
+    config.credentials?.[provider]?.length > 0 || keyInfo[provider]?.source === "default";
+  const isOpenRouterConnected = !!config.openrouterApiKey || hasVaultKey("openrouter");
+  const isGoogleConfigured = (config.googleApiKeys && config.googleApiKeys.length > 0) || hasVaultKey("google");
+  const isCerebrasConfigured = !!config.cerebrasApiKey || hasVaultKey("cerebras");
+  const isVllmConfigured = !!config.vllmBaseUrl;
   const isGoogleProvider = config.provider === "google";
   const isCerebrasProvider = config.provider === "cerebras";
   const isOpenRouterProvider = config.provider === "openrouter";
+  const isVllmProvider = config.provider === "vllm";
+  const embeddingProvider = config.embedding.provider;
+  const isEmbeddingConfigured = embeddingProvider === "gemini"
+    ? isGoogleConfigured
+    : !!config.embedding.model && (embeddingProvider !== "openai" || !!config.embedding.baseUrl);
+  const filteredVllmModels = vllmModels.filter((m) =>
+    m.id.toLowerCase().includes(config.vllmModelName.toLowerCase())
+  );
 
   return (
     <div className={styles.overlay} onClick={handleBackdropClick}>
@@ -332,6 +515,14 @@ const ConfigModal = ({ chatToken, onClose }) => {
                 <Zap size={14} />
                 Cerebras
               </button>
+              <button
+                type="button"
+                className={`${styles.toggleBtn} ${isVllmProvider ? styles.toggleActive : ''}`}
+                onClick={() => setConfig({ ...config, provider: "vllm" })}
+              >
+                <Server size={14} />
+                Local
+              </button>
             </div>
           </div>
 
@@ -396,6 +587,14 @@ const ConfigModal = ({ chatToken, onClose }) => {
                   </span>
                 </div>
 
+                <CredentialSelect
+                  provider="openrouter"
+                  credentials={credentials}
+                  value={config.credentials.openrouter}
+                  keyInfo={keyInfo.openrouter}
+                  onChange={(value) => updateCredentialChoice("openrouter", value)}
+                />
+
                 {/* Botão de Conexão */}
                 <button
                   type="button"
@@ -422,7 +621,7 @@ const ConfigModal = ({ chatToken, onClose }) => {
                   {isGoogleConfigured ? (
                     <>
                       <Check size={14} />
-                      <span>{config.googleApiKeys.length} key(s)</span>
+                      <span>{config.googleApiKeys.length > 0 ? `${config.googleApiKeys.length} key(s)` : "Cofre"}</span>
                     </>
                   ) : (
                     <>
@@ -537,6 +736,14 @@ const ConfigModal = ({ chatToken, onClose }) => {
                   </span>
                 </div>
 
+                <CredentialSelect
+                  provider="cerebras"
+                  credentials={credentials}
+                  value={config.credentials.cerebras}
+                  keyInfo={keyInfo.cerebras}
+                  onChange={(value) => updateCredentialChoice("cerebras", value)}
+                />
+
                 {/* API Key Cerebras */}
                 <div className={styles.modelSection}>
                   <label>
@@ -560,29 +767,338 @@ const ConfigModal = ({ chatToken, onClose }) => {
             </div>
           )}
 
-          {/* Google API Keys for Embeddings - Always Visible */}
+          {/* Local/OpenAI-compatible Provider Section */}
+          {isVllmProvider && (
+            <div className={styles.openrouterCard}>
+              <div className={styles.cardHeader}>
+                <div className={styles.cardTitle}>
+                  <Server size={20} className={styles.openrouterIcon} />
+                  <span>Local / OpenAI-compatible</span>
+                </div>
+                <div className={`${styles.connectionBadge} ${isVllmConfigured ? styles.badgeConnected : styles.badgeDisconnected}`}>
+                  {isVllmConfigured ? (
+                    <>
+                      <Check size={14} />
+                      <span>Configurado</span>
+                    </>
+                  ) : (
+                    <>
+                      <AlertCircle size={14} />
+                      <span>Sem Base URL</span>
+                    </>
+                  )}
+                </div>
+              </div>
+
+              <div className={styles.cardContent}>
+                {/* Base URL */}
+                <div className={styles.modelSection}>
+                  <label>
+                    <Server size={14} />
+                    Base URL
+                  </label>
+                  <input
+                    type="text"
+                    value={config.vllmBaseUrl}
+                    onChange={(e) => setConfig({ ...config, vllmBaseUrl: e.target.value })}
+                    placeholder="http://localhost:8000"
+                    className={styles.modelInput}
+                  />
+                  <span className={styles.hint}>
+                    vLLM, llama.cpp server, Ollama (:11434) ou LM Studio (:1234)
+                  </span>
+                </div>
+
+                {/* Modelo */}
+                <div className={styles.modelSection}>
+                  <label>
+                    <Search size={14} />
+                    Modelo
+                  </label>
+                  <div className={styles.modelSearchContainer}>
+                    <input
+                      type="text"
+                      value={config.vllmModelName}
+                      onChange={(e) => {
+                        // Janela de contexto só é conhecida para modelos listados pelo servidor
+                        const known = vllmModels.find((m) => m.id === e.target.value);
+                        setConfig({
+                          ...config,
+                          vllmModelName: e.target.value,
+                          vllmContextWindow: known?.context || null,
+                        });
+                        setShowVllmDropdown(true);
+                      }}
+                      onFocus={() => setShowVllmDropdown(true)}
+                      onBlur={() => setTimeout(() => setShowVllmDropdown(false), 200)}
+                      placeholder="Nome do modelo servido"
+                      autoComplete="off"
+                      className={styles.modelInput}
+                    />
+                    {showVllmDropdown && filteredVllmModels.length > 0 && (
+                      <div className={styles.modelDropdown}>
+                        {filteredVllmModels.map((model) => (
+                          <div
+                            key={model.id}
+                            className={styles.modelOption}
+                            onMouseDown={() => {
+                              setConfig({
+                                ...config,
+                                vllmModelName: model.id,
+                                vllmContextWindow: model.context || null,
+                              });
+                              setShowVllmDropdown(false);
+                            }}
+                          >
+                            <span className={styles.modelId}>{model.id}</span>
+                            {model.context && (
+                              <span className={styles.modelName}>{model.context} tokens</span>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                  <span className={styles.modelCount}>
+                    {vllmModels.length} modelos carregados
+                  </span>
+                </div>
+
+                <CredentialSelect
+                  provider="vllm"
+                  credentials={credentials}
+                  value={config.credentials.vllm}
+                  keyInfo={keyInfo.vllm}
+                  onChange={(value) => updateCredentialChoice("vllm", value)}
+                />
+
+                {/* API Key (opcional) */}
+                <div className={styles.modelSection}>
+                  <label>
+                    <Key size={14} />
+                    API Key (opcional)
+                  </label>
+                  <input
+                    type="password"
+                    value={config.vllmApiKey}
+                    onChange={(e) => setConfig({ ...config, vllmApiKey: e.target.value })}
+                    placeholder="Deixe vazio se o servidor não exigir"
+                    className={styles.modelInput}
+                  />
+                </div>
+
+                <button
+                  type="button"
+                  className={`${styles.openrouterBtn} ${styles.reconnect}`}
+                  onClick={handleLoadVllmModels}
+                  disabled={isLoadingVllmModels}
+                >
+                  <RefreshCw size={16} />
+                  {isLoadingVllmModels ? "Carregando..." : "Carregar Modelos (/v1/models)"}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Embeddings Provider - Always Visible */}
+          <div className={styles.openrouterCard}>
+            <div className={styles.cardHeader}>
+              <div className={styles.cardTitle}>
+                <Database size={20} className={styles.openrouterIcon} />
+                <span>Embeddings (RAG)</span>
+              </div>
+              <div className={`${styles.connectionBadge} ${isEmbeddingConfigured ? styles.badgeConnected : styles.badgeDisconnected}`}>
+                {isEmbeddingConfigured ? (
+                  <>
+                    <Check size={14} />
+                    <span>{config.embedding.dimension ? `${config.embedding.dimension}D` : "Configurado"}</span>
+                  </>
+                ) : (
+                  <>
+                    <AlertCircle size={14} />
+                    <span>Incompleto</span>
+                  </>
+                )}
+              </div>
+            </div>
+
+            <div className={styles.cardContent}>
+              <div className={styles.toggleButtons}>
+                <button
+                  type="button"
+                  className={`${styles.toggleBtn} ${embeddingProvider === "gemini" ? styles.toggleActive : ''}`}
+                  onClick={() => updateEmbedding({ provider: "gemini" })}
+                >
+                  <Cpu size={14} />
+                  Gemini
+                </button>
+                <button
+                  type="button"
+                  className={`${styles.toggleBtn} ${embeddingProvider === "openai" ? styles.toggleActive : ''}`}
+                  onClick={() => updateEmbedding({ provider: "openai" })}
+                >
+                  <Server size={14} />
+                  OpenAI-compatible
+                </button>
+                <button
+                  type="button"
+                  className={`${styles.toggleBtn} ${embeddingProvider === "local" ? styles.toggleActive : ''}`}
+                  onClick={() => updateEmbedding({ provider: "local" })}
+                >
+                  <Database size={14} />
+                  Local
+                </button>
+              </div>
+
+              {embeddingProvider === "openai" && (
+                <div className={styles.modelSection}>
+                  <label>
+                    <Server size={14} />
+                    Base URL
+                  </label>
+                  <input
+                    type="text"
+                    value={config.embedding.baseUrl}
+                    onChange={(e) => updateEmbedding({ baseUrl: e.target.value })}
+                    placeholder="https://api.openai.com ou http://localhost:11434"
+                    className={styles.modelInput}
+                  />
+                </div>
+              )}
+
+              <div className={styles.modelSection}>
+                <label>
+                  <Search size={14} />
+                  Modelo de Embedding
+                </label>
+                <input
+                  type="text"
+                  value={config.embedding.model}
+                  onChange={(e) => updateEmbedding({ model: e.target.value })}
+                  placeholder={embeddingProvider === "openai" ? "text-embedding-3-small, nomic-embed-text..." : ""}
+                  className={styles.modelInput}
+                />
+                <span className={styles.hint}>
+                  {embeddingProvider === "local"
+                    ? "Roda no servidor (modelo ONNX do Hugging Face), sem API Key. Baixado no primeiro uso."
+                    : `Dimensão: ${config.embedding.dimension || "detectada ao salvar"}. Trocar o modelo só é possível em chats sem memórias.`}
+                </span>
+              </div>
+
+              {embeddingProvider === "openai" && (
+                <CredentialSelect
+                  provider="embedding"
+                  credentials={credentials}
+                  value={config.credentials.embedding}
+                  keyInfo={keyInfo.embedding}
+                  onChange={(value) => updateCredentialChoice("embedding", value)}
+                />
+              )}
+
+              {embeddingProvider === "openai" && (
+                <div className={styles.modelSection}>
+                  <label>
+                    <Key size={14} />
+                    API Key (opcional)
+                  </label>
+                  <input
+                    type="password"
+                    value={config.embedding.apiKey}
+                    onChange={(e) => updateEmbedding({ apiKey: e.target.value })}
+                    placeholder="Deixe vazio se o servidor não exigir"
+                    className={styles.modelInput}
+                  />
+                </div>
+              )}
+
+              {/* Migração de embeddings (chat com memórias trocando de modelo) */}
+              {isMigrating && (
+                <div className={styles.migrationBox}>
+                  <span>
+                    Migrando memórias{migrationProgress ? ` (${migrationProgress.current}/${migrationProgress.total})` : "..."}
+                  </span>
+                  <progress
+                    className={styles.migrationProgress}
+                    value={migrationProgress?.current || 0}
+                    max={migrationProgress?.total || 1}
+                  />
+                  <span className={styles.hint}>O chat fica bloqueado para novas mensagens até a troca terminar.</span>
+                </div>
+              )}
+
+              {!isMigrating && migration && (
+                <div className={styles.migrationBox}>
+                  <span>
+                    Migração pendente para <strong>{migration.target.model}</strong> ({migration.target.dimension}D)
+                    {migration.status === "failed" ? " interrompida" : ""}.
+                  </span>
+                  {migration.error && <span className={styles.hint}>{migration.error}</span>}
+                  <div className={styles.migrationActions}>
+                    <button
+                      type="button"
+                      className={`${styles.openrouterBtn} ${styles.reconnect}`}
+                      onClick={() => handleMigrateEmbeddings(null)}
+                    >
+                      <RefreshCw size={16} />
+                      Retomar
+                    </button>
+                    {migration.status !== "swapping" && (
+                      <button type="button" className={styles.cancelBtn} onClick={handleCancelMigration}>
+                        Cancelar migração
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {!isMigrating && !migration && migrationPrompt && (
+                <div className={styles.migrationBox}>
+                  <span>{migrationPrompt}</span>
+                  <button
+                    type="button"
+                    className={`${styles.openrouterBtn} ${styles.reconnect}`}
+                    onClick={() => handleMigrateEmbeddings(config.embedding)}
+                  >
+                    <Database size={16} />
+                    Migrar memórias para {config.embedding.model}
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Google API Keys - Always Visible */}
           <div className={styles.openrouterCard}>
             <div className={styles.cardHeader}>
               <div className={styles.cardTitle}>
                 <Key size={20} className={styles.openrouterIcon} />
-                <span>Google API Keys (Embeddings)</span>
+                <span>Google API Keys</span>
               </div>
               <div className={`${styles.connectionBadge} ${isGoogleConfigured ? styles.badgeConnected : styles.badgeDisconnected}`}>
                 {isGoogleConfigured ? (
                   <>
                     <Check size={14} />
-                    <span>{config.googleApiKeys.length} key(s)</span>
+                    <span>{config.googleApiKeys.length > 0 ? `${config.googleApiKeys.length} key(s)` : "Cofre"}</span>
                   </>
                 ) : (
                   <>
                     <AlertCircle size={14} />
-                    <span>Obrigatório</span>
+                    <span>{embeddingProvider === "gemini" ? "Obrigatório" : "Opcional"}</span>
                   </>
                 )}
               </div>
             </div>
 
             <div className={styles.cardContent}>
+              <CredentialSelect
+                provider="google"
+                multiple
+                credentials={credentials}
+                value={config.credentials.google}
+                keyInfo={keyInfo.google}
+                onChange={(value) => updateCredentialChoice("google", value)}
+              />
+
               <div className={styles.modelSection}>
                 <label>
                   <Key size={14} />
@@ -601,7 +1117,7 @@ const ConfigModal = ({ chatToken, onClose }) => {
                   className={styles.apiKeysTextarea}
                 />
                 <span className={styles.hint}>
-                  🔑 Usadas para embeddings/RAG (independente do provedor LLM). Keys rotacionam automaticamente.
+                  🔑 Usadas para embeddings Gemini, busca e descrição de anexos (independente do provedor LLM). Keys rotacionam automaticamente. Keys salvas aparecem mascaradas; apague a linha para remover. Keys informadas aqui têm prioridade sobre o padrão da conta.
                 </span>
               </div>
             </div>
@@ -625,6 +1141,70 @@ const ConfigModal = ({ chatToken, onClose }) => {
             </div>
           </div>
 
+          <div className={styles.field}>
+            <label>Sistema de regras</label>
+            <select
+              value={config.ruleset}
+              onChange={(e) => setConfig({ ...config, ruleset: e.target.value })}
+              className={styles.modelInput}
+            >
+              {RULESET_IDS.map((id) => (
+                <option key={id} value={id}>
+                  {RULESETS[id].label}
+                </option>
+              ))}
+            </select>
+            <span className={styles.hint}>
+              🎲 Usado nos testes de perícia (tool skill_check e botão de teste das fichas): d20 contra CD, 2d6 do PbtA ou 4dF do Fate.
+            </span>
+          </div>
+
+          {/* Memória Associativa (Hebbiana) */}
+          <div className={styles.rateLimitsSection}>
+            <label>
+              <Settings size={14} />
+              Memória Associativa (Hebbiana)
+            </label>
+            <div className={styles.rateLimitsGrid}>
+              <div className={styles.rateLimitInput}>
+                <span>Aprendizado</span>
+                <input
+                  type="number"
+                  value={config.hebbian.learningRate}
+                  onChange={(e) => updateHebbian("learningRate", e.target.value)}
+                  min="0"
+                  max="1"
+                  step="0.01"
+                />
+              </div>
+              <div className={styles.rateLimitInput}>
+                <span>Decay</span>
+                <input
+                  type="number"
+                  value={config.hebbian.decayRate}
+                  onChange={(e) => updateHebbian("decayRate", e.target.value)}
+                  min="0"
+                  max="1"
+                  step="0.005"
+                />
+              </div>
+              <div className={styles.rateLimitInput}>
+                <span>Boost Máx.</span>
+                <input
+                  type="number"
+                  value={config.hebbian.maxBoost}
+                  onChange={(e) => updateHebbian("maxBoost", e.target.value)}
+                  min="0"
+                  max="1"
+                  step="0.05"
+                />
+              </div>
+            </div>
+            <span className={styles.hint}>
+              Memórias recuperadas juntas criam associações que puxam umas às outras. Decay aplicado a cada {config.hebbian.decayInterval} mensagens.
+            </span>
+          </div>
+
           <div className={styles.field}>
             <label>Instruções do Sistema (System Prompt)</label>
             <textarea
@@ -0,0 +1,52 @@
+// src/components/CredentialSelect.jsx
+import React from "react";
+import { Shield } from "lucide-react";
+import styles from "./ConfigModal.module.css";
+
+const SOURCE_LABELS = {
+  credential: "credencial escolhida",
+  chat: "key salva neste chat",
+  default: "padrão da conta",
+};
+
+// Escolhe qual credencial do cofre o chat usa para um provider ("" herda o padrão da conta)
+const CredentialSelect = ({ provider, credentials, value, keyInfo, onChange, multiple = false }) => {
+  const options = credentials.filter((c) => c.provider === provider);
+  const selected = (Array.isArray(value) ? value[0] : value) || "";
+
+  const handleChange = (id) => {
+    if (multiple) {
+      onChange(id ? [id] : []);
+    } else {
+      onChange(id || null);
+    }
+  };
+
+  return (
+    <div className={styles.modelSection}>
+      <label>
+        <Shield size={14} />
+        Credencial da conta
+      </label>
+      <select
+        value={selected}
+        onChange={(e) => handleChange(e.target.value)}
+        className={styles.modelInput}
+      >
+        <option value="">Padrão da conta</option>
+        {options.map((credential) => (
+          <option key={credential.id} value={credential.id}>
+            {credential.label} ({credential.fingerprint})
+          </option>
+        ))}
+      </select>
+      <span className={styles.hint}>
+        {keyInfo?.source
+          ? `Em uso: ${keyInfo.fingerprints.join(", ")} (${SOURCE_LABELS[keyInfo.source]})`
+          : "Nenhuma key disponível: cadastre uma em Chaves de API ou informe abaixo."}
+      </span>
+    </div>
+  );
+};
+
+export default CredentialSelect;
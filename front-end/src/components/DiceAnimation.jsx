@@ -96,7 +96,7 @@ const DiceAnimation = ({ rollData, onComplete }) => {
 
                 {showTotal && (
                     <div className={styles.totalResult}>
-                        {rollData.total + (rollData.modifier || 0)}
+                        {rollData.total}
                     </div>
                 )}
             </div>
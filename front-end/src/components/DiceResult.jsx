@@ -1,13 +1,15 @@
 import React from 'react';
 import styles from './DiceResult.module.css';
-
-// Get die type from expression (e.g., "1d20" -> 20, "2d6" -> 6)
-const getDieType = (expression) => {
-    const match = expression.match(/d(\d+|F)/i);
-    if (match) {
-        return match[1].toUpperCase() === 'F' ? 'F' : parseInt(match[1], 10);
-    }
-    return 6; // Default to d6
+import { RULESETS } from '../utils/dice.js';
+
+// Skill check outcome (see shared/checks.js) to badge color
+const OUTCOME_CLASSES = {
+    critical_success: styles.outcomeCritSuccess,
+    success: styles.outcomeSuccess,
+    partial: styles.outcomePartial,
+    tie: styles.outcomePartial,
+    failure: styles.outcomeFailure,
+    critical_failure: styles.outcomeCritFailure,
 };
 
 // Map die type to CSS class
@@ -25,84 +27,113 @@ const getDieShapeClass = (dieType) => {
     }
 };
 
-// Calculate min/max possible values for coloring total
-const getRollBounds = (expression) => {
-    // Basic support: 1d20, 2d6, 1d20+5, 2d6-1
-    // Matches: count, sides, modifier
-    const match = expression.match(/(\d+)?d(\d+)([\+\-]\d+)?/i);
-    if (!match) return null;
-
-    const count = parseInt(match[1] || '1', 10);
-    const sides = parseInt(match[2], 10);
-    const mod = match[3] ? parseInt(match[3], 10) : 0;
-
+// Reads the markers written by the dice engine: "(3)" didn't count, "6!" exploded, "8*" success
+const parseDie = (display) => {
+    const dropped = display.startsWith('(');
     return {
-        min: count * 1 + mod,
-        max: count * sides + mod
+        value: display.replace(/[()!*]/g, ''),
+        dropped,
+        exploded: display.includes('!'),
+        success: display.includes('*'),
     };
 };
 
-const DiceResult = ({ resultString }) => {
-    // Parse string: "1d20 = 20 { 20 }"
-    // Regex to capture: (Expression) = (Total) { (Results) }
-    const regex = /^(.*?) = (.*?) \{ (.*?) \}$/;
-    const match = resultString.match(regex);
-
-    if (!match) return <span>{resultString}</span>;
-
-    const [_, expression, totalStr, rollsStr] = match;
-    const rolls = rollsStr.split(',').map(r => r.trim());
-    const dieType = getDieType(expression);
-    const shapeClass = getDieShapeClass(dieType);
-
-    // Bounds logic for total color
-    const total = parseInt(totalStr, 10);
-    const bounds = getRollBounds(expression);
+// Every counted die on its highest (or lowest) face
+const isExtreme = (groups, face) => {
+    const counted = groups.flatMap(group =>
+        group.dice.map(parseDie).filter(die => !die.dropped).map(die => ({ ...die, sides: group.sides }))
+    );
+    if (counted.length === 0) return false;
+    return counted.every(die => {
+        if (die.sides === 'F') return die.value === (face === 'max' ? '+' : '-');
+        return Number(die.value) === (face === 'max' ? die.sides : 1);
+    });
+};
 
-    let totalClass = styles.total;
-    if (bounds) {
-        if (total === bounds.max) totalClass += ` ${styles.critSuccess}`;
-        if (total === bounds.min) totalClass += ` ${styles.critFail}`;
-    }
+const DiceGroup = ({ group }) => {
+    const shapeClass = getDieShapeClass(group.sides);
+    const isFudge = group.sides === 'F';
 
-    // Determine special states
-    const isD20 = dieType === 20;
-    const isFudge = dieType === 'F';
+    return (
+        <div className={styles.diceRow}>
+            {group.dice.map((display, idx) => {
+                const die = parseDie(display);
+                let className = `${styles.die} ${shapeClass}`;
+                let title = `d${group.sides} #${idx + 1}`;
+
+                if (die.dropped) {
+                    className += ` ${styles.dropped}`;
+                    title += ' (descartado)';
+                } else if (!isFudge) {
+                    const rollNum = Number(die.value);
+                    if (rollNum === group.sides) className += ` ${styles.critSuccess}`;
+                    if (rollNum === 1) className += ` ${styles.critFail}`;
+                }
+                if (die.exploded) {
+                    className += ` ${styles.exploded}`;
+                    title += ' (explodiu)';
+                }
+                if (die.success) {
+                    className += ` ${styles.success}`;
+                    title += ' (sucesso)';
+                }
+
+                if (isFudge) {
+                    className += ` ${styles.dieFudge}`;
+                    if (die.value === '+') className += ` ${styles.plus}`;
+                    if (die.value === '-') className += ` ${styles.minus}`;
+                    if (die.value === '') className += ` ${styles.blank}`;
+                }
+
+                return (
+                    <div key={idx} className={className} title={title}>
+                        <span className={styles.dieValue}>{die.value}</span>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
 
+// Rolls already parsed by parseRollText (one per line of the message); check comes from the record's check column
+const DiceResult = ({ rolls, check }) => {
     return (
         <div className={styles.diceResultContainer}>
-            <div className={styles.header}>
-                <span className={styles.expression}>{expression}</span>
-                <span className={totalClass}>{totalStr}</span>
-            </div>
-            <div className={styles.diceRow}>
-                {rolls.map((roll, idx) => {
-                    let className = `${styles.die} ${shapeClass}`;
-                    const rollNum = parseInt(roll, 10);
-
-                    // Check for crit success (max roll) or crit fail (min roll = 1)
-                    if (!isFudge && !isNaN(rollNum)) {
-                        if (rollNum === dieType) className += ` ${styles.critSuccess}`;
-                        if (rollNum === 1) className += ` ${styles.critFail}`;
-                    }
-
-                    if (isFudge) {
-                        className += ` ${styles.dieFudge}`;
-                        if (roll === '+') className += ` ${styles.plus}`;
-                        if (roll === '-') className += ` ${styles.minus}`;
-                        if (roll === '') className += ` ${styles.blank}`;
-                    }
-
-                    return (
-                        <div key={idx} className={className} title={`Roll ${idx + 1}`}>
-                            <span className={styles.dieValue}>{roll}</span>
+            {rolls.map((roll, idx) => {
+                let totalClass = styles.total;
+                if (isExtreme(roll.groups, 'max')) totalClass += ` ${styles.critSuccess}`;
+                if (isExtreme(roll.groups, 'min')) totalClass += ` ${styles.critFail}`;
+
+                const fudgeOnly = roll.groups.every(group => group.sides === 'F');
+                const totalDisplay = fudgeOnly && roll.total > 0 ? `+${roll.total}` : roll.total;
+
+                return (
+                    <div key={idx} className={styles.roll}>
+                        <div className={styles.header}>
+                            <span className={styles.expression}>
+                                {roll.label && <span className={styles.label}>{roll.label}</span>}
+                                {roll.notation}
+                            </span>
+                            <span className={totalClass}>{totalDisplay}</span>
                         </div>
-                    );
-                })}
-            </div>
+                        {roll.groups.map((group, groupIdx) => (
+                            <DiceGroup key={groupIdx} group={group} />
+                        ))}
+                    </div>
+                );
+            })}
+            {check && (
+                <div className={`${styles.outcome} ${OUTCOME_CLASSES[check.outcome]}`}>
+                    <span>{check.outcomeLabel}</span>
+                    {check.dc !== null && (
+                        <span className={styles.outcomeTarget}>
+                            {RULESETS[check.ruleset].dcLabel} {check.dc}
+                        </span>
+                    )}
+                </div>
+            )}
         </div>
     );
 };
 
 export default DiceResult;
-
@@ -0,0 +1,113 @@
+// src/components/GameClock.jsx
+import React, { useState, useEffect } from "react";
+import { Clock, MapPin, Edit2, Check, X, Loader } from "lucide-react";
+import { getGameClock, updateGameClock } from "../services/api";
+import { useToast } from "../context/ToastContext";
+import styles from "./GameClock.module.css";
+
+const pad = (value) => String(value).padStart(2, "0");
+
+const formFromClock = (clock) => ({
+  day: clock?.day || "",
+  year: clock?.year || "",
+  time: clock ? `${pad(clock.hour)}:${pad(clock.minute)}` : "",
+  location: clock?.location || "",
+});
+
+// Relógio e local do jogo no topo do chat. Vem do último carimbo "[Dia, Ano, Hora:Minuto] - [Local]"
+// do mestre (ou da tool set_game_clock) e pode ser corrigido aqui.
+// clockUpdate recebe o relógio dos eventos game_clock_updated da geração.
+const GameClock = ({ chatToken, clockUpdate }) => {
+  const [clock, setClock] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const [form, setForm] = useState(formFromClock(null));
+  const [isSaving, setIsSaving] = useState(false);
+  const { showError } = useToast();
+
+  useEffect(() => {
+    setClock(null);
+    setIsEditing(false);
+    if (!chatToken) return;
+    getGameClock(chatToken)
+      .then(setClock)
+      .catch((err) => console.error("[GameClock] Failed to load:", err));
+  }, [chatToken]);
+
+  useEffect(() => {
+    if (clockUpdate) setClock(clockUpdate);
+  }, [clockUpdate]);
+
+  const startEditing = () => {
+    setForm(formFromClock(clock));
+    setIsEditing(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    // Só os campos preenchidos vão: o backend mantém o resto
+    const changes = Object.fromEntries(
+      Object.entries(form).map(([key, value]) => [key, value.trim()]).filter(([, value]) => value)
+    );
+
+    setIsSaving(true);
+    try {
+      setClock(await updateGameClock(chatToken, changes));
+      setIsEditing(false);
+    } catch (err) {
+      showError(err, "Erro ao corrigir o relógio do jogo.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const field = (name, placeholder, className) => (
+    <input
+      className={`${styles.input} ${className || ""}`}
+      value={form[name]}
+      placeholder={placeholder}
+      onChange={(e) => setForm((prev) => ({ ...prev, [name]: e.target.value }))}
+      disabled={isSaving}
+    />
+  );
+
+  if (isEditing) {
+    return (
+      <form className={styles.gameClock} onSubmit={handleSave}>
+        <Clock size={14} className={styles.icon} />
+        {field("day", "Dia 1")}
+        {field("year", "Ano 1042")}
+        {field("time", "HH:MM", styles.timeInput)}
+        <MapPin size={14} className={styles.icon} />
+        {field("location", "Local", styles.locationInput)}
+        <button type="submit" className={styles.button} disabled={isSaving} title="Salvar">
+          {isSaving ? <Loader size={14} className={styles.spin} /> : <Check size={14} />}
+        </button>
+        <button type="button" className={styles.button} onClick={() => setIsEditing(false)} title="Cancelar">
+          <X size={14} />
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className={styles.gameClock}>
+      <Clock size={14} className={styles.icon} />
+      {clock ? (
+        <>
+          <span className={styles.time}>
+            {clock.day}, {clock.year}, {pad(clock.hour)}:{pad(clock.minute)}
+          </span>
+          <MapPin size={14} className={styles.icon} />
+          <span className={styles.location}>{clock.location}</span>
+        </>
+      ) : (
+        <span className={styles.empty}>Relógio do jogo ainda não definido</span>
+      )}
+      <button className={styles.button} onClick={startEditing} title="Corrigir relógio do jogo">
+        <Edit2 size={12} />
+      </button>
+    </div>
+  );
+};
+
+export default GameClock;
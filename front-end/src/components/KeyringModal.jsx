@@ -0,0 +1,263 @@
+// src/components/KeyringModal.jsx
+import React, { useState, useEffect, useCallback } from "react";
+import { X, Plus, Trash2, Star, RefreshCw, KeyRound, Check } from "lucide-react";
+import {
+  getCredentials,
+  createCredential,
+  updateCredential,
+  deleteCredential,
+  updateCredentialDefaults,
+} from "../services/api";
+import { useToast } from "../context/ToastContext";
+import { useConfirmation } from "../context/ConfirmationContext";
+import configStyles from "./ConfigModal.module.css";
+import styles from "./KeyringModal.module.css";
+
+const PROVIDERS = [
+  { id: "google", name: "Google Gemini", placeholder: "AIzaSy..." },
+  { id: "openrouter", name: "OpenRouter", placeholder: "sk-or-v1-..." },
+  { id: "cerebras", name: "Cerebras", placeholder: "csk-..." },
+  { id: "vllm", name: "Servidor local (vLLM/OpenAI-compatible)", placeholder: "Bearer do servidor" },
+  { id: "embedding", name: "Embeddings OpenAI-compatible", placeholder: "sk-..." },
+];
+
+// Google aceita várias keys padrão (rotação por quota); os demais, uma
+const MULTI_KEY_PROVIDERS = ["google"];
+
+// Cofre de API Keys da conta: os chats usam os padrões daqui, a menos que escolham outra
+const KeyringModal = ({ onClose }) => {
+  const [credentials, setCredentials] = useState([]);
+  const [defaults, setDefaults] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [newCredential, setNewCredential] = useState({ provider: "google", label: "", key: "" });
+  const [isSaving, setIsSaving] = useState(false);
+  const [rotatingId, setRotatingId] = useState(null);
+  const [rotatedKey, setRotatedKey] = useState("");
+
+  const { addToast, showError } = useToast();
+  const { confirm } = useConfirmation();
+
+  const loadCredentials = useCallback(async () => {
+    try {
+      const data = await getCredentials();
+      setCredentials(data.credentials);
+      setDefaults(data.defaults);
+    } catch (err) {
+      console.error("[Keyring] Failed to load:", err);
+      addToast({ type: "error", message: "Erro ao carregar as chaves da conta." });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [addToast]);
+
+  useEffect(() => {
+    loadCredentials();
+  }, [loadCredentials]);
+
+  // Fecha ao pressionar ESC
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const isDefault = (credential) => {
+    const current = defaults[credential.provider];
+    return Array.isArray(current) ? current.includes(credential.id) : current === credential.id;
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newCredential.key.trim()) return;
+
+    setIsSaving(true);
+    try {
+      await createCredential(newCredential.provider, newCredential.label, newCredential.key);
+      setNewCredential((prev) => ({ ...prev, label: "", key: "" }));
+      addToast({ type: "success", message: "Chave adicionada à conta." });
+      await loadCredentials();
+    } catch (err) {
+      showError(err, "Erro ao adicionar chave.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleDefault = async (credential) => {
+    const { provider, id } = credential;
+    const current = defaults[provider];
+    let next;
+    if (MULTI_KEY_PROVIDERS.includes(provider)) {
+      const ids = current || [];
+      next = ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id];
+    } else {
+      next = current === id ? null : id;
+    }
+
+    try {
+      setDefaults(await updateCredentialDefaults({ [provider]: next }));
+    } catch (err) {
+      showError(err, "Erro ao alterar o padrão.");
+    }
+  };
+
+  const handleRotate = async (credential) => {
+    if (!rotatedKey.trim()) return;
+    try {
+      const updated = await updateCredential(credential.id, { key: rotatedKey });
+      setCredentials((prev) => prev.map((c) => (c.id === updated.id ? updated : c)));
+      setRotatingId(null);
+      setRotatedKey("");
+      addToast({ type: "success", message: "Chave trocada em todos os chats que a usam." });
+    } catch (err) {
+      showError(err, "Erro ao trocar a chave.");
+    }
+  };
+
+  const handleDelete = async (credential) => {
+    if (!(await confirm(`Remover a chave "${credential.label}"? Os chats que a usam voltam ao padrão da conta.`, "Remover Chave"))) return;
+    try {
+      await deleteCredential(credential.id);
+      addToast({ type: "success", message: "Chave removida." });
+      await loadCredentials();
+    } catch (err) {
+      showError(err, "Erro ao remover chave.");
+    }
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  const selectedProvider = PROVIDERS.find((p) => p.id === newCredential.provider);
+
+  return (
+    <div className={configStyles.overlay} onClick={handleBackdropClick}>
+      <div className={configStyles.modal} style={{ maxWidth: "640px" }}>
+        <div className={configStyles.header}>
+          <h2>Chaves de API da Conta</h2>
+          <button onClick={onClose} className={configStyles.closeBtn}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className={configStyles.body}>
+          <span className={configStyles.hint}>
+            As chaves ficam cifradas no servidor e valem para todos os seus chats. Marque com a estrela as chaves padrão;
+            cada chat pode escolher outra nas configurações.
+          </span>
+
+          {isLoading ? (
+            <div className={styles.empty}>Carregando...</div>
+          ) : (
+            PROVIDERS.map((provider) => {
+              const items = credentials.filter((c) => c.provider === provider.id);
+              if (items.length === 0) return null;
+              return (
+                <div key={provider.id} className={styles.group}>
+                  <div className={styles.groupTitle}>{provider.name}</div>
+                  {items.map((credential) => (
+                    <div key={credential.id} className={styles.item}>
+                      <div className={styles.itemInfo}>
+                        <span className={styles.label}>{credential.label}</span>
+                        <code className={styles.fingerprint}>{credential.fingerprint}</code>
+                      </div>
+
+                      {rotatingId === credential.id ? (
+                        <div className={styles.rotate}>
+                          <input
+                            type="password"
+                            value={rotatedKey}
+                            onChange={(e) => setRotatedKey(e.target.value)}
+                            placeholder="Nova chave"
+                            autoFocus
+                          />
+                          <button className={styles.iconBtn} onClick={() => handleRotate(credential)} title="Salvar">
+                            <Check size={14} />
+                          </button>
+                          <button className={styles.iconBtn} onClick={() => setRotatingId(null)} title="Cancelar">
+                            <X size={14} />
+                          </button>
+                        </div>
+                      ) : (
+                        <div className={styles.actions}>
+                          <button
+                            className={`${styles.iconBtn} ${isDefault(credential) ? styles.active : ""}`}
+                            onClick={() => handleToggleDefault(credential)}
+                            title={isDefault(credential) ? "Padrão da conta" : "Usar como padrão"}
+                          >
+                            <Star size={14} />
+                          </button>
+                          <button
+                            className={styles.iconBtn}
+                            onClick={() => {
+                              setRotatingId(credential.id);
+                              setRotatedKey("");
+                            }}
+                            title="Trocar chave"
+                          >
+                            <RefreshCw size={14} />
+                          </button>
+                          <button className={styles.iconBtn} onClick={() => handleDelete(credential)} title="Remover">
+                            <Trash2 size={14} />
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              );
+            })
+          )}
+
+          {!isLoading && credentials.length === 0 && (
+            <div className={styles.empty}>Nenhuma chave cadastrada na conta.</div>
+          )}
+
+          <form onSubmit={handleCreate} className={styles.newForm}>
+            <div className={styles.groupTitle}>
+              <KeyRound size={14} />
+              Nova chave
+            </div>
+            <div className={styles.newRow}>
+              <select
+                value={newCredential.provider}
+                onChange={(e) => setNewCredential({ ...newCredential, provider: e.target.value })}
+              >
+                {PROVIDERS.map((p) => (
+                  <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={newCredential.label}
+                onChange={(e) => setNewCredential({ ...newCredential, label: e.target.value })}
+                placeholder="Nome (opcional)"
+              />
+            </div>
+            <div className={styles.newRow}>
+              <input
+                type="password"
+                value={newCredential.key}
+                onChange={(e) => setNewCredential({ ...newCredential, key: e.target.value })}
+                placeholder={selectedProvider.placeholder}
+              />
+              <button type="submit" className={configStyles.saveBtn} disabled={isSaving || !newCredential.key.trim()}>
+                <Plus size={16} />
+                Adicionar
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default KeyringModal;
@@ -4,14 +4,16 @@ import {
   Search, Plus, Edit2, Save, X, Trash2,
   Database, Brain, History, ChevronRight, ChevronLeft,
   Download, Upload, FileJson, CheckCircle, AlertCircle, Loader,
-  Image, FileText, Wrench
+  Image, FileText, Wrench, Repeat, BookOpen, Flag, Clock
 } from "lucide-react";
 import { apiClient, addMemory, editMemory, deleteMessage, getMemoryStats, exportMemories, importMemories, searchMemory } from "../services/api";
 import { useToast } from "../context/ToastContext";
 import { useConfirmation } from "../context/ConfirmationContext";
+import SummaryPanel from "./SummaryPanel";
+import QuestPanel from "./QuestPanel";
 import styles from "./MemoryPanel.module.css";
 
-const MemoryPanel = ({ chatToken, vectorMemory }) => {
+const MemoryPanel = ({ chatToken, vectorMemory, questUpdate }) => {
   const [collapsed, setCollapsed] = useState(false);
   const [activeTab, setActiveTab] = useState("historico");
   const [localVectorMemory, setLocalVectorMemory] = useState(vectorMemory || []);
@@ -68,6 +70,14 @@ const MemoryPanel = ({ chatToken, vectorMemory }) => {
     { id: "conceitos", label: "Conceitos", icon: <Brain size={14} /> },
   ];
 
+  // Resumos e missões não são coleções de memórias (sem busca, adição ou export)
+  const panelTabs = [
+    { id: "resumos", label: "Resumos", icon: <BookOpen size={14} /> },
+    { id: "missoes", label: "Missões", icon: <Flag size={14} /> },
+  ];
+  const tabs = [...collections, ...panelTabs];
+  const isPanelTab = panelTabs.some((tab) => tab.id === activeTab);
+
   // --- Ações ---
 
   const handleSearch = (e) => {
@@ -405,10 +415,10 @@ const MemoryPanel = ({ chatToken, vectorMemory }) => {
 
               {/* Botão de Adicionar (Invisível em Histórico) */}
               <button
-                className={`${styles.addBtnHeader} ${activeTab === 'historico' ? styles.hidden : ''}`}
-                onClick={() => activeTab !== 'historico' && setShowAddModal(true)}
-                title={activeTab !== 'historico' ? `Adicionar em ${activeTab}` : ''}
-                disabled={activeTab === 'historico'}
+                className={`${styles.addBtnHeader} ${activeTab === 'historico' || isPanelTab ? styles.hidden : ''}`}
+                onClick={() => activeTab !== 'historico' && !isPanelTab && setShowAddModal(true)}
+                title={activeTab !== 'historico' && !isPanelTab ? `Adicionar em ${activeTab}` : ''}
+                disabled={activeTab === 'historico' || isPanelTab}
               >
                 <Plus size={16} />
               </button>
@@ -425,7 +435,7 @@ const MemoryPanel = ({ chatToken, vectorMemory }) => {
           </div>
 
           <div className={styles.tabs}>
-            {collections.map((c) => (
+            {tabs.map((c) => (
               <button
                 key={c.id}
                 className={`${styles.tab} ${activeTab === c.id ? styles.active : ""}`}
@@ -442,19 +452,25 @@ const MemoryPanel = ({ chatToken, vectorMemory }) => {
           </div>
         </div>
 
-        <div className={styles.searchBar}>
-          <Search size={14} className={styles.searchIcon} />
-          <input
-            className={styles.searchInput}
-            value={searchQuery}
-            onChange={handleSearch}
-            placeholder={`Buscar em ${activeTab}...`}
-          />
-          {isSearching && <Loader size={14} className={styles.searchSpinner} />}
-        </div>
+        {!isPanelTab && (
+          <div className={styles.searchBar}>
+            <Search size={14} className={styles.searchIcon} />
+            <input
+              className={styles.searchInput}
+              value={searchQuery}
+              onChange={handleSearch}
+              placeholder={`Buscar em ${activeTab}...`}
+            />
+            {isSearching && <Loader size={14} className={styles.searchSpinner} />}
+          </div>
+        )}
 
         <div className={styles.content}>
-          {isSearching ? (
+          {activeTab === "resumos" ? (
+            <SummaryPanel chatToken={chatToken} />
+          ) : activeTab === "missoes" ? (
+            <QuestPanel chatToken={chatToken} questUpdate={questUpdate} />
+          ) : isSearching ? (
             <div className={styles.emptyMessage}>
               Buscando...
             </div>
@@ -557,6 +573,21 @@ const MemoryPanel = ({ chatToken, vectorMemory }) => {
                                   {(item._score * 100).toFixed(0)}%
                                 </span>
                               )}
+                              {item.gameTime && (
+                                <span className={styles.accessTag} title={item.gameLocation || undefined}>
+                                  <Clock size={10} />
+                                  {item.gameTime}
+                                </span>
+                              )}
+                              {item.accessCount > 0 && (
+                                <span
+                                  className={styles.accessTag}
+                                  title={`Usada ${item.accessCount}x no contexto | Último uso: mensagem #${item.lastMessageAccessed ?? '?'}`}
+                                >
+                                  <Repeat size={10} />
+                                  {item.accessCount}x · #{item.lastMessageAccessed ?? '?'}
+                                </span>
+                              )}
 
                               {item.messageid && (
                                 <div className={styles.itemActions}>
@@ -586,9 +617,20 @@ const MemoryPanel = ({ chatToken, vectorMemory }) => {
                                 {item.debug.adaptiveBoost > 0 && (
                                   <span className={styles.debugBoost}>+{(item.debug.adaptiveBoost * 100).toFixed(0)}%</span>
                                 )}
+                                {item.debug.frequencyBoost > 0 && (
+                                  <span className={styles.debugBoost}>Freq +{(item.debug.frequencyBoost * 100).toFixed(0)}%</span>
+                                )}
                                 {item.debug.hasPenalty && (
                                   <span className={styles.debugPenalty}>Penalty</span>
                                 )}
+                                {item.debug.hebbianBoost > 0 && (
+                                  <span
+                                    className={styles.debugHebbian}
+                                    title={`Associada a ${item.debug.hebbianPulledBy} (força ${item.debug.hebbianStrength?.toFixed(2)})`}
+                                  >
+                                    Hebb +{(item.debug.hebbianBoost * 100).toFixed(0)}%
+                                  </span>
+                                )}
                               </div>
                             )}
                           </>
@@ -5,6 +5,7 @@ import remarkBreaks from "remark-breaks";
 import { User, Bot, Copy, Edit2, Trash2, RefreshCw, Check, GitBranch } from "lucide-react";
 import FileCard from "./FileCard.jsx";
 import DiceResult from "./DiceResult.jsx";
+import { parseSkillCheck, getDiceRolls } from "../utils/dice.js";
 import styles from "./Message.module.css";
 
 const Message = ({
@@ -21,7 +22,7 @@ const Message = ({
   forceEditMode,
   onEditModeChange
 }) => {
-  const { role, text, messageid, attachments } = msg;
+  const { role, text, messageid, attachments, check, isStreaming } = msg;
   const isUser = role === "user";
   const [isHovered, setIsHovered] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
@@ -90,9 +91,9 @@ const Message = ({
     }
   }, [attachments]);
 
-  const isDiceRoll = useMemo(() => {
-    return /^(.*?) = (.*?) \{ (.*?) \}$/.test(cleanText);
-  }, [cleanText]);
+  // Testes de perícia trazem o resultado estruturado; a rolagem vem da primeira linha do texto
+  const skillCheck = useMemo(() => parseSkillCheck(check), [check]);
+  const diceRolls = useMemo(() => getDiceRolls(cleanText, skillCheck), [cleanText, skillCheck]);
 
   const handleCopy = () => {
     navigator.clipboard.writeText(text);
@@ -153,7 +154,7 @@ const Message = ({
           )}
 
           {/* Botão Regenerar apenas para última mensagem do BOT */}
-          {!isUser && isLast && onRegenerate && (
+          {!isUser && isLast && onRegenerate && !isStreaming && (
             <button onClick={(e) => { e.stopPropagation(); onRegenerate(); }} title="Regenerar Resposta">
               <RefreshCw size={14} />
             </button>
@@ -275,9 +276,9 @@ const Message = ({
               </div>
             </div>
           ) : (
-            <div className={styles.markdownBody}>
-              {isDiceRoll ? (
-                <DiceResult resultString={cleanText} />
+            <div className={`${styles.markdownBody} ${isStreaming ? styles.streaming : ''}`}>
+              {diceRolls ? (
+                <DiceResult rolls={diceRolls} check={skillCheck} />
               ) : (
                 <ReactMarkdown remarkPlugins={[remarkBreaks]}>{cleanText}</ReactMarkdown>
               )}
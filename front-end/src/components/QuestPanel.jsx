@@ -0,0 +1,334 @@
+// src/components/QuestPanel.jsx
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Flag, Plus, Edit2, Trash2, X, Loader, RefreshCw, Link2, Users, MapPin,
+  ArrowRight, CheckCircle, XCircle, RotateCcw
+} from "lucide-react";
+import { getQuests, createQuest, updateQuest, deleteQuest } from "../services/api";
+import { useToast } from "../context/ToastContext";
+import { useConfirmation } from "../context/ConfirmationContext";
+import styles from "./MemoryPanel.module.css";
+import sheet from "./CharacterPanel.module.css";
+import quest from "./QuestPanel.module.css";
+
+const STATUS_LABELS = {
+  open: "Em aberto",
+  advanced: "Em andamento",
+  resolved: "Resolvida",
+  failed: "Fracassada",
+};
+
+const STATUS_CLASSES = {
+  open: quest.statusOpen,
+  advanced: quest.statusAdvanced,
+  resolved: quest.statusResolved,
+  failed: quest.statusFailed,
+};
+
+const isUnresolved = (item) => item.status === "open" || item.status === "advanced";
+
+// Mesma ordem do backend: em aberto primeiro, depois os alterados mais recentemente
+const sortQuests = (quests) =>
+  [...quests].sort((a, b) => isUnresolved(b) - isUnresolved(a) || b.updatedAt - a.updatedAt);
+
+const EMPTY_FORM = { title: "", description: "", npcs: "", locations: "", status: "open", note: "" };
+
+const splitNames = (text) => text.split(",").map((name) => name.trim()).filter(Boolean);
+
+const formFromQuest = (item) => ({
+  title: item.title,
+  description: item.description,
+  npcs: item.npcs.join(", "),
+  locations: item.locations.join(", "),
+  status: item.status,
+  note: "",
+});
+
+// Aba "Missões" do painel de memória: ganchos, missões e promessas de NPCs em aberto.
+// questUpdate recebe os fios alterados pelo mestre durante a geração (evento quest_updated).
+const QuestPanel = ({ chatToken, questUpdate }) => {
+  const [quests, setQuests] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  // Modal de criação/edição (editing = fio original, null ao criar)
+  const [showModal, setShowModal] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const { addToast, showError } = useToast();
+  const { confirm } = useConfirmation();
+
+  const loadQuests = useCallback(async () => {
+    if (!chatToken) return;
+    setIsLoading(true);
+    try {
+      setQuests(await getQuests(chatToken));
+    } catch (err) {
+      console.error("[Quests] Failed to load:", err);
+      addToast({ type: "error", message: "Erro ao carregar missões." });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [chatToken, addToast]);
+
+  useEffect(() => {
+    loadQuests();
+  }, [loadQuests]);
+
+  const replaceQuest = useCallback((item) => {
+    setQuests((prev) => sortQuests([...prev.filter((q) => q.id !== item.id), item]));
+  }, []);
+
+  useEffect(() => {
+    if (questUpdate) replaceQuest(questUpdate);
+  }, [questUpdate, replaceQuest]);
+
+  const openModal = (item = null) => {
+    setEditing(item);
+    setForm(item ? formFromQuest(item) : EMPTY_FORM);
+    setShowModal(true);
+  };
+
+  const handleSave = async () => {
+    const changes = {
+      title: form.title.trim(),
+      description: form.description,
+      npcs: splitNames(form.npcs),
+      locations: splitNames(form.locations),
+    };
+    if (editing) {
+      changes.status = form.status;
+      if (form.note.trim()) changes.note = form.note.trim();
+    }
+
+    setIsSaving(true);
+    try {
+      replaceQuest(editing ? await updateQuest(chatToken, editing.id, changes) : await createQuest(chatToken, changes));
+      addToast({ type: "success", message: editing ? "Missão atualizada." : "Missão criada." });
+      setShowModal(false);
+    } catch (err) {
+      showError(err, "Erro ao salvar missão.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleStatus = async (item, status) => {
+    setBusyId(item.id);
+    try {
+      replaceQuest(await updateQuest(chatToken, item.id, { status }));
+    } catch (err) {
+      showError(err, "Erro ao atualizar missão.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (item) => {
+    if (!(await confirm(`Remover a missão "${item.title}"?`, "Confirmar Exclusão"))) return;
+    try {
+      await deleteQuest(chatToken, item.id);
+      setQuests((prev) => prev.filter((q) => q.id !== item.id));
+      addToast({ type: "success", message: "Missão removida." });
+    } catch (err) {
+      showError(err, "Erro ao remover missão.");
+    }
+  };
+
+  const statusButton = (item, status, icon, title) => (
+    <button
+      onClick={() => handleStatus(item, status)}
+      className={styles.actionBtn}
+      title={title}
+      disabled={busyId === item.id}
+    >
+      {icon}
+    </button>
+  );
+
+  const renderQuest = (item) => {
+    const lastNote = [...item.updates].reverse().find((update) => update.note);
+
+    return (
+      <div key={item.id} className={styles.memoryItem}>
+        <div className={styles.summaryTitle}>
+          <span>{item.title}</span>
+          <span className={`${quest.status} ${STATUS_CLASSES[item.status]}`}>{STATUS_LABELS[item.status]}</span>
+        </div>
+
+        {item.description && <p className={styles.memoryText}>{item.description}</p>}
+        {lastNote && <p className={quest.note}>{lastNote.note}</p>}
+
+        {(item.npcs.length > 0 || item.locations.length > 0) && (
+          <div className={quest.tags}>
+            {item.npcs.map((name) => (
+              <span key={`npc-${name}`} className={styles.accessTag}>
+                <Users size={10} />
+                {name}
+              </span>
+            ))}
+            {item.locations.map((name) => (
+              <span key={`loc-${name}`} className={styles.accessTag}>
+                <MapPin size={10} />
+                {name}
+              </span>
+            ))}
+          </div>
+        )}
+
+        <div className={styles.memoryMeta}>
+          <span className={styles.accessTag} title={item.sourceMessageIds.join("\n")}>
+            <Link2 size={10} />
+            {item.sourceMessageIds.length} origem(ns)
+          </span>
+          <div className={styles.itemActions}>
+            {isUnresolved(item) ? (
+              <>
+                {item.status === "open" && statusButton(item, "advanced", <ArrowRight size={12} />, "Marcar como em andamento")}
+                {statusButton(item, "resolved", <CheckCircle size={12} />, "Marcar como resolvida")}
+                {statusButton(item, "failed", <XCircle size={12} />, "Marcar como fracassada")}
+              </>
+            ) : (
+              statusButton(item, "open", <RotateCcw size={12} />, "Reabrir")
+            )}
+            <button onClick={() => openModal(item)} className={styles.actionBtn} title="Editar">
+              <Edit2 size={12} />
+            </button>
+            <button
+              onClick={() => handleDelete(item)}
+              className={`${styles.actionBtn} ${styles.delete}`}
+              title="Remover"
+            >
+              <Trash2 size={12} />
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const textField = (key, label, rows, placeholder) => (
+    <label className={sheet.field}>
+      <span>{label}</span>
+      <textarea
+        className={styles.modalTextarea}
+        value={form[key]}
+        onChange={(e) => setForm((prev) => ({ ...prev, [key]: e.target.value }))}
+        onKeyDown={(e) => {
+          // Permite Enter para quebra de linha sem propagação
+          if (e.key === "Enter") {
+            e.stopPropagation();
+          }
+        }}
+        placeholder={placeholder}
+        rows={rows}
+      />
+    </label>
+  );
+
+  const groups = [
+    { label: "Em aberto", items: quests.filter(isUnresolved) },
+    { label: "Encerradas", items: quests.filter((item) => !isUnresolved(item)) },
+  ];
+
+  return (
+    <>
+      <div className={styles.categorySection}>
+        <div className={styles.categoryHeader}>
+          <Flag size={14} />
+          <span>Diário de missões</span>
+          <button
+            className={`${styles.actionBtn} ${styles.summaryRefresh} ${isLoading ? styles.spinning : ""}`}
+            onClick={loadQuests}
+            disabled={isLoading}
+            title="Recarregar missões"
+          >
+            {isLoading ? <Loader size={12} /> : <RefreshCw size={12} />}
+          </button>
+          <button className={styles.actionBtn} onClick={() => openModal()} title="Nova missão">
+            <Plus size={12} />
+          </button>
+        </div>
+
+        {quests.length === 0 && (
+          <div className={styles.emptyMessage}>
+            {isLoading
+              ? "Carregando..."
+              : "Nenhuma missão ainda. O mestre registra ganchos e promessas conforme a história avança."}
+          </div>
+        )}
+      </div>
+
+      {groups.map(({ label, items }) =>
+        items.length === 0 ? null : (
+          <div key={label} className={styles.categorySection}>
+            <div className={styles.categoryHeader}>
+              <span>{label}</span>
+            </div>
+            {items.map(renderQuest)}
+          </div>
+        )
+      )}
+
+      {/* Modal de Criação/Edição */}
+      {showModal && (
+        <div className={styles.modalOverlay}>
+          <div className={`${styles.modal} ${sheet.modal}`}>
+            <div className={styles.modalHeader}>
+              <h4>{editing ? `Editar ${editing.title}` : "Nova missão"}</h4>
+              <button onClick={() => setShowModal(false)} className={styles.modalCloseBtn}>
+                <X size={16} />
+              </button>
+            </div>
+
+            <div className={sheet.form}>
+              <div className={sheet.formRow}>
+                <label className={sheet.field}>
+                  <span>Título</span>
+                  <input
+                    className={styles.searchInput}
+                    value={form.title}
+                    onChange={(e) => setForm((prev) => ({ ...prev, title: e.target.value }))}
+                    autoFocus
+                  />
+                </label>
+                {editing && (
+                  <label className={sheet.field}>
+                    <span>Status</span>
+                    <select
+                      className={styles.searchInput}
+                      value={form.status}
+                      onChange={(e) => setForm((prev) => ({ ...prev, status: e.target.value }))}
+                    >
+                      {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+              </div>
+              {textField("description", "Descrição", 3, "O que foi pedido ou prometido, por quem e o que está em jogo")}
+              {textField("npcs", "NPCs (separados por vírgula)", 1, "Bram, Lia")}
+              {textField("locations", "Locais (separados por vírgula)", 1, "Mina velha")}
+              {editing && textField("note", "Registrar avanço", 2, "O que aconteceu com este fio")}
+            </div>
+
+            <div className={styles.modalFooter}>
+              <button
+                className={styles.modalSaveBtn}
+                onClick={handleSave}
+                disabled={!form.title.trim() || isSaving}
+              >
+                {isSaving ? "Salvando..." : "Salvar"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default QuestPanel;
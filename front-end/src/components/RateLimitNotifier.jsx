@@ -0,0 +1,28 @@
+// src/components/RateLimitNotifier.jsx
+import { useEffect } from "react";
+import { RATE_LIMIT_EVENT } from "../services/api";
+import { useToast } from "../context/ToastContext";
+
+// Mostra um toast quando o servidor responde 429: limite de requisições da API (com o tempo do
+// Retry-After) ou cota de um provider esgotada (com o horário em que as chaves voltam)
+const RateLimitNotifier = () => {
+  const { showError } = useToast();
+
+  useEffect(() => {
+    const handleRateLimit = (event) => {
+      const { retryAfter, ...data } = event.detail || {};
+      showError({
+        code: "RATE_LIMITED",
+        ...data,
+        details: { retryAfter, ...data.details },
+      });
+    };
+
+    window.addEventListener(RATE_LIMIT_EVENT, handleRateLimit);
+    return () => window.removeEventListener(RATE_LIMIT_EVENT, handleRateLimit);
+  }, [showError]);
+
+  return null;
+};
+
+export default RateLimitNotifier;
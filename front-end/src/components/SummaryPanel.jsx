@@ -0,0 +1,215 @@
+// src/components/SummaryPanel.jsx
+import React, { useState, useEffect, useCallback } from "react";
+import { BookOpen, Edit2, Save, X, RefreshCw, Loader, Link2 } from "lucide-react";
+import { getSummaries, summarizeChat, updateSummary, regenerateSummary } from "../services/api";
+import { useToast } from "../context/ToastContext";
+import styles from "./MemoryPanel.module.css";
+
+// Aba "Resumos" do painel de memória: história até agora + capítulos da campanha
+const SummaryPanel = ({ chatToken }) => {
+  const [storySoFar, setStorySoFar] = useState(null);
+  const [chapters, setChapters] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSummarizing, setIsSummarizing] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const [editingId, setEditingId] = useState(null);
+  const [editingText, setEditingText] = useState("");
+
+  const { addToast, showError } = useToast();
+
+  const loadSummaries = useCallback(async () => {
+    if (!chatToken) return;
+    setIsLoading(true);
+    try {
+      const data = await getSummaries(chatToken);
+      setStorySoFar(data.storySoFar);
+      setChapters(data.chapters || []);
+      setIsSummarizing(data.running);
+    } catch (err) {
+      console.error("[Summaries] Failed to load:", err);
+      addToast({ type: "error", message: "Erro ao carregar resumos." });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [chatToken, addToast]);
+
+  useEffect(() => {
+    loadSummaries();
+  }, [loadSummaries]);
+
+  const replaceSummary = (summary) => {
+    if (!summary) return;
+    if (summary.kind === "historia") {
+      setStorySoFar(summary);
+    } else {
+      setChapters((prev) => prev.map((c) => (c.messageid === summary.messageid ? summary : c)));
+    }
+  };
+
+  const handleSummarizeNow = async () => {
+    setIsSummarizing(true);
+    try {
+      const data = await summarizeChat(chatToken);
+      setStorySoFar(data.storySoFar);
+      setChapters(data.chapters || []);
+      addToast({
+        type: data.created > 0 ? "success" : "info",
+        message: data.created > 0
+          ? `${data.created} capítulo(s) resumido(s).`
+          : "Nenhum trecho novo para resumir.",
+      });
+    } catch (err) {
+      showError(err, "Erro ao gerar resumos.");
+    } finally {
+      setIsSummarizing(false);
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    if (!editingText.trim() || !editingId) return;
+    setBusyId(editingId);
+    try {
+      replaceSummary(await updateSummary(chatToken, editingId, editingText));
+      addToast({ type: "success", message: "Resumo atualizado." });
+      setEditingId(null);
+    } catch (err) {
+      showError(err, "Erro ao editar resumo.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRegenerate = async (summary) => {
+    setBusyId(summary.messageid);
+    try {
+      const result = await regenerateSummary(chatToken, summary.messageid);
+      replaceSummary(result.summary);
+      replaceSummary(result.storySoFar);
+      addToast({ type: "success", message: "Resumo gerado novamente." });
+    } catch (err) {
+      showError(err, "Erro ao regenerar resumo.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const renderSummary = (summary, title) => {
+    const isEditing = editingId === summary.messageid;
+    const isBusy = busyId === summary.messageid;
+    const period = [summary.startAt, summary.endAt]
+      .map((t) => new Date(t).toLocaleString("pt-BR"))
+      .join(" → ");
+
+    return (
+      <div
+        key={summary.messageid}
+        className={`${styles.memoryItem} ${summary.kind === "historia" ? styles.storyItem : ""}`}
+        title={period}
+      >
+        <div className={styles.summaryTitle}>
+          <span>{title}</span>
+          {summary.edited && <span className={styles.accessTag}>editado</span>}
+        </div>
+
+        {isEditing ? (
+          <div className={styles.editContainer}>
+            <textarea
+              className={styles.editInput}
+              value={editingText}
+              onChange={(e) => setEditingText(e.target.value)}
+              onKeyDown={(e) => {
+                // Permite Enter para quebra de linha
+                if (e.key === "Enter") {
+                  e.stopPropagation();
+                }
+              }}
+              rows={8}
+            />
+            <div className={styles.editButtons}>
+              <button onClick={() => setEditingId(null)} className={styles.actionBtn}>
+                <X size={14} />
+              </button>
+              <button
+                onClick={handleSaveEdit}
+                className={styles.actionBtn}
+                style={{ color: "var(--accent-primary)" }}
+                disabled={isBusy}
+              >
+                <Save size={14} />
+              </button>
+            </div>
+          </div>
+        ) : (
+          <>
+            <p className={styles.memoryText}>{summary.text}</p>
+            <div className={styles.memoryMeta}>
+              <span
+                className={styles.accessTag}
+                title={summary.sourceIds.join("\n")}
+              >
+                <Link2 size={10} />
+                {summary.kind === "historia"
+                  ? `${summary.sourceIds.length} capítulo(s)`
+                  : `${summary.sourceIds.length} mensagens`}
+              </span>
+              <div className={styles.itemActions}>
+                <button
+                  onClick={() => {
+                    setEditingId(summary.messageid);
+                    setEditingText(summary.text);
+                  }}
+                  className={styles.actionBtn}
+                  title="Editar"
+                  disabled={isBusy}
+                >
+                  <Edit2 size={12} />
+                </button>
+                <button
+                  onClick={() => handleRegenerate(summary)}
+                  className={`${styles.actionBtn} ${isBusy ? styles.spinning : ""}`}
+                  title="Gerar novamente a partir das mensagens"
+                  disabled={isBusy}
+                >
+                  {isBusy ? <Loader size={12} /> : <RefreshCw size={12} />}
+                </button>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className={styles.categorySection}>
+      <div className={styles.categoryHeader}>
+        <BookOpen size={14} />
+        <span>Resumos da campanha</span>
+        <button
+          className={`${styles.actionBtn} ${styles.summaryRefresh} ${isSummarizing ? styles.spinning : ""}`}
+          onClick={handleSummarizeNow}
+          disabled={isSummarizing}
+          title="Resumir agora os trechos pendentes do histórico"
+        >
+          {isSummarizing ? <Loader size={12} /> : <RefreshCw size={12} />}
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className={styles.emptyMessage}>Carregando...</div>
+      ) : !storySoFar && chapters.length === 0 ? (
+        <div className={styles.emptyMessage}>
+          Nenhum resumo ainda. Os capítulos são criados conforme o histórico cresce.
+        </div>
+      ) : (
+        <>
+          {storySoFar && renderSummary(storySoFar, "História até agora")}
+          {[...chapters].reverse().map((chapter) => renderSummary(chapter, `Capítulo ${chapter.chapter}`))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SummaryPanel;
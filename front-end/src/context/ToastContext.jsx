@@ -1,12 +1,14 @@
 // src/context/ToastContext.jsx
 import React, { createContext, useContext, useState, useCallback } from "react";
 import styles from "./Toast.module.css";
+import { describeError } from "../utils/errorMessages";
 
 const ToastContext = createContext();
 
 /**
  * Hook personalizado para usar o Toast.
  * Exemplo de uso: const { addToast } = useToast();
+ * Para erros da API: const { showError } = useToast(); showError(error, "Falha ao salvar.");
  */
 export const useToast = () => {
   const context = useContext(ToastContext);
@@ -63,8 +65,14 @@ export const ToastProvider = ({ children }) => {
     [removeToast]
   );
 
+  // Toast de um erro da API, com a mensagem escolhida pelo código do erro (utils/errorMessages.js)
+  const showError = useCallback(
+    (error, fallback) => addToast({ ...describeError(error, fallback), duration: 6000 }),
+    [addToast]
+  );
+
   return (
-    <ToastContext.Provider value={{ addToast, removeToast }}>
+    <ToastContext.Provider value={{ addToast, removeToast, showError }}>
       {children}
 
       {/* Renderização dos Toasts (Portal seria ideal, mas aqui direto no root funciona para MVP) */}
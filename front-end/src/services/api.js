@@ -11,6 +11,116 @@ export const apiClient = axios.create({
   },
 });
 
+// --- Sessão (access token + refresh token) ---
+
+// Rotas de autenticação respondem 401 por credenciais erradas, não por token expirado
+const AUTH_ENDPOINTS = ["/auth/login", "/auth/register", "/auth/refresh"];
+
+/**
+ * Guarda os tokens devolvidos por login, cadastro e refresh.
+ * @param {{token: string, refreshToken: string}} session
+ */
+export const saveSession = ({ token, refreshToken }) => {
+  localStorage.setItem("token", token);
+  if (refreshToken) localStorage.setItem("refreshToken", refreshToken);
+};
+
+const clearSession = () => {
+  localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
+};
+
+// Sessão encerrada no servidor ou refresh recusado: volta para o login
+const endSession = () => {
+  clearSession();
+  window.location.href = "/";
+};
+
+// --- Rate limit ---
+
+// Evento disparado quando o servidor recusa uma requisição por excesso (429); ver RateLimitNotifier
+export const RATE_LIMIT_EVENT = "api:rate-limit";
+
+/**
+ * Avisa a interface que o limite de requisições foi atingido.
+ * @param {(name: string) => string|null} getHeader - Leitura dos cabeçalhos da resposta.
+ * @param {Object} [data] - Corpo do 429 ({ error, code, details }).
+ */
+const notifyRateLimit = (getHeader, data) => {
+  const retryAfter = Number(getHeader("retry-after")) || data?.details?.retryAfter || null;
+  window.dispatchEvent(new CustomEvent(RATE_LIMIT_EVENT, { detail: { ...data, retryAfter } }));
+};
+
+/**
+ * Converte o evento SSE de erro ({ type: "error", error, code, details }) num Error no formato
+ * dos erros do axios (error.response.data), para os componentes tratarem os dois do mesmo jeito.
+ * @param {Object} event
+ * @returns {Error}
+ */
+const streamError = (event) => {
+  const error = new Error(event.error || "Erro no servidor.");
+  error.response = { status: 500, data: { error: event.error, code: event.code, details: event.details } };
+  return error;
+};
+
+let refreshPromise = null;
+
+/**
+ * Renova o access token com o refresh token. Chamadas simultâneas compartilham a mesma renovação
+ * (o refresh token é rotativo: cada um só pode ser usado uma vez).
+ * @returns {Promise<string>} O novo access token.
+ */
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem("refreshToken");
+      if (!refreshToken) throw new Error("Sessão sem refresh token.");
+      try {
+        const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+        saveSession(response.data);
+        return response.data.token;
+      } catch (error) {
+        // Outra aba pode ter renovado a sessão com o mesmo refresh token enquanto isso
+        const current = localStorage.getItem("refreshToken");
+        if (current && current !== refreshToken) return localStorage.getItem("token");
+        throw error;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+/**
+ * fetch autenticado para as rotas com streaming (SSE): envia o token e, num 401,
+ * renova a sessão e repete a requisição uma vez.
+ * @param {string} url
+ * @param {RequestInit} options
+ * @returns {Promise<Response>}
+ */
+export const authFetch = async (url, options = {}) => {
+  const withToken = () => {
+    const token = localStorage.getItem("token");
+    return { ...options, headers: { ...options.headers, Authorization: token ? `Bearer ${token}` : "" } };
+  };
+
+  const response = await fetch(url, withToken());
+  if (response.status === 429) {
+    notifyRateLimit((name) => response.headers.get(name), await response.clone().json().catch(() => ({})));
+  }
+  if (response.status !== 401) return response;
+
+  try {
+    await refreshAccessToken();
+  } catch (error) {
+    log("API:AUTH_FETCH", "Sessão expirada ou inválida (401). Redirecionando para login...", "warn", error);
+    endSession();
+    return response;
+  }
+  return fetch(url, withToken());
+};
+
 // Interceptor para adicionar o token em todas as requisições
 apiClient.interceptors.request.use((config) => {
   const token = localStorage.getItem("token");
@@ -20,14 +130,24 @@ apiClient.interceptors.request.use((config) => {
   return config;
 });
 
-// Interceptor para lidar com erros de resposta (ex: 401 Unauthorized)
+// Interceptor para 401: renova a sessão e repete a requisição; se não der, volta para o login.
+// Num 429 avisa a interface (exceto nas telas de login, que mostram o erro no formulário)
 apiClient.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response && error.response.status === 401) {
-      log("API:INTERCEPTOR", "Sessão expirada ou inválida (401). Redirecionando para login...", "warn");
-      localStorage.removeItem("token");
-      window.location.href = "/";
+  async (error) => {
+    const original = error.config;
+    if (error.response?.status === 429 && !original?.url?.startsWith("/auth/")) {
+      notifyRateLimit((name) => error.response.headers?.[name] ?? null, error.response.data);
+    }
+    if (error.response?.status === 401 && original && !original._retried && !AUTH_ENDPOINTS.includes(original.url)) {
+      original._retried = true;
+      try {
+        await refreshAccessToken();
+        return apiClient(original);
+      } catch (refreshError) {
+        log("API:INTERCEPTOR", "Sessão expirada ou inválida (401). Redirecionando para login...", "warn", refreshError);
+        endSession();
+      }
     }
     return Promise.reject(error);
   }
@@ -57,6 +177,153 @@ export const register = async (name, email, password) => {
   }
 };
 
+/**
+ * Encerra a sessão atual no servidor e limpa os tokens locais.
+ */
+export const logout = async () => {
+  const CONTEXT = "API:LOGOUT";
+  try {
+    await apiClient.post("/auth/logout");
+  } catch (error) {
+    // Sessão já encerrada no servidor: basta limpar os tokens locais
+    log(CONTEXT, "AVISO: Falha ao encerrar a sessão no servidor.", "warn", error);
+  } finally {
+    clearSession();
+  }
+};
+
+/**
+ * Pede o link de redefinição de senha (a resposta é a mesma para emails não cadastrados).
+ * @param {string} email
+ * @returns {Promise<{message: string}>}
+ */
+export const forgotPassword = async (email) => {
+  const CONTEXT = "API:FORGOT_PASSWORD";
+  try {
+    const response = await apiClient.post("/auth/forgot-password", { email });
+    return response.data;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao pedir a redefinição de senha.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Define a nova senha com o token do link enviado por email.
+ * @param {string} token
+ * @param {string} password
+ * @returns {Promise<{message: string}>}
+ */
+export const resetPassword = async (token, password) => {
+  const CONTEXT = "API:RESET_PASSWORD";
+  try {
+    const response = await apiClient.post("/auth/reset-password", { token, password });
+    return response.data;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao redefinir a senha.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Sessões ativas da conta (dispositivos logados).
+ * @returns {Promise<Array>}
+ */
+export const getSessions = async () => {
+  const CONTEXT = "API:GET_SESSIONS";
+  try {
+    const response = await apiClient.get("/auth/sessions");
+    return response.data.sessions;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao listar as sessões.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Encerra a sessão de outro dispositivo.
+ * @param {string} sessionId
+ */
+export const revokeSession = async (sessionId) => {
+  const CONTEXT = "API:REVOKE_SESSION";
+  try {
+    await apiClient.delete(`/auth/sessions/${sessionId}`);
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao encerrar a sessão.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Encerra todas as sessões da conta, inclusive a atual.
+ */
+export const logoutEverywhere = async () => {
+  const CONTEXT = "API:LOGOUT_ALL";
+  try {
+    await apiClient.post("/auth/logout-all");
+    clearSession();
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao encerrar as sessões.", "error", error);
+    throw error;
+  }
+};
+
+// --- Conta do Usuário ---
+
+export const getProfile = async () => {
+  const CONTEXT = "API:GET_PROFILE";
+  try {
+    const response = await apiClient.get("/user/profile");
+    return response.data;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao carregar o perfil.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Altera nome e/ou email (o email exige a senha atual).
+ * @param {{name?: string, email?: string, currentPassword?: string}} changes
+ * @returns {Promise<Object>} Perfil atualizado.
+ */
+export const updateProfile = async (changes) => {
+  const CONTEXT = "API:UPDATE_PROFILE";
+  try {
+    const response = await apiClient.put("/user/profile", changes);
+    return response.data;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao atualizar o perfil.", "error", error);
+    throw error;
+  }
+};
+
+export const changePassword = async (currentPassword, newPassword) => {
+  const CONTEXT = "API:CHANGE_PASSWORD";
+  try {
+    const response = await apiClient.put("/user/password", { currentPassword, newPassword });
+    return response.data;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao trocar a senha.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Exclui a conta com todos os chats. Limpa a sessão local em caso de sucesso.
+ * @param {string} password - Senha atual (confirmação).
+ */
+export const deleteAccount = async (password) => {
+  const CONTEXT = "API:DELETE_ACCOUNT";
+  try {
+    const response = await apiClient.delete("/user/account", { data: { password } });
+    clearSession();
+    return response.data;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao excluir a conta.", "error", error);
+    throw error;
+  }
+};
+
 // --- Gerenciamento de Chats ---
 
 /**
@@ -130,6 +397,28 @@ export const searchGlobalChats = async (query, apiKey) => {
   }
 };
 
+/**
+ * Lista os modelos de um servidor local/OpenAI-compatible (vLLM, llama.cpp, Ollama, LM Studio).
+ * A requisição passa pelo back-end para evitar bloqueios de CORS do servidor local.
+ * @param {string} baseUrl - Base URL do servidor (ex: http://localhost:8000).
+ * @param {string} apiKey - API Key opcional (ou a máscara da key salva no chat).
+ * @param {string} [chatToken] - Chat cuja key salva deve ser usada.
+ * @returns {Promise<object[]>} - Lista de modelos { id, name, context }.
+ */
+export const listVllmModels = async (baseUrl, apiKey, chatToken) => {
+  const CONTEXT = "API:LIST_VLLM_MODELS";
+  try {
+    // Com chatToken, o servidor usa a key salva quando apiKey vier mascarada
+    const url = chatToken ? `/chat/${chatToken}/vllm/models` : "/chat/vllm/models";
+    const response = await apiClient.post(url, { baseUrl, apiKey });
+    log(CONTEXT, `SUCESSO: ${response.data.length} modelos encontrados.`);
+    return response.data;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao listar modelos do servidor local.", "error", error);
+    throw error;
+  }
+};
+
 /**
  * Deleta um chat permanentemente.
  */
@@ -221,6 +510,106 @@ export const generateChatResponse = async (
   }
 };
 
+/**
+ * Envia uma mensagem para a IA recebendo a resposta em streaming (SSE).
+ * Eventos intermediários (text, text_reset, dice_roll, memory_inserted,
+ * memory_edited, pending_deletions, character_updated, game_clock_updated, quest_updated)
+ * são repassados para onEvent.
+ * @param {string} chatToken - Token do chat.
+ * @param {string} message - Mensagem do usuário.
+ * @param {Array} previousVectorMemory - Memória exibida no painel.
+ * @param {Array<File>} files - Anexos.
+ * @param {Function} onEvent - Callback chamado a cada evento recebido.
+ * @returns {Promise<Object>} - Mesmo payload da rota sem streaming (history, newVectorMemory...).
+ */
+export const generateChatResponseStream = async (
+  chatToken,
+  message,
+  previousVectorMemory,
+  files = [],
+  onEvent
+) => {
+  const CONTEXT = "API:GENERATE_STREAM";
+  try {
+    const headers = {
+      "Accept": "text/event-stream"
+    };
+
+    let body;
+    if (files.length > 0) {
+      body = new FormData();
+      body.append("message", message);
+      body.append("previousVectorMemory", JSON.stringify(previousVectorMemory));
+      files.forEach((file) => body.append("files", file));
+    } else {
+      headers["Content-Type"] = "application/json";
+      body = JSON.stringify({ message, previousVectorMemory });
+    }
+
+    const response = await authFetch(`${API_BASE_URL}/chat/generate/${chatToken}?stream=true`, {
+      method: "POST",
+      headers,
+      body
+    });
+
+    // Erros antes do início do stream chegam como JSON comum.
+    // Mantém o formato do axios (error.response.data) para reaproveitar o tratamento existente.
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const error = new Error(data.error || `HTTP ${response.status}`);
+      error.response = { status: response.status, data };
+      throw error;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let result = null;
+
+    const handleEvent = (event) => {
+      if (event.type === "complete") {
+        result = event;
+      } else if (event.type === "error") {
+        throw streamError(event);
+      } else if (onEvent) {
+        onEvent(event);
+      }
+    };
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      // Um evento pode chegar dividido entre chunks: processa apenas blocos completos
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split("\n\n");
+      buffer = blocks.pop();
+
+      for (const block of blocks) {
+        if (!block.startsWith("data: ")) continue;
+
+        let event;
+        try {
+          event = JSON.parse(block.slice(6));
+        } catch {
+          continue; // Ignora linhas malformadas
+        }
+        handleEvent(event);
+      }
+    }
+
+    if (!result) {
+      throw new Error("Conexão encerrada antes da resposta completa.");
+    }
+
+    log(CONTEXT, "Stream concluído.");
+    return result;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao gerar resposta da IA (stream).", "error", error);
+    throw error;
+  }
+};
+
 /**
  * Insere um novo dado de memória (fato, conceito, etc.) manualmente.
  */
@@ -350,12 +739,10 @@ export const importMemories = async (chatToken, data, collections, onProgress) =
     log(CONTEXT, "Iniciando importação de memórias...");
 
     // Usa fetch nativo para SSE
-    const token = localStorage.getItem("token");
-    const response = await fetch(`${API_BASE_URL}/chat/${chatToken}/memories/import`, {
+    const response = await authFetch(`${API_BASE_URL}/chat/${chatToken}/memories/import`, {
       method: "POST",
       headers: {
-        "Content-Type": "application/json",
-        "Authorization": token ? `Bearer ${token}` : ""
+        "Content-Type": "application/json"
       },
       body: JSON.stringify({ data, collections })
     });
@@ -381,7 +768,7 @@ export const importMemories = async (chatToken, data, collections, onProgress) =
           } else if (event.type === "complete") {
             result = event.stats;
           } else if (event.type === "error") {
-            throw new Error(event.message);
+            throw streamError(event);
           }
         } catch (e) {
           // Ignora linhas malformadas
@@ -397,6 +784,396 @@ export const importMemories = async (chatToken, data, collections, onProgress) =
   }
 };
 
+// --- Migração de Embeddings ---
+
+/**
+ * Obtém o estado da migração de embeddings pendente de um chat.
+ * @param {string} chatToken - Token do chat.
+ * @returns {Promise<Object|null>} - Estado da migração ou null.
+ */
+export const getEmbeddingMigration = async (chatToken) => {
+  const CONTEXT = "API:EMBEDDING_MIGRATION";
+  try {
+    const response = await apiClient.get(`/chat/${chatToken}/embeddings/migration`);
+    return response.data.migration;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao obter estado da migração.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Inicia (com embedding) ou retoma (sem embedding) a migração de embeddings (SSE para progresso).
+ * A migração continua no servidor mesmo se a conexão cair.
+ * @param {string} chatToken - Token do chat.
+ * @param {Object|null} embedding - Novo modelo { provider, model, baseUrl?, apiKey? }.
+ * @param {Function} onProgress - Callback de progresso (current, total, collection).
+ * @returns {Promise<Object>} - Estatísticas da migração.
+ */
+export const startEmbeddingMigration = async (chatToken, embedding, onProgress) => {
+  const CONTEXT = "API:START_EMBEDDING_MIGRATION";
+  try {
+    log(CONTEXT, embedding ? "Iniciando migração de embeddings..." : "Retomando migração de embeddings...");
+
+    const response = await authFetch(`${API_BASE_URL}/chat/${chatToken}/embeddings/migration`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify(embedding ? { embedding } : {})
+    });
+
+    // Erros de validação chegam como JSON comum (formato do axios)
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const error = new Error(data.error || `HTTP ${response.status}`);
+      error.response = { status: response.status, data };
+      throw error;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let result = null;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split("\n\n");
+      buffer = blocks.pop();
+
+      for (const block of blocks) {
+        if (!block.startsWith("data: ")) continue;
+
+        let event;
+        try {
+          event = JSON.parse(block.slice(6));
+        } catch {
+          continue; // Ignora linhas malformadas
+        }
+
+        if (event.type === "progress" && onProgress) {
+          onProgress(event.current, event.total, event.collection);
+        } else if (event.type === "complete") {
+          result = event.stats;
+        } else if (event.type === "error") {
+          throw streamError(event);
+        }
+      }
+    }
+
+    if (!result) {
+      throw new Error("Conexão encerrada antes do fim da migração. Ela pode ser retomada.");
+    }
+
+    log(CONTEXT, "Migração concluída.");
+    return result;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha na migração de embeddings.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Cancela a migração de embeddings pendente (descarta o progresso).
+ * @param {string} chatToken - Token do chat.
+ */
+export const cancelEmbeddingMigration = async (chatToken) => {
+  const CONTEXT = "API:CANCEL_EMBEDDING_MIGRATION";
+  try {
+    const response = await apiClient.delete(`/chat/${chatToken}/embeddings/migration`);
+    return response.data;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao cancelar migração.", "error", error);
+    throw error;
+  }
+};
+
+// --- Resumos da Campanha ---
+
+/**
+ * Lista a história até agora e os capítulos resumidos de um chat.
+ * @param {string} chatToken - Token do chat.
+ * @returns {Promise<{storySoFar: Object|null, chapters: Array, running: boolean}>}
+ */
+export const getSummaries = async (chatToken) => {
+  const CONTEXT = "API:GET_SUMMARIES";
+  try {
+    const response = await apiClient.get(`/chat/${chatToken}/summaries`);
+    return response.data;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao carregar resumos.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Resume agora os trechos do histórico que ainda não têm capítulo.
+ * @param {string} chatToken - Token do chat.
+ * @returns {Promise<Object>} - { created, storyUpdated, storySoFar, chapters }.
+ */
+export const summarizeChat = async (chatToken) => {
+  const CONTEXT = "API:SUMMARIZE_CHAT";
+  try {
+    const response = await apiClient.post(`/chat/${chatToken}/summaries`);
+    return response.data;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao gerar resumos.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Edita o texto de um resumo (capítulo ou história até agora).
+ * @param {string} chatToken - Token do chat.
+ * @param {string} summaryId - messageid do resumo.
+ * @param {string} text - Novo texto.
+ * @returns {Promise<Object>} - Resumo atualizado.
+ */
+export const updateSummary = async (chatToken, summaryId, text) => {
+  const CONTEXT = "API:UPDATE_SUMMARY";
+  try {
+    const response = await apiClient.put(`/chat/${chatToken}/summaries/${summaryId}`, { text });
+    return response.data.summary;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao editar resumo.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Gera de novo um resumo a partir das mensagens de origem.
+ * @param {string} chatToken - Token do chat.
+ * @param {string} summaryId - messageid do resumo.
+ * @returns {Promise<{summary: Object, storySoFar: Object|null}>}
+ */
+export const regenerateSummary = async (chatToken, summaryId) => {
+  const CONTEXT = "API:REGENERATE_SUMMARY";
+  try {
+    const response = await apiClient.post(`/chat/${chatToken}/summaries/${summaryId}/regenerate`);
+    return response.data;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao regenerar resumo.", "error", error);
+    throw error;
+  }
+};
+
+// --- Fichas de Personagem ---
+
+/**
+ * Lista as fichas de personagem de um chat (jogadores primeiro).
+ * @param {string} chatToken - Token do chat.
+ * @returns {Promise<Array>} - Fichas.
+ */
+export const getCharacters = async (chatToken) => {
+  const CONTEXT = "API:GET_CHARACTERS";
+  try {
+    const response = await apiClient.get(`/chat/${chatToken}/characters`);
+    return response.data.characters;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao carregar fichas.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Cria uma ficha de personagem.
+ * @param {string} chatToken - Token do chat.
+ * @param {Object} character - Campos da ficha (name obrigatório).
+ * @returns {Promise<Object>} - Ficha criada.
+ */
+export const createCharacter = async (chatToken, character) => {
+  const CONTEXT = "API:CREATE_CHARACTER";
+  try {
+    const response = await apiClient.post(`/chat/${chatToken}/characters`, character);
+    return response.data.character;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao criar ficha.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Altera uma ficha. Atributos, perícias e recursos são mesclados (null remove a entrada).
+ * @param {string} chatToken - Token do chat.
+ * @param {string} characterId - Id ou nome da ficha.
+ * @param {Object} changes - Campos alterados.
+ * @returns {Promise<Object>} - Ficha atualizada.
+ */
+export const updateCharacter = async (chatToken, characterId, changes) => {
+  const CONTEXT = "API:UPDATE_CHARACTER";
+  try {
+    const response = await apiClient.put(`/chat/${chatToken}/characters/${characterId}`, changes);
+    return response.data.character;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao editar ficha.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Remove uma ficha.
+ * @param {string} chatToken - Token do chat.
+ * @param {string} characterId - Id ou nome da ficha.
+ */
+export const deleteCharacter = async (chatToken, characterId) => {
+  const CONTEXT = "API:DELETE_CHARACTER";
+  try {
+    const response = await apiClient.delete(`/chat/${chatToken}/characters/${characterId}`);
+    return response.data;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao remover ficha.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Soma (ou subtrai) um valor de um recurso da ficha, limitado entre 0 e o máximo.
+ * @param {string} chatToken - Token do chat.
+ * @param {string} characterId - Id ou nome da ficha.
+ * @param {string} resource - Nome do recurso (ex.: "PV").
+ * @param {number} delta - Valor a somar.
+ * @returns {Promise<Object>} - { character, resource, before, after, max }.
+ */
+export const adjustCharacterResource = async (chatToken, characterId, resource, delta) => {
+  const CONTEXT = "API:ADJUST_CHARACTER_RESOURCE";
+  try {
+    const response = await apiClient.post(
+      `/chat/${chatToken}/characters/${characterId}/adjust`,
+      { resource, delta }
+    );
+    return response.data;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao ajustar recurso.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Faz um teste de perícia com o modificador da ficha; o resultado é salvo no histórico.
+ * @param {string} chatToken - Token do chat.
+ * @param {string} characterId - Id ou nome da ficha.
+ * @param {Object} check - { skill, dc?, bonus?, advantage?, ruleset? }.
+ * @returns {Promise<Object>} - { message, check, roll }.
+ */
+export const skillCheck = async (chatToken, characterId, check) => {
+  const CONTEXT = "API:SKILL_CHECK";
+  try {
+    const response = await apiClient.post(`/chat/${chatToken}/characters/${characterId}/check`, check);
+    return response.data;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao fazer o teste.", "error", error);
+    throw error;
+  }
+};
+
+// --- Diário de Missões ---
+
+/**
+ * Lista os fios da história de um chat (em aberto primeiro).
+ * @param {string} chatToken - Token do chat.
+ * @returns {Promise<Array>}
+ */
+export const getQuests = async (chatToken) => {
+  const CONTEXT = "API:GET_QUESTS";
+  try {
+    const response = await apiClient.get(`/chat/${chatToken}/quests`);
+    return response.data.quests;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao carregar missões.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Abre um fio no diário de missões.
+ * @param {string} chatToken - Token do chat.
+ * @param {Object} quest - { title, description?, npcs?, locations? }.
+ * @returns {Promise<Object>} - Fio criado.
+ */
+export const createQuest = async (chatToken, quest) => {
+  const CONTEXT = "API:CREATE_QUEST";
+  try {
+    const response = await apiClient.post(`/chat/${chatToken}/quests`, quest);
+    return response.data.quest;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao criar missão.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Altera um fio (status, nota, descrição, NPCs, locais).
+ * @param {string} chatToken - Token do chat.
+ * @param {string} questId - Id ou título do fio.
+ * @param {Object} changes - Campos alterados.
+ * @returns {Promise<Object>} - Fio atualizado.
+ */
+export const updateQuest = async (chatToken, questId, changes) => {
+  const CONTEXT = "API:UPDATE_QUEST";
+  try {
+    const response = await apiClient.put(`/chat/${chatToken}/quests/${questId}`, changes);
+    return response.data.quest;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao atualizar missão.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Remove um fio do diário de missões.
+ * @param {string} chatToken - Token do chat.
+ * @param {string} questId - Id ou título do fio.
+ * @returns {Promise<Object>}
+ */
+export const deleteQuest = async (chatToken, questId) => {
+  const CONTEXT = "API:DELETE_QUEST";
+  try {
+    const response = await apiClient.delete(`/chat/${chatToken}/quests/${questId}`);
+    return response.data;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao remover missão.", "error", error);
+    throw error;
+  }
+};
+
+// --- Relógio do Jogo ---
+
+/**
+ * Busca o relógio do jogo (último carimbo do mestre ou correção).
+ * @param {string} chatToken - Token do chat.
+ * @returns {Promise<Object|null>} - { day, year, hour, minute, location, source, updatedAt } ou null.
+ */
+export const getGameClock = async (chatToken) => {
+  const CONTEXT = "API:GET_GAME_CLOCK";
+  try {
+    const response = await apiClient.get(`/chat/${chatToken}/clock`);
+    return response.data.clock;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao buscar o relógio do jogo.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Corrige o relógio do jogo (só os campos enviados mudam).
+ * @param {string} chatToken - Token do chat.
+ * @param {Object} changes - { day?, year?, time? ("HH:MM"), location?, advanceMinutes? }.
+ * @returns {Promise<Object>} - Relógio atualizado.
+ */
+export const updateGameClock = async (chatToken, changes) => {
+  const CONTEXT = "API:UPDATE_GAME_CLOCK";
+  try {
+    const response = await apiClient.put(`/chat/${chatToken}/clock`, changes);
+    return response.data.clock;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao corrigir o relógio do jogo.", "error", error);
+    throw error;
+  }
+};
+
 // --- Vetorização de PDFs ---
 
 /**
@@ -414,12 +1191,10 @@ export const vectorizePDF = async (chatToken, pdfData, fileName, collection, onP
   try {
     log(CONTEXT, `Iniciando vetorização de: ${fileName}`);
 
-    const token = localStorage.getItem("token");
-    const response = await fetch(`${API_BASE_URL}/chat/${chatToken}/vectorize-pdf`, {
+    const response = await authFetch(`${API_BASE_URL}/chat/${chatToken}/vectorize-pdf`, {
       method: "POST",
       headers: {
-        "Content-Type": "application/json",
-        "Authorization": token ? `Bearer ${token}` : ""
+        "Content-Type": "application/json"
       },
       body: JSON.stringify({ pdfData, fileName, collection })
     });
@@ -445,7 +1220,7 @@ export const vectorizePDF = async (chatToken, pdfData, fileName, collection, onP
           } else if (event.type === "complete") {
             result = event;
           } else if (event.type === "error") {
-            throw new Error(event.message);
+            throw streamError(event);
           }
         } catch (e) {
           // Ignora linhas malformadas
@@ -496,3 +1271,89 @@ export const deleteVectorizedDocument = async (chatToken, collection, documentId
     throw error;
   }
 };
+
+// --- Cofre de Credenciais ---
+
+/**
+ * Lista as credenciais do usuário (só máscaras) e os padrões por provider.
+ * @returns {Promise<{credentials: Object[], defaults: Object}>}
+ */
+export const getCredentials = async () => {
+  const CONTEXT = "API:GET_CREDENTIALS";
+  try {
+    const response = await apiClient.get("/user/keys");
+    return response.data;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao carregar o cofre de credenciais.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Adiciona uma API Key ao cofre do usuário.
+ * @param {string} provider - "google" | "openrouter" | "cerebras" | "vllm" | "embedding".
+ * @param {string} label - Nome da credencial.
+ * @param {string} key - API Key.
+ * @returns {Promise<Object>} - Credencial criada (mascarada).
+ */
+export const createCredential = async (provider, label, key) => {
+  const CONTEXT = "API:CREATE_CREDENTIAL";
+  try {
+    const response = await apiClient.post("/user/keys", { provider, label, key });
+    log(CONTEXT, `Credencial ${provider} adicionada.`);
+    return response.data;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao adicionar credencial.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Renomeia uma credencial ou troca a key (vale para todos os chats que a usam).
+ * @param {string} credentialId
+ * @param {{label?: string, key?: string}} changes
+ * @returns {Promise<Object>} - Credencial atualizada (mascarada).
+ */
+export const updateCredential = async (credentialId, changes) => {
+  const CONTEXT = "API:UPDATE_CREDENTIAL";
+  try {
+    const response = await apiClient.put(`/user/keys/${credentialId}`, changes);
+    log(CONTEXT, `Credencial ${credentialId} atualizada.`);
+    return response.data;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao atualizar credencial.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Remove uma credencial do cofre.
+ * @param {string} credentialId
+ */
+export const deleteCredential = async (credentialId) => {
+  const CONTEXT = "API:DELETE_CREDENTIAL";
+  try {
+    const response = await apiClient.delete(`/user/keys/${credentialId}`);
+    log(CONTEXT, `Credencial ${credentialId} removida.`);
+    return response.data;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao remover credencial.", "error", error);
+    throw error;
+  }
+};
+
+/**
+ * Define as credenciais padrão por provider (herdadas pelos chats).
+ * @param {Object} defaults - { google: [ids], openrouter: id, ... }; vazio remove o padrão.
+ * @returns {Promise<Object>} - Padrões salvos.
+ */
+export const updateCredentialDefaults = async (defaults) => {
+  const CONTEXT = "API:UPDATE_CREDENTIAL_DEFAULTS";
+  try {
+    const response = await apiClient.put("/user/keys/defaults", defaults);
+    return response.data.defaults;
+  } catch (error) {
+    log(CONTEXT, "ERRO: Falha ao salvar padrões.", "error", error);
+    throw error;
+  }
+};
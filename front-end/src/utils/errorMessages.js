@@ -0,0 +1,151 @@
+// src/utils/errorMessages.js
+// Mensagens dos erros da API a partir do código estável ({ error, code, details? }, ver
+// back-end/src/utils/errors.js). O servidor já manda uma mensagem em português; aqui ela ganha
+// título, tipo de toast e, quando os detalhes permitem, uma versão mais útil (ex.: o horário
+// local em que as chaves do Google voltam).
+
+const PROVIDER_NAMES = {
+  google: "Google AI",
+  gemini: "Google",
+  openrouter: "OpenRouter",
+  cerebras: "Cerebras",
+  vllm: "servidor vLLM",
+};
+
+const providerName = (details) => PROVIDER_NAMES[details?.provider] || "provider";
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString("pt-BR", { hour: "2-digit", minute: "2-digit" });
+
+const formatWait = (seconds) =>
+  seconds < 60 ? `${seconds} segundo(s)` : `${Math.ceil(seconds / 60)} minuto(s)`;
+
+/**
+ * Chaves do Google em cooldown: diz até quando (no fuso do usuário) e o que fazer.
+ * @param {Object} details - { keyCount, retryAt }
+ * @param {string} usage - Para que as chaves servem ("geração", "embeddings").
+ * @returns {string}
+ */
+const keysExhaustedMessage = (details, usage) => {
+  const keys = details?.keyCount > 1 ? `Todas as ${details.keyCount} chaves do Google` : "A chave do Google";
+  const until = details?.retryAt ? ` até ${formatTime(details.retryAt)}` : "";
+  return `${keys} para ${usage} estão em espera${until}. Adicione outra API Key nas configurações ou aguarde.`;
+};
+
+// code -> { title, type, message?(details, serverMessage) }
+const ERROR_MESSAGES = {
+  GOOGLE_KEYS_EXHAUSTED: {
+    title: "Cota do Google esgotada",
+    type: "info",
+    message: (details) => keysExhaustedMessage(details, "geração"),
+  },
+  EMBEDDING_KEYS_EXHAUSTED: {
+    title: "Cota de embeddings esgotada",
+    type: "info",
+    message: (details) => keysExhaustedMessage(details, "embeddings"),
+  },
+  PROVIDER_RATE_LIMITED: {
+    title: "Provider sobrecarregado",
+    type: "info",
+    message: (details) => `O ${providerName(details)} está limitando as requisições. Aguarde alguns segundos e tente de novo.`,
+  },
+  PROVIDER_AUTH: {
+    title: "API Key recusada",
+    type: "error",
+    message: (details) => `O ${providerName(details)} recusou a API Key. Confira a chave nas configurações do chat ou no cofre de credenciais.`,
+  },
+  PROVIDER_KEY_MISSING: {
+    title: "API Key ausente",
+    type: "error",
+    message: (details, serverMessage) =>
+      details?.provider
+        ? `Configure a API Key do ${providerName(details)} nas configurações do chat ou no cofre de credenciais.`
+        : serverMessage,
+  },
+  PROVIDER_BASE_URL_MISSING: {
+    title: "Servidor local não configurado",
+    type: "error",
+    message: () => "Informe a Base URL do servidor vLLM (OpenAI-compatible) nas configurações do chat.",
+  },
+  PROVIDER_FORBIDDEN: { title: "Acesso negado pelo provider", type: "error" },
+  PROVIDER_MODERATION: { title: "Conteúdo bloqueado", type: "error" },
+  PROVIDER_PRIVACY_POLICY: { title: "Política de privacidade", type: "info" },
+  PROVIDER_NOT_FOUND: { title: "Modelo não encontrado", type: "error" },
+  PROVIDER_UNAVAILABLE: {
+    title: "Provider indisponível",
+    type: "error",
+    message: (details, serverMessage) => serverMessage || `O ${providerName(details)} não respondeu. Tente novamente em instantes.`,
+  },
+  PROVIDER_STREAM_INTERRUPTED: { title: "Resposta interrompida", type: "error" },
+  PROVIDER_FAILED: { title: "Falha no provider", type: "error" },
+  RATE_LIMITED: {
+    title: "Limite de requisições",
+    type: "info",
+    message: (details, serverMessage) =>
+      serverMessage ||
+      (details?.retryAfter ? `Tente novamente em ${formatWait(details.retryAfter)}.` : "Aguarde um pouco antes de tentar de novo."),
+  },
+  EMBEDDING_DIMENSION_MISMATCH: {
+    title: "Modelo de embedding diferente",
+    type: "error",
+    message: () => "O modelo de embedding configurado não é o que gerou as memórias deste chat. Volte ao modelo anterior ou migre as memórias nas configurações.",
+  },
+  EMBEDDING_MIGRATION_IN_PROGRESS: { title: "Migração em andamento", type: "info" },
+  EMBEDDING_MIGRATION_REQUIRED: { title: "Migração necessária", type: "info" },
+  EMBEDDING_UNAVAILABLE: { title: "Embeddings indisponíveis", type: "error" },
+  EMBEDDING_CONFIG_INVALID: { title: "Configuração de embedding", type: "error" },
+  EMBEDDING_FAILED: { title: "Falha nos embeddings", type: "error" },
+  EMBEDDING_PROVIDER_MISSING: {
+    title: "Embeddings não configurados",
+    type: "error",
+    message: (details) =>
+      details?.provider === "gemini"
+        ? "As memórias usam embeddings do Google: adicione uma API Key do Google nas configurações do chat."
+        : "Configure o provider de embeddings do chat (modelo e Base URL) nas configurações.",
+  },
+  ATTACHMENTS_TOO_LARGE: {
+    title: "Anexos grandes demais",
+    type: "error",
+    message: (details, serverMessage) =>
+      details?.limit
+        ? `Os anexos somam ${(details.size / 1024 / 1024).toFixed(1)}MB; o limite por mensagem é ${details.limit / 1024 / 1024}MB.`
+        : serverMessage,
+  },
+  IMPORT_VERSION_UNSUPPORTED: {
+    title: "Arquivo não suportado",
+    type: "error",
+    message: (details) =>
+      `O arquivo de memórias está na versão ${details?.version ?? "desconhecida"}, que este servidor não importa. Exporte de novo com a versão atual.`,
+  },
+  SUMMARY_EMPTY: { title: "Resumo vazio", type: "error" },
+  CHAT_NOT_FOUND: { title: "Chat não encontrado", type: "error" },
+  CHAT_FORBIDDEN: { title: "Acesso negado", type: "error" },
+  MESSAGE_NOT_FOUND: { title: "Mensagem não encontrada", type: "error" },
+  VALIDATION_FAILED: { title: "Dados inválidos", type: "error" },
+  INTERNAL_ERROR: {
+    title: "Erro no servidor",
+    type: "error",
+    message: () => "Algo deu errado no servidor. Tente novamente; se continuar, veja os logs do back-end.",
+  },
+};
+
+/**
+ * Monta o toast de um erro da API.
+ * @param {Object} error - Erro do axios/authFetch (error.response.data) ou o próprio corpo { error, code, details }.
+ * @param {string} [fallback] - Mensagem para erros sem código conhecido nem mensagem do servidor.
+ * @returns {{title?: string, type: string, message: string}}
+ */
+export const describeError = (error, fallback = "Algo deu errado.") => {
+  const data = error?.response?.data ?? error;
+  const serverMessage = typeof data?.error === "string" ? data.error : null;
+  const entry = ERROR_MESSAGES[data?.code];
+
+  if (!entry) {
+    return { type: "error", message: serverMessage || fallback };
+  }
+  return {
+    title: entry.title,
+    type: entry.type,
+    message: entry.message?.(data.details, serverMessage) || serverMessage || fallback,
+  };
+};
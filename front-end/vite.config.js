@@ -1,7 +1,19 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import path from 'node:path'
 
-// https://vite.dev/config/
+// Código compartilhado com o back-end (ex.: motor de dados) fica em ../shared, em CommonJS.
+// No dev ele é pré-empacotado pelo optimizeDeps (depois de editar, reinicie com --force);
+// no build o plugin de CommonJS converte os arquivos.
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: { '@shared': path.resolve(import.meta.dirname, '../shared') },
+  },
+  optimizeDeps: { include: ['@shared/dice.js', '@shared/checks.js'] },
+  build: {
+    commonjsOptions: { include: [/shared[\\/]/, /node_modules/] },
+  },
+  // Só o próprio front-end e o código compartilhado: o resto do repositório (ex.: back-end/data) fica fora do dev server
+  server: { fs: { allow: ['.', '../shared'] } },
 })
@@ -0,0 +1,132 @@
+// shared/checks.js
+// Testes de perícia: rola pelo motor de dados e compara o resultado com as regras do sistema de jogo.
+// Usado pela tool skill_check e pela rota de teste das fichas (back-end) e para exibir o resultado (front-end).
+//
+// O texto salvo no histórico tem duas linhas: a rolagem, no mesmo formato do roll_dice, e o resultado:
+//   Percepção (Aria): 1d20+2 = 16 { 14 }
+//   Resultado [d20]: Sucesso (CD 13)
+// O texto é só para leitura (e para o modelo); o resultado estruturado fica na coluna check do registro.
+
+const { DiceError, rollDice } = require("./dice");
+
+const OUTCOME_LABELS = {
+  critical_success: "Sucesso crítico",
+  success: "Sucesso",
+  partial: "Sucesso parcial",
+  tie: "Empate",
+  failure: "Falha",
+  critical_failure: "Falha crítica",
+};
+
+/**
+ * Regras de cada sistema. outcome recebe { total, natural, dc } e devolve uma chave de OUTCOME_LABELS.
+ * attributeModifier converte o valor do atributo da ficha (perícias entram como estão).
+ */
+const RULESETS = {
+  // d20 (D&D, Pathfinder): 1d20 + modificador contra a CD; 20 natural é crítico, 1 natural é falha crítica
+  d20: {
+    label: "d20",
+    dice: ({ advantage }) => (advantage === "advantage" ? "2d20kh1" : advantage === "disadvantage" ? "2d20kl1" : "1d20"),
+    dcLabel: "CD",
+    attributeModifier: (value) => Math.floor((value - 10) / 2),
+    outcome: ({ total, natural, dc }) => {
+      if (natural === 20) return "critical_success";
+      if (natural === 1) return "critical_failure";
+      return total >= dc ? "success" : "failure";
+    },
+  },
+  // Powered by the Apocalypse: 2d6 + atributo; 10+ sucesso, 7-9 sucesso parcial, 6- falha (sem CD)
+  pbta: {
+    label: "PbtA 2d6",
+    dice: () => "2d6",
+    attributeModifier: (value) => value,
+    outcome: ({ total }) => (total >= 10 ? "success" : total >= 7 ? "partial" : "failure"),
+  },
+  // Fate: 4dF + perícia contra a dificuldade; 3 tensões acima é sucesso com estilo
+  fate: {
+    label: "Fate 4dF",
+    dice: () => "4dF",
+    defaultDc: 0,
+    dcLabel: "dificuldade",
+    attributeModifier: (value) => value,
+    labels: { critical_success: "Sucesso com estilo" },
+    outcome: ({ total, dc }) => {
+      const shifts = total - dc;
+      if (shifts >= 3) return "critical_success";
+      if (shifts > 0) return "success";
+      return shifts === 0 ? "tie" : "failure";
+    },
+  },
+};
+
+const RULESET_IDS = Object.keys(RULESETS);
+
+/**
+ * Regras de um sistema pelo id.
+ * @param {string} id
+ * @returns {object}
+ * @throws {DiceError} Se o sistema não existir.
+ */
+function getRuleset(id) {
+  if (!RULESETS[id]) throw new DiceError(`Sistema de regras desconhecido: ${id}. Use um de: ${RULESET_IDS.join(", ")}.`);
+  return RULESETS[id];
+}
+
+const outcomeLabel = (ruleset, outcome) => ruleset.labels?.[outcome] || OUTCOME_LABELS[outcome];
+
+const signed = (value) => (value > 0 ? `+${value}` : value < 0 ? `${value}` : "");
+
+/**
+ * Rola um teste de perícia.
+ * @param {object} params
+ * @param {string} params.ruleset - Id do sistema (d20, pbta, fate).
+ * @param {string} params.label - Nome do teste (ex.: "Percepção (Aria)").
+ * @param {number} [params.modifier=0] - Modificador total (ficha + bônus de situação).
+ * @param {number} [params.dc] - CD/dificuldade (obrigatória no d20; ignorada no PbtA).
+ * @param {string} [params.advantage] - "advantage" ou "disadvantage" (só d20).
+ * @param {object} [options]
+ * @param {string} [options.seed] - Seed do gerador (ver rollDice).
+ * @returns {{ruleset: string, label: string, notation: string, modifier: number, dc: number|null, total: number,
+ *   natural: number, outcome: string, outcomeLabel: string, margin: number|null, expression: string, seed: string,
+ *   roll: object, text: string}} - expression + seed reproduzem a rolagem em rollDice.
+ * @throws {DiceError}
+ */
+function rollCheck({ ruleset: rulesetId, label, modifier = 0, dc, advantage }, options) {
+  const ruleset = getRuleset(rulesetId);
+  if (!Number.isInteger(modifier)) throw new DiceError("O modificador do teste deve ser um número inteiro.");
+
+  let target = null;
+  if (ruleset.dcLabel) {
+    target = dc ?? ruleset.defaultDc;
+    if (!Number.isInteger(target)) throw new DiceError(`Informe a ${ruleset.dcLabel} do teste (número inteiro).`);
+  }
+
+  // ":", ";" e "=" têm significado na expressão de dados
+  const name = String(label).replace(/[:;=\n]+/g, " ").trim() || "Teste";
+  const expression = `${name}: ${ruleset.dice({ advantage })}${signed(modifier)}`;
+  const { seed, rolls } = rollDice(expression, options);
+  const [roll] = rolls;
+  const group = roll.terms.find((term) => term.type === "dice");
+  const natural = group.total;
+
+  const outcome = ruleset.outcome({ total: roll.total, natural, dc: target });
+  const result = `Resultado [${rulesetId}]: ${outcomeLabel(ruleset, outcome)}`;
+  return {
+    ruleset: rulesetId,
+    label: name,
+    notation: roll.notation,
+    modifier,
+    dc: target,
+    total: roll.total,
+    natural,
+    outcome,
+    outcomeLabel: outcomeLabel(ruleset, outcome),
+    margin: target === null ? null : roll.total - target,
+    expression,
+    seed,
+    roll,
+    text: `${roll.text}\n${target === null ? result : `${result} (${ruleset.dcLabel} ${target})`}`,
+  };
+}
+
+module.exports = { OUTCOME_LABELS, RULESETS, RULESET_IDS, getRuleset, rollCheck };
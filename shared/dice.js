@@ -0,0 +1,499 @@
+// shared/dice.js
+// Motor de rolagem de dados: a tool roll_dice e o comando /r do jogador rolam no back-end (resultado oficial);
+// o front-end usa o mesmo módulo para validar a expressão e exibir as rolagens.
+// Fica em CommonJS para o Node; o Vite converte o módulo na importação (ver front-end/vite.config.js).
+//
+// Sintaxe (espaços ignorados; várias rolagens separadas por ";"):
+//   2d6+1d4+3         grupos de dados e constantes somados/subtraídos
+//   d20, d%, 4dF      um dado quando a quantidade é omitida, d100, dados Fate (-1, 0, +1)
+//   4d6kh3, 2d20kl1   mantém os maiores/menores ("k" = "kh"); dh/dl descartam
+//   adv, dis          vantagem/desvantagem (2d20kh1 / 2d20kl1)
+//   3d6!, 3d6!>=5     dados explosivos (no valor máximo ou na condição)
+//   4d6r1, 4d6ro<2    rerrola (r: até sair da condição; ro: uma vez só)
+//   8d10>=7, 8d10>=7f1 conta sucessos (f desconta as falhas)
+//   Ataque: 1d20+5    rolagem com nome
+//
+// A aleatoriedade vem de um gerador com seed (sfc32): a mesma seed e a mesma expressão
+// reproduzem exatamente os mesmos dados, o que permite auditar qualquer rolagem.
+
+const LIMITS = {
+  length: 500, // caracteres da entrada
+  rolls: 10, // rolagens separadas por ";"
+  terms: 20, // grupos/constantes por rolagem
+  dice: 1000, // dados por grupo
+  sides: 10000,
+  explosions: 100, // dados extras por grupo
+  rerolls: 100, // rerrolagens por dado
+};
+
+const COMPARE_OPERATORS = [">=", "<=", ">", "<", "="];
+const FUDGE_SYMBOLS = { "-1": "-", 0: " ", 1: "+" };
+
+class DiceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DiceError";
+  }
+}
+
+// --- Aleatoriedade ---
+
+/**
+ * Hash de uma string em 4 inteiros de 32 bits (cyrb128), usados como estado do sfc32.
+ * @param {string} text
+ * @returns {number[]}
+ */
+function cyrb128(text) {
+  let h1 = 1779033703;
+  let h2 = 3144134277;
+  let h3 = 1013904242;
+  let h4 = 2773480762;
+  for (let i = 0; i < text.length; i++) {
+    const k = text.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  return [(h1 ^ h2 ^ h3 ^ h4) >>> 0, (h2 ^ h1) >>> 0, (h3 ^ h1) >>> 0, (h4 ^ h1) >>> 0];
+}
+
+/**
+ * Gerador pseudoaleatório determinístico a partir de uma seed.
+ * @param {string} seed
+ * @returns {() => number} - Número em [0, 1).
+ */
+function createRng(seed) {
+  let [a, b, c, d] = cyrb128(String(seed));
+  return function sfc32() {
+    a >>>= 0;
+    b >>>= 0;
+    c >>>= 0;
+    d >>>= 0;
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Seed nova (128 bits em hexadecimal) a partir do crypto do ambiente (Node ou navegador).
+ * @returns {string}
+ */
+function randomSeed() {
+  const words = new Uint32Array(4);
+  globalThis.crypto.getRandomValues(words);
+  return Array.from(words, (word) => word.toString(16).padStart(8, "0")).join("");
+}
+
+// --- Parser ---
+
+/**
+ * Lê expressões de dados caractere a caractere (entrada já sem espaços e em minúsculas).
+ */
+class Parser {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  peek(length = 1) {
+    return this.text.slice(this.pos, this.pos + length);
+  }
+
+  eat(token) {
+    if (this.text.startsWith(token, this.pos)) {
+      this.pos += token.length;
+      return true;
+    }
+    return false;
+  }
+
+  fail(message) {
+    throw new DiceError(`${message} (posição ${this.pos + 1} de "${this.text}").`);
+  }
+
+  readInt() {
+    const match = /^\d+/.exec(this.text.slice(this.pos));
+    if (!match) return null;
+    this.pos += match[0].length;
+    return Number(match[0]);
+  }
+
+  // Condição (">=5", "<2", "=1" ou só "1"); sem operador nem número devolve null.
+  // Negativos (dados Fate) só depois de um operador: "3d6!-2" é explosão no máximo menos 2.
+  readCompare() {
+    const op = COMPARE_OPERATORS.find((candidate) => this.text.startsWith(candidate, this.pos));
+    if (op) this.pos += op.length;
+    const negative = Boolean(op) && this.eat("-");
+    const value = this.readInt();
+    if (value === null) {
+      if (op || negative) this.fail("Esperado um número na condição");
+      return null;
+    }
+    return { op: op || "=", value: negative ? -value : value };
+  }
+
+  parseExpression() {
+    const terms = [];
+    let sign = 1;
+    if (this.eat("-")) sign = -1;
+    else this.eat("+");
+    for (;;) {
+      terms.push(this.parseTerm(sign));
+      if (terms.length > LIMITS.terms) this.fail(`Máximo de ${LIMITS.terms} termos por rolagem`);
+      if (this.pos >= this.text.length) break;
+      if (this.eat("+")) sign = 1;
+      else if (this.eat("-")) sign = -1;
+      else this.fail(`Caractere inesperado "${this.peek()}"`);
+    }
+    if (!terms.some((term) => term.type === "dice")) this.fail("A rolagem precisa de ao menos um grupo de dados");
+    return terms;
+  }
+
+  parseTerm(sign) {
+    if (this.eat("adv")) return this.parseModifiers({ type: "dice", sign, count: 2, sides: 20, keep: { mode: "kh", n: 1 } });
+    if (this.eat("dis")) return this.parseModifiers({ type: "dice", sign, count: 2, sides: 20, keep: { mode: "kl", n: 1 } });
+
+    const number = this.readInt();
+    if (!this.eat("d")) {
+      if (number === null) this.fail("Esperado um número ou um dado");
+      return { type: "number", sign, value: number };
+    }
+
+    const count = number ?? 1;
+    let sides;
+    if (this.eat("f")) sides = "F";
+    else if (this.eat("%")) sides = 100;
+    else sides = this.readInt();
+
+    if (sides === null) this.fail("Esperado o número de faces do dado");
+    if (count < 1 || count > LIMITS.dice) this.fail(`A quantidade de dados deve ficar entre 1 e ${LIMITS.dice}`);
+    if (sides !== "F" && (sides < 1 || sides > LIMITS.sides)) this.fail(`O dado deve ter entre 1 e ${LIMITS.sides} faces`);
+
+    return this.parseModifiers({ type: "dice", sign, count, sides });
+  }
+
+  parseModifiers(group) {
+    for (;;) {
+      const two = this.peek(2);
+      if (["kh", "kl", "dh", "dl"].includes(two)) {
+        this.pos += 2;
+        group.keep = this.keepRule(two, this.readInt() ?? 1, group);
+      } else if (this.peek() === "k") {
+        this.pos += 1;
+        group.keep = this.keepRule("kh", this.readInt() ?? 1, group);
+      } else if (this.eat("!")) {
+        group.explode = this.readCompare() || { op: "=", value: maxFace(group.sides) };
+        if (alwaysMatches(group.explode, group.sides)) this.fail("A condição de explosão não pode valer para todas as faces");
+      } else if (this.peek() === "r") {
+        this.pos += 1;
+        const once = this.eat("o");
+        const compare = this.readCompare();
+        if (!compare) this.fail("Esperada a condição da rerrolagem");
+        if (alwaysMatches(compare, group.sides)) this.fail("A condição de rerrolagem não pode valer para todas as faces");
+        group.reroll = { ...compare, once };
+      } else if (COMPARE_OPERATORS.some((op) => this.text.startsWith(op, this.pos))) {
+        group.success = this.readCompare();
+      } else if (this.peek() === "f" && group.success) {
+        this.pos += 1;
+        group.failure = this.readCompare();
+        if (!group.failure) this.fail("Esperada a condição de falha");
+      } else {
+        return group;
+      }
+    }
+  }
+
+  keepRule(mode, n, group) {
+    if (n < 1) this.fail("Manter/descartar exige ao menos 1 dado");
+    if (n > group.count) n = group.count;
+    return { mode, n };
+  }
+}
+
+const maxFace = (sides) => (sides === "F" ? 1 : sides);
+const minFace = (sides) => (sides === "F" ? -1 : 1);
+
+/**
+ * Indica se um valor satisfaz a condição.
+ * @param {{op: string, value: number}} compare
+ * @param {number} value
+ * @returns {boolean}
+ */
+function matches({ op, value: target }, value) {
+  switch (op) {
+    case ">=": return value >= target;
+    case "<=": return value <= target;
+    case ">": return value > target;
+    case "<": return value < target;
+    default: return value === target;
+  }
+}
+
+function alwaysMatches(compare, sides) {
+  for (let face = minFace(sides); face <= maxFace(sides); face++) {
+    if (!matches(compare, face)) return false;
+  }
+  return true;
+}
+
+/**
+ * Separa o nome ("Ataque: 1d20+5") e normaliza a expressão.
+ * @param {string} part
+ * @returns {{label: string|null, body: string}}
+ */
+function splitLabel(part) {
+  const colon = part.indexOf(":");
+  if (colon === -1) return { label: null, body: part };
+  const label = part.slice(0, colon).trim();
+  if (!label) throw new DiceError("Nome da rolagem vazio antes de \":\".");
+  return { label: label.slice(0, 100), body: part.slice(colon + 1) };
+}
+
+/**
+ * Interpreta uma ou mais rolagens (separadas por ";").
+ * @param {string} input
+ * @returns {Array<{label: string|null, terms: object[]}>}
+ * @throws {DiceError}
+ */
+function parseDice(input) {
+  if (typeof input !== "string" || !input.trim()) throw new DiceError("Expressão de dados vazia.");
+  if (input.length > LIMITS.length) throw new DiceError(`Expressão de dados maior que ${LIMITS.length} caracteres.`);
+
+  const parts = input.split(";").filter((part) => part.trim());
+  if (parts.length > LIMITS.rolls) throw new DiceError(`Máximo de ${LIMITS.rolls} rolagens por vez.`);
+
+  return parts.map((part) => {
+    const { label, body } = splitLabel(part);
+    const text = body.replace(/\s+/g, "").toLowerCase();
+    if (!text) throw new DiceError("Expressão de dados vazia.");
+    return { label, terms: new Parser(text).parseExpression() };
+  });
+}
+
+// --- Formatação ---
+
+const formatCompare = ({ op, value }) => (op === "=" ? `${value}` : `${op}${value}`);
+
+/**
+ * Notação normalizada de um termo ("4d6kh3", "1d20", "+3").
+ * @param {object} term
+ * @returns {string}
+ */
+function formatTerm(term) {
+  if (term.type === "number") return `${term.value}`;
+  let notation = `${term.count}d${term.sides}`;
+  if (term.reroll) notation += `r${term.reroll.once ? "o" : ""}${formatCompare(term.reroll)}`;
+  if (term.explode) notation += term.explode.op === "=" && term.explode.value === maxFace(term.sides) ? "!" : `!${formatCompare(term.explode)}`;
+  if (term.keep) notation += `${term.keep.mode}${term.keep.n}`;
+  if (term.success) notation += term.success.op === "=" ? `=${term.success.value}` : formatCompare(term.success);
+  if (term.failure) notation += `f${formatCompare(term.failure)}`;
+  return notation;
+}
+
+const formatTerms = (terms) =>
+  terms.map((term, index) => `${term.sign < 0 ? "-" : index > 0 ? "+" : ""}${formatTerm(term)}`).join("");
+
+/**
+ * Como o dado aparece no texto: "(x)" não conta (descartado ou rerrolado), "!" explodiu,
+ * "*" é sucesso.
+ * @param {object} die
+ * @param {number|string} sides
+ * @returns {string}
+ */
+function formatDie(die, sides) {
+  const face = sides === "F" ? FUDGE_SYMBOLS[die.value] : `${die.value}`;
+  if (!die.kept) return `(${face})`;
+  return `${face}${die.exploded ? "!" : ""}${die.success ? "*" : ""}`;
+}
+
+// --- Avaliação ---
+
+/**
+ * Dados que saem da soma numa regra de manter/descartar (kh, kl, dh, dl).
+ * @param {object[]} dice - Dados que ainda contam.
+ * @param {{mode: string, n: number}} keep
+ * @returns {object[]}
+ */
+function droppedDice(dice, { mode, n }) {
+  const ascending = [...dice].sort((a, b) => a.value - b.value);
+  const count = Math.min(n, ascending.length);
+  switch (mode) {
+    case "kh": return ascending.slice(0, ascending.length - count);
+    case "kl": return ascending.slice(count);
+    case "dh": return ascending.slice(ascending.length - count);
+    default: return ascending.slice(0, count);
+  }
+}
+
+/**
+ * Rola um grupo de dados.
+ * @param {object} group - Termo "dice" do parser.
+ * @param {() => number} rng
+ * @returns {{dice: object[], value: number}}
+ */
+function rollGroup(group, rng) {
+  const rollDie = () =>
+    group.sides === "F" ? Math.floor(rng() * 3) - 1 : Math.floor(rng() * group.sides) + 1;
+
+  const dice = [];
+  let explosions = 0;
+  for (let i = 0; i < group.count; i++) {
+    let value = rollDie();
+    let exploding = true;
+    while (exploding) {
+      if (group.reroll) {
+        for (let n = 0; n < LIMITS.rerolls && matches(group.reroll, value); n++) {
+          dice.push({ value, kept: false, rerolled: true });
+          value = rollDie();
+          if (group.reroll.once) break;
+        }
+      }
+      const die = { value, kept: true };
+      dice.push(die);
+
+      exploding = Boolean(group.explode) && matches(group.explode, value) && explosions < LIMITS.explosions;
+      if (exploding) {
+        die.exploded = true;
+        explosions++;
+        value = rollDie();
+      }
+    }
+  }
+
+  if (group.keep) {
+    for (const die of droppedDice(dice.filter((die) => die.kept), group.keep)) die.kept = false;
+  }
+
+  const kept = dice.filter((die) => die.kept);
+  if (!group.success) return { dice, value: kept.reduce((sum, die) => sum + die.value, 0) };
+
+  let successes = 0;
+  for (const die of kept) {
+    if (matches(group.success, die.value)) {
+      die.success = true;
+      successes++;
+    } else if (group.failure && matches(group.failure, die.value)) {
+      die.failure = true;
+      successes--;
+    }
+  }
+  return { dice, value: successes };
+}
+
+/**
+ * Rola uma ou mais expressões de dados.
+ * @param {string} input - Ex.: "Ataque: 1d20+5; Dano: 2d6+3".
+ * @param {object} [options]
+ * @param {string} [options.seed] - Seed do gerador (nova a cada rolagem se omitida).
+ * @returns {{input: string, seed: string, text: string, rolls: object[]}}
+ * @throws {DiceError}
+ */
+function rollDice(input, { seed = randomSeed() } = {}) {
+  const parsed = parseDice(input);
+  const rng = createRng(seed);
+
+  const rolls = parsed.map(({ label, terms }) => {
+    const notation = formatTerms(terms);
+    const results = terms.map((term) => {
+      if (term.type === "number") return { ...term, total: term.sign * term.value };
+      const { dice, value } = rollGroup(term, rng);
+      return { ...term, notation: formatTerm(term), dice, total: term.sign * value };
+    });
+    const total = results.reduce((sum, term) => sum + term.total, 0);
+
+    const groups = results.filter((term) => term.type === "dice");
+    const fudgeOnly = groups.every((term) => term.sides === "F");
+    const totalText = fudgeOnly && total > 0 ? `+${total}` : `${total}`;
+    const diceText = groups.map((term) => term.dice.map((die) => formatDie(die, term.sides)).join(", ")).join(" | ");
+    const text = `${label ? `${label}: ` : ""}${notation} = ${totalText} { ${diceText} }`;
+
+    return { label, notation, total, terms: results, text };
+  });
+
+  return { input, seed, text: rolls.map((roll) => roll.text).join("\n"), rolls };
+}
+
+/**
+ * Expressão de um comando "/r <expressão>" do jogador (ex.: "/r 4d6kh3; Dano: 2d6+3").
+ * @param {string} message
+ * @returns {string|null} - null se a mensagem não for um comando de dados.
+ */
+function parseDiceCommand(message) {
+  const match = String(message).trim().match(/^\/r\s+(.+)$/s);
+  return match ? match[1] : null;
+}
+
+// --- Leitura do texto salvo no histórico ---
+
+// Aceita também o formato antigo da tool ("1d20+ 5  = 25 { 20 }"): a notação é normalizada
+const ROLL_LINE = /^(?:([^:=]+?): )?([^:=]+?) = ([+-]?\d+) \{ (.*) \}$/;
+
+/**
+ * Lê de volta o texto gerado por rollDice (uma rolagem por linha), para exibir os dados.
+ * @param {string} text
+ * @returns {Array<{label: string|null, notation: string, total: number, groups: Array<{sides: number|string, dice: string[]}>}>|null}
+ *   null se alguma linha não for uma rolagem.
+ */
+function parseRollText(text) {
+  if (typeof text !== "string") return null;
+  const lines = text.trim().split("\n");
+  const rolls = [];
+  for (const line of lines) {
+    const match = ROLL_LINE.exec(line.trim());
+    if (!match) return null;
+    const [, label = null, expression, total, diceText] = match;
+
+    let terms;
+    try {
+      [{ terms }] = parseDice(expression);
+    } catch {
+      return null;
+    }
+    const diceGroups = diceText.split(" | ");
+    const groups = terms.filter((term) => term.type === "dice");
+    if (diceGroups.length !== groups.length) return null;
+
+    rolls.push({
+      label,
+      notation: formatTerms(terms),
+      total: Number(total),
+      groups: groups.map((term, index) => ({
+        sides: term.sides,
+        dice: diceGroups[index].split(",").map((face) => face.trim()),
+      })),
+    });
+  }
+  return rolls;
+}
+
+/**
+ * Resumo da primeira rolagem para a animação dos dados no front-end.
+ * @param {{label: string|null, notation: string, total: number, groups?: object[], terms?: object[]}} roll
+ *   Rolagem de rollDice().rolls ou de parseRollText().
+ * @returns {{notation: string, type: number|string, total: number, rolls: Array<{display: string}>}}
+ */
+function summarizeRoll(roll) {
+  const groups =
+    roll.groups ||
+    roll.terms
+      .filter((term) => term.type === "dice")
+      .map((term) => ({ sides: term.sides, dice: term.dice.map((die) => formatDie(die, term.sides)) }));
+  return {
+    notation: `${roll.label ? `${roll.label}: ` : ""}${roll.notation}`,
+    type: groups[0].sides,
+    total: roll.total,
+    rolls: groups.flatMap((group) => group.dice.map((display) => ({ display }))),
+  };
+}
+
+module.exports = { DiceError, LIMITS, createRng, randomSeed, parseDice, rollDice, parseDiceCommand, parseRollText, summarizeRoll };